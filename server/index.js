@@ -3,8 +3,64 @@ import cors from 'cors';
 import { config } from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { translateText, getAlternatives, generateVariation } from './services/ai.js';
-import { getProfiles, saveProfile, deleteProfile } from './services/profiles.js';
+import {
+    translateText,
+    validateTranslation,
+    getAlternatives,
+    generateVariations,
+    suggestReplies,
+    explainText
+} from './services/ai.js';
+import {
+    getProfiles,
+    saveProfile,
+    deleteProfile,
+    getProfileRevisions,
+    diffProfileRevision,
+    rollbackProfile,
+    exportProfiles,
+    importProfiles,
+    resolveProfile,
+    previewProfile,
+    getVisibleProfile,
+    leaveGroup
+} from './services/profiles.js';
+import { runProfileTests } from './services/profile-tests.js';
+import { getRuleSets, saveRuleSet, deleteRuleSet } from './services/rule-sets.js';
+import { getProfileSchema } from './services/profile-schema.js';
+import { getGlossaries, getVisibleGlossary, saveGlossary, deleteGlossary } from './services/glossaries.js';
+import {
+    SESSION_TTL_MS,
+    publicUser,
+    publicGroup,
+    registerUser,
+    registrationOpen,
+    hasAccounts,
+    isAdmin,
+    authenticateUser,
+    createSession,
+    endSession,
+    userForSession,
+    userForApiToken,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    claimUnownedRecords,
+    getCustomRules,
+    saveCustomRules,
+    getUserGroups,
+    createGroup,
+    inviteGroupMember,
+    getUserInvitations,
+    publicInvitation,
+    acceptInvitation,
+    cancelInvitation
+} from './services/accounts.js';
+import { listHistory, saveHistoryEntry, deleteHistoryEntry } from './services/history.js';
+import { listProviders, getDefaultProviderIds, checkRequestedProviders, detectLanguage } from './services/providers/index.js';
+import { getTranslationCache } from './services/cache.js';
+import { kinshipTerms, normalizeRelation } from './services/kinship.js';
+import { getStorage } from './services/storage/index.js';
 
 config();
 
@@ -12,6 +68,15 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a TLS-terminating proxy, TRUST_PROXY lets req.secure and req.ip come from
+// its X-Forwarded-* headers: `true`, a hop count, or addresses as Express takes them
+function trustProxySetting(value = '') {
+    if (value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
 app.use(cors());
 app.use(express.json());
 
@@ -19,21 +84,311 @@ app.use(express.json());
 const distPath = join(__dirname, '../dist');
 app.use(express.static(distPath));
 
+const SESSION_COOKIE = 'session';
+
+// The value of one cookie from the Cookie header
+function readCookie(req, name) {
+    const pair = (req.get('Cookie') || '')
+        .split(';')
+        .map(part => part.trim().split('='))
+        .find(([key]) => key === name);
+    return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+}
+
+// Who is calling: `Authorization: Bearer <API token>` for scripts, the session
+// cookie for the browser. Signed-out requests get `req.user = null`.
+app.use((req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme === 'Bearer') {
+        req.user = userForApiToken(token);
+        if (!req.user) {
+            return res.status(401).json({ error: 'Invalid API token' });
+        }
+        return next();
+    }
+
+    req.user = userForSession(readCookie(req, SESSION_COOKIE));
+    next();
+});
+
+// With REQUIRE_LOGIN=true only the health check and sign-in work signed out
+app.use('/api', (req, res, next) => {
+    const isPublic = req.path === '/health' || req.path.startsWith('/auth/');
+    if (process.env.REQUIRE_LOGIN === 'true' && !req.user && !isPublic) {
+        return res.status(401).json({ error: 'Sign in required' });
+    }
+    next();
+});
+
+function requireUser(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Sign in required' });
+    }
+    next();
+}
+
+// Translation endpoints only use a `profileId` the caller can see
+function requireVisibleProfile(req, res, next) {
+    const { profileId } = req.body || {};
+    if (profileId && !getVisibleProfile(profileId, req.user)) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+    next();
+}
+
+// Translation endpoints only name providers that exist and can do the job asked of them
+function requireKnownProviders(req, res, next) {
+    try {
+        checkRequestedProviders(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    next();
+}
+
+// Text fields of the translation endpoints; each is optional here, but never anything but a string
+const TEXT_FIELDS = ['text', 'originalText', 'currentTranslation', 'original', 'translation', 'message', 'word'];
+
+// Translation endpoints take text as strings and `customRules` as a list of strings,
+// so a string of rules isn't split into one-letter rules further down
+function requireValidInput(req, res, next) {
+    const body = req.body || {};
+    const field = TEXT_FIELDS.find(name => body[name] !== undefined && typeof body[name] !== 'string');
+    if (field) {
+        return res.status(400).json({ error: `${field} must be a string` });
+    }
+    const { customRules } = body;
+    if (customRules !== undefined && (!Array.isArray(customRules) || !customRules.every(rule => typeof rule === 'string'))) {
+        return res.status(400).json({ error: 'customRules must be a list of strings' });
+    }
+    next();
+}
+
 // Health check
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', hasApiKey: !!process.env.GEMINI_API_KEY });
+    res.json({
+        status: 'ok',
+        hasApiKey: !!process.env.DEEPL_API_KEY,
+        providers: getDefaultProviderIds()
+    });
+});
+
+// Accounts: browser sign-in keeps a session cookie
+function startSession(req, res, user) {
+    res.cookie(SESSION_COOKIE, createSession(user.id), {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+    res.json({
+        user: publicUser(user),
+        groups: getUserGroups(user.id).map(publicGroup),
+        invitations: getUserInvitations(user.id).map(publicInvitation)
+    });
+}
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const user = await registerUser(req.body.username, req.body.password);
+        startSession(req, res, user);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const user = await authenticateUser(req.body.username, req.body.password);
+        startSession(req, res, user);
+    } catch (error) {
+        res.status(401).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    endSession(readCookie(req, SESSION_COOKIE));
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+});
+
+// The signed-in user (null when signed out), whether new accounts can be made
+// and whether anything works signed out
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        user: publicUser(req.user),
+        groups: req.user ? getUserGroups(req.user.id).map(publicGroup) : [],
+        invitations: req.user ? getUserInvitations(req.user.id).map(publicInvitation) : [],
+        registrationOpen: registrationOpen(),
+        requireLogin: process.env.REQUIRE_LOGIN === 'true'
+    });
+});
+
+// Take over the profiles, rule sets and glossaries saved before accounts existed,
+// plus the custom rules this browser kept signed out
+app.post('/api/auth/claim', requireUser, (req, res) => {
+    const { setupToken, customRules = [] } = req.body;
+    if (!Array.isArray(customRules) || !customRules.every(rule => typeof rule === 'string')) {
+        return res.status(400).json({ error: 'customRules must be a list of strings' });
+    }
+
+    try {
+        res.json({ claimed: claimUnownedRecords(req.user.id, setupToken, customRules) });
+    } catch (error) {
+        res.status(403).json({ error: error.message });
+    }
+});
+
+// Personal API tokens, sent as `Authorization: Bearer <token>`
+app.get('/api/auth/tokens', requireUser, (req, res) => {
+    res.json(listApiTokens(req.user.id));
+});
+
+app.post('/api/auth/tokens', requireUser, (req, res) => {
+    res.json(createApiToken(req.user.id, req.body.name));
+});
+
+app.delete('/api/auth/tokens/:id', requireUser, (req, res) => {
+    try {
+        revokeApiToken(req.user.id, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Family groups
+app.get('/api/groups', requireUser, (req, res) => {
+    res.json(getUserGroups(req.user.id).map(publicGroup));
+});
+
+app.post('/api/groups', requireUser, (req, res) => {
+    try {
+        res.json(publicGroup(createGroup(req.user.id, req.body.name)));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Members invite people by username; nobody joins a group without accepting
+app.post('/api/groups/:id/invitations', requireUser, (req, res) => {
+    try {
+        res.json(publicGroup(inviteGroupMember(req.user.id, req.params.id, req.body.username)));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/groups/:id/invitations/accept', requireUser, (req, res) => {
+    try {
+        res.json(publicGroup(acceptInvitation(req.user.id, req.params.id)));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Decline an invitation (your own id) or, as a member, take one back
+app.delete('/api/groups/:id/invitations/:userId', requireUser, (req, res) => {
+    try {
+        cancelInvitation(req.user.id, req.params.id, req.params.userId);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Leave a group (your own id) or, as its owner, remove someone
+app.delete('/api/groups/:id/members/:userId', requireUser, (req, res) => {
+    try {
+        const group = leaveGroup(req.user.id, req.params.id, req.params.userId);
+        res.json({ success: true, group: group ? publicGroup(group) : null });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// The signed-in user's custom rules
+app.get('/api/me/custom-rules', requireUser, (req, res) => {
+    res.json({ rules: getCustomRules(req.user.id) });
+});
+
+app.put('/api/me/custom-rules', requireUser, (req, res) => {
+    try {
+        res.json({ rules: saveCustomRules(req.user.id, req.body.rules) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// The signed-in user's translation history, newest first
+app.get('/api/history', requireUser, (req, res) => {
+    res.json(listHistory(req.user.id).map(record => record.entry));
+});
+
+app.put('/api/history/:uid', requireUser, (req, res) => {
+    try {
+        res.json(saveHistoryEntry(req.user.id, req.params.uid, req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/history/:uid', requireUser, (req, res) => {
+    try {
+        deleteHistoryEntry(req.user.id, req.params.uid);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Available translation/rewrite providers
+app.get('/api/providers', (req, res) => {
+    res.json(listProviders());
+});
+
+// Why a request's recipient relation is invalid, or null when it is fine (or absent)
+function relationError(relation) {
+    if (!relation) return null;
+    try {
+        normalizeRelation(relation);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Korean address and reference terms for a described relation
+app.post('/api/kinship', (req, res) => {
+    try {
+        res.json(kinshipTerms(req.body.relation));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
 });
 
 // Main translation endpoint
-app.post('/api/translate', async (req, res) => {
+app.post('/api/translate', requireValidInput, requireVisibleProfile, requireKnownProviders, async (req, res) => {
     try {
-        const { text, profileId, customRules } = req.body;
+        const { text, profileId, customRules, provider, rewriteProvider, context, sourceLanguage, recipientRelation } = req.body;
 
         if (!text || text.trim() === '') {
             return res.status(400).json({ error: 'Text is required' });
         }
+        const invalidRelation = relationError(recipientRelation);
+        if (invalidRelation) {
+            return res.status(400).json({ error: invalidRelation });
+        }
 
-        const result = await translateText(text, profileId, customRules);
+        const result = await translateText(text, profileId, customRules, {
+            provider,
+            rewriteProvider,
+            context,
+            sourceLanguage,
+            recipientRelation
+        });
+        res.set('X-Cache', result.cached ? 'HIT' : 'MISS');
         res.json(result);
     } catch (error) {
         console.error('Translation error:', error);
@@ -41,16 +396,80 @@ app.post('/api/translate', async (req, res) => {
     }
 });
 
+// Translate with progress reported as Server-Sent Events: one event per pipeline
+// stage, then `result` with the full response (or `error`)
+app.post('/api/translate/stream', requireValidInput, requireVisibleProfile, requireKnownProviders, async (req, res) => {
+    const { text, profileId, customRules, provider, rewriteProvider, context, sourceLanguage, recipientRelation } = req.body;
+
+    if (!text || text.trim() === '') {
+        return res.status(400).json({ error: 'Text is required' });
+    }
+    const invalidRelation = relationError(recipientRelation);
+    if (invalidRelation) {
+        return res.status(400).json({ error: invalidRelation });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Keep translating if the client goes away (the result is still cached), just stop writing
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        const result = await translateText(text, profileId, customRules, {
+            provider,
+            rewriteProvider,
+            context,
+            sourceLanguage,
+            recipientRelation,
+            onEvent: send
+        });
+        send('result', result);
+    } catch (error) {
+        console.error('Translation error:', error);
+        send('error', { error: error.message });
+    }
+    res.end();
+});
+
+// Re-check an edited translation against the original
+app.post('/api/validate', requireValidInput, requireVisibleProfile, requireKnownProviders, async (req, res) => {
+    try {
+        const { original, translation, profileId, provider, rewriteProvider } = req.body;
+
+        if (!original || original.trim() === '' || !translation || translation.trim() === '') {
+            return res.status(400).json({ error: 'Original and translation are required' });
+        }
+
+        const result = await validateTranslation(original, translation, profileId, { provider, rewriteProvider });
+        res.json(result);
+    } catch (error) {
+        console.error('Validation error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Get word alternatives for highlighted text
-app.post('/api/alternatives', async (req, res) => {
+app.post('/api/alternatives', requireValidInput, requireVisibleProfile, requireKnownProviders, async (req, res) => {
     try {
-        const { word, context, sourceLanguage, targetLanguage } = req.body;
+        const { word, context, sourceLanguage, targetLanguage, profileId, provider, rewriteProvider } = req.body;
 
         if (!word) {
             return res.status(400).json({ error: 'Word is required' });
         }
 
-        const alternatives = await getAlternatives(word, context, sourceLanguage, targetLanguage);
+        const alternatives = await getAlternatives(word, context, sourceLanguage, targetLanguage, profileId, {
+            provider,
+            rewriteProvider
+        });
         res.json({ alternatives });
     } catch (error) {
         console.error('Alternatives error:', error);
@@ -58,13 +477,75 @@ app.post('/api/alternatives', async (req, res) => {
     }
 });
 
-// Generate translation variation
-app.post('/api/variation', async (req, res) => {
+// Suggest English replies (with Korean renderings) to a parent's Korean message
+app.post('/api/replies', requireValidInput, requireVisibleProfile, requireKnownProviders, async (req, res) => {
+    try {
+        const { message, profileId, provider, rewriteProvider, recipientRelation } = req.body;
+
+        if (!message || message.trim() === '') {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+        if (detectLanguage(message) !== 'ko') {
+            return res.status(400).json({ error: 'Reply suggestions need a Korean message' });
+        }
+        const invalidRelation = relationError(recipientRelation);
+        if (invalidRelation) {
+            return res.status(400).json({ error: invalidRelation });
+        }
+
+        const result = await suggestReplies(message, profileId, { provider, rewriteProvider, recipientRelation });
+        res.json(result);
+    } catch (error) {
+        console.error('Reply suggestion error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Word-by-word grammar breakdown of Korean text
+app.post('/api/explain', requireValidInput, requireVisibleProfile, requireKnownProviders, async (req, res) => {
+    try {
+        const { text, profileId, provider, rewriteProvider } = req.body;
+
+        if (!text || text.trim() === '') {
+            return res.status(400).json({ error: 'Text is required' });
+        }
+        if (detectLanguage(text) !== 'ko') {
+            return res.status(400).json({ error: 'Explanations need Korean text' });
+        }
+
+        const result = await explainText(text, profileId, { provider, rewriteProvider });
+        res.json(result);
+    } catch (error) {
+        console.error('Explain error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Generate ranked translation variations
+app.post('/api/variation', requireValidInput, requireVisibleProfile, requireKnownProviders, async (req, res) => {
     try {
-        const { originalText, currentTranslation, profileId } = req.body;
+        const {
+            originalText,
+            currentTranslation,
+            profileId,
+            customRules,
+            count,
+            exclude,
+            provider,
+            rewriteProvider
+        } = req.body;
 
-        const variation = await generateVariation(originalText, currentTranslation, profileId);
-        res.json(variation);
+        if (!originalText || originalText.trim() === '') {
+            return res.status(400).json({ error: 'Original text is required' });
+        }
+
+        const variations = await generateVariations(originalText, currentTranslation, profileId, customRules, {
+            provider,
+            rewriteProvider,
+            count,
+            exclude: Array.isArray(exclude) ? exclude : []
+        });
+        res.json(variations);
     } catch (error) {
         console.error('Variation error:', error);
         res.status(500).json({ error: error.message });
@@ -73,35 +554,203 @@ app.post('/api/variation', async (req, res) => {
 
 // Profile management
 app.get('/api/profiles', (req, res) => {
-    res.json(getProfiles());
+    res.json(getProfiles(req.user));
 });
 
 app.post('/api/profiles', (req, res) => {
     try {
-        const profile = saveProfile(req.body);
+        const profile = saveProfile(req.body, req.user);
         res.json(profile);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
+app.get('/api/profiles/schema', (req, res) => {
+    res.json(getProfileSchema());
+});
+
+// `?ids=a,b` exports those profiles; without it, every profile the caller owns
+app.get('/api/profiles/export', (req, res) => {
+    try {
+        const ids = req.query.ids ? String(req.query.ids).split(',').filter(Boolean) : null;
+        res.json(exportProfiles(ids, req.user));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Effective settings and rules of a saved or draft profile, with where each rule came from
+app.post('/api/profiles/resolve', (req, res) => {
+    try {
+        res.json(resolveProfile(req.body, req.user));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/profiles/import', (req, res) => {
+    try {
+        res.json(importProfiles(req.body, req.user));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/profiles/:id/revisions', (req, res) => {
+    try {
+        res.json(getProfileRevisions(req.params.id, req.user));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Changes from a revision to `?against=<revision>`, or to the current profile
+app.get('/api/profiles/:id/revisions/:revision/diff', (req, res) => {
+    try {
+        res.json(diffProfileRevision(req.params.id, req.params.revision, req.query.against, req.user));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/profiles/:id/rollback', (req, res) => {
+    try {
+        res.json(rollbackProfile(req.params.id, req.body.revision, req.user));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Run a profile's example cases. With `{ profile }` in the body, the unsaved draft
+// and its examples are tested instead (`:id` need not exist yet).
+app.post('/api/profiles/:id/test', async (req, res) => {
+    let profile;
+    try {
+        profile = req.body?.profile
+            ? previewProfile({ ...req.body.profile, id: req.params.id }, req.user)
+            : getVisibleProfile(req.params.id, req.user);
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+        if (!profile.examples?.length) {
+            throw new Error('This profile has no example cases');
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        res.json(await runProfileTests(profile, profile.examples));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.delete('/api/profiles/:id', (req, res) => {
     try {
-        deleteProfile(req.params.id);
+        deleteProfile(req.params.id, req.user);
         res.json({ success: true });
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
+// Rule sets
+app.get('/api/rule-sets', (req, res) => {
+    res.json(getRuleSets(req.user));
+});
+
+app.post('/api/rule-sets', (req, res) => {
+    try {
+        res.json(saveRuleSet(req.body, req.user));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/rule-sets/:id', (req, res) => {
+    try {
+        deleteRuleSet(req.params.id, req.user);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Glossary management
+app.get('/api/glossaries', (req, res) => {
+    res.json(getGlossaries(req.user));
+});
+
+app.get('/api/glossaries/:id', (req, res) => {
+    const glossary = getVisibleGlossary(req.params.id, req.user);
+    if (!glossary) {
+        return res.status(404).json({ error: 'Glossary not found' });
+    }
+    res.json(glossary);
+});
+
+app.post('/api/glossaries', (req, res) => {
+    try {
+        const glossary = saveGlossary(req.body, req.user);
+        res.json(glossary);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/glossaries/:id', (req, res) => {
+    try {
+        deleteGlossary(req.params.id, req.user);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message });
+    }
+});
+
+// Admin endpoints take the ADMIN_TOKEN or an admin's sign-in. With neither
+// configured they stay open only until the first account is created.
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (token && req.get('X-Admin-Token') === token) return next();
+    if (isAdmin(req.user)) return next();
+    if (!token && !hasAccounts()) return next();
+
+    res.status(req.user ? 403 : 401).json({ error: 'Admin access required' });
+}
+
+// Translation cache inspection
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    res.json(getTranslationCache().inspect());
+});
+
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+    const cleared = getTranslationCache().clear();
+    res.json({ success: true, cleared });
+});
+
+app.delete('/api/admin/cache/:key', requireAdmin, (req, res) => {
+    if (!getTranslationCache().delete(req.params.key)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true });
+});
+
 // Serve frontend for all other routes (SPA support)
 app.get('*', (req, res) => {
     res.sendFile(join(distPath, 'index.html'));
 });
 
+// Open storage (running migrations and any one-time import) before taking requests
+const storage = getStorage();
+
 app.listen(PORT, () => {
     console.log(`🚀 Server running at http://localhost:${PORT}`);
-    if (!process.env.GEMINI_API_KEY) {
-        console.warn('⚠️  GEMINI_API_KEY not set. Add it to your environment variables.');
+    console.log(`💾 Storage: ${storage.backend} (${storage.file})`);
+    const defaults = getDefaultProviderIds();
+    console.log(`🔌 Providers: translation=${defaults.translation}, rewrite=${defaults.rewrite}`);
+    if (!process.env.DEEPL_API_KEY) {
+        console.warn('⚠️  DEEPL_API_KEY not set. Using the offline mock provider for translation.');
     }
 });
@@ -0,0 +1,425 @@
+import { randomBytes, scrypt, createHash, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { getStorage } from './storage/index.js';
+
+// Local accounts, login sessions, personal API tokens and family groups.
+// Passwords are kept as scrypt hashes and session/API tokens only as SHA-256
+// hashes, so nothing in storage can be used to log in.
+
+const USERS = 'users';
+const SESSIONS = 'sessions';
+const API_TOKENS = 'api-tokens';
+const GROUPS = 'groups';
+const INVITATIONS = 'group-invitations';
+
+// Collections whose records belong to a user through `ownerId`
+const OWNED_COLLECTIONS = ['profiles', 'rule-sets', 'glossaries'];
+
+const HOUR_MS = 60 * 60 * 1000;
+export const SESSION_TTL_MS = 30 * 24 * HOUR_MS;
+
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+
+// Failed logins per username, to slow down password guessing. Entries expire
+// after LOCKOUT_MS so guesses at many names don't pile up in memory.
+const MAX_FAILED_LOGINS = 10;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const failedLogins = new Map();
+
+function forgetExpiredFailures(now = Date.now()) {
+    failedLogins.forEach((failures, name) => {
+        if (now - failures.since > LOCKOUT_MS) failedLogins.delete(name);
+    });
+}
+
+const scryptAsync = promisify(scrypt);
+
+async function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+    const key = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const key = await scryptAsync(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && timingSafeEqual(key, expected);
+}
+
+// Checked against when the username doesn't exist, so a miss takes as long as a wrong password
+const UNKNOWN_USER_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+const hashToken = token => createHash('sha256').update(token).digest('hex');
+const newToken = prefix => `${prefix}_${randomBytes(32).toString('base64url')}`;
+
+function normalizeUsername(username) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+        throw new Error('Usernames are 3-32 letters, digits, dots, dashes or underscores');
+    }
+    return name;
+}
+
+// What the API shows of a user - never the password hash
+export function publicUser(user) {
+    return user ? { id: user.id, username: user.username, createdAt: user.createdAt } : null;
+}
+
+export function getUserById(id) {
+    return getStorage().get(USERS, id);
+}
+
+function findUserByUsername(username) {
+    return getStorage().find(USERS, 'username', username)[0] || null;
+}
+
+export function hasAccounts() {
+    return getStorage().list(USERS).length > 0;
+}
+
+// The first account can always be created; after that ALLOW_REGISTRATION=false closes sign-ups
+export function registrationOpen() {
+    return process.env.ALLOW_REGISTRATION !== 'false' || !hasAccounts();
+}
+
+// Admins are the accounts named in ADMIN_USERS (comma-separated usernames)
+export function isAdmin(user) {
+    const admins = String(process.env.ADMIN_USERS || '').split(',').map(name => name.trim().toLowerCase());
+    return Boolean(user) && admins.includes(user.username);
+}
+
+// Records nobody owns (saved before accounts existed) go to `userId`. Only whoever
+// set the server up knows its SETUP_TOKEN, so they decide which account takes them.
+// `customRules` are the rules the browser kept before signing in; they join the
+// account's own. Returns how many records of each kind were claimed.
+export function claimUnownedRecords(userId, setupToken, customRules = []) {
+    const expected = process.env.SETUP_TOKEN;
+    const matches = Boolean(expected) &&
+        timingSafeEqual(Buffer.from(hashToken(String(setupToken || ''))), Buffer.from(hashToken(expected)));
+    if (!matches) {
+        throw new Error(expected ? 'Wrong setup token' : 'Set SETUP_TOKEN on the server to claim existing data');
+    }
+
+    const storage = getStorage();
+    return storage.transaction(() => {
+        const claimed = Object.fromEntries(OWNED_COLLECTIONS.map(collection => {
+            const unowned = storage.list(collection).filter(record => !record.ownerId);
+            unowned.forEach(record => storage.put(collection, { ...record, ownerId: userId }));
+            return [collection, unowned.length];
+        }));
+
+        const current = getCustomRules(userId);
+        const saved = saveCustomRules(userId, [...new Set([...current, ...customRules.map(rule => rule.trim())])]);
+        return { ...claimed, customRules: saved.length - current.length };
+    });
+}
+
+export async function registerUser(username, password) {
+    if (!registrationOpen()) {
+        throw new Error('Registration is closed on this server');
+    }
+    const name = normalizeUsername(username);
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const storage = getStorage();
+
+    return storage.transaction(() => {
+        if (findUserByUsername(name)) {
+            throw new Error('That username is taken');
+        }
+
+        const user = {
+            id: `user-${randomBytes(8).toString('hex')}`,
+            username: name,
+            passwordHash,
+            customRules: [],
+            createdAt: Date.now()
+        };
+        storage.put(USERS, user);
+        return user;
+    });
+}
+
+export async function authenticateUser(username, password) {
+    const name = String(username || '').trim().toLowerCase();
+    forgetExpiredFailures();
+    if (failedLogins.get(name)?.count >= MAX_FAILED_LOGINS) {
+        throw new Error('Too many failed logins - try again in a few minutes');
+    }
+
+    const user = findUserByUsername(name);
+    const matches = await verifyPassword(String(password || ''), user ? user.passwordHash : UNKNOWN_USER_HASH);
+    if (!user || !matches) {
+        const current = failedLogins.get(name) || { count: 0, since: Date.now() };
+        failedLogins.set(name, { ...current, count: current.count + 1 });
+        throw new Error('Wrong username or password');
+    }
+
+    failedLogins.delete(name);
+    return user;
+}
+
+// Expired sessions are removed at most hourly, when someone signs in
+let lastSessionSweep = 0;
+
+function removeExpiredSessions(now = Date.now()) {
+    if (now - lastSessionSweep < HOUR_MS) return;
+    lastSessionSweep = now;
+
+    const storage = getStorage();
+    storage.transaction(() => {
+        storage.list(SESSIONS)
+            .filter(session => session.expiresAt < now)
+            .forEach(session => storage.remove(SESSIONS, session.id));
+    });
+}
+
+// Sessions back the browser's cookie; the raw token only ever lives in the cookie
+export function createSession(userId) {
+    removeExpiredSessions();
+    const token = newToken('ses');
+    getStorage().put(SESSIONS, {
+        id: hashToken(token),
+        userId,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + SESSION_TTL_MS
+    });
+    return token;
+}
+
+export function endSession(token) {
+    if (token) getStorage().remove(SESSIONS, hashToken(token));
+}
+
+// The user a session token belongs to, or null once it has expired
+export function userForSession(token) {
+    if (!token) return null;
+
+    const session = getStorage().get(SESSIONS, hashToken(token));
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+        getStorage().remove(SESSIONS, session.id);
+        return null;
+    }
+    return getUserById(session.userId);
+}
+
+const publicToken = ({ tokenId, name, createdAt, lastUsedAt }) => ({ id: tokenId, name, createdAt, lastUsedAt });
+
+// Personal API tokens don't expire; they last until revoked. The token itself is
+// only returned here, once.
+export function createApiToken(userId, name) {
+    const token = newToken('kt');
+    const record = {
+        id: hashToken(token),
+        tokenId: randomBytes(6).toString('hex'),
+        userId,
+        name: String(name || '').trim().slice(0, 60) || 'API token',
+        createdAt: Date.now(),
+        lastUsedAt: null
+    };
+    getStorage().put(API_TOKENS, record);
+    return { ...publicToken(record), token };
+}
+
+export function listApiTokens(userId) {
+    return getStorage().find(API_TOKENS, 'userId', userId).map(publicToken);
+}
+
+export function revokeApiToken(userId, tokenId) {
+    const record = getStorage().find(API_TOKENS, 'userId', userId).find(r => r.tokenId === tokenId);
+    if (!record) {
+        throw new Error('Token not found');
+    }
+    getStorage().remove(API_TOKENS, record.id);
+}
+
+export function userForApiToken(token) {
+    if (!token) return null;
+
+    const record = getStorage().get(API_TOKENS, hashToken(token));
+    if (!record) return null;
+
+    // Recorded at most hourly so API calls don't each cost a write
+    if (Date.now() - (record.lastUsedAt || 0) > HOUR_MS) {
+        getStorage().put(API_TOKENS, { ...record, lastUsedAt: Date.now() });
+    }
+    return getUserById(record.userId);
+}
+
+// Custom rules the user applies on top of the profile, kept on the account
+export function getCustomRules(userId) {
+    return getUserById(userId)?.customRules || [];
+}
+
+export function saveCustomRules(userId, rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Custom rules must be a list');
+    }
+
+    const user = getUserById(userId);
+    const customRules = rules.map(rule => String(rule).trim()).filter(Boolean).slice(0, 50);
+    getStorage().put(USERS, { ...user, customRules });
+    return customRules;
+}
+
+// Family groups: every member sees the profiles shared with the group
+export function getUserGroups(userId) {
+    if (!userId) return [];
+    return getStorage().find(GROUPS, 'members', userId);
+}
+
+// Group ids of `user`, looked up once per user object. Each request loads its
+// own `req.user`, so a listing checks every record against one lookup.
+const groupIdsByUser = new WeakMap();
+
+function groupIdsOf(user) {
+    if (!groupIdsByUser.has(user)) {
+        groupIdsByUser.set(user, new Set(getUserGroups(user.id).map(group => group.id)));
+    }
+    return groupIdsByUser.get(user);
+}
+
+export function publicGroup(group) {
+    return {
+        id: group.id,
+        name: group.name,
+        ownerId: group.ownerId,
+        members: group.members.map(id => publicUser(getUserById(id))).filter(Boolean),
+        invited: getStorage().find(INVITATIONS, 'groupId', group.id)
+            .map(invitation => publicUser(getUserById(invitation.userId)))
+            .filter(Boolean)
+    };
+}
+
+// What an invitee sees of a group before joining it
+export function publicInvitation(invitation) {
+    const group = getStorage().get(GROUPS, invitation.groupId);
+    return {
+        id: invitation.groupId,
+        name: group?.name || '',
+        invitedBy: getUserById(invitation.invitedBy)?.username || null,
+        invitedAt: invitation.invitedAt
+    };
+}
+
+function getMemberGroup(userId, groupId) {
+    const group = getStorage().get(GROUPS, groupId);
+    if (!group || !group.members.includes(userId)) {
+        throw new Error('Group not found');
+    }
+    return group;
+}
+
+export function createGroup(userId, name) {
+    const label = String(name || '').trim().slice(0, 60);
+    if (!label) {
+        throw new Error('Group must have a name');
+    }
+
+    return getStorage().put(GROUPS, {
+        id: `group-${randomBytes(6).toString('hex')}`,
+        name: label,
+        ownerId: userId,
+        members: [userId],
+        createdAt: Date.now()
+    });
+}
+
+const invitationId = (groupId, userId) => `${groupId}:${userId}`;
+
+function getInvitation(groupId, userId) {
+    const invitation = getStorage().get(INVITATIONS, invitationId(groupId, userId));
+    if (!invitation) {
+        throw new Error('Invitation not found');
+    }
+    return invitation;
+}
+
+// Any member can invite someone by username; they only join once they accept
+export function inviteGroupMember(userId, groupId, username) {
+    const group = getMemberGroup(userId, groupId);
+    const invitee = findUserByUsername(String(username || '').trim().toLowerCase());
+    if (!invitee) {
+        throw new Error(`No user called ${username}`);
+    }
+    if (group.members.includes(invitee.id)) {
+        throw new Error(`${invitee.username} is already in this group`);
+    }
+
+    const id = invitationId(groupId, invitee.id);
+    if (!getStorage().get(INVITATIONS, id)) {
+        getStorage().put(INVITATIONS, { id, groupId, userId: invitee.id, invitedBy: userId, invitedAt: Date.now() });
+    }
+    return group;
+}
+
+// Invitations `userId` hasn't accepted or declined yet
+export function getUserInvitations(userId) {
+    if (!userId) return [];
+    return getStorage().find(INVITATIONS, 'userId', userId);
+}
+
+export function acceptInvitation(userId, groupId) {
+    const storage = getStorage();
+    return storage.transaction(() => {
+        const invitation = getInvitation(groupId, userId);
+        storage.remove(INVITATIONS, invitation.id);
+
+        const group = storage.get(GROUPS, groupId);
+        if (!group) {
+            throw new Error('Group not found');
+        }
+        if (group.members.includes(userId)) return group;
+        return storage.put(GROUPS, { ...group, members: [...group.members, userId] });
+    });
+}
+
+// The invitee declines, or a member takes the invitation back
+export function cancelInvitation(userId, groupId, inviteeId) {
+    if (inviteeId !== userId) getMemberGroup(userId, groupId);
+    getStorage().remove(INVITATIONS, getInvitation(groupId, inviteeId).id);
+}
+
+// Members can leave and the owner can remove anyone. A group with no members
+// left is deleted; if the owner leaves, the longest-standing member takes over.
+export function removeGroupMember(userId, groupId, memberId) {
+    const group = getMemberGroup(userId, groupId);
+    if (memberId !== userId && group.ownerId !== userId) {
+        throw new Error('Only the group owner can remove other members');
+    }
+
+    const members = group.members.filter(id => id !== memberId);
+    if (members.length === 0) {
+        const storage = getStorage();
+        storage.transaction(() => {
+            storage.find(INVITATIONS, 'groupId', groupId).forEach(invitation => storage.remove(INVITATIONS, invitation.id));
+            storage.remove(GROUPS, groupId);
+        });
+        return null;
+    }
+    return getStorage().put(GROUPS, {
+        ...group,
+        members,
+        ownerId: group.ownerId === memberId ? members[0] : group.ownerId
+    });
+}
+
+// Whether `user` (null when signed out) may see a record with `ownerId`/`groupId`.
+// Signed-out visitors share the records nobody owns.
+export function canSee(user, record) {
+    if (!record) return false;
+    if (isOwner(user, record)) return true;
+    return Boolean(user && record.groupId && groupIdsOf(user).has(record.groupId));
+}
+
+// Only the owner may change or delete a record
+export function isOwner(user, record) {
+    return Boolean(record) && (record.ownerId || null) === (user?.id || null);
+}
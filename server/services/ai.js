@@ -1,72 +1,72 @@
-import * as deepl from 'deepl-node';
-import OpenAI from 'openai';
 import { config } from 'dotenv';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
-import { getProfileById, DEFAULT_PROFILES } from './profiles.js';
+import { getProfileById, resolveProfileSettings, FORMALITY_NOTES } from './profiles.js';
+import { SPEECH_LEVELS, analyzeSpeechLevel } from './speech-level.js';
+import { calculateTextSimilarity } from './scoring.js';
+import { segmentText, joinSegments } from './segmentation.js';
+import { diffTexts } from './diff.js';
+import { romanize, pronounce, hasHangul } from './romanization.js';
+import { getTranslationCache, getJudgeCache, cacheKey, normalizeCacheText } from './cache.js';
+import { normalizeContext, formatContext } from './conversation.js';
+import { resolveProviders, languageName } from './providers/index.js';
+import { extractJson } from './json.js';
+import { getGlossaryById, findGlossaryMatches, protectTerms, restoreTerms } from './glossaries.js';
+import {
+    buildAlternativesPrompt,
+    validateAlternatives,
+    getLocalAlternatives,
+    sortForProfile
+} from './alternatives.js';
+import { buildRepliesPrompt, validateReplies, getLocalReplies } from './replies.js';
+import { buildJudgePrompt, validateVerdict, explainVerdict } from './judge.js';
+import { kinshipTerms, withKinshipTerms, buildAddressingNote, addressRecipient } from './kinship.js';
+import {
+    analyzeLocally,
+    isComplete,
+    buildExplainPrompt,
+    validateBreakdown,
+    mergeWithTable
+} from './explain.js';
+import {
+    candidateCount,
+    buildVariationsPrompt,
+    parseRephrasings,
+    dedupeCandidates,
+    rankCandidates
+} from './variations.js';
 
 // Get proper path to .env in project root
 const __dirname = dirname(fileURLToPath(import.meta.url));
 config({ path: join(__dirname, '../../.env') });
 
-// Initialize clients
-let deeplTranslator = null;
-let perplexityClient = null;
-
-function getDeepL() {
-    if (!deeplTranslator) {
-        const apiKey = process.env.DEEPL_API_KEY || '';
-        if (!apiKey) {
-            console.warn('DeepL API Key is missing!');
-        }
-        deeplTranslator = new deepl.Translator(apiKey);
-    }
-    return deeplTranslator;
+// Earlier conversation turns for a prompt, or nothing outside conversation mode
+function conversationSection(conversation) {
+    return conversation
+        ? `CONVERSATION SO FAR (for pronouns, tone and topic only - do not include it in your answer):\n${conversation}\n\n`
+        : '';
 }
 
-function getPerplexity() {
-    if (!perplexityClient) {
-        const apiKey = process.env.PERPLEXITY_API_KEY || '';
-        if (!apiKey) {
-            console.warn('Perplexity API Key is missing!');
-        }
-        perplexityClient = new OpenAI({
-            apiKey: apiKey,
-            baseURL: 'https://api.perplexity.ai'
-        });
-    }
-    return perplexityClient;
-}
-
-// Detect language (Korean or English)
-function detectLanguage(text) {
-    const koreanRegex = /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/;
-    const koreanChars = (text.match(koreanRegex) || []).length;
-    const totalChars = text.replace(/\s/g, '').length;
-
-    return koreanChars / totalChars > 0.3 ? 'ko' : 'en';
-}
-
-// Apply custom rules to transform text using Perplexity AI
-async function applyCustomRules(text, rules, sourceLanguage) {
+// Apply custom rules to transform text using the rewrite provider.
+// `onDelta` receives the partial rewrite when the provider can stream it.
+async function applyCustomRules(rewriter, text, rules, sourceLanguage, onDelta, conversation = null) {
     if (!rules || rules.length === 0) {
         return { transformedText: text, appliedRules: [] };
     }
 
-    const perplexity = getPerplexity();
     const rulesText = rules.map((r, i) => `${i + 1}. ${r}`).join('\n');
-    const languageName = sourceLanguage === 'ko' ? 'Korean' : 'English';
+    const language = languageName(sourceLanguage);
 
-    const prompt = `You are a text transformation assistant. Transform the following ${languageName} text according to the given rules.
+    const prompt = `You are a text transformation assistant. Transform the following ${language} text according to the given rules.
 
-ORIGINAL TEXT:
+${conversationSection(conversation)}ORIGINAL TEXT:
 "${text}"
 
 RULES TO APPLY:
 ${rulesText}
 
 IMPORTANT:
-- Keep the text in ${languageName} (do NOT translate)
+- Keep the text in ${language} (do NOT translate)
 - Apply ALL the rules to transform the meaning, tone, or style
 - Return ONLY the transformed text, nothing else
 - If a rule doesn't apply, skip it
@@ -75,27 +75,15 @@ IMPORTANT:
 TRANSFORMED TEXT:`;
 
     try {
-        const response = await perplexity.chat.completions.create({
-            model: 'sonar',
-            messages: [
-                { role: 'user', content: prompt }
-            ],
-            max_tokens: 500,
-            temperature: 0.7
-        });
-
-        const transformedText = response.choices[0].message.content.trim();
-
-        // Clean up any quotes that might wrap the response
-        const cleaned = transformedText.replace(/^["']|["']$/g, '').trim();
+        const transformedText = await rewriter.rewrite(prompt, { text, maxTokens: 500, temperature: 0.7, onDelta });
 
         return {
-            transformedText: cleaned || text,
+            transformedText: transformedText || text,
             appliedRules: rules
         };
     } catch (error) {
-        console.error('Perplexity rule application error:', error.message);
-        // Return original text if Perplexity fails
+        console.error(`${rewriter.name} rule application error:`, error.message);
+        // Return original text if the rewrite provider fails
         return {
             transformedText: text,
             appliedRules: [],
@@ -104,115 +92,342 @@ TRANSFORMED TEXT:`;
     }
 }
 
-// Calculate text similarity score (0-100) using token overlap
-function calculateTextSimilarity(original, backTranslation) {
-    const normalize = (text) => text.toLowerCase().replace(/[^\w\s가-힣]/g, '').trim();
-    const tokenize = (text) => normalize(text).split(/\s+/).filter(t => t.length > 0);
+// Rewrite Korean output so every sentence uses the profile's speech level,
+// addressing the recipient by their kinship term when the relation is known
+async function applySpeechLevel(rewriter, text, speechLevel, conversation = null, kinship = null) {
+    const addressing = kinship ? `- ${buildAddressingNote(kinship)}\n` : '';
+    const prompt = `Rewrite the following Korean text so that every sentence uses ${SPEECH_LEVELS[speechLevel]}.
+
+${conversationSection(conversation)}TEXT:
+"${text}"
 
-    const originalTokens = tokenize(original);
-    const backTokens = tokenize(backTranslation);
+IMPORTANT:
+${addressing}- Keep the meaning, names and honorifics exactly the same
+- Only change sentence endings and the words that must agree with them
+- Return ONLY the rewritten Korean text, nothing else`;
 
-    if (originalTokens.length === 0 || backTokens.length === 0) {
-        return { score: 0, explanation: 'Unable to compare texts' };
+    try {
+        return (await rewriter.rewrite(prompt, { text, maxTokens: 500, temperature: 0.2 })) || text;
+    } catch (error) {
+        console.error(`${rewriter.name} speech level error:`, error.message);
+        return text;
     }
+}
 
-    // Count matching tokens
-    const originalSet = new Set(originalTokens);
-    const backSet = new Set(backTokens);
+// Ask the rewrite provider whether the back-translation kept the original's meaning.
+// Verdicts are cached per judge; when the judge fails the lexical score stands alone.
+async function judgeEquivalence(rewriter, original, backTranslation, sourceLanguage) {
+    const cache = getJudgeCache();
+    const key = cacheKey({
+        original: normalizeCacheText(original),
+        backTranslation: normalizeCacheText(backTranslation),
+        judge: rewriter.id
+    });
 
-    let matchCount = 0;
-    for (const token of originalSet) {
-        if (backSet.has(token)) {
-            matchCount++;
-        }
+    const cached = cache.get(key);
+    if (cached) return { ...cached, cached: true };
+
+    try {
+        const prompt = buildJudgePrompt(original, backTranslation, languageName(sourceLanguage));
+        const response = await rewriter.rewrite(prompt, { text: backTranslation, maxTokens: 400, temperature: 0 });
+        const verdict = validateVerdict(extractJson(response));
+
+        const semanticScore = { ...verdict, explanation: explainVerdict(verdict), judge: rewriter.id };
+        cache.set(key, semanticScore, { judge: rewriter.id });
+        return { ...semanticScore, cached: false };
+    } catch (error) {
+        console.error(`${rewriter.name} semantic judge error:`, error.message);
+        return { error: error.message, judge: rewriter.id };
     }
+}
 
-    // Calculate Jaccard similarity
-    const unionSize = new Set([...originalTokens, ...backTokens]).size;
-    const jaccardScore = (matchCount / unionSize) * 100;
-
-    // Also consider length similarity
-    const lengthRatio = Math.min(originalTokens.length, backTokens.length) /
-        Math.max(originalTokens.length, backTokens.length);
-
-    // Combined score (weighted average)
-    const combinedScore = Math.round((jaccardScore * 0.7) + (lengthRatio * 100 * 0.3));
-
-    let explanation = '';
-    if (combinedScore >= 85) {
-        explanation = 'Excellent semantic preservation';
-    } else if (combinedScore >= 70) {
-        explanation = 'Good meaning retention with minor variations';
-    } else if (combinedScore >= 50) {
-        explanation = 'Moderate similarity - some nuances may differ';
-    } else {
-        explanation = 'Translation may have significant interpretation';
+// The judge's verdict when the profile asks for one, and which score is primary
+async function semanticScoring(rewriter, settings, original, backTranslation, sourceLanguage) {
+    if (!settings.semanticJudge) {
+        return { semanticScore: null, primaryScore: 'lexical' };
     }
 
+    const semanticScore = await judgeEquivalence(rewriter, original, backTranslation, sourceLanguage);
+    const usable = semanticScore.score !== undefined;
     return {
-        score: Math.min(100, Math.max(0, combinedScore)),
-        explanation
+        semanticScore,
+        primaryScore: settings.semanticJudge === 'primary' && usable ? 'semantic' : 'lexical'
     };
 }
 
-// Main translation function - DeepL with optional Perplexity rule transformation
-export async function translateText(text, profileId = 'natural', customRules = []) {
-    const sourceLanguage = detectLanguage(text);
-    const targetLanguage = sourceLanguage === 'ko' ? 'en-US' : 'ko';
+// Romanization and a pronunciation guide for whichever side is Korean
+function koreanReading(original, translation, sourceLanguage, targetLanguage) {
+    const side = targetLanguage === 'ko' ? 'translation' : sourceLanguage === 'ko' ? 'original' : null;
+    const text = side === 'translation' ? translation : original;
+    if (!side || !hasHangul(text)) return null;
+
+    return { side, text: romanize(text), pronunciation: pronounce(text) };
+}
+
+// Kinship terms for the request's recipient, falling back to the profile's
+function recipientKinship(options, settings) {
+    const relation = options.recipientRelation || settings.recipientRelation;
+    return relation ? kinshipTerms(relation) : null;
+}
+
+// Segments scoring below this are highlighted as weak in the aligned view
+const WEAK_SEGMENT_SCORE = 70;
+
+// Decide once per request how the profile's glossary (with the recipient's kinship
+// terms added) is enforced: natively when the provider supports the pair, otherwise
+// by placeholder substitution
+async function loadGlossary(translator, glossaryId, kinship, sourceLanguage, targetLanguage) {
+    const glossary = withKinshipTerms(glossaryId ? getGlossaryById(glossaryId) : null, kinship, sourceLanguage);
+    if (!glossary || glossary.entries.length === 0) return null;
+
+    const native = translator.capabilities.glossaries &&
+        await translator.supportsGlossary(sourceLanguage, targetLanguage);
+    return { glossary, method: native ? 'provider' : 'placeholder' };
+}
+
+// Wrap one piece of text with the glossary for the translation call
+function prepareGlossary(glossaryMode, text, sourceLanguage, targetLanguage) {
+    if (!glossaryMode) {
+        return { text, translateOptions: {}, restore: t => t, applied: [] };
+    }
+
+    const { glossary, method } = glossaryMode;
+    if (method === 'provider') {
+        return {
+            text,
+            translateOptions: { sourceLanguage, glossary },
+            restore: t => t,
+            applied: findGlossaryMatches(text, glossary, sourceLanguage)
+        };
+    }
+
+    const protectedTerms = protectTerms(text, glossary, sourceLanguage, targetLanguage);
+    return {
+        text: protectedTerms.text,
+        translateOptions: {},
+        restore: t => restoreTerms(t, protectedTerms.placeholders),
+        applied: protectedTerms.applied
+    };
+}
+
+// Translate a single segment and enforce the speech level. `onDelta` receives the
+// partial translation when the provider can stream it.
+async function translateSegment(segment, context, onDelta) {
+    const { translator, rewriter, glossaryMode, sourceLanguage, targetLanguage, formality, speechLevel, kinship, conversation } = context;
+
+    const glossary = prepareGlossary(glossaryMode, segment.text, sourceLanguage, targetLanguage);
+    const translationResult = await translator.translate(glossary.text, {
+        targetLanguage,
+        formality,
+        context: conversation,
+        // Placeholders would leak into the preview, so only stream unprotected text
+        onDelta: glossary.text === segment.text ? onDelta : undefined,
+        ...glossary.translateOptions
+    });
+    let translation = glossary.restore(translationResult.text);
+
+    // Enforce the target speech level on Korean output
+    if (speechLevel) {
+        translation = await applySpeechLevel(rewriter, translation, speechLevel, conversation, kinship);
+    }
+    if (kinship) {
+        translation = addressRecipient(translation, kinship);
+    }
+
+    return {
+        source: segment.text,
+        separator: segment.separator,
+        translation,
+        glossaryApplied: glossary.applied
+    };
+}
+
+// Back-translate and score a translated segment
+async function backTranslateSegment(segment, context) {
+    const { translator, sourceLanguage, targetLanguage } = context;
+
+    // Back-Translation with DIRECT/LITERAL mode
+    const backTranslationResult = await translator.translate(segment.translation, {
+        sourceLanguage: targetLanguage,
+        targetLanguage: sourceLanguage,
+        formality: 'prefer_less'
+    });
+
+    const accuracyScore = calculateTextSimilarity(segment.source, backTranslationResult.text, sourceLanguage);
+
+    return {
+        ...segment,
+        reTranslation: backTranslationResult.text,
+        accuracyScore,
+        weak: accuracyScore.score < WEAK_SEGMENT_SCORE,
+        diff: diffTexts(segment.source, backTranslationResult.text)
+    };
+}
+
+// Segments as sent to the client - index added, internal glossary bookkeeping dropped
+function publicSegments(segments) {
+    return segments.map(({ glossaryApplied, ...segment }, index) => ({ index, ...segment }));
+}
+
+// Emit the pipeline stages for a cached result, so streaming clients see the same events
+function replayStages(result, emit) {
+    emit('detected', { sourceLanguage: result.sourceLanguage, targetLanguage: result.targetLanguage });
+    if (result.transformedText) {
+        emit('rules', { text: result.transformedText, appliedRules: result.settings.rules });
+    }
+    emit('translation', {
+        translation: result.translation,
+        segments: result.segments.map(({ index, source, separator, translation }) => ({ index, source, separator, translation }))
+    });
+    emit('back-translation', { reTranslation: result.reTranslation, segments: result.segments, diff: result.diff });
+    emit('score', { accuracyScore: result.accuracyScore, speechLevel: result.speechLevel });
+    if (result.semanticScore) {
+        emit('judge', { semanticScore: result.semanticScore, primaryScore: result.primaryScore });
+    }
+}
+
+// Main translation function - every step is driven by the resolved profile settings.
+// `options.onEvent(stage, data)` is called as each pipeline stage completes.
+// In conversation mode `options.context` holds the previous turns and
+// `options.sourceLanguage` fixes the direction instead of detecting it.
+// `options.recipientRelation` (e.g. a conversation's recipient) overrides the profile's.
+// `options.profile` translates with an unsaved profile instead of looking `profileId` up.
+export async function translateText(text, profileId = 'natural', customRules = [], options = {}) {
+    const emit = options.onEvent || (() => {});
+    const conversation = normalizeContext(options.context);
+    const sourceLanguage = ['ko', 'en'].includes(options.sourceLanguage) ? options.sourceLanguage : null;
+    const profile = options.profile || getProfileById(profileId);
+    const settings = resolveProfileSettings(profile);
+    const { translator, rewriter } = resolveProviders({ request: options, settings });
+    const kinship = recipientKinship(options, settings);
+
+    // Identical text + settings + rules + providers gives an identical result. The
+    // profile's revision is part of the key, so an edit or rename is never served stale.
+    const cache = getTranslationCache();
+    const key = cacheKey({
+        text: normalizeCacheText(text),
+        profile: profile ? { id: profile.id || null, revision: profile.revision ?? null, updatedAt: profile.updatedAt ?? null } : null,
+        settings,
+        glossaryVersion: settings.glossaryId ? getGlossaryById(settings.glossaryId)?.updatedAt : null,
+        customRules: customRules || [],
+        providers: [translator.id, rewriter.id],
+        conversation,
+        sourceLanguage,
+        recipientRelation: kinship?.relation || null
+    });
+
+    const cached = cache.get(key);
+    if (cached) {
+        const result = { ...structuredClone(cached), original: text, cached: true };
+        replayStages(result, emit);
+        return result;
+    }
+
+    const result = await runTranslation(text, profile, settings, customRules, {
+        translator,
+        rewriter,
+        emit,
+        conversation,
+        sourceLanguage,
+        kinship
+    });
+    cache.set(key, structuredClone(result), {
+        profileId,
+        providers: result.providers
+    });
+    return { ...result, cached: false };
+}
+
+// Uncached translation pipeline: rules -> segments -> translate -> back-translate -> score
+async function runTranslation(text, profile, settings, customRules, { translator, rewriter, emit, conversation, sourceLanguage: forcedSource, kinship }) {
+    const sourceLanguage = forcedSource || await translator.detect(text);
+    const targetLanguage = sourceLanguage === 'ko' ? 'en' : 'ko';
+    emit('detected', { sourceLanguage, targetLanguage });
+
+    const conversationText = conversation.length > 0 ? formatContext(conversation) : null;
 
-    // Step 1: Apply custom rules using Perplexity (if any)
+    // Step 1: Apply profile rewrite rules plus per-request custom rules (if any)
+    const rules = [...settings.rewriteRules, ...(customRules || [])];
     let textToTranslate = text;
     let ruleTransformation = null;
 
-    if (customRules && customRules.length > 0) {
-        console.log('Applying custom rules via Perplexity:', customRules);
-        ruleTransformation = await applyCustomRules(text, customRules, sourceLanguage);
+    if (rules.length > 0) {
+        console.log(`Applying rules via ${rewriter.name}:`, rules);
+        ruleTransformation = await applyCustomRules(rewriter, text, rules, sourceLanguage,
+            partial => emit('rules-delta', { text: partial }), conversationText);
         textToTranslate = ruleTransformation.transformedText;
         console.log('Transformed text:', textToTranslate);
+        emit('rules', { text: textToTranslate, appliedRules: ruleTransformation.appliedRules });
     }
 
-    // Step 2: Translate with DeepL
-    const translator = getDeepL();
-
-    // Map profiles to DeepL formality
-    let formality = 'default';
-    let profileNote = '';
-
-    if (profileId === 'natural') {
-        formality = 'prefer_more';
-        profileNote = 'Using formal tone for respectful communication';
-    } else if (profileId === 'parent-talk') {
-        formality = 'default';
-        profileNote = 'Using standard polite tone';
-    } else if (profileId === 'direct') {
-        formality = 'prefer_less';
-        profileNote = 'Using direct/literal translation style';
-    }
+    // Step 2: Segment, then translate and back-translate each sentence with the profile's formality
+    const formality = settings.formality;
+    const profileNote = FORMALITY_NOTES[formality];
+    const speechLevel = targetLanguage === 'ko' ? kinship?.speechLevel || settings.speechLevel : null;
 
     try {
-        let translationResult;
-        try {
-            // Only apply formality when translating TO Korean
-            const options = targetLanguage === 'ko' ? { formality } : {};
-            translationResult = await translator.translateText(textToTranslate, null, targetLanguage, options);
-        } catch (e) {
-            console.warn('Formality not supported, using default:', e.message);
-            translationResult = await translator.translateText(textToTranslate, null, targetLanguage);
-        }
-
-        const translatedText = translationResult.text;
+        const glossaryMode = await loadGlossary(translator, settings.glossaryId, kinship, sourceLanguage, targetLanguage);
+        const context = {
+            translator,
+            rewriter,
+            glossaryMode,
+            sourceLanguage,
+            targetLanguage,
+            formality,
+            speechLevel,
+            kinship: targetLanguage === 'ko' ? kinship : null,
+            conversation: conversationText
+        };
 
-        // Back-Translation using DeepL with DIRECT/LITERAL mode
-        const backTarget = sourceLanguage === 'ko' ? 'ko' : 'en-US';
-        const backOptions = backTarget === 'ko' ? { formality: 'prefer_less' } : {};
-        const backTranslationResult = await translator.translateText(translatedText, null, backTarget, backOptions);
-        const backTranslatedText = backTranslationResult.text;
+        // Each segment is back-translated as soon as its own translation is ready;
+        // the translation stage is reported once every segment has one
+        const translated = segmentText(textToTranslate, sourceLanguage).map((segment, index) =>
+            translateSegment(segment, context, partial => emit('translation-delta', { index, text: partial })));
+        const translationStage = Promise.all(translated).then(forward => emit('translation', {
+            translation: joinSegments(forward, 'translation'),
+            segments: publicSegments(forward)
+        }));
+        const [segments] = await Promise.all([
+            Promise.all(translated.map(forward => forward.then(segment => backTranslateSegment(segment, context)))),
+            translationStage
+        ]);
+
+        const translatedText = joinSegments(segments, 'translation');
+        const backTranslatedText = joinSegments(segments, 'reTranslation');
+
+        const diff = diffTexts(text, backTranslatedText);
+        emit('back-translation', { reTranslation: backTranslatedText, segments: publicSegments(segments), diff });
 
         // Calculate accuracy score
-        const accuracyScore = calculateTextSimilarity(text, backTranslatedText);
+        const accuracyScore = calculateTextSimilarity(text, backTranslatedText, sourceLanguage);
+
+        // Check the Korean side's speech level; only Korean output is held to the profile
+        const speechLevelCheck = targetLanguage === 'ko'
+            ? analyzeSpeechLevel(translatedText, speechLevel)
+            : analyzeSpeechLevel(text);
+        emit('score', { accuracyScore, speechLevel: speechLevelCheck });
+
+        // The semantic judge is a further LLM call, so it reports after the lexical score
+        const scoring = await semanticScoring(rewriter, settings, text, backTranslatedText, sourceLanguage);
+        if (scoring.semanticScore) emit('judge', scoring);
+
+        const glossaryReport = glossaryMode && {
+            id: glossaryMode.glossary.id,
+            name: glossaryMode.glossary.name,
+            method: glossaryMode.method,
+            applied: [...new Set(segments.flatMap(s => s.glossaryApplied))]
+        };
 
         // Build notes
         let notes = profileNote;
+        if (speechLevel) {
+            notes += ` | Speech level: ${SPEECH_LEVELS[speechLevel]}`;
+        }
+        if (kinship) {
+            notes += targetLanguage === 'ko'
+                ? ` | Writing to your ${kinship.label}${kinship.address ? ` (${kinship.address})` : ''}`
+                : ` | From your ${kinship.label}`;
+        }
         if (ruleTransformation && ruleTransformation.appliedRules.length > 0) {
             notes = `Rules applied: ${ruleTransformation.appliedRules.join(', ')}`;
             if (ruleTransformation.transformedText !== text) {
@@ -223,15 +438,31 @@ export async function translateText(text, profileId = 'natural', customRules = [
         return {
             original: text,
             sourceLanguage,
-            targetLanguage: targetLanguage === 'en-US' ? 'en' : 'ko',
+            targetLanguage,
             translation: translatedText,
             translationConfidence: 1.0,
             translationNotes: notes,
             reTranslation: backTranslatedText,
             reTranslationNotes: '',
+            diff,
             accuracyScore,
-            profileUsed: getProfileById(profileId)?.name || 'DeepL',
-            transformedText: ruleTransformation?.transformedText !== text ? ruleTransformation?.transformedText : null
+            ...scoring,
+            segments: publicSegments(segments),
+            glossary: glossaryReport,
+            speechLevel: speechLevelCheck,
+            romanization: koreanReading(text, translatedText, sourceLanguage, targetLanguage),
+            kinship,
+            profileUsed: profile?.name || translator.name,
+            providers: { translation: translator.id, rewrite: rewriter.id },
+            settings: {
+                formality,
+                speechLevel,
+                glossaryId: settings.glossaryId,
+                recipientRelation: kinship?.relation || null,
+                rules
+            },
+            transformedText: ruleTransformation?.transformedText !== text ? ruleTransformation?.transformedText : null,
+            contextTurns: conversation.length
         };
 
     } catch (error) {
@@ -240,62 +471,246 @@ export async function translateText(text, profileId = 'natural', customRules = [
     }
 }
 
-// Get alternative translations - placeholder
-export async function getAlternatives(word, context, sourceLanguage, targetLanguage) {
-    return [
-        { text: word, nuance: 'Original translation (DeepL)' }
-    ];
-}
-
-// Generate a different variation using Perplexity to rephrase, then DeepL to translate
-export async function generateVariation(originalText, currentTranslation, profileId, customRules = []) {
-    const originalLanguage = detectLanguage(originalText);
-    const translationLanguage = originalLanguage === 'ko' ? 'en-US' : 'ko';
+// Validate an arbitrary translation (e.g. the user's own edit) against the original:
+// fresh back-translation, accuracy score, speech-level check and a diff of what the round trip changed
+export async function validateTranslation(original, translation, profileId, options = {}) {
+    const profile = getProfileById(profileId);
+    const settings = resolveProfileSettings(profile);
+    const { translator, rewriter } = resolveProviders({ request: options, settings });
+    const kinship = recipientKinship(options, settings);
 
-    const perplexity = getPerplexity();
-    const translator = getDeepL();
-    const languageName = originalLanguage === 'ko' ? 'Korean' : 'English';
+    const sourceLanguage = await translator.detect(original);
+    const targetLanguage = sourceLanguage === 'ko' ? 'en' : 'ko';
 
     try {
-        // Use Perplexity to generate a rephrased version of the original
-        const prompt = `Rephrase this ${languageName} text in a different way while keeping the same meaning. Use different words, sentence structure, or style.
+        // Back-Translation with DIRECT/LITERAL mode
+        const backTranslationResult = await translator.translate(translation, {
+            sourceLanguage: targetLanguage,
+            targetLanguage: sourceLanguage,
+            formality: 'prefer_less'
+        });
+        const reTranslation = backTranslationResult.text;
 
-ORIGINAL: "${originalText}"
+        return {
+            original,
+            translation,
+            sourceLanguage,
+            targetLanguage,
+            reTranslation,
+            accuracyScore: calculateTextSimilarity(original, reTranslation, sourceLanguage),
+            ...await semanticScoring(rewriter, settings, original, reTranslation, sourceLanguage),
+            speechLevel: targetLanguage === 'ko'
+                ? analyzeSpeechLevel(translation, kinship?.speechLevel || settings.speechLevel)
+                : analyzeSpeechLevel(original),
+            diff: diffTexts(original, reTranslation),
+            romanization: koreanReading(original, translation, sourceLanguage, targetLanguage),
+            providers: { translation: translator.id, rewrite: rewriter.id }
+        };
+    } catch (error) {
+        console.error('Validation Error:', error);
+        throw new Error(`Validation Error: ${error.message}`);
+    }
+}
 
-Rules to consider: ${customRules.length > 0 ? customRules.join(', ') : 'None - just rephrase naturally'}
+// Get alternatives for a span of the translation - LLM first, bundled table as fallback
+export async function getAlternatives(word, context, sourceLanguage, targetLanguage, profileId, options = {}) {
+    const profile = getProfileById(profileId);
+    const { rewriter } = resolveProviders({ request: options, settings: resolveProfileSettings(profile) });
 
-Return ONLY the rephrased text in ${languageName}, nothing else:`;
+    try {
+        const prompt = buildAlternativesPrompt(word, context, targetLanguage, profile);
+        const response = await rewriter.rewrite(prompt, { text: word, maxTokens: 800, temperature: 0.7 });
+        return sortForProfile(validateAlternatives(extractJson(response), word), profile);
+    } catch (error) {
+        console.warn(`${rewriter.name} alternatives unavailable, using local table:`, error.message);
+    }
 
-        const response = await perplexity.chat.completions.create({
-            model: 'sonar',
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 300,
-            temperature: 0.9  // Higher temperature for more variation
-        });
+    const local = getLocalAlternatives(word, context);
+    if (!local) return [];
 
-        const rephrasedText = response.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
+    return sortForProfile(validateAlternatives(local, word), profile);
+}
 
-        // Now translate the rephrased text with DeepL
-        const options = translationLanguage === 'ko' ? { formality: 'default' } : {};
-        const result = await translator.translateText(rephrasedText, null, translationLanguage, options);
+// Suggest English replies to a parent's Korean message - LLM first, bundled templates
+// as fallback - and render each in Korean through the profile's translation pipeline
+export async function suggestReplies(message, profileId, options = {}) {
+    const profile = getProfileById(profileId);
+    const settings = resolveProfileSettings(profile);
+    const { rewriter } = resolveProviders({ request: options, settings });
+    // Replies go back to whoever wrote, so their relation sets the level like it does for translations
+    const kinship = recipientKinship(options, settings);
+    const speechLevel = kinship?.speechLevel || settings.speechLevel;
+
+    let replies;
+    let source = 'llm';
+    try {
+        const prompt = buildRepliesPrompt(message, profile, speechLevel, kinship);
+        const response = await rewriter.rewrite(prompt, { text: message, maxTokens: 600, temperature: 0.8 });
+        replies = validateReplies(extractJson(response));
+    } catch (error) {
+        console.warn(`${rewriter.name} reply suggestions unavailable, using local templates:`, error.message);
+        replies = validateReplies(getLocalReplies(message));
+        source = 'local';
+    }
 
-        if (result.text === currentTranslation) {
-            return {
-                translation: currentTranslation,
-                difference: 'Generated similar translation. Try adding custom rules for more variety.'
-            };
-        }
+    // The parent's message is the conversation context for every reply
+    const translateOptions = {
+        provider: options.provider,
+        rewriteProvider: options.rewriteProvider,
+        context: [{ speaker: 'parent', text: message }],
+        sourceLanguage: 'en',
+        recipientRelation: kinship?.relation || null
+    };
 
+    const rendered = await Promise.all(replies.map(async reply => {
+        const result = await translateText(reply.text, profileId, [], translateOptions);
         return {
-            translation: result.text,
-            difference: `Rephrased from: "${rephrasedText}"`
+            ...reply,
+            korean: result.translation,
+            accuracyScore: result.accuracyScore.score,
+            speechLevel: result.speechLevel.dominant
         };
+    }));
+
+    return { replies: rendered, source, speechLevel, kinship };
+}
 
+// Translate, back-translate and score one variation candidate against the original
+async function buildCandidate({ text, formality, source }, context) {
+    const { translator, rewriter, glossaryMode, originalText, sourceLanguage, targetLanguage, speechLevel, kinship } = context;
+
+    const glossary = prepareGlossary(glossaryMode, text, sourceLanguage, targetLanguage);
+    const translated = await translator.translate(glossary.text, {
+        sourceLanguage,
+        targetLanguage,
+        formality,
+        ...glossary.translateOptions
+    });
+    let translation = glossary.restore(translated.text);
+
+    if (speechLevel) {
+        translation = await applySpeechLevel(rewriter, translation, speechLevel, null, kinship);
+    }
+    if (kinship) {
+        translation = addressRecipient(translation, kinship);
+    }
+
+    const backTranslation = await translator.translate(translation, {
+        sourceLanguage: targetLanguage,
+        targetLanguage: sourceLanguage,
+        formality: 'prefer_less'
+    });
+
+    return {
+        translation,
+        reTranslation: backTranslation.text,
+        diff: diffTexts(originalText, backTranslation.text),
+        accuracyScore: calculateTextSimilarity(originalText, backTranslation.text, sourceLanguage),
+        speechLevel: targetLanguage === 'ko' ? analyzeSpeechLevel(translation, speechLevel) : null,
+        romanization: koreanReading(originalText, translation, sourceLanguage, targetLanguage),
+        rephrased: text !== originalText ? text : null,
+        source,
+        formality
+    };
+}
+
+// Generate ranked variation candidates: the rewrite provider rephrases the original
+// several ways, the translation provider translates each, and every candidate is
+// back-translated and scored against the original. `options.exclude` lists
+// translations the client has already seen.
+export async function generateVariations(originalText, currentTranslation, profileId, customRules = [], options = {}) {
+    const profile = getProfileById(profileId);
+    const settings = resolveProfileSettings(profile);
+    const { translator, rewriter } = resolveProviders({ request: options, settings });
+    const kinship = recipientKinship(options, settings);
+
+    const sourceLanguage = await translator.detect(originalText);
+    const targetLanguage = sourceLanguage === 'ko' ? 'en' : 'ko';
+    const speechLevel = targetLanguage === 'ko' ? kinship?.speechLevel || settings.speechLevel : null;
+    const count = candidateCount(options.count);
+    const rules = [...settings.rewriteRules, ...(customRules || [])];
+
+    // Rephrase the original in its own language
+    let rephrasings = [];
+    try {
+        const prompt = buildVariationsPrompt(originalText, languageName(sourceLanguage), count, rules);
+        const response = await rewriter.rewrite(prompt, {
+            text: originalText,
+            maxTokens: 600,
+            temperature: 0.9  // Higher temperature for more variation
+        });
+        rephrasings = parseRephrasings(response).slice(0, count);
     } catch (error) {
         console.error('Variation Error:', error.message);
-        return {
-            translation: currentTranslation,
-            difference: `Variation unavailable: ${error.message}`
-        };
     }
+
+    const sources = rephrasings.map(text => ({ text, formality: settings.formality, source: 'rephrased' }));
+
+    // Providers with formality control can also vary the register of the original itself;
+    // a fixed speech level would flatten those differences again
+    if (translator.capabilities.formality && targetLanguage === 'ko' && !speechLevel) {
+        ['prefer_more', 'prefer_less']
+            .filter(formality => formality !== settings.formality)
+            .forEach(formality => sources.push({ text: originalText, formality, source: 'formality' }));
+    }
+
+    const glossaryMode = await loadGlossary(translator, settings.glossaryId, kinship, sourceLanguage, targetLanguage);
+    const context = {
+        translator,
+        rewriter,
+        glossaryMode,
+        originalText,
+        sourceLanguage,
+        targetLanguage,
+        speechLevel,
+        kinship: targetLanguage === 'ko' ? kinship : null
+    };
+
+    const settled = await Promise.allSettled(sources.map(source => buildCandidate(source, context)));
+    settled
+        .filter(outcome => outcome.status === 'rejected')
+        .forEach(outcome => console.error('Variation candidate failed:', outcome.reason.message));
+
+    const built = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    const { unique, removed } = dedupeCandidates(built, [currentTranslation, ...(options.exclude || [])]);
+
+    return {
+        sourceLanguage,
+        targetLanguage,
+        candidates: rankCandidates(unique),
+        removed,
+        note: unique.length === 0
+            ? 'No new variations this time. Try adding custom rules for more variety.'
+            : null
+    };
+}
+
+// Word-by-word grammar breakdown of Korean text: the local particle/ending table
+// first, then the rewrite provider for the words the table can't fully explain
+export async function explainText(text, profileId, options = {}) {
+    const profile = getProfileById(profileId);
+    const settings = resolveProfileSettings(profile);
+    const { rewriter } = resolveProviders({ request: options, settings });
+
+    const words = analyzeLocally(text);
+    const missing = words.filter(word => !isComplete(word));
+
+    if (missing.length > 0) {
+        try {
+            const prompt = buildExplainPrompt(text, missing);
+            const response = await rewriter.rewrite(prompt, { text, maxTokens: 1500, temperature: 0.2 });
+            validateBreakdown(extractJson(response), missing).forEach((morphemes, index) => {
+                words[index] = { ...words[index], morphemes: mergeWithTable(morphemes), source: rewriter.id };
+            });
+        } catch (error) {
+            console.error(`${rewriter.name} explain error:`, error.message);
+        }
+    }
+
+    return {
+        text,
+        words,
+        incomplete: words.filter(word => !isComplete(word)).length,
+        providers: { rewrite: rewriter.id }
+    };
 }
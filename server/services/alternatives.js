@@ -0,0 +1,125 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { isNonEmptyString } from './json.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ALTERNATIVES_FILE = join(__dirname, '../data/alternatives.json');
+
+export const MIN_ALTERNATIVES = 3;
+export const MAX_ALTERNATIVES = 6;
+export const NUANCE_CATEGORIES = ['formality', 'warmth', 'regional'];
+
+// Which nuance each default profile cares about most - shown first
+const PROFILE_PREFERENCES = {
+    'parent-talk': 'warmth',
+    'direct': 'formality'
+};
+
+let localTable = null;
+
+function getLocalTable() {
+    if (!localTable) {
+        localTable = JSON.parse(readFileSync(ALTERNATIVES_FILE, 'utf-8'));
+    }
+    return localTable;
+}
+
+// Swap the first occurrence of the selected span for the alternative
+function rewriteTranslation(context, word, replacement) {
+    if (!context || !context.includes(word)) return replacement;
+    return context.replace(word, replacement);
+}
+
+// Validate alternatives against the strict response shape.
+// Unknown keys are dropped; anything missing or mistyped rejects the whole list.
+export function validateAlternatives(data, word) {
+    if (!Array.isArray(data)) {
+        throw new Error('Alternatives must be an array');
+    }
+
+    const seen = new Set([word]);
+    const alternatives = [];
+
+    data.forEach((alt, i) => {
+        if (!alt || typeof alt !== 'object') {
+            throw new Error(`Alternative ${i} must be an object`);
+        }
+        for (const key of ['text', 'nuance', 'example', 'translation']) {
+            if (!isNonEmptyString(alt[key])) {
+                throw new Error(`Alternative ${i} is missing "${key}"`);
+            }
+        }
+        if (!NUANCE_CATEGORIES.includes(alt.category)) {
+            throw new Error(`Alternative ${i} has invalid category "${alt.category}"`);
+        }
+
+        const text = alt.text.trim();
+        if (seen.has(text)) return;
+        seen.add(text);
+
+        alternatives.push({
+            text,
+            category: alt.category,
+            nuance: alt.nuance.trim(),
+            example: alt.example.trim(),
+            translation: alt.translation.trim()
+        });
+    });
+
+    if (alternatives.length < MIN_ALTERNATIVES) {
+        throw new Error(`Expected at least ${MIN_ALTERNATIVES} distinct alternatives, got ${alternatives.length}`);
+    }
+
+    return alternatives.slice(0, MAX_ALTERNATIVES);
+}
+
+// Order so the active profile's preferred nuance comes first
+export function sortForProfile(alternatives, profile) {
+    const preferred = profile && PROFILE_PREFERENCES[profile.id];
+    if (!preferred) return alternatives;
+
+    return [...alternatives].sort((a, b) =>
+        (b.category === preferred) - (a.category === preferred));
+}
+
+// Offline alternatives from the bundled table, used when no LLM is available
+export function getLocalAlternatives(word, context) {
+    const entries = getLocalTable()[word.trim()] || getLocalTable()[word.trim().toLowerCase()];
+    if (!entries) return null;
+
+    return entries.map(entry => ({
+        ...entry,
+        translation: rewriteTranslation(context, word, entry.text)
+    }));
+}
+
+export function buildAlternativesPrompt(word, context, targetLanguage, profile) {
+    const language = targetLanguage === 'ko' ? 'Korean' : 'English';
+    const profileText = profile
+        ? `${profile.name}: ${profile.description}\nRules:\n${(profile.rules || []).map(r => `- ${r}`).join('\n')}`
+        : 'None';
+
+    return `You are helping someone write to their parents. Suggest ${MIN_ALTERNATIVES}-${MAX_ALTERNATIVES} alternatives for a ${language} word or phrase inside a translation.
+
+SELECTED TEXT:
+"${word}"
+
+FULL TRANSLATION:
+"${context}"
+
+ACTIVE PROFILE:
+${profileText}
+
+Each alternative must differ in nuance along one of these categories: ${NUANCE_CATEGORIES.join(', ')}.
+Prefer alternatives that fit the active profile.
+
+Respond with ONLY a JSON array, no prose. Each item:
+{
+  "text": "the replacement for the selected text, in ${language}",
+  "category": "one of ${NUANCE_CATEGORIES.join(' | ')}",
+  "nuance": "short English label explaining the nuance",
+  "example": "a short example sentence in ${language} using the replacement",
+  "translation": "the FULL translation rewritten with the replacement"
+}`;
+}
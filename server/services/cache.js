@@ -0,0 +1,165 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, unlinkSync } from 'fs';
+import { createHash } from 'crypto';
+import { dirname } from 'path';
+
+const PERSIST_DELAY_MS = 1000;
+
+// In-memory LRU with TTL and optional JSON persistence.
+// Map iteration order is insertion order, so the first key is always the least recently used.
+export class LRUCache {
+    constructor({ maxEntries = 500, ttlMs = 24 * 60 * 60 * 1000, file = null } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.file = file;
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+        this.persistTimer = null;
+
+        if (this.file) this.load();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        entry.hits++;
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    set(key, value, meta = {}) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            meta,
+            hits: 0,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + this.ttlMs
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+
+        this.schedulePersist();
+    }
+
+    delete(key) {
+        const deleted = this.entries.delete(key);
+        if (deleted) this.schedulePersist();
+        return deleted;
+    }
+
+    clear() {
+        const cleared = this.entries.size;
+        this.entries.clear();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+        this.schedulePersist();
+        return cleared;
+    }
+
+    // Summary for the admin endpoint - metadata only, no cached payloads and none
+    // of the users' text (older cache files still have a `text` preview in the metadata)
+    inspect() {
+        const now = Date.now();
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            persistent: !!this.file,
+            ...this.stats,
+            entries: Array.from(this.entries, ([key, entry]) => {
+                const { text, ...meta } = entry.meta || {};
+                return {
+                    key,
+                    ...meta,
+                    hits: entry.hits,
+                    ageMs: now - entry.createdAt,
+                    expiresInMs: entry.expiresAt - now
+                };
+            }).reverse()
+        };
+    }
+
+    load() {
+        try {
+            if (!existsSync(this.file)) return;
+
+            const now = Date.now();
+            const saved = JSON.parse(readFileSync(this.file, 'utf-8'));
+            saved
+                .filter(([, entry]) => entry.expiresAt > now)
+                .slice(-this.maxEntries)
+                .forEach(([key, entry]) => this.entries.set(key, entry));
+        } catch (error) {
+            console.error('Error loading cache:', error);
+        }
+    }
+
+    schedulePersist() {
+        if (!this.file || this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persist();
+        }, PERSIST_DELAY_MS);
+        this.persistTimer.unref();
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a cache on disk
+    persist() {
+        const tmpFile = `${this.file}.tmp`;
+        try {
+            mkdirSync(dirname(this.file), { recursive: true });
+            writeFileSync(tmpFile, JSON.stringify(Array.from(this.entries)));
+            renameSync(tmpFile, this.file);
+        } catch (error) {
+            console.error('Error saving cache:', error);
+            if (existsSync(tmpFile)) unlinkSync(tmpFile);
+        }
+    }
+}
+
+// Whitespace differences shouldn't miss the cache, but line breaks change segmentation
+export function normalizeCacheText(text) {
+    return text.normalize('NFC').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+}
+
+export function cacheKey(parts) {
+    return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Created lazily so settings from .env are loaded first
+let translationCache = null;
+let judgeCache = null;
+
+export function getTranslationCache() {
+    if (!translationCache) {
+        translationCache = new LRUCache({
+            maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+            ttlMs: parseInt(process.env.CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+            file: process.env.CACHE_FILE || null
+        });
+    }
+    return translationCache;
+}
+
+// Semantic judge verdicts - small, so kept in memory only
+export function getJudgeCache() {
+    if (!judgeCache) {
+        judgeCache = new LRUCache({
+            maxEntries: parseInt(process.env.JUDGE_CACHE_MAX_ENTRIES, 10) || 1000,
+            ttlMs: parseInt(process.env.CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000
+        });
+    }
+    return judgeCache;
+}
@@ -0,0 +1,37 @@
+import { isNonEmptyString } from './json.js';
+
+// Conversation threads: earlier turns travel with each message so the rewrite and
+// translation steps keep pronouns, tone and topic consistent
+
+// Previous turns sent as context with each message
+export const CONTEXT_TURNS = 6;
+
+// Who can speak in a thread, and the language each one writes in
+export const SPEAKERS = {
+    me: { label: 'Me', language: 'en' },
+    parent: { label: 'Parent', language: 'ko' }
+};
+
+// Keep the last CONTEXT_TURNS well-formed turns; anything else from the client is dropped
+export function normalizeContext(turns) {
+    if (!Array.isArray(turns)) return [];
+
+    return turns
+        .filter(turn => turn && SPEAKERS[turn.speaker] && isNonEmptyString(turn.text))
+        .slice(-CONTEXT_TURNS)
+        .map(turn => ({
+            speaker: turn.speaker,
+            text: turn.text.trim(),
+            translation: isNonEmptyString(turn.translation) ? turn.translation.trim() : null
+        }));
+}
+
+// One line per turn, with its translation alongside, for prompts and DeepL's `context`
+export function formatContext(turns) {
+    return turns
+        .map(turn => {
+            const line = `${SPEAKERS[turn.speaker].label}: ${turn.text}`;
+            return turn.translation ? `${line} (${turn.translation})` : line;
+        })
+        .join('\n');
+}
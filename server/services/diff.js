@@ -0,0 +1,135 @@
+import { koreanStem } from './scoring.js';
+
+// Word-level diff between an original and its back-translation, so the validation
+// panel can show what the round trip dropped, added or changed. Korean tokens are
+// compared by stem, so a different particle (엄마가 / 엄마는) is not a change.
+// Replaced words also get a character-level diff.
+
+// Beyond this many tokens per side the LCS table gets too big; report a full replacement
+const MAX_TOKENS = 500;
+
+// Character diffs are only worth it for one word replaced by another
+const MAX_CHANGED_CHARS = 40;
+
+function isSingleWord(text) {
+    return text.length <= MAX_CHANGED_CHARS && !/\s/.test(text);
+}
+
+function tokenize(text) {
+    return (text || '').split(/\s+/).filter(token => token.length > 0);
+}
+
+// Case and surrounding punctuation don't count as a change; neither do Korean particles
+function tokenKey(token) {
+    const key = token.toLowerCase().replace(/^[^\w가-힣]+|[^\w가-힣]+$/g, '');
+    return /[가-힣]/.test(key) ? koreanStem(key) : key;
+}
+
+// Longest common subsequence of two key lists, as a list of [op, indexA, indexB]
+// steps where op is 'equal', 'removed' or 'added'
+function lcsSteps(keysA, keysB) {
+    // lengths[i][j] = LCS length of keysA[i..] and keysB[j..]
+    const lengths = Array.from({ length: keysA.length + 1 }, () => new Array(keysB.length + 1).fill(0));
+    for (let i = keysA.length - 1; i >= 0; i--) {
+        for (let j = keysB.length - 1; j >= 0; j--) {
+            lengths[i][j] = keysA[i] === keysB[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const steps = [];
+    let i = 0;
+    let j = 0;
+    while (i < keysA.length && j < keysB.length) {
+        if (keysA[i] === keysB[j]) {
+            steps.push(['equal', i++, j++]);
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            steps.push(['removed', i++, null]);
+        } else {
+            steps.push(['added', null, j++]);
+        }
+    }
+    while (i < keysA.length) steps.push(['removed', i++, null]);
+    while (j < keysB.length) steps.push(['added', null, j++]);
+
+    return steps;
+}
+
+// Append text to the run list, merging with the previous run of the same type
+function pushRun(runs, type, text, separator = ' ') {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+        last.text += `${separator}${text}`;
+    } else {
+        runs.push({ type, text });
+    }
+}
+
+// Character-level runs for one replaced stretch of text
+export function diffChars(before, after) {
+    const a = [...before];
+    const b = [...after];
+    const runs = [];
+
+    lcsSteps(a, b).forEach(([op, i, j]) => {
+        pushRun(runs, op, op === 'removed' ? a[i] : b[j], '');
+    });
+
+    return runs;
+}
+
+// A removal directly followed by an addition is a change; single-word ones get a character diff
+function pairChanges(runs) {
+    const paired = [];
+
+    for (let k = 0; k < runs.length; k++) {
+        const run = runs[k];
+        const next = runs[k + 1];
+
+        if (run.type === 'removed' && next && next.type === 'added') {
+            const change = { type: 'changed', text: next.text, from: run.text };
+            if (isSingleWord(run.text) && isSingleWord(next.text)) {
+                change.chars = diffChars(run.text, next.text);
+            }
+            paired.push(change);
+            k++;
+        } else {
+            paired.push(run);
+        }
+    }
+
+    return paired;
+}
+
+function countWords(text) {
+    return tokenize(text).length;
+}
+
+// Diff `before` (the original) against `after` (the back-translation).
+// Returns { runs, stats }: runs of { type: 'equal' | 'removed' | 'added' | 'changed', text },
+// where changed runs also carry `from` (the original words) and, for single words, `chars`;
+// stats count the words in each kind of run.
+export function diffTexts(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    let runs = [];
+
+    if (a.length > MAX_TOKENS || b.length > MAX_TOKENS) {
+        if (a.length) runs.push({ type: 'removed', text: a.join(' ') });
+        if (b.length) runs.push({ type: 'added', text: b.join(' ') });
+    } else {
+        // Equal runs keep the back-translation's wording
+        lcsSteps(a.map(tokenKey), b.map(tokenKey)).forEach(([op, i, j]) => {
+            pushRun(runs, op, op === 'removed' ? a[i] : b[j]);
+        });
+    }
+    runs = pairChanges(runs);
+
+    const stats = { equal: 0, removed: 0, added: 0, changed: 0 };
+    runs.forEach(run => {
+        stats[run.type] += countWords(run.type === 'changed' ? run.from : run.text);
+    });
+
+    return { runs, stats };
+}
@@ -0,0 +1,194 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { isNonEmptyString } from './json.js';
+
+// Word-by-word grammar breakdown of Korean text. A bundled table of particles,
+// endings and honorific forms covers the common cases locally; words it can't
+// fully explain are left for the rewrite provider to fill in.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const GRAMMAR_FILE = join(__dirname, '../data/grammar.json');
+const DICTIONARY_FILE = join(__dirname, '../data/mock-dictionary.json');
+
+export const MORPHEME_KINDS = ['stem', 'particle', 'ending', 'honorific'];
+
+let grammar = null;
+let dictionary = null;
+
+function getGrammar() {
+    if (!grammar) {
+        const data = JSON.parse(readFileSync(GRAMMAR_FILE, 'utf-8'));
+        const byLength = (a, b) => b.form.length - a.form.length;
+        grammar = {
+            suffixes: [
+                ...data.particles.map(p => ({ ...p, kind: 'particle' })),
+                ...data.endings.map(e => ({ ...e, kind: 'ending' }))
+            ].sort(byLength),
+            honorifics: new Map(data.honorifics.map(h => [h.form, h]))
+        };
+    }
+    return grammar;
+}
+
+// Stem glosses come from the offline dictionary
+function getDictionary() {
+    if (!dictionary) {
+        dictionary = JSON.parse(readFileSync(DICTIONARY_FILE, 'utf-8')).ko;
+    }
+    return dictionary;
+}
+
+// Whitespace-separated words with their offsets in the text, punctuation trimmed off
+export function tokenizeWords(text) {
+    const words = [];
+    for (const match of text.matchAll(/\S+/g)) {
+        const core = match[0].match(/^([^가-힣]*)(.*?)([^가-힣]*)$/);
+        if (!core[2]) continue;
+
+        const start = match.index + core[1].length;
+        words.push({ index: words.length, text: core[2], start, end: start + core[2].length });
+    }
+    return words;
+}
+
+function suffixMorpheme(entry) {
+    return entry.kind === 'particle'
+        ? { form: entry.form, kind: 'particle', pos: 'particle', gloss: entry.gloss, role: entry.role, honorific: !!entry.honorific }
+        : { form: entry.form, kind: 'ending', pos: 'ending', meaning: entry.meaning, speechLevel: entry.speechLevel || null, honorific: !!entry.honorific };
+}
+
+// Pick the suffix to split off. A known stem wins; a word the dictionary knows
+// whole is only split on a longer suffix, so 어머니 doesn't become 어머 + 니.
+function findSuffix(word) {
+    const entries = getDictionary();
+    const matches = getGrammar().suffixes.filter(s => word.length > s.form.length && word.endsWith(s.form));
+
+    const knownStem = matches.find(s => entries[word.slice(0, -s.form.length)]);
+    if (knownStem) return knownStem;
+    if (entries[word]) return matches.find(s => s.form.length >= 2) || null;
+    return matches[0] || null;
+}
+
+// Split a stem into the stem proper and an honorific 님 / (으)시 marker
+function splitHonorificStem(stem, beforeEnding) {
+    const { honorifics } = getGrammar();
+    if (honorifics.has(stem)) return [stem, null];
+
+    const marker = beforeEnding
+        ? ['으시', '시'].find(m => stem.length > m.length && stem.endsWith(m))
+        : (stem.length > 1 && stem.endsWith('님') ? '님' : null);
+    return marker ? [stem.slice(0, -marker.length), marker] : [stem, null];
+}
+
+function stemMorpheme(form, suffix) {
+    const honorific = getGrammar().honorifics.get(form);
+    let pos = null;
+    if (suffix?.kind === 'particle') pos = 'noun';
+    if (suffix?.kind === 'ending') pos = 'verb';
+
+    return {
+        form,
+        kind: 'stem',
+        pos,
+        gloss: honorific ? honorific.meaning : getDictionary()[form] || null,
+        honorific: !!honorific
+    };
+}
+
+// Break one word into morphemes from the local tables
+function analyzeWord(word) {
+    const suffix = findSuffix(word.text);
+    const rawStem = suffix ? word.text.slice(0, -suffix.form.length) : word.text;
+    const [stem, marker] = splitHonorificStem(rawStem, suffix?.kind === 'ending');
+
+    const morphemes = [stemMorpheme(stem, suffix)];
+    if (marker) {
+        const entry = getGrammar().honorifics.get(marker);
+        morphemes.push({ form: marker, kind: 'honorific', pos: 'honorific', meaning: entry.meaning, honorific: true });
+    }
+    if (suffix) morphemes.push(suffixMorpheme(suffix));
+
+    return {
+        ...word,
+        gloss: getDictionary()[word.text] || null,
+        morphemes,
+        source: 'local'
+    };
+}
+
+// A word is explained once every morpheme has a part of speech and a gloss or meaning
+export function isComplete(word) {
+    return word.morphemes.every(m => m.pos && (m.gloss || m.meaning));
+}
+
+export function analyzeLocally(text) {
+    return tokenizeWords(text).map(analyzeWord);
+}
+
+// Validate the LLM's breakdown: one { index, word, morphemes: [...] } per requested word.
+// Returns a Map from word index to morphemes; malformed entries are skipped.
+export function validateBreakdown(data, words) {
+    if (!Array.isArray(data)) {
+        throw new Error('Breakdown must be an array');
+    }
+
+    const byIndex = new Map();
+    data.forEach(item => {
+        if (!item || !Number.isInteger(item.index) || !Array.isArray(item.morphemes)) return;
+        const word = words.find(w => w.index === item.index);
+        if (!word || item.word !== word.text) return;
+
+        const morphemes = item.morphemes
+            .filter(m => m && isNonEmptyString(m.form) && MORPHEME_KINDS.includes(m.kind))
+            .map(m => ({
+                form: m.form.trim(),
+                kind: m.kind,
+                pos: isNonEmptyString(m.pos) ? m.pos.trim().toLowerCase() : m.kind,
+                gloss: isNonEmptyString(m.gloss) ? m.gloss.trim() : null,
+                meaning: isNonEmptyString(m.meaning) ? m.meaning.trim() : null,
+                role: isNonEmptyString(m.role) ? m.role.trim().toLowerCase() : null,
+                honorific: m.honorific === true
+            }));
+        if (morphemes.length > 0) byIndex.set(item.index, morphemes);
+    });
+
+    return byIndex;
+}
+
+// Morphemes the local table knows keep the table's role and meaning
+export function mergeWithTable(morphemes) {
+    const { suffixes } = getGrammar();
+    return morphemes.map(morpheme => {
+        const entry = morpheme.kind !== 'stem' && suffixes.find(s => s.form === morpheme.form && s.kind === morpheme.kind);
+        return entry ? { ...morpheme, ...suffixMorpheme(entry) } : morpheme;
+    });
+}
+
+export function buildExplainPrompt(text, words) {
+    const list = words.map(word => `${word.index}. ${word.text}`).join('\n');
+
+    return `Break these Korean words into morphemes for an English-speaking learner.
+
+SENTENCE: "${text}"
+
+WORDS:
+${list}
+
+Respond with ONLY a JSON array, no prose. One item per word:
+{
+  "index": word number from the list,
+  "word": "the word exactly as listed",
+  "morphemes": [
+    {
+      "form": "the morpheme as written",
+      "kind": "stem" | "particle" | "ending" | "honorific",
+      "pos": "noun, pronoun, verb, adjective, adverb, particle or ending",
+      "gloss": "English meaning (stems and particles)",
+      "role": "topic, subject, object, location, ... (particles only)",
+      "meaning": "what the ending or honorific marker adds",
+      "honorific": true if it shows respect
+    }
+  ]
+}`;
+}
@@ -0,0 +1,140 @@
+import { getStorage, newRecordId } from './storage/index.js';
+import { canSee, isOwner } from './accounts.js';
+import { profilesUsingGlossary } from './profiles.js';
+import { KOREAN_PARTICLES } from './scoring.js';
+
+// Glossaries are kept in this storage collection, each owned by the user who made it
+const COLLECTION = 'glossaries';
+
+// Entries are bidirectional pairs, e.g. { ko: '엄마', en: 'Mom' }
+function normalizeEntries(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error('Glossary entries must be a list');
+    }
+
+    return entries
+        .map(entry => ({
+            ko: String(entry?.ko || '').trim(),
+            en: String(entry?.en || '').trim(),
+            note: String(entry?.note || '').trim()
+        }))
+        .filter(entry => entry.ko && entry.en);
+}
+
+// Glossaries `user` can see (null when signed out)
+export function getGlossaries(user = null) {
+    return getStorage().list(COLLECTION).filter(glossary => canSee(user, glossary));
+}
+
+// Any glossary by id - translation uses whatever glossary its profile names
+export function getGlossaryById(id) {
+    return getStorage().get(COLLECTION, id);
+}
+
+export function getVisibleGlossary(id, user = null) {
+    const glossary = getGlossaryById(id);
+    return canSee(user, glossary) ? glossary : null;
+}
+
+// Create or update a glossary; only its owner can change one
+export function saveGlossary(glossary, user = null) {
+    if (!glossary.name) {
+        throw new Error('Glossary must have a name');
+    }
+    if (glossary.id && !/^[A-Za-z0-9_-]{1,64}$/.test(glossary.id)) {
+        throw new Error(`Invalid glossary id: ${glossary.id}`);
+    }
+
+    const existing = glossary.id ? getGlossaryById(glossary.id) : null;
+    if (existing && !isOwner(user, existing)) {
+        throw new Error(canSee(user, existing) ? 'Only the owner can change this glossary' : 'Glossary not found');
+    }
+
+    return getStorage().put(COLLECTION, {
+        id: glossary.id || newRecordId('glossary'),
+        name: glossary.name,
+        entries: normalizeEntries(glossary.entries || []),
+        ownerId: user?.id || null,
+        updatedAt: Date.now()
+    });
+}
+
+// A glossary a profile still uses can't be deleted; the error has `status: 409`.
+// Only the profiles `user` can see are named.
+export function deleteGlossary(id, user = null) {
+    const glossary = getGlossaryById(id);
+    if (!isOwner(user, glossary)) {
+        throw new Error('Glossary not found');
+    }
+
+    const users = profilesUsingGlossary(id);
+    if (users.length > 0) {
+        const names = users.filter(profile => canSee(user, profile)).map(profile => profile.name);
+        const others = users.length - names.length;
+        const error = new Error(`Glossary is used by: ${[...names, ...(others ? [`${others} other profile(s)`] : [])].join(', ')}`);
+        error.status = 409;
+        throw error;
+    }
+
+    getStorage().remove(COLLECTION, id);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// What may follow a Korean term and still leave it a word of its own: particles,
+// plurals, honorifics, vocatives and the copula (엄마가, 이모님, 엄마야, 엄마예요)
+const KOREAN_TERM_SUFFIXES = [...KOREAN_PARTICLES, '들', '님', '야', '아', '이야', '예요', '이에요', '이다', '다', '요']
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+
+// English terms match on word boundaries, case-insensitively. Korean terms match
+// at the start of a word and only when nothing but particles and endings follow,
+// so 이모 doesn't match inside 이모티콘 nor 어머니 inside 시어머니. Only the term
+// itself is matched, so particles stay attached.
+function termPattern(term, language) {
+    const escaped = escapeRegExp(term);
+    return language === 'en'
+        ? new RegExp(`\\b${escaped}\\b`, 'gi')
+        : new RegExp(`(?<![가-힣])${escaped}(?=(?:${KOREAN_TERM_SUFFIXES})*(?![가-힣]))`, 'g');
+}
+
+// Longest terms first so "시어머니" wins over "어머니"
+function entriesFor(glossary, sourceLanguage) {
+    return [...glossary.entries].sort((a, b) => b[sourceLanguage].length - a[sourceLanguage].length);
+}
+
+// Glossary entries whose source term appears in the text
+export function findGlossaryMatches(text, glossary, sourceLanguage) {
+    return entriesFor(glossary, sourceLanguage)
+        .filter(entry => termPattern(entry[sourceLanguage], sourceLanguage).test(text));
+}
+
+// Fallback for providers without native glossaries: swap source terms for
+// placeholders the engine leaves alone, then put the target terms back
+export function protectTerms(text, glossary, sourceLanguage, targetLanguage) {
+    const placeholders = [];
+    const applied = [];
+    let protectedText = text;
+
+    entriesFor(glossary, sourceLanguage).forEach(entry => {
+        const pattern = termPattern(entry[sourceLanguage], sourceLanguage);
+        if (!pattern.test(protectedText)) return;
+
+        const token = `__G${placeholders.length}__`;
+        protectedText = protectedText.replace(pattern, token);
+        placeholders.push({ token, term: entry[targetLanguage] });
+        applied.push(entry);
+    });
+
+    return { text: protectedText, placeholders, applied };
+}
+
+export function restoreTerms(text, placeholders) {
+    return placeholders.reduce(
+        (result, { token, term }) => result.replace(new RegExp(escapeRegExp(token), 'gi'), term),
+        text
+    );
+}
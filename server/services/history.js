@@ -0,0 +1,66 @@
+import { getStorage } from './storage/index.js';
+
+// Translation history of signed-in users, synced from the browser's IndexedDB
+// history so it follows them between devices. Records are
+// `{ id: '<userId>:<uid>', userId, uid, updatedAt, entry }`, where `uid` is the
+// id the browser gave the entry.
+const COLLECTION = 'history';
+
+// Entries beyond this are dropped oldest first, favorites only once nothing else is left
+const MAX_ENTRIES = 500;
+
+// Pruning waits until this many extra entries have built up, so most saves only count
+const PRUNE_SLACK = 50;
+
+const UID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Newest first
+export function listHistory(userId) {
+    return getStorage().find(COLLECTION, 'userId', userId)
+        .sort((a, b) => b.entry.createdAt - a.entry.createdAt);
+}
+
+function prune(userId) {
+    if (getStorage().count(COLLECTION, 'userId', userId) <= MAX_ENTRIES + PRUNE_SLACK) return;
+
+    const records = listHistory(userId);
+
+    const oldestFirst = [...records].reverse();
+    [
+        ...oldestFirst.filter(record => !record.entry.favorite),
+        ...oldestFirst.filter(record => record.entry.favorite)
+    ]
+        .slice(0, records.length - MAX_ENTRIES)
+        .forEach(record => getStorage().remove(COLLECTION, record.id));
+}
+
+// Create or replace one entry
+export function saveHistoryEntry(userId, uid, entry) {
+    if (!UID_PATTERN.test(uid || '')) {
+        throw new Error(`Invalid history entry id: ${uid}`);
+    }
+    if (!entry || typeof entry.original !== 'string' || typeof entry.translation !== 'string') {
+        throw new Error('History entries need an original and a translation');
+    }
+
+    // The browser's own key means nothing on another device
+    const { id, ...rest } = entry;
+    const record = getStorage().transaction(() => {
+        const saved = getStorage().put(COLLECTION, {
+            id: `${userId}:${uid}`,
+            userId,
+            uid,
+            updatedAt: Date.now(),
+            entry: { ...rest, uid, userId, createdAt: Number(entry.createdAt) || Date.now() }
+        });
+        prune(userId);
+        return saved;
+    });
+    return record.entry;
+}
+
+export function deleteHistoryEntry(userId, uid) {
+    if (!getStorage().remove(COLLECTION, `${userId}:${uid}`)) {
+        throw new Error('History entry not found');
+    }
+}
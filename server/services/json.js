@@ -0,0 +1,29 @@
+// Helpers for pulling structured JSON out of LLM completions
+
+// Models often wrap JSON in prose or ```json fences - grab the outermost object/array
+export function extractJson(text) {
+    if (typeof text !== 'string') {
+        throw new Error('Expected a text response');
+    }
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const body = fenced ? fenced[1] : text;
+
+    const start = body.search(/[[{]/);
+    if (start < 0) {
+        throw new Error('No JSON found in response');
+    }
+
+    const open = body[start];
+    const close = open === '{' ? '}' : ']';
+    const end = body.lastIndexOf(close);
+    if (end < start) {
+        throw new Error('Unterminated JSON in response');
+    }
+
+    return JSON.parse(body.slice(start, end + 1));
+}
+
+export function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
@@ -0,0 +1,75 @@
+import { isNonEmptyString } from './json.js';
+
+// Semantic judge: the rewrite provider compares the original with its back-translation
+// and says whether the meaning survived. Lexical overlap punishes good paraphrases,
+// which the Natural profile produces by design, so profiles can show this verdict
+// next to the lexical score or make it the primary one.
+
+// Values for a profile's `semanticJudge` setting (null keeps it off)
+export const JUDGE_MODES = {
+    alongside: 'Shown alongside the lexical score',
+    primary: 'Used as the primary score'
+};
+
+// Validate a verdict against the response shape:
+// { score: 0-100, meaningDifferences: string[], toneDifferences: string[] }
+export function validateVerdict(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Verdict must be an object');
+    }
+
+    const score = Number(data.score);
+    if (!Number.isFinite(score) || score < 0 || score > 100) {
+        throw new Error('Verdict score must be a number from 0 to 100');
+    }
+
+    const differences = key => {
+        if (data[key] === undefined) return [];
+        if (!Array.isArray(data[key])) {
+            throw new Error(`Verdict "${key}" must be a list`);
+        }
+        return data[key].filter(isNonEmptyString).map(item => item.trim());
+    };
+
+    return {
+        score: Math.round(score),
+        meaningDifferences: differences('meaningDifferences'),
+        toneDifferences: differences('toneDifferences')
+    };
+}
+
+// One-line summary in the style of the lexical score's explanation
+export function explainVerdict(verdict) {
+    const { score, meaningDifferences, toneDifferences } = verdict;
+
+    if (meaningDifferences.length === 0 && toneDifferences.length === 0) {
+        return score >= 85 ? 'Same meaning and tone' : 'No specific differences named';
+    }
+
+    const parts = [];
+    if (meaningDifferences.length > 0) {
+        parts.push(`${meaningDifferences.length} meaning difference${meaningDifferences.length === 1 ? '' : 's'}`);
+    }
+    if (toneDifferences.length > 0) {
+        parts.push(`${toneDifferences.length} tone difference${toneDifferences.length === 1 ? '' : 's'}`);
+    }
+    return parts.join(', ');
+}
+
+export function buildJudgePrompt(original, backTranslation, language) {
+    return `You are checking a translation by comparing the original ${language} text with a back-translation of it into ${language}.
+Judge whether the back-translation means the same thing as the original. Paraphrasing is fine; only lost, added or changed meaning counts.
+
+ORIGINAL:
+"${original}"
+
+BACK-TRANSLATION:
+"${backTranslation}"
+
+Respond with ONLY a JSON object, no prose:
+{
+  "score": 0-100 (100 = identical meaning),
+  "meaningDifferences": ["short English description of each meaning that was lost, added or changed"],
+  "toneDifferences": ["short English description of each change in politeness, warmth or formality"]
+}`;
+}
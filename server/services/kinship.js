@@ -0,0 +1,218 @@
+// Korean kinship terms: which word to call a relative by and which to refer to them
+// with depends on the family side, marriage and the speaker's own gender
+// (오빠 vs 형, 시어머니 vs 장모님, 할머니 vs 외할머니). A described relation resolves to
+// those terms plus the speech level the recipient is normally spoken to in.
+
+// Relatives a recipient can be, and the parts of a relation each one depends on
+export const KINSHIP_PEOPLE = {
+    mother: { label: 'mother', english: 'Mom', aliases: ['mom', 'mum', 'mommy', 'mama'], inLaw: true },
+    father: { label: 'father', english: 'Dad', aliases: ['dad', 'daddy', 'papa'], inLaw: true },
+    grandmother: { label: 'grandmother', english: 'Grandma', aliases: ['grandma', 'granny', 'grandmother', 'nana'], side: true },
+    grandfather: { label: 'grandfather', english: 'Grandpa', aliases: ['grandpa', 'grandfather'], side: true },
+    'older-sister': { label: 'older sister', english: 'Sis', aliases: ['sis'], gender: true },
+    'older-brother': { label: 'older brother', english: 'Bro', aliases: ['bro'], gender: true },
+    'younger-sibling': { label: 'younger sibling', english: null, aliases: [] },
+    aunt: { label: 'aunt', english: 'Auntie', aliases: ['aunt', 'auntie'], side: true, inLaw: true, seniority: true },
+    uncle: { label: 'uncle', english: 'Uncle', aliases: ['uncle'], side: true, inLaw: true, seniority: true }
+};
+
+export const KINSHIP_SIDES = ['paternal', 'maternal'];
+export const SPEAKER_GENDERS = ['female', 'male'];
+export const SENIORITIES = ['older', 'younger'];
+
+// [address term (what you call them), reference term (how you talk about them)]
+function lookupTerms({ person, side, inLaw, speakerGender, seniority }) {
+    const byGender = (female, male) => (speakerGender === 'female' ? female : male);
+    const bySeniority = (older, younger, either) => {
+        if (seniority === 'older') return older;
+        return seniority === 'younger' ? younger : either;
+    };
+
+    switch (person) {
+        case 'mother':
+            return inLaw
+                ? byGender(['어머님', '시어머니'], ['장모님', '장모님'])
+                : ['엄마', '어머니'];
+        case 'father':
+            return inLaw
+                ? byGender(['아버님', '시아버지'], ['장인어른', '장인어른'])
+                : ['아빠', '아버지'];
+        case 'grandmother':
+            return ['할머니', side === 'maternal' ? '외할머니' : '친할머니'];
+        case 'grandfather':
+            return ['할아버지', side === 'maternal' ? '외할아버지' : '친할아버지'];
+        case 'older-sister':
+            return byGender(['언니', '언니'], ['누나', '누나']);
+        case 'older-brother':
+            return byGender(['오빠', '오빠'], ['형', '형']);
+        case 'younger-sibling':
+            return [null, '동생'];
+        case 'aunt':
+            // An aunt by marriage is the wife of one of your parent's brothers
+            if (side === 'maternal') return inLaw ? ['외숙모', '외숙모'] : ['이모', '이모'];
+            if (!inLaw) return ['고모', '고모'];
+            return bySeniority(['큰어머니', '큰어머니'], ['작은어머니', '작은어머니'], ['숙모', '숙모']);
+        case 'uncle':
+            // An uncle by marriage is the husband of one of your parent's sisters
+            if (side === 'maternal') return inLaw ? ['이모부', '이모부'] : ['삼촌', '외삼촌'];
+            if (inLaw) return ['고모부', '고모부'];
+            return bySeniority(['큰아버지', '큰아버지'], ['작은아버지', '작은아버지'], ['삼촌', '삼촌']);
+    }
+    return null;
+}
+
+// Speech level a recipient is normally written to in
+function speechLevelFor(person, inLaw) {
+    if (inLaw && (person === 'mother' || person === 'father')) return 'hapsyo';
+    if (['older-sister', 'older-brother', 'younger-sibling'].includes(person)) return 'banmal';
+    return 'haeyo';
+}
+
+// Validate a described relation: { person, side?, inLaw?, speakerGender?, seniority? }.
+// Only the parts the person depends on are kept, and the ones it needs are required.
+export function normalizeRelation(relation) {
+    if (!relation || typeof relation !== 'object' || Array.isArray(relation)) {
+        throw new Error('Recipient relation must be an object');
+    }
+
+    const person = KINSHIP_PEOPLE[relation.person];
+    if (!person) {
+        throw new Error(`Unknown relative: ${relation.person}`);
+    }
+
+    const normalized = { person: relation.person };
+
+    if (person.side) {
+        if (!KINSHIP_SIDES.includes(relation.side)) {
+            throw new Error(`Say whether your ${person.label} is on the paternal or maternal side`);
+        }
+        normalized.side = relation.side;
+    }
+
+    if (relation.inLaw === true) {
+        if (!person.inLaw) {
+            throw new Error(`An in-law ${person.label} is not supported`);
+        }
+        normalized.inLaw = true;
+    }
+
+    // The speaker's gender picks 오빠/형, 언니/누나 and 시-/장- in-laws
+    if (person.gender || (normalized.inLaw && ['mother', 'father'].includes(relation.person))) {
+        if (!SPEAKER_GENDERS.includes(relation.speakerGender)) {
+            throw new Error(`Your gender is needed to address your ${describeRelation(normalized)}`);
+        }
+        normalized.speakerGender = relation.speakerGender;
+    }
+
+    // Whether your father's brother is older or younger than him: 큰아버지/작은아버지,
+    // and 큰어머니/작은어머니 for his wife
+    const brotherOfFather = relation.person === 'uncle' ? !normalized.inLaw : normalized.inLaw;
+    if (person.seniority && normalized.side === 'paternal' && brotherOfFather && SENIORITIES.includes(relation.seniority)) {
+        normalized.seniority = relation.seniority;
+    }
+
+    return normalized;
+}
+
+// Plain English description, e.g. "maternal grandmother" or "mother-in-law"
+export function describeRelation(relation) {
+    const person = KINSHIP_PEOPLE[relation.person];
+    const side = relation.side ? `${relation.side} ` : '';
+
+    if (relation.inLaw) {
+        return ['mother', 'father'].includes(relation.person)
+            ? `${person.label}-in-law`
+            : `${side}${person.label} by marriage`;
+    }
+    return `${side}${person.label}`;
+}
+
+// Resolve a relation to its Korean terms
+export function kinshipTerms(relation) {
+    const normalized = normalizeRelation(relation);
+    const person = KINSHIP_PEOPLE[normalized.person];
+    const [address, reference] = lookupTerms(normalized);
+    const speechLevel = speechLevelFor(normalized.person, normalized.inLaw);
+
+    return {
+        relation: normalized,
+        key: Object.entries(normalized).map(([name, value]) => (value === true ? name : value)).join('-'),
+        label: describeRelation(normalized),
+        english: person.english,
+        address,
+        reference,
+        speechLevel,
+        honorific: speechLevel !== 'banmal'
+    };
+}
+
+// Glossary entries for one direction: the English words for this relative become
+// the Korean address term, and either Korean term comes back as the English one
+function kinshipEntries(terms, sourceLanguage) {
+    const note = `Your ${terms.label}`;
+
+    if (sourceLanguage === 'en') {
+        if (!terms.address) return [];
+        return KINSHIP_PEOPLE[terms.relation.person].aliases.map(en => ({ ko: terms.address, en, note }));
+    }
+
+    if (!terms.english) return [];
+    return [...new Set([terms.reference, terms.address].filter(Boolean))]
+        .map(ko => ({ ko, en: terms.english, note }));
+}
+
+// Add the recipient's kinship terms to the profile's glossary (or stand in for one).
+// The profile's own entries come first, so they win over the kinship defaults.
+export function withKinshipTerms(glossary, terms, sourceLanguage) {
+    const entries = terms ? kinshipEntries(terms, sourceLanguage) : [];
+    if (entries.length === 0) return glossary;
+
+    return {
+        id: `${glossary?.id || 'kinship'}:${terms.key}`,
+        name: glossary ? `${glossary.name} + ${terms.label}` : `Your ${terms.label}`,
+        entries: [...(glossary?.entries || []), ...entries],
+        updatedAt: glossary?.updatedAt || 0
+    };
+}
+
+// Instructions for the rewrite step on how to speak to the recipient
+export function buildAddressingNote(terms) {
+    if (!terms.address) {
+        return `The reader is the writer's ${terms.label}. Call them ${terms.reference} or by name, never 당신.`;
+    }
+
+    const reference = terms.reference !== terms.address ? ` and refer to them as ${terms.reference}` : '';
+    const honorific = terms.honorific ? ', and use honorific verb forms (-시-) for anything they do' : '';
+    return `The reader is the writer's ${terms.label}. Address them as ${terms.address}${reference}; never use 너 or 당신 for them${honorific}.`;
+}
+
+// Korean particles after a word, by whether it ends in a consonant
+const PARTICLE_PAIRS = [['은', '는'], ['이', '가'], ['을', '를'], ['과', '와'], ['이랑', '랑']];
+
+function endsInConsonant(word) {
+    const code = word.charCodeAt(word.length - 1) - 0xAC00;
+    return code >= 0 && code <= 11171 && code % 28 !== 0;
+}
+
+function attachParticle(word, particle) {
+    // "To" an elder is the honorific 께
+    if (particle === '에게' || particle === '한테') return `${word}께`;
+
+    const pair = PARTICLE_PAIRS.find(p => p.includes(particle));
+    if (!pair) return word + particle;
+    return word + (endsInConsonant(word) ? pair[0] : pair[1]);
+}
+
+// Second-person pronouns (당신, 너, 네가) as whole words, with any particle after them
+const PRONOUN_PATTERN = /(?<![가-힣])(?:(당신|너)(은|는|이|가|을|를|의|도|만|에게|한테|랑|와)?|(네|니)가)(?![가-힣])/g;
+
+// Replace second-person pronouns with the address term; calling an elder 당신 or 너
+// is rude, so a missed rewrite is still fixed before the user sees it
+export function addressRecipient(text, terms) {
+    if (!terms?.address || !terms.honorific) return text;
+
+    return text.replace(PRONOUN_PATTERN, (match, pronoun, particle, subject) => {
+        if (subject) return attachParticle(terms.address, '가');
+        return particle ? attachParticle(terms.address, particle) : terms.address;
+    });
+}
@@ -0,0 +1,65 @@
+import { getStorage } from './storage/index.js';
+
+// Every saved version of a custom profile, kept so edits can be diffed and rolled
+// back. Records are `{ id: '<profileId>:<revision>', profileId, revision, savedAt, profile }`.
+const COLLECTION = 'profile-revisions';
+
+// Fields compared by diffProfiles, in the order changes are listed
+const DIFF_FIELDS = ['name', 'description', 'extends', 'ruleSets', 'examples'];
+
+export function recordRevision(profile) {
+    return getStorage().put(COLLECTION, {
+        id: `${profile.id}:${profile.revision}`,
+        profileId: profile.id,
+        revision: profile.revision,
+        savedAt: profile.updatedAt || Date.now(),
+        profile
+    });
+}
+
+// Newest first
+export function listRevisions(profileId) {
+    return getStorage().find(COLLECTION, 'profileId', profileId)
+        .sort((a, b) => b.revision - a.revision);
+}
+
+export function getRevision(profileId, revision) {
+    return getStorage().get(COLLECTION, `${profileId}:${revision}`);
+}
+
+export function removeRevisions(profileId) {
+    listRevisions(profileId).forEach(record => getStorage().remove(COLLECTION, record.id));
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// What changed from profile `from` to profile `to`: changed fields as
+// `{ field, from, to }` (settings as `settings.<key>`), plus rules added and removed
+export function diffProfiles(from, to) {
+    const changes = DIFF_FIELDS
+        .filter(field => !sameValue(from[field], to[field]))
+        .map(field => ({ field, from: from[field], to: to[field] }));
+
+    const settingKeys = new Set([...Object.keys(from.settings || {}), ...Object.keys(to.settings || {})]);
+    settingKeys.forEach(key => {
+        // Rewrite rules follow the profile's rules, which are diffed below
+        if (key === 'rewriteRules') return;
+
+        const before = from.settings?.[key];
+        const after = to.settings?.[key];
+        if (!sameValue(before, after)) {
+            changes.push({ field: `settings.${key}`, from: before ?? null, to: after ?? null });
+        }
+    });
+
+    const fromRules = from.rules || [];
+    const toRules = to.rules || [];
+
+    return {
+        changes,
+        rulesAdded: toRules.filter(rule => !fromRules.includes(rule)),
+        rulesRemoved: fromRules.filter(rule => !toRules.includes(rule))
+    };
+}
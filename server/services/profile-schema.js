@@ -0,0 +1,108 @@
+import Ajv from 'ajv';
+import { SPEECH_LEVELS } from './speech-level.js';
+import { JUDGE_MODES } from './judge.js';
+import { KINSHIP_PEOPLE, KINSHIP_SIDES, SPEAKER_GENDERS, SENIORITIES } from './kinship.js';
+import { FORMALITY_NOTES } from './profiles.js';
+
+// JSON Schema for a profile as it is posted, exported and imported. It checks shape
+// and allowed values; references to other data (providers, glossaries) and the
+// kinship rules are still checked when the profile is saved.
+
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+const idPattern = '^[A-Za-z0-9_-]{1,64}$';
+const ruleList = { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 500 } };
+const phraseList = { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 200 } };
+
+// Built on first use: profiles.js imports this module, so its constants aren't
+// ready while this one loads
+export function getProfileSchema() {
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'https://korean-translator/profile.schema.json',
+        title: 'Translation profile',
+        type: 'object',
+        required: ['name', 'description'],
+        additionalProperties: false,
+        properties: {
+            id: nullable({ type: 'string', pattern: idPattern }),
+            name: { type: 'string', minLength: 1, maxLength: 80, pattern: '\\S' },
+            description: { type: 'string', minLength: 1, maxLength: 1000, pattern: '\\S' },
+            extends: nullable({ type: 'string', pattern: idPattern }),
+            ruleSets: { type: 'array', maxItems: 20, uniqueItems: true, items: { type: 'string', pattern: idPattern } },
+            // A family group the owner belongs to; its members can see and use the profile
+            groupId: nullable({ type: 'string', pattern: idPattern }),
+            rules: ruleList,
+            // In a profile that extends another, null settings are taken from the parent
+            settings: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    formality: { enum: [...Object.keys(FORMALITY_NOTES), null] },
+                    speechLevel: { enum: [...Object.keys(SPEECH_LEVELS), null] },
+                    provider: nullable({ type: 'string' }),
+                    rewriteProvider: nullable({ type: 'string' }),
+                    rewriteRules: ruleList,
+                    glossaryId: nullable({ type: 'string', pattern: idPattern }),
+                    semanticJudge: { enum: [...Object.keys(JUDGE_MODES), null] },
+                    recipientRelation: nullable({
+                        type: 'object',
+                        required: ['person'],
+                        additionalProperties: false,
+                        properties: {
+                            person: { enum: Object.keys(KINSHIP_PEOPLE) },
+                            side: { enum: KINSHIP_SIDES },
+                            inLaw: { type: 'boolean' },
+                            speakerGender: nullable({ enum: SPEAKER_GENDERS }),
+                            seniority: nullable({ enum: SENIORITIES })
+                        }
+                    })
+                }
+            },
+            examples: {
+                type: 'array',
+                maxItems: 50,
+                items: {
+                    type: 'object',
+                    required: ['input'],
+                    additionalProperties: false,
+                    properties: {
+                        input: { type: 'string', minLength: 1, maxLength: 2000, pattern: '\\S' },
+                        mustContain: phraseList,
+                        mustNotContain: phraseList,
+                        speechLevel: { enum: [...Object.keys(SPEECH_LEVELS), null] },
+                        minAccuracy: nullable({ type: 'number', minimum: 0, maximum: 100 }),
+                        sourceLanguage: { enum: ['ko', 'en', null] }
+                    }
+                }
+            },
+            // Set by the server; accepted so exported profiles validate as they are
+            isDefault: { type: 'boolean' },
+            canDelete: { type: 'boolean' },
+            ownerId: nullable({ type: 'string' }),
+            sharedBy: nullable({ type: 'string' }),
+            revision: { type: 'integer', minimum: 0 },
+            updatedAt: { type: 'integer' }
+        }
+    };
+}
+
+let validator = null;
+
+// Throws with every schema violation listed, e.g.
+// "Invalid profile: settings.formality must be equal to one of the allowed values"
+export function validateProfileSchema(profile) {
+    if (!validator) {
+        validator = new Ajv({ allErrors: true }).compile(getProfileSchema());
+    }
+    if (validator(profile)) return;
+
+    // For nullable fields, only report why the non-null value is wrong
+    const relevant = validator.errors.filter(error => error.keyword !== 'anyOf' && error.params.type !== 'null');
+    const problems = relevant.map(error => {
+        const path = error.instancePath.slice(1).replace(/\//g, '.') || 'profile';
+        return error.keyword === 'additionalProperties'
+            ? `${path} has unknown field "${error.params.additionalProperty}"`
+            : `${path} ${error.message}`;
+    });
+    throw new Error(`Invalid profile: ${[...new Set(problems)].join('; ')}`);
+}
@@ -0,0 +1,88 @@
+import { translateText } from './ai.js';
+import { analyzeSpeechLevel } from './speech-level.js';
+import { normalizeExamples } from './profiles.js';
+
+// Runs the example cases saved on a profile (see normalizeExamples) as a
+// regression check after its rules change.
+
+// The score the profile treats as primary: the judge's when it is, else the lexical one
+function primaryAccuracy(result) {
+    return result.primaryScore === 'semantic' ? result.semanticScore.score : result.accuracyScore.score;
+}
+
+// Each expectation of a case as `{ type, expected, actual, passed }`
+function checkExample(example, result) {
+    const translation = result.translation || '';
+    const lower = translation.toLowerCase();
+    const checks = [];
+
+    example.mustContain.forEach(phrase => checks.push({
+        type: 'must-contain',
+        expected: phrase,
+        passed: lower.includes(phrase.toLowerCase())
+    }));
+    example.mustNotContain.forEach(phrase => checks.push({
+        type: 'must-not-contain',
+        expected: phrase,
+        passed: !lower.includes(phrase.toLowerCase())
+    }));
+
+    if (example.speechLevel) {
+        const analysis = result.targetLanguage === 'ko' ? analyzeSpeechLevel(translation, example.speechLevel) : null;
+        checks.push({
+            type: 'speech-level',
+            expected: example.speechLevel,
+            actual: analysis ? analysis.dominant : 'not Korean',
+            passed: analysis?.conforms === true
+        });
+    }
+
+    if (example.minAccuracy !== null) {
+        const accuracy = primaryAccuracy(result);
+        checks.push({
+            type: 'min-accuracy',
+            expected: example.minAccuracy,
+            actual: accuracy,
+            passed: accuracy >= example.minAccuracy
+        });
+    }
+
+    return checks;
+}
+
+// Run a profile's cases one at a time through the normal translation pipeline.
+// `profile` may be a saved profile or an unsaved draft built by previewProfile.
+export async function runProfileTests(profile, examples) {
+    const results = [];
+
+    for (const [index, example] of normalizeExamples(examples).entries()) {
+        try {
+            const result = await translateText(example.input, profile.id, [], {
+                profile,
+                sourceLanguage: example.sourceLanguage
+            });
+            const checks = checkExample(example, result);
+
+            results.push({
+                index,
+                input: example.input,
+                translation: result.translation,
+                accuracy: primaryAccuracy(result),
+                speechLevel: result.targetLanguage === 'ko' ? result.speechLevel?.dominant || null : null,
+                checks,
+                passed: checks.every(check => check.passed)
+            });
+        } catch (error) {
+            results.push({ index, input: example.input, error: error.message, checks: [], passed: false });
+        }
+    }
+
+    const passed = results.filter(result => result.passed).length;
+    return {
+        profileId: profile.id,
+        total: results.length,
+        passed,
+        failed: results.length - passed,
+        results
+    };
+}
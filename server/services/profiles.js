@@ -1,9 +1,42 @@
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { getProvider } from './providers/index.js';
+import { getVisibleGlossary } from './glossaries.js';
+import { SPEECH_LEVELS } from './speech-level.js';
+import { JUDGE_MODES } from './judge.js';
+import { normalizeRelation } from './kinship.js';
+import { getStorage, newRecordId } from './storage/index.js';
+import { getRuleSetById, getVisibleRuleSet, buildRuleSet, saveRuleSet } from './rule-sets.js';
+import { canSee, isOwner, getUserById, getUserGroups, removeGroupMember } from './accounts.js';
+import { validateProfileSchema } from './profile-schema.js';
+import { recordRevision, listRevisions, getRevision, removeRevisions, diffProfiles } from './profile-revisions.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PROFILES_FILE = join(__dirname, '../data/profiles.json');
+// Custom profiles are kept in this storage collection, each owned by the user who
+// made it and optionally shared with one of their family groups; the defaults live in code
+const COLLECTION = 'profiles';
+
+// Identifies files written by exportProfiles
+const EXPORT_FORMAT = 'korean-translator-profiles';
+const EXPORT_VERSION = 1;
+
+// DeepL formality values, with the note shown to the user for each
+export const FORMALITY_NOTES = {
+    prefer_more: 'Using formal tone for respectful communication',
+    default: 'Using standard polite tone',
+    prefer_less: 'Using direct/literal translation style'
+};
+
+const DEFAULT_SETTINGS = {
+    formality: 'default',
+    speechLevel: null,
+    provider: null,
+    rewriteProvider: null,
+    rewriteRules: [],
+    glossaryId: null,
+    semanticJudge: null,
+    recipientRelation: null
+};
+
+// A profile that extends another starts from these, so unset settings come from the parent
+const INHERITED_SETTINGS = Object.fromEntries(Object.keys(DEFAULT_SETTINGS).map(key => [key, null]));
 
 // Default translation profiles
 export const DEFAULT_PROFILES = [
@@ -16,6 +49,7 @@ export const DEFAULT_PROFILES = [
             'Prioritize natural flow over literal accuracy',
             'Adapt cultural references to be more understandable'
         ],
+        settings: { ...DEFAULT_SETTINGS, formality: 'prefer_more' },
         isDefault: true,
         canDelete: false
     },
@@ -29,6 +63,7 @@ export const DEFAULT_PROFILES = [
             'Include appropriate honorifics for parents',
             'Soften direct statements to be more respectful'
         ],
+        settings: { ...DEFAULT_SETTINGS, formality: 'default', speechLevel: 'haeyo' },
         isDefault: true,
         canDelete: false
     },
@@ -41,86 +76,588 @@ export const DEFAULT_PROFILES = [
             'Preserve original sentence structure when possible',
             'Keep cultural references intact with explanation if needed'
         ],
+        settings: { ...DEFAULT_SETTINGS, formality: 'prefer_less' },
         isDefault: true,
         canDelete: false
     }
 ];
 
-// Load profiles from file
-function loadProfiles() {
-    try {
-        if (existsSync(PROFILES_FILE)) {
-            const data = readFileSync(PROFILES_FILE, 'utf-8');
-            return JSON.parse(data);
-        }
-    } catch (error) {
-        console.error('Error loading profiles:', error);
+// A profile's own settings. Older custom profiles only stored `rules`, which
+// were always meant as rewrite rules, so those carry over.
+function ownSettings(profile) {
+    const settings = { ...(profile.settings || {}) };
+    if (!settings.rewriteRules) {
+        settings.rewriteRules = profile.isDefault ? [] : profile.rules || [];
     }
-    return [];
+    return settings;
 }
 
-// Save profiles to file
-function saveProfilesToFile(customProfiles) {
-    try {
-        const dir = dirname(PROFILES_FILE);
-        if (!existsSync(dir)) {
-            import('fs').then(fs => fs.mkdirSync(dir, { recursive: true }));
-        }
-        writeFileSync(PROFILES_FILE, JSON.stringify(customProfiles, null, 2));
-    } catch (error) {
-        console.error('Error saving profiles:', error);
+// Who a profile's parent and rule sets are looked up for: its owner, so a profile
+// shared with the family resolves the same for everyone
+const ownerOf = profile => (profile.ownerId ? { id: profile.ownerId } : null);
+
+// The profile `profile` extends, as long as its owner can still see it
+function visibleParent(profile) {
+    const parent = profile.extends ? getProfileById(profile.extends) : null;
+    return parent && (parent.isDefault || canSee(ownerOf(profile), parent)) ? parent : null;
+}
+
+// Profiles from the root ancestor down to `profile`, following `extends`.
+// A cycle (only possible in hand-edited data) stops at the first repeat.
+function inheritanceChain(profile) {
+    const chain = [];
+    const seen = new Set();
+
+    for (let level = profile; level && !seen.has(level.id); level = visibleParent(level)) {
+        seen.add(level.id);
+        chain.unshift(level);
+    }
+    return chain;
+}
+
+// The rewrite rules a profile applies, in merge order: each ancestor from the root
+// down, then the profile itself, and at every level its rule sets in the order
+// listed followed by its own rules. A rule that comes up again later is dropped.
+// Each entry says where the rule came from.
+export function resolveProfileRules(profile) {
+    const rules = [];
+    const seen = new Set();
+    const add = (rule, source) => {
+        if (seen.has(rule)) return;
+        seen.add(rule);
+        rules.push({ rule, ...source });
+    };
+
+    inheritanceChain(profile).forEach(level => {
+        const via = { profileId: level.id || null, profileName: level.name, inherited: level !== profile };
+
+        (level.ruleSets || []).forEach(id => {
+            const ruleSet = getVisibleRuleSet(id, ownerOf(level));
+            ruleSet?.rules.forEach(rule => add(rule, { source: 'rule-set', ruleSetId: id, ruleSetName: ruleSet.name, ...via }));
+        });
+        ownSettings(level).rewriteRules.forEach(rule => add(rule, { source: 'profile', ...via }));
+    });
+    return rules;
+}
+
+// The settings a profile translates with: each profile down the inheritance chain
+// overrides the values its parent set, and the rewrite rules are merged
+export function resolveProfileSettings(profile) {
+    const settings = { ...DEFAULT_SETTINGS };
+
+    inheritanceChain(profile).forEach(level => {
+        Object.entries(ownSettings(level)).forEach(([key, value]) => {
+            if (key in DEFAULT_SETTINGS && value !== null && value !== undefined) settings[key] = value;
+        });
+    });
+    settings.rewriteRules = resolveProfileRules(profile).map(entry => entry.rule);
+
+    return settings;
+}
+
+// What a profile (saved or still being edited) resolves to: its ancestors, the
+// merged settings and every effective rule with its source. A parent or rule set
+// `user` can't see is left out, except in a profile shared with them, which
+// resolves as its owner saved it.
+export function resolveProfile(draft, user = null) {
+    const saved = draft?.id ? getVisibleProfile(draft.id, user) : null;
+    const shared = Boolean(saved && !saved.isDefault && !isOwner(user, saved));
+    if (shared) draft = saved;
+    const canUse = (id, lookup) => shared || Boolean(lookup(id, user));
+
+    const rules = Array.isArray(draft?.rules) ? draft.rules.map(String) : [];
+    const settings = Object.fromEntries(Object.keys(DEFAULT_SETTINGS)
+        .filter(key => draft?.settings?.[key] !== undefined)
+        .map(key => [key, draft.settings[key]]));
+
+    const profile = {
+        id: draft?.id || null,
+        name: draft?.name || 'This profile',
+        ownerId: shared ? saved.ownerId : user?.id || null,
+        extends: typeof draft?.extends === 'string' && canUse(draft.extends, getVisibleProfile) ? draft.extends : null,
+        ruleSets: Array.isArray(draft?.ruleSets)
+            ? draft.ruleSets.filter(id => typeof id === 'string' && canUse(id, getVisibleRuleSet))
+            : [],
+        rules,
+        settings: { ...settings, rewriteRules: rules }
+    };
+
+    return {
+        ancestors: inheritanceChain(profile).slice(0, -1).map(({ id, name }) => ({ id, name })),
+        settings: resolveProfileSettings(profile),
+        rules: resolveProfileRules(profile)
+    };
+}
+
+function validateSettings(settings, user) {
+    if (settings.formality && !(settings.formality in FORMALITY_NOTES)) {
+        throw new Error(`Invalid formality: ${settings.formality}`);
+    }
+    if (settings.speechLevel && !(settings.speechLevel in SPEECH_LEVELS)) {
+        throw new Error(`Invalid speech level: ${settings.speechLevel}`);
+    }
+    if (settings.semanticJudge && !(settings.semanticJudge in JUDGE_MODES)) {
+        throw new Error(`Invalid semantic judge mode: ${settings.semanticJudge}`);
+    }
+    for (const key of ['provider', 'rewriteProvider']) {
+        if (settings[key]) getProvider(settings[key]);
+    }
+    if (settings.glossaryId && !getVisibleGlossary(settings.glossaryId, user)) {
+        throw new Error(`Glossary not found: ${settings.glossaryId}`);
+    }
+    if (!Array.isArray(settings.rewriteRules)) {
+        throw new Error('Rewrite rules must be a list');
     }
 }
 
-// Get all profiles (defaults + custom)
-export function getProfiles() {
-    const customProfiles = loadProfiles();
-    return [...DEFAULT_PROFILES, ...customProfiles];
+// A profile as `user` sees it: someone else's shared profile can't be deleted
+// and says whose it is
+function withAccess(profile, user) {
+    if (profile.isDefault || isOwner(user, profile)) return profile;
+    return { ...profile, canDelete: false, sharedBy: getUserById(profile.ownerId)?.username || null };
 }
 
-// Get a specific profile by ID
+// Get the profiles `user` (null when signed out) can use: the defaults, their
+// own and those shared with their family groups
+export function getProfiles(user = null) {
+    const custom = getStorage().list(COLLECTION)
+        .filter(profile => canSee(user, profile))
+        .map(profile => withAccess(profile, user));
+    return [...DEFAULT_PROFILES, ...custom];
+}
+
+// Get a specific profile by ID, whoever owns it (translation and inheritance use this)
 export function getProfileById(id) {
-    return getProfiles().find(p => p.id === id);
+    return DEFAULT_PROFILES.find(p => p.id === id) || getStorage().get(COLLECTION, id);
+}
+
+// A profile by ID if `user` can see it
+export function getVisibleProfile(id, user = null) {
+    const profile = getProfileById(id);
+    if (!profile) return null;
+    if (profile.isDefault) return profile;
+    return canSee(user, profile) ? withAccess(profile, user) : null;
+}
+
+// Custom profiles that include a rule set, whoever owns them
+export function profilesUsingRuleSet(ruleSetId) {
+    return getStorage().find(COLLECTION, 'ruleSets', ruleSetId);
+}
+
+// Custom profiles whose own settings name a glossary, whoever owns them
+export function profilesUsingGlossary(glossaryId) {
+    return getStorage().list(COLLECTION).filter(profile => profile.settings?.glossaryId === glossaryId);
 }
 
-// Save a custom profile
-export function saveProfile(profile) {
-    if (!profile.name || !profile.description) {
-        throw new Error('Profile must have a name and description');
+// A custom profile `user` can see, or an error if the id is unknown or a default profile
+function getCustomProfile(id, user) {
+    const profile = getStorage().get(COLLECTION, id);
+    if (!profile || !canSee(user, profile)) {
+        const isDefault = DEFAULT_PROFILES.some(p => p.id === id);
+        throw new Error(isDefault ? 'Only custom profiles have history and can be exported' : 'Profile not found');
     }
+    return profile;
+}
+
+const phrases = list => (list || []).map(phrase => String(phrase).trim()).filter(Boolean);
+
+// Example cases a profile is tested against: `{ input, mustContain, mustNotContain,
+// speechLevel, minAccuracy, sourceLanguage }`. Only `input` is required; this
+// fills in the rest.
+export function normalizeExamples(examples) {
+    return (examples || []).map(example => ({
+        input: example.input.trim(),
+        mustContain: phrases(example.mustContain),
+        mustNotContain: phrases(example.mustNotContain),
+        speechLevel: example.speechLevel || null,
+        minAccuracy: example.minAccuracy ?? null,
+        sourceLanguage: example.sourceLanguage || null
+    }));
+}
 
-    const customProfiles = loadProfiles();
-    const existingIndex = customProfiles.findIndex(p => p.id === profile.id);
+// `extends` must name a profile `user` can see and must not lead back to `id`.
+// `pendingParents` maps the ids of profiles being imported alongside to their parents.
+function checkParent(id, parentId, user, pendingParents = new Map()) {
+    if (!parentId) return;
 
-    const newProfile = {
-        id: profile.id || `custom-${Date.now()}`,
+    const exists = profileId => pendingParents.has(profileId) || Boolean(getVisibleProfile(profileId, user));
+    const parentOf = profileId => (pendingParents.has(profileId)
+        ? pendingParents.get(profileId)
+        : getProfileById(profileId)?.extends) || null;
+
+    if (!exists(parentId)) {
+        throw new Error(`Parent profile not found: ${parentId}`);
+    }
+
+    const seen = new Set();
+    for (let ancestor = parentId; ancestor && !seen.has(ancestor); ancestor = parentOf(ancestor)) {
+        if (ancestor === id) {
+            throw new Error('A profile cannot extend itself or a profile based on it');
+        }
+        seen.add(ancestor);
+    }
+}
+
+// Check a posted profile and build the record to store for `user`; nothing is
+// written yet. `pending` lists profiles and rule sets that an import will create alongside it.
+function buildProfile(profile, user, pending = {}) {
+    validateProfileSchema(profile);
+    if (DEFAULT_PROFILES.some(p => p.id === profile.id)) {
+        throw new Error('Default profiles cannot be changed');
+    }
+
+    const id = profile.id || newRecordId('custom');
+    const parentId = profile.extends || null;
+    checkParent(id, parentId, user, pending.parents);
+
+    const ruleSets = profile.ruleSets || [];
+    ruleSets.forEach(ruleSetId => {
+        if (!getVisibleRuleSet(ruleSetId, user) && !pending.ruleSets?.has(ruleSetId)) {
+            throw new Error(`Rule set not found: ${ruleSetId}`);
+        }
+    });
+
+    const groupId = profile.groupId || null;
+    if (groupId && !getUserGroups(user?.id).some(group => group.id === groupId)) {
+        throw new Error('Profiles can only be shared with a family group you belong to');
+    }
+
+    const rules = profile.rules || [];
+    const settings = { ...(parentId ? INHERITED_SETTINGS : DEFAULT_SETTINGS), rewriteRules: rules };
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        if (profile.settings?.[key] !== undefined) settings[key] = profile.settings[key];
+    }
+    if (settings.recipientRelation) {
+        settings.recipientRelation = normalizeRelation(settings.recipientRelation);
+    }
+    validateSettings(settings, user);
+
+    return {
+        id,
         name: profile.name,
         description: profile.description,
-        rules: profile.rules || [],
+        extends: parentId,
+        ruleSets,
+        groupId,
+        ownerId: user?.id || null,
+        rules,
+        settings,
+        examples: normalizeExamples(profile.examples),
         isDefault: false,
         canDelete: true
     };
+}
 
-    if (existingIndex >= 0) {
-        customProfiles[existingIndex] = newProfile;
-    } else {
-        customProfiles.push(newProfile);
+// A posted profile as it would be saved, without saving it (used to test drafts)
+export function previewProfile(profile, user = null) {
+    return buildProfile(profile, user);
+}
+
+function sameContent(a, b) {
+    const content = profile => JSON.stringify({
+        name: profile.name,
+        description: profile.description,
+        extends: profile.extends || null,
+        ruleSets: profile.ruleSets || [],
+        groupId: profile.groupId || null,
+        rules: profile.rules,
+        settings: profile.settings,
+        examples: profile.examples || []
+    });
+    return content(a) === content(b);
+}
+
+// `profile` with everything it inherits copied in, so it no longer needs its parent.
+// Its own rule sets stay linked; the inherited rules are copied as plain rules.
+function flattenProfile(profile) {
+    const rules = resolveProfileRules(profile)
+        .filter(entry => entry.inherited || entry.source === 'profile')
+        .map(entry => entry.rule);
+    const settings = { ...resolveProfileSettings(profile), rewriteRules: rules };
+    if (settings.glossaryId && !getVisibleGlossary(settings.glossaryId, ownerOf(profile))) {
+        settings.glossaryId = null;
     }
+    return { ...profile, extends: null, rules, settings };
+}
 
-    saveProfilesToFile(customProfiles);
-    return newProfile;
+// Run `change` - which may delete a profile or stop sharing it - in one
+// transaction. Profiles based on `parentId` (or, when null, on anyone else's
+// profile) that can no longer see their parent afterwards are flattened first,
+// so they keep translating the same way.
+function detachingChildren(change, parentId = null) {
+    return getStorage().transaction(() => {
+        const basedOnOthers = profile => {
+            const parent = profile.extends ? getStorage().get(COLLECTION, profile.extends) : null;
+            return Boolean(parent) && parent.ownerId !== profile.ownerId;
+        };
+        const children = parentId
+            ? getStorage().find(COLLECTION, 'extends', parentId)
+            : getStorage().list(COLLECTION).filter(basedOnOthers);
+        const flattened = children.filter(visibleParent).map(child => [child, flattenProfile(child)]);
+
+        const result = change();
+        flattened
+            .filter(([child]) => !visibleParent(child))
+            .forEach(([, profile]) => writeProfile(profile));
+        return result;
+    });
 }
 
-// Delete a custom profile
-export function deleteProfile(id) {
-    const profile = getProfileById(id);
+// Store a built profile as its next revision. Returns the stored profile and
+// whether it was created, updated or left unchanged.
+function writeProfile(profile) {
+    const existing = getStorage().get(COLLECTION, profile.id);
+    if (existing && (existing.ownerId || null) !== profile.ownerId) {
+        throw new Error('Only the owner can change this profile');
+    }
+    if (existing?.revision && sameContent(existing, profile)) {
+        return { profile: existing, status: 'unchanged' };
+    }
+
+    // Profiles saved before revisions were kept start their history with the stored version
+    if (existing && !existing.revision) {
+        recordRevision({ ...existing, revision: 1 });
+    }
+
+    const saved = {
+        ...profile,
+        revision: (existing?.revision || (existing ? 1 : 0)) + 1,
+        updatedAt: Date.now()
+    };
+    getStorage().put(COLLECTION, saved);
+    recordRevision(saved);
+
+    return { profile: saved, status: existing ? 'updated' : 'created' };
+}
+
+// Save a custom profile for `user`; each change is kept as a new revision.
+// Family members' profiles based on it are detached if it stops being shared.
+export function saveProfile(profile, user = null) {
+    const newProfile = buildProfile(profile, user);
+    return detachingChildren(() => writeProfile(newProfile), newProfile.id).profile;
+}
+
+// Delete a custom profile and its history. Profiles based on it (the owner's
+// and, if it was shared, family members') get what they inherited copied in.
+export function deleteProfile(id, user = null) {
+    const profile = getVisibleProfile(id, user);
     if (!profile) {
         throw new Error('Profile not found');
     }
-    if (!profile.canDelete) {
+    if (profile.isDefault) {
         throw new Error('Cannot delete default profiles');
     }
+    if (!isOwner(user, profile)) {
+        throw new Error('Only the owner can delete this profile');
+    }
+
+    detachingChildren(() => {
+        getStorage().remove(COLLECTION, id);
+        removeRevisions(id);
+    }, id);
+}
+
+// Take `memberId` out of a family group (see removeGroupMember). Their profiles
+// stop being shared with it, and profiles on either side that were based on one
+// they can no longer see are detached.
+export function leaveGroup(userId, groupId, memberId) {
+    return detachingChildren(() => {
+        const group = removeGroupMember(userId, groupId, memberId);
+        getStorage().find(COLLECTION, 'ownerId', memberId)
+            .filter(profile => profile.groupId === groupId)
+            .forEach(profile => writeProfile({ ...profile, groupId: null }));
+        return group;
+    });
+}
+
+// Saved revisions of a profile, newest first
+export function getProfileRevisions(id, user = null) {
+    const current = getCustomProfile(id, user);
+    return listRevisions(id).map(record => ({
+        ...record,
+        current: record.revision === (current.revision || 1)
+    }));
+}
+
+// Changes from one revision to another (by default the current profile)
+export function diffProfileRevision(id, revision, against, user = null) {
+    const current = getCustomProfile(id, user);
+    const findRevision = number => {
+        const record = getRevision(id, number);
+        if (!record) throw new Error(`Revision ${number} not found`);
+        return record.profile;
+    };
+
+    const from = findRevision(revision);
+    const to = against ? findRevision(against) : current;
+    return { from: Number(revision), to: to.revision || 1, ...diffProfiles(from, to) };
+}
+
+// Restore an earlier revision. History is kept: the restored content is saved
+// as a new revision rather than discarding the ones after it.
+export function rollbackProfile(id, revision, user = null) {
+    getCustomProfile(id, user);
+    const record = getRevision(id, revision);
+    if (!record) {
+        throw new Error(`Revision ${revision} not found`);
+    }
+
+    const { name, description, rules, settings, examples, extends: parentId, ruleSets, groupId } = record.profile;
+    return saveProfile({
+        id,
+        name,
+        description,
+        rules,
+        settings,
+        examples: examples || [],
+        extends: parentId || null,
+        ruleSets: ruleSets || [],
+        groupId: groupId || null
+    }, user);
+}
+
+// Only what another install needs; ids are kept so re-importing updates the same profile
+function shareableProfile(profile) {
+    return {
+        id: profile.id,
+        name: profile.name,
+        description: profile.description,
+        extends: profile.extends || null,
+        ruleSets: profile.ruleSets || [],
+        rules: profile.rules || [],
+        settings: ownSettings(profile),
+        examples: profile.examples || []
+    };
+}
+
+// A shareable file with one profile, or a bundle of several (all of `user`'s own
+// profiles when no ids are given). Custom rule sets the profiles use are included.
+export function exportProfiles(ids = null, user = null) {
+    const profiles = ids
+        ? ids.map(id => getCustomProfile(id, user))
+        : getStorage().list(COLLECTION).filter(profile => isOwner(user, profile));
+    const file = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString() };
+
+    if (ids?.length === 1) {
+        file.profile = shareableProfile(profiles[0]);
+    } else {
+        file.profiles = profiles.map(shareableProfile);
+    }
+
+    const ruleSets = [...new Set(profiles.flatMap(profile => profile.ruleSets || []))]
+        .map(getRuleSetById)
+        .filter(ruleSet => ruleSet && !ruleSet.isDefault)
+        .map(({ id, name, description, rules }) => ({ id, name, description, rules }));
+    if (ruleSets.length > 0) file.ruleSets = ruleSets;
+
+    return file;
+}
+
+// Import a file written by exportProfiles as `user`'s profiles. Every profile is
+// checked before any is saved, so a bad file changes nothing. A profile whose id
+// already exists is updated as a new revision; rule sets `user` already has are
+// kept as they are. Ids taken by someone else's profile or rule set are given
+// new ones, and references within the file follow.
+export function importProfiles(file, user = null) {
+    if (file?.format !== EXPORT_FORMAT) {
+        throw new Error('Not a profile export file');
+    }
+    if (!(file.version <= EXPORT_VERSION)) {
+        throw new Error(`Unsupported profile file version: ${file.version}`);
+    }
+
+    const incoming = file.profiles || (file.profile ? [file.profile] : []);
+    if (!Array.isArray(incoming) || incoming.length === 0) {
+        throw new Error('The file contains no profiles');
+    }
+
+    const fileRuleSets = (Array.isArray(file.ruleSets) ? file.ruleSets : []).filter(ruleSet => ruleSet?.id);
+    const ruleSetIds = new Map();
+    fileRuleSets.forEach(ruleSet => {
+        const existing = getRuleSetById(ruleSet.id);
+        if (existing && !getVisibleRuleSet(ruleSet.id, user)) {
+            ruleSetIds.set(ruleSet.id, newRecordId('rules'));
+        }
+    });
+    const profileIds = new Map();
+    incoming.forEach(profile => {
+        const existing = profile?.id ? getStorage().get(COLLECTION, profile.id) : null;
+        if (existing && !isOwner(user, existing)) {
+            profileIds.set(profile.id, newRecordId('custom'));
+        }
+    });
+
+    const ruleSets = fileRuleSets
+        .filter(ruleSet => ruleSetIds.has(ruleSet.id) || !getRuleSetById(ruleSet.id))
+        .map(ruleSet => {
+            try {
+                return buildRuleSet({ ...ruleSet, id: ruleSetIds.get(ruleSet.id) || ruleSet.id }, user);
+            } catch (error) {
+                throw new Error(`Rule set "${ruleSet.name || ruleSet.id}": ${error.message}`);
+            }
+        });
+
+    const warnings = [];
+    const renamed = incoming.map(profile => {
+        if (!profile || typeof profile !== 'object') return profile;
+
+        const id = profileIds.get(profile.id) || profile.id;
+        if (id !== profile.id) {
+            warnings.push(`"${profile.name || profile.id}": ${profile.id} belongs to another account, so it was imported as ${id}`);
+        }
+        const copy = { ...profile, id, extends: profileIds.get(profile.extends) || profile.extends || null };
+        // Exports leave out sharing, so re-importing your own profile keeps its family group
+        const existing = getStorage().get(COLLECTION, id);
+        if (existing && profile.groupId === undefined) {
+            copy.groupId = existing.groupId || null;
+        }
+        if (Array.isArray(profile.ruleSets)) {
+            copy.ruleSets = profile.ruleSets.map(ruleSetId => ruleSetIds.get(ruleSetId) || ruleSetId);
+        }
+        return copy;
+    });
+
+    const pending = {
+        parents: new Map(renamed.filter(profile => profile?.id).map(profile => [profile.id, profile.extends || null])),
+        ruleSets: new Set(ruleSets.map(ruleSet => ruleSet.id))
+    };
+    const isKnownParent = id => pending.parents.has(id) || Boolean(getVisibleProfile(id, user));
+    const isKnownRuleSet = id => pending.ruleSets.has(id) || Boolean(getVisibleRuleSet(id, user));
+
+    const profiles = renamed.map((profile, index) => {
+        const label = profile?.name ? `"${profile.name}"` : `Profile ${index + 1}`;
+        try {
+            // Glossaries, parents and rule sets that aren't here or in the file are
+            // dropped rather than failing the import
+            const glossaryId = profile?.settings?.glossaryId;
+            if (glossaryId && !getVisibleGlossary(glossaryId, user)) {
+                warnings.push(`${label}: glossary ${glossaryId} doesn't exist here and was removed`);
+                profile = { ...profile, settings: { ...profile.settings, glossaryId: null } };
+            }
+            if (profile?.extends && !isKnownParent(profile.extends)) {
+                warnings.push(`${label}: parent profile ${profile.extends} doesn't exist here, so it no longer extends it`);
+                profile = { ...profile, extends: null };
+                if (profile.id) pending.parents.set(profile.id, null);
+            }
+            const missingSets = (profile?.ruleSets || []).filter(id => !isKnownRuleSet(id));
+            if (missingSets.length > 0) {
+                warnings.push(`${label}: rule set(s) ${missingSets.join(', ')} don't exist here and were removed`);
+                profile = { ...profile, ruleSets: profile.ruleSets.filter(id => isKnownRuleSet(id)) };
+            }
+            return buildProfile({ ...profile, id: profile?.id || newRecordId('custom') }, user, pending);
+        } catch (error) {
+            throw new Error(`${label}: ${error.message}`);
+        }
+    });
+
+    // An imported profile may leave a family group, so it can detach others' profiles too
+    const imported = detachingChildren(() => {
+        ruleSets.forEach(ruleSet => saveRuleSet(ruleSet, user));
+        return profiles.map(profile => {
+            const { profile: saved, status } = writeProfile(profile);
+            return { id: saved.id, name: saved.name, status };
+        });
+    });
 
-    const customProfiles = loadProfiles().filter(p => p.id !== id);
-    saveProfilesToFile(customProfiles);
+    return { imported, ruleSets: ruleSets.map(ruleSet => ruleSet.name), warnings };
 }
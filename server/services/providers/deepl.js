@@ -0,0 +1,121 @@
+import * as deepl from 'deepl-node';
+import { detectLanguage, toDeepLTarget } from './language.js';
+
+let deeplTranslator = null;
+
+function getDeepL() {
+    if (!deeplTranslator) {
+        const apiKey = process.env.DEEPL_API_KEY || '';
+        if (!apiKey) {
+            console.warn('DeepL API Key is missing!');
+        }
+        deeplTranslator = new deepl.Translator(apiKey);
+    }
+    return deeplTranslator;
+}
+
+// DeepL glossaries are immutable, so we keep one per local glossary + direction
+// and recreate it whenever the local glossary changes. The map holds the pending
+// creation, so segments translated in parallel share one glossary.
+const deeplGlossaries = new Map();
+let glossaryPairs = null;
+
+function getGlossaryPairs() {
+    if (!glossaryPairs) {
+        glossaryPairs = getDeepL().getGlossaryLanguagePairs().catch(error => {
+            glossaryPairs = null;
+            throw error;
+        });
+    }
+    return glossaryPairs;
+}
+
+function ensureGlossary(glossary, sourceLanguage, targetLanguage) {
+    const key = `${glossary.id}:${sourceLanguage}-${targetLanguage}`;
+    const cached = deeplGlossaries.get(key);
+    if (cached && cached.updatedAt === glossary.updatedAt) {
+        return cached.glossaryId;
+    }
+
+    const entries = {};
+    glossary.entries.forEach(entry => {
+        entries[entry[sourceLanguage]] = entry[targetLanguage];
+    });
+
+    const glossaryId = getDeepL().createGlossary(
+        `${glossary.name} (${key})`,
+        sourceLanguage,
+        targetLanguage,
+        new deepl.GlossaryEntries({ entries })
+    ).then(info => {
+        if (cached) {
+            cached.glossaryId
+                .then(staleId => getDeepL().deleteGlossary(staleId))
+                .catch(error => console.warn('Failed to delete stale DeepL glossary:', error.message));
+        }
+        return info.glossaryId;
+    }, error => {
+        // Let the next request try again
+        if (deeplGlossaries.get(key)?.glossaryId === glossaryId) {
+            deeplGlossaries.delete(key);
+        }
+        throw error;
+    });
+    deeplGlossaries.set(key, { glossaryId, updatedAt: glossary.updatedAt });
+
+    return glossaryId;
+}
+
+// DeepL provider - translation only, no free-form rewriting
+export const deeplProvider = {
+    id: 'deepl',
+    name: 'DeepL',
+    capabilities: { translate: true, rewrite: false, detect: true, formality: true, glossaries: true, streaming: false },
+
+    isConfigured() {
+        return !!process.env.DEEPL_API_KEY;
+    },
+
+    async supportsGlossary(sourceLanguage, targetLanguage) {
+        try {
+            const pairs = await getGlossaryPairs();
+            return pairs.some(p => p.sourceLang === sourceLanguage && p.targetLang === targetLanguage);
+        } catch (error) {
+            console.warn('Could not load DeepL glossary pairs:', error.message);
+            return false;
+        }
+    },
+
+    // `glossary` requires `sourceLanguage`; callers check supportsGlossary() first
+    // `context` is surrounding conversation that informs the translation but isn't translated
+    async translate(text, { sourceLanguage = null, targetLanguage, formality, glossary, context } = {}) {
+        const translator = getDeepL();
+        const target = toDeepLTarget(targetLanguage);
+        const baseOptions = context ? { context } : {};
+
+        if (glossary && sourceLanguage) {
+            baseOptions.glossary = await ensureGlossary(glossary, sourceLanguage, targetLanguage);
+        }
+
+        let result;
+        try {
+            // Only apply formality when translating TO Korean
+            const options = target === 'ko' && formality ? { ...baseOptions, formality } : baseOptions;
+            result = await translator.translateText(text, sourceLanguage, target, options);
+        } catch (e) {
+            if (!formality) throw e;
+            console.warn('Formality not supported, using default:', e.message);
+            result = await translator.translateText(text, sourceLanguage, target, baseOptions);
+        }
+
+        return { text: result.text };
+    },
+
+    async rewrite() {
+        throw new Error('DeepL does not support rewriting');
+    },
+
+    async detect(text) {
+        return detectLanguage(text);
+    }
+};
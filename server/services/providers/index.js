@@ -0,0 +1,73 @@
+import { deeplProvider } from './deepl.js';
+import { perplexityProvider } from './perplexity.js';
+import { mockProvider } from './mock.js';
+
+export { detectLanguage, languageName } from './language.js';
+
+// Provider registry - every provider implements translate, rewrite and detect
+const providers = new Map();
+
+export function registerProvider(provider) {
+    for (const method of ['translate', 'rewrite', 'detect']) {
+        if (typeof provider[method] !== 'function') {
+            throw new Error(`Provider "${provider.id}" must implement ${method}()`);
+        }
+    }
+    providers.set(provider.id, provider);
+}
+
+registerProvider(deeplProvider);
+registerProvider(perplexityProvider);
+registerProvider(mockProvider);
+
+export function getProvider(id) {
+    const provider = providers.get(id);
+    if (!provider) {
+        throw new Error(`Unknown provider: ${id}`);
+    }
+    return provider;
+}
+
+// Summary for the client - no secrets, just what is available
+export function listProviders() {
+    return Array.from(providers.values()).map(p => ({
+        id: p.id,
+        name: p.name,
+        capabilities: p.capabilities,
+        configured: p.isConfigured()
+    }));
+}
+
+// Defaults come from env; without keys we fall back to the offline mock provider
+export function getDefaultProviderIds() {
+    return {
+        translation: process.env.TRANSLATION_PROVIDER || (deeplProvider.isConfigured() ? 'deepl' : 'mock'),
+        rewrite: process.env.REWRITE_PROVIDER || (perplexityProvider.isConfigured() ? 'perplexity' : 'mock')
+    };
+}
+
+// Resolve translation and rewrite providers.
+// Precedence: explicit request > profile settings > environment defaults
+export function resolveProviders({ request = {}, settings = {} } = {}) {
+    const defaults = getDefaultProviderIds();
+
+    const translator = getCapableProvider(request.provider || settings.provider || defaults.translation, 'translate');
+    const rewriter = getCapableProvider(request.rewriteProvider || settings.rewriteProvider || defaults.rewrite, 'rewrite');
+
+    return { translator, rewriter };
+}
+
+function getCapableProvider(id, capability) {
+    const provider = getProvider(id);
+    if (!provider.capabilities[capability]) {
+        throw new Error(`Provider "${provider.id}" cannot ${capability}`);
+    }
+    return provider;
+}
+
+// Check the providers a request asks for, so a bad name is the caller's mistake
+// rather than a failure halfway through the pipeline
+export function checkRequestedProviders({ provider, rewriteProvider } = {}) {
+    if (provider) getCapableProvider(provider, 'translate');
+    if (rewriteProvider) getCapableProvider(rewriteProvider, 'rewrite');
+}
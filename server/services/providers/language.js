@@ -0,0 +1,21 @@
+// Shared language helpers used by every provider
+
+const KOREAN_CHAR_REGEX = /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/g;
+
+// Detect language (Korean or English) from the share of Hangul characters
+export function detectLanguage(text) {
+    const koreanChars = (text.match(KOREAN_CHAR_REGEX) || []).length;
+    const totalChars = text.replace(/\s/g, '').length;
+
+    if (totalChars === 0) return 'en';
+    return koreanChars / totalChars > 0.3 ? 'ko' : 'en';
+}
+
+// Providers speak 'ko' / 'en'; DeepL wants a regional variant for English targets
+export function toDeepLTarget(language) {
+    return language === 'en' ? 'en-US' : language;
+}
+
+export function languageName(language) {
+    return language === 'ko' ? 'Korean' : 'English';
+}
@@ -0,0 +1,101 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { detectLanguage } from './language.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DICTIONARY_FILE = join(__dirname, '../../data/mock-dictionary.json');
+
+const MAX_PHRASE_WORDS = 4;
+const KOREAN_PARTICLES = ['에서', '에게', '께서', '한테', '이랑', '은', '는', '이', '가', '을', '를', '에', '도', '랑', '요'];
+
+let dictionary = null;
+
+function getDictionary() {
+    if (!dictionary) {
+        dictionary = JSON.parse(readFileSync(DICTIONARY_FILE, 'utf-8'));
+    }
+    return dictionary;
+}
+
+// Split a token into its word and any trailing punctuation
+function splitPunctuation(token) {
+    const match = token.match(/^(.*?)([.,!?~…]*)$/);
+    return { word: match[1], punctuation: match[2] };
+}
+
+// Look up a single Korean word, retrying with a trailing particle removed
+function lookupKoreanWord(entries, word) {
+    if (entries[word]) return entries[word];
+
+    const particle = KOREAN_PARTICLES.find(p => word.length > p.length && word.endsWith(p));
+    return particle ? entries[word.slice(0, -particle.length)] : undefined;
+}
+
+// Greedy longest-phrase dictionary translation; unknown words pass through unchanged
+function translateWithDictionary(text, sourceLanguage) {
+    const entries = getDictionary()[sourceLanguage] || {};
+    const tokens = text.split(/\s+/).filter(t => t.length > 0);
+    const output = [];
+
+    let i = 0;
+    while (i < tokens.length) {
+        let matched = false;
+
+        for (let size = Math.min(MAX_PHRASE_WORDS, tokens.length - i); size > 0; size--) {
+            const slice = tokens.slice(i, i + size);
+            const { punctuation } = splitPunctuation(slice[slice.length - 1]);
+            const phrase = slice.map(t => splitPunctuation(t).word).join(' ');
+            const key = sourceLanguage === 'en' ? phrase.toLowerCase() : phrase;
+
+            const translation = size === 1 && sourceLanguage === 'ko'
+                ? lookupKoreanWord(entries, key)
+                : entries[key];
+
+            if (translation) {
+                output.push(translation + punctuation);
+                i += size;
+                matched = true;
+                break;
+            }
+        }
+
+        if (!matched) {
+            output.push(tokens[i]);
+            i++;
+        }
+    }
+
+    const result = output.join(' ');
+    return sourceLanguage === 'ko' && result
+        ? result.charAt(0).toUpperCase() + result.slice(1)
+        : result;
+}
+
+// Offline, deterministic provider backed by a small dictionary - no API keys or network needed
+export const mockProvider = {
+    id: 'mock',
+    name: 'Offline Dictionary',
+    capabilities: { translate: true, rewrite: true, detect: true, formality: false, glossaries: false, streaming: false },
+
+    isConfigured() {
+        return true;
+    },
+
+    async translate(text, { sourceLanguage, targetLanguage } = {}) {
+        const source = sourceLanguage || detectLanguage(text);
+        if (source === targetLanguage) {
+            return { text };
+        }
+        return { text: translateWithDictionary(text, source) };
+    },
+
+    // No model to follow instructions, so the input text is returned as-is
+    async rewrite(prompt, { text } = {}) {
+        return text ?? prompt;
+    },
+
+    async detect(text) {
+        return detectLanguage(text);
+    }
+};
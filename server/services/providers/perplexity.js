@@ -0,0 +1,79 @@
+import OpenAI from 'openai';
+import { detectLanguage, languageName } from './language.js';
+
+let perplexityClient = null;
+
+function getPerplexity() {
+    if (!perplexityClient) {
+        const apiKey = process.env.PERPLEXITY_API_KEY || '';
+        if (!apiKey) {
+            console.warn('Perplexity API Key is missing!');
+        }
+        perplexityClient = new OpenAI({
+            apiKey: apiKey,
+            baseURL: 'https://api.perplexity.ai'
+        });
+    }
+    return perplexityClient;
+}
+
+// Strip quotes the model likes to wrap its answer in
+function cleanCompletion(content) {
+    return content.trim().replace(/^["']|["']$/g, '').trim();
+}
+
+// Perplexity provider - LLM rewriting, with prompt-based translation as a fallback engine
+export const perplexityProvider = {
+    id: 'perplexity',
+    name: 'Perplexity',
+    capabilities: { translate: true, rewrite: true, detect: true, formality: false, glossaries: false, streaming: true },
+
+    isConfigured() {
+        return !!process.env.PERPLEXITY_API_KEY;
+    },
+
+    async translate(text, { targetLanguage, onDelta, context } = {}) {
+        const conversation = context
+            ? `CONVERSATION SO FAR (for pronouns, tone and topic only - do not translate it):\n${context}\n\n`
+            : '';
+        const prompt = `Translate the following text into ${languageName(targetLanguage)}.
+Return ONLY the translation, nothing else.
+
+${conversation}TEXT:
+"${text}"`;
+
+        const translated = await this.rewrite(prompt, { text, temperature: 0.3, onDelta });
+        return { text: translated };
+    },
+
+    // `prompt` is the full instruction; `options.text` is the raw input, used by non-LLM providers.
+    // With `onDelta` the completion is streamed and the text so far is reported as it arrives.
+    async rewrite(prompt, { maxTokens = 500, temperature = 0.7, onDelta } = {}) {
+        const request = {
+            model: 'sonar',
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: maxTokens,
+            temperature
+        };
+
+        if (!onDelta) {
+            const response = await getPerplexity().chat.completions.create(request);
+            return cleanCompletion(response.choices[0].message.content);
+        }
+
+        const stream = await getPerplexity().chat.completions.create({ ...request, stream: true });
+        let content = '';
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (!delta) continue;
+            content += delta;
+            onDelta(content.trimStart().replace(/^["']/, ''));
+        }
+
+        return cleanCompletion(content);
+    },
+
+    async detect(text) {
+        return detectLanguage(text);
+    }
+};
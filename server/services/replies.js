@@ -0,0 +1,92 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { isNonEmptyString } from './json.js';
+import { SPEECH_LEVELS } from './speech-level.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMPLATES_FILE = join(__dirname, '../data/reply-templates.json');
+
+export const REPLY_COUNT = 3;
+
+// When no template topic matches the message
+const GENERIC_REPLIES = [
+    { text: 'Thank you for your message! I\'m doing well.', tone: 'warm', note: 'Friendly all-purpose answer' },
+    { text: 'Don\'t worry about me - everything is fine here.', tone: 'reassuring', note: 'Eases a parent\'s worry' },
+    { text: 'Sorry for the late reply! I\'ll call you soon.', tone: 'apologetic', note: 'Good when you\'ve been slow to answer' }
+];
+
+let templates = null;
+
+function getTemplates() {
+    if (!templates) {
+        templates = JSON.parse(readFileSync(TEMPLATES_FILE, 'utf-8'));
+    }
+    return templates;
+}
+
+// Validate suggestions against the response shape: { text, tone, note }.
+// Unknown keys are dropped; anything missing rejects the whole list.
+export function validateReplies(data) {
+    if (!Array.isArray(data)) {
+        throw new Error('Replies must be an array');
+    }
+
+    const seen = new Set();
+    const replies = [];
+
+    data.forEach((reply, i) => {
+        if (!reply || typeof reply !== 'object') {
+            throw new Error(`Reply ${i} must be an object`);
+        }
+        for (const key of ['text', 'tone', 'note']) {
+            if (!isNonEmptyString(reply[key])) {
+                throw new Error(`Reply ${i} is missing "${key}"`);
+            }
+        }
+
+        const text = reply.text.trim();
+        if (seen.has(text.toLowerCase())) return;
+        seen.add(text.toLowerCase());
+
+        replies.push({ text, tone: reply.tone.trim().toLowerCase(), note: reply.note.trim() });
+    });
+
+    if (replies.length < REPLY_COUNT) {
+        throw new Error(`Expected ${REPLY_COUNT} distinct replies, got ${replies.length}`);
+    }
+
+    return replies.slice(0, REPLY_COUNT);
+}
+
+// Offline suggestions from the bundled templates, picked by the message's topic
+export function getLocalReplies(message) {
+    const template = getTemplates().find(t => t.keywords.some(keyword => message.includes(keyword)));
+    return template ? template.replies : GENERIC_REPLIES;
+}
+
+// `kinship` (the sender's terms from kinship.js) names who wrote the message; the
+// caller takes `speechLevel` from it when there is one
+export function buildRepliesPrompt(message, profile, speechLevel, kinship = null) {
+    const profileText = profile ? `${profile.name}: ${profile.description}` : 'None';
+    const levelText = speechLevel ? `\nTheir reply will be sent in Korean ${SPEECH_LEVELS[speechLevel]}.` : '';
+    const sender = kinship ? kinship.label : 'parent';
+
+    return `You are helping an English-speaking adult child reply to a message from their Korean ${sender}.
+
+${sender.toUpperCase()}'S MESSAGE (Korean):
+"${message}"
+
+ACTIVE PROFILE:
+${profileText}${levelText}
+
+Suggest ${REPLY_COUNT} short replies in English (one or two sentences each), each with a clearly different tone
+(for example reassuring, playful, apologetic, warm). Keep them natural and kind, and easy to translate into Korean.
+
+Respond with ONLY a JSON array, no prose. Each item:
+{
+  "text": "the reply in English",
+  "tone": "one-word tone label",
+  "note": "short English note on when this tone fits"
+}`;
+}
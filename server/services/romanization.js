@@ -0,0 +1,223 @@
+// Revised Romanization of Korean, done locally from the Hangul syllable blocks.
+// The sound changes RR writes out (liaison, palatalization, aspiration, nasalization
+// and the ㄹ assimilations) are applied within each word. Tensification is not
+// written in RR, so it only shows up in the simplified pronunciation line. Neither
+// is aspiration of ㄱ/ㄷ/ㅂ before ㅎ in nouns (입학 → iphak, 축하 → chukha); it is
+// only written before the 히/혀/혔 of verbs and adverbs (잡혀 → japyeo, 급히 → geupi).
+
+const SYLLABLE_BASE = 0xAC00;
+const SYLLABLE_LAST = 0xD7A3;
+
+const INITIALS = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const FINALS = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// Vowels by medial index: Revised Romanization, and a respelling for English readers
+const VOWELS = [
+    ['a', 'ah'], ['ae', 'eh'], ['ya', 'yah'], ['yae', 'yeh'], ['eo', 'uh'], ['e', 'eh'], ['yeo', 'yuh'],
+    ['ye', 'yeh'], ['o', 'oh'], ['wa', 'wah'], ['wae', 'weh'], ['oe', 'weh'], ['yo', 'yoh'], ['u', 'oo'],
+    ['wo', 'wuh'], ['we', 'weh'], ['wi', 'wee'], ['yu', 'yoo'], ['eu', 'eu'], ['ui', 'ee'], ['i', 'ee']
+];
+const MEDIAL_I = 20;
+const MEDIAL_YEO = 6;
+
+const INITIAL_SOUNDS = {
+    'ㄱ': 'g', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 'd', 'ㄸ': 'tt', 'ㄹ': 'r', 'ㅁ': 'm', 'ㅂ': 'b', 'ㅃ': 'pp', 'ㅅ': 's',
+    'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'j', 'ㅉ': 'jj', 'ㅊ': 'ch', 'ㅋ': 'k', 'ㅌ': 't', 'ㅍ': 'p', 'ㅎ': 'h'
+};
+const FINAL_SOUNDS = { '': '', 'ㄱ': 'k', 'ㄴ': 'n', 'ㄷ': 't', 'ㄹ': 'l', 'ㅁ': 'm', 'ㅂ': 'p', 'ㅇ': 'ng' };
+
+// Compound finals split into the part that stays and the part that can move on
+const COMPOUND_FINALS = {
+    'ㄳ': ['ㄱ', 'ㅅ'], 'ㄵ': ['ㄴ', 'ㅈ'], 'ㄶ': ['ㄴ', 'ㅎ'], 'ㄺ': ['ㄹ', 'ㄱ'], 'ㄻ': ['ㄹ', 'ㅁ'],
+    'ㄼ': ['ㄹ', 'ㅂ'], 'ㄽ': ['ㄹ', 'ㅅ'], 'ㄾ': ['ㄹ', 'ㅌ'], 'ㄿ': ['ㄹ', 'ㅍ'], 'ㅀ': ['ㄹ', 'ㅎ'], 'ㅄ': ['ㅂ', 'ㅅ']
+};
+
+// Only seven sounds can close a syllable
+const NEUTRAL_FINALS = {
+    'ㄲ': 'ㄱ', 'ㅋ': 'ㄱ', 'ㄳ': 'ㄱ', 'ㄺ': 'ㄱ',
+    'ㄵ': 'ㄴ', 'ㄶ': 'ㄴ',
+    'ㅅ': 'ㄷ', 'ㅆ': 'ㄷ', 'ㅈ': 'ㄷ', 'ㅊ': 'ㄷ', 'ㅌ': 'ㄷ', 'ㅎ': 'ㄷ',
+    'ㄼ': 'ㄹ', 'ㄽ': 'ㄹ', 'ㄾ': 'ㄹ', 'ㅀ': 'ㄹ',
+    'ㄻ': 'ㅁ',
+    'ㅍ': 'ㅂ', 'ㅄ': 'ㅂ', 'ㄿ': 'ㅂ'
+};
+
+const ASPIRATED = { 'ㄱ': 'ㅋ', 'ㄷ': 'ㅌ', 'ㅂ': 'ㅍ', 'ㅈ': 'ㅊ' };
+const NASALIZED = { 'ㄱ': 'ㅇ', 'ㄷ': 'ㄴ', 'ㅂ': 'ㅁ' };
+const TENSED = { 'ㄱ': 'ㄲ', 'ㄷ': 'ㄸ', 'ㅂ': 'ㅃ', 'ㅅ': 'ㅆ', 'ㅈ': 'ㅉ' };
+
+function isSyllable(char) {
+    const code = char.charCodeAt(0);
+    return code >= SYLLABLE_BASE && code <= SYLLABLE_LAST;
+}
+
+function decompose(char) {
+    const offset = char.charCodeAt(0) - SYLLABLE_BASE;
+    return {
+        initial: INITIALS[Math.floor(offset / (21 * 28))],
+        medial: Math.floor(offset / 28) % 21,
+        final: FINALS[offset % 28]
+    };
+}
+
+function neutralize(final) {
+    return NEUTRAL_FINALS[final] || final;
+}
+
+// Apply the sound changes between one syllable's final and the next one's initial.
+// `spoken` applies every change as pronounced; otherwise only those RR writes.
+function joinSyllables(current, next, spoken) {
+    const final = current.final;
+    if (!final) return;
+
+    // Liaison: a final carries over into a following silent ㅇ
+    if (next.initial === 'ㅇ') {
+        if (final === 'ㅇ') return;
+        if (final === 'ㅎ') {
+            current.final = '';
+            return;
+        }
+
+        const [stays, moves] = COMPOUND_FINALS[final] || ['', final];
+
+        // The ㅎ of ㄶ/ㅀ goes silent and the other consonant moves (많아 → 마나)
+        if (moves === 'ㅎ') {
+            current.final = '';
+            next.initial = stays;
+            return;
+        }
+        current.final = stays;
+
+        // Palatalization: ㄷ/ㅌ before 이 (같이 → 가치)
+        if (next.medial === MEDIAL_I && (moves === 'ㄷ' || moves === 'ㅌ')) {
+            next.initial = moves === 'ㄷ' ? 'ㅈ' : 'ㅊ';
+        } else {
+            next.initial = moves;
+        }
+        return;
+    }
+
+    // A final ㅎ aspirates the next consonant (좋다 → 조타)
+    if (final === 'ㅎ' || final === 'ㄶ' || final === 'ㅀ') {
+        const stays = final === 'ㅎ' ? '' : COMPOUND_FINALS[final][0];
+        if (ASPIRATED[next.initial]) {
+            next.initial = ASPIRATED[next.initial];
+            current.final = stays;
+            return;
+        }
+        if (next.initial === 'ㅅ') {
+            next.initial = 'ㅆ';
+            current.final = stays;
+            return;
+        }
+        current.final = stays || (next.initial === 'ㄴ' ? 'ㄴ' : 'ㄷ');
+    }
+
+    // ...and so does a following ㅎ (축하 → 추카), with ㄷ before 히 palatalized (굳히다 → 구치다)
+    if (next.initial === 'ㅎ') {
+        const [stays, moves] = COMPOUND_FINALS[current.final] || ['', current.final];
+        let sound = ['ㅈ', 'ㅊ'].includes(moves) ? 'ㅈ' : neutralize(moves);
+        if (sound === 'ㄷ' && next.medial === MEDIAL_I) sound = 'ㅈ';
+
+        const suffix = next.medial === MEDIAL_I || (next.medial === MEDIAL_YEO && ['', 'ㅆ'].includes(next.final));
+        const written = sound === 'ㅈ' || suffix;
+        if (ASPIRATED[sound] && (spoken || written)) {
+            next.initial = ASPIRATED[sound];
+            current.final = stays;
+            return;
+        }
+    }
+
+    current.final = neutralize(current.final);
+
+    // ㄹ assimilation (신라 → 실라, 설날 → 설랄) and ㄹ → ㄴ after other consonants (음료 → 음뇨)
+    if (next.initial === 'ㄹ') {
+        if (current.final === 'ㄴ') {
+            current.final = 'ㄹ';
+        } else if (current.final !== 'ㄹ') {
+            next.initial = 'ㄴ';
+        }
+    } else if (next.initial === 'ㄴ' && current.final === 'ㄹ') {
+        next.initial = 'ㄹ';
+    }
+
+    // Nasalization: stops before ㄴ/ㅁ (합니다 → 함니다, 독립 → 동닙)
+    if ((next.initial === 'ㄴ' || next.initial === 'ㅁ') && NASALIZED[current.final]) {
+        current.final = NASALIZED[current.final];
+    }
+}
+
+// Syllables of a Hangul run as pronounced (or, unless `spoken`, as RR writes
+// them), with `tensed` set where a stop final makes the next consonant tense (학교 → 학꾜)
+function pronouncedSyllables(run, spoken) {
+    const syllables = [...run].map(decompose);
+
+    for (let i = 0; i < syllables.length - 1; i++) {
+        joinSyllables(syllables[i], syllables[i + 1], spoken);
+    }
+    syllables.forEach(syllable => { syllable.final = neutralize(syllable.final); });
+
+    for (let i = 1; i < syllables.length; i++) {
+        const previous = syllables[i - 1].final;
+        if (['ㄱ', 'ㄷ', 'ㅂ'].includes(previous) && TENSED[syllables[i].initial]) {
+            syllables[i].tensed = TENSED[syllables[i].initial];
+        }
+    }
+
+    return syllables;
+}
+
+// ㄹ after a final ㄹ is an "l" (설날 → seollal), otherwise "r"
+function initialSound(initial, previous) {
+    return initial === 'ㄹ' && previous?.final === 'ㄹ' ? 'l' : INITIAL_SOUNDS[initial];
+}
+
+// Revised Romanization of one Hangul run
+function romanizeRun(run) {
+    return pronouncedSyllables(run, false).map((syllable, i, syllables) => {
+        const initial = initialSound(syllable.initial, syllables[i - 1]);
+        return initial + VOWELS[syllable.medial][0] + FINAL_SOUNDS[syllable.final];
+    }).join('');
+}
+
+// Hyphenated respelling of one Hangul run, tense consonants included
+function pronounceRun(run) {
+    return pronouncedSyllables(run, true).map((syllable, i, syllables) => {
+        const initial = initialSound(syllable.tensed || syllable.initial, syllables[i - 1]);
+        // 의 is only "ui" at the start of a word
+        const vowel = i === 0 && syllable.medial === 19 ? 'ui' : VOWELS[syllable.medial][1];
+        return initial + vowel + FINAL_SOUNDS[syllable.final];
+    }).join('-');
+}
+
+// Replace each run of Hangul syllables, leaving spaces, punctuation and Latin text alone
+function convertHangul(text, convert) {
+    let output = '';
+    let run = '';
+
+    for (const char of text) {
+        if (isSyllable(char)) {
+            run += char;
+            continue;
+        }
+        if (run) output += convert(run);
+        run = '';
+        output += char;
+    }
+    if (run) output += convert(run);
+
+    return output;
+}
+
+export function romanize(text) {
+    return convertHangul(text, romanizeRun);
+}
+
+// A simplified pronunciation for English readers, e.g. 감사합니다 → gahm-sah-hahm-nee-dah
+export function pronounce(text) {
+    return convertHangul(text, pronounceRun);
+}
+
+export function hasHangul(text) {
+    return [...(text || '')].some(isSyllable);
+}
@@ -0,0 +1,133 @@
+import { getStorage, newRecordId } from './storage/index.js';
+import { profilesUsingRuleSet } from './profiles.js';
+import { canSee, isOwner } from './accounts.js';
+
+// Named, reusable lists of rewrite rules that profiles can include by id.
+// Custom rule sets are kept in this storage collection, each owned by the user
+// who made it; the defaults live in code.
+const COLLECTION = 'rule-sets';
+
+const MAX_RULES = 50;
+
+export const DEFAULT_RULE_SETS = [
+    {
+        id: 'no-slang',
+        name: 'No slang',
+        description: 'Keep the wording clean and widely understood',
+        rules: [
+            'Replace slang, internet abbreviations and swearing with plain everyday words',
+            'Spell out abbreviations like "lol", "idk" and "btw"'
+        ],
+        isDefault: true,
+        canDelete: false
+    },
+    {
+        id: 'add-emoji',
+        name: 'Add emoji',
+        description: 'A warmer, chattier tone for family group chats',
+        rules: [
+            'Add one or two fitting emoji to the message, never in the middle of a sentence',
+            'Keep the message itself unchanged apart from the emoji'
+        ],
+        isDefault: true,
+        canDelete: false
+    },
+    {
+        id: 'gyeongsang-friendly',
+        name: 'Gyeongsang-friendly',
+        description: 'Plain, direct phrasing that reads naturally to relatives from Gyeongsang-do',
+        rules: [
+            'Prefer short, direct sentences over long roundabout ones',
+            'Avoid Seoul-specific trendy expressions and loanwords where a plain Korean word exists',
+            'Keep affection in the content rather than in exaggerated politeness'
+        ],
+        isDefault: true,
+        canDelete: false
+    }
+];
+
+// Get the rule sets `user` can use (defaults + their own)
+export function getRuleSets(user = null) {
+    return [...DEFAULT_RULE_SETS, ...getStorage().list(COLLECTION).filter(set => canSee(user, set))];
+}
+
+// Any rule set by id - a profile keeps using the rule sets it was saved with
+export function getRuleSetById(id) {
+    return DEFAULT_RULE_SETS.find(set => set.id === id) || getStorage().get(COLLECTION, id);
+}
+
+export function getVisibleRuleSet(id, user = null) {
+    const ruleSet = getRuleSetById(id);
+    return ruleSet?.isDefault || canSee(user, ruleSet) ? ruleSet : null;
+}
+
+function normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Rule set rules must be a list');
+    }
+
+    const normalized = rules.map(rule => String(rule || '').trim()).filter(Boolean);
+    if (normalized.length === 0) {
+        throw new Error('A rule set needs at least one rule');
+    }
+    if (normalized.length > MAX_RULES) {
+        throw new Error(`A rule set can have at most ${MAX_RULES} rules`);
+    }
+    return normalized;
+}
+
+// Check a rule set and build the record to store for `user`; nothing is written yet
+export function buildRuleSet(ruleSet, user = null) {
+    const name = String(ruleSet?.name || '').trim();
+    if (!name) {
+        throw new Error('Rule set must have a name');
+    }
+    if (DEFAULT_RULE_SETS.some(set => set.id === ruleSet.id)) {
+        throw new Error('Default rule sets cannot be changed');
+    }
+    if (ruleSet.id && !/^[A-Za-z0-9_-]{1,64}$/.test(ruleSet.id)) {
+        throw new Error(`Invalid rule set id: ${ruleSet.id}`);
+    }
+
+    const existing = ruleSet.id ? getStorage().get(COLLECTION, ruleSet.id) : null;
+    if (existing && !isOwner(user, existing)) {
+        throw new Error('Only the owner can change this rule set');
+    }
+
+    return {
+        id: ruleSet.id || newRecordId('rules'),
+        name,
+        description: String(ruleSet.description || '').trim(),
+        rules: normalizeRules(ruleSet.rules),
+        ownerId: user?.id || null,
+        isDefault: false,
+        canDelete: true,
+        updatedAt: Date.now()
+    };
+}
+
+// Create or update a custom rule set
+export function saveRuleSet(ruleSet, user = null) {
+    return getStorage().put(COLLECTION, buildRuleSet(ruleSet, user));
+}
+
+// Rule sets still included by a profile (anyone's) can't be deleted
+export function deleteRuleSet(id, user = null) {
+    const ruleSet = getVisibleRuleSet(id, user);
+    if (!ruleSet) {
+        throw new Error('Rule set not found');
+    }
+    if (!ruleSet.canDelete) {
+        throw new Error('Cannot delete default rule sets');
+    }
+    if (!isOwner(user, ruleSet)) {
+        throw new Error('Only the owner can delete this rule set');
+    }
+
+    const users = profilesUsingRuleSet(id);
+    if (users.length > 0) {
+        throw new Error(`Rule set is used by: ${users.map(profile => profile.name).join(', ')}`);
+    }
+
+    getStorage().remove(COLLECTION, id);
+}
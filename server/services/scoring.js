@@ -0,0 +1,187 @@
+// Accuracy scoring for back-translations.
+// Korean glues particles and endings onto stems (엄마가 / 엄마는), so whole-token
+// overlap is meaningless there. We compare stems plus character n-grams (chrF),
+// with separate normalization for Korean and English.
+
+// Longest first so "에서는" is stripped before "는"
+export const KOREAN_PARTICLES = [
+    '에게서', '한테서', '으로서', '으로써', '에서는', '에서도', '께서는', '이라고', '이랑은',
+    '에게', '한테', '께서', '에서', '으로', '부터', '까지', '처럼', '보다', '이랑', '하고', '마다',
+    '조차', '밖에', '만큼', '이나', '이라', '은', '는', '이', '가', '을', '를', '에', '와', '과',
+    '도', '만', '의', '로', '랑', '께', '나'
+].sort((a, b) => b.length - a.length);
+
+const KOREAN_ENDINGS = [
+    '었습니다', '았습니다', '겠습니다', '셨어요', '었어요', '았어요', '했어요', '할게요', '을게요',
+    '습니다', '합니다', '입니다', '세요', '어요', '아요', '해요', '예요', '이에요', '네요', '군요',
+    '는데', '은데', '지만', '어서', '아서', '해서', '니까', '하고', '했다', '한다', '하다', '었다', '았다',
+    '고', '다', '요', '죠', '지', '어', '아', '해'
+].sort((a, b) => b.length - a.length);
+
+const KOREAN_STOPWORDS = new Set(['저', '제', '나', '내', '너', '그', '이', '저희', '우리', '것', '거', '좀', '수', '등']);
+
+const ENGLISH_STOPWORDS = new Set([
+    'a', 'an', 'the', 'is', 'am', 'are', 'was', 'were', 'be', 'been', 'being', 'to', 'of', 'and', 'or',
+    'in', 'on', 'at', 'for', 'with', 'by', 'from', 'it', 'its', 'that', 'this', 'these', 'those',
+    'i', 'you', 'he', 'she', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his',
+    'our', 'their', 'do', 'does', 'did', 'so', 'very', 'just', 'will', 'would', 'can', 'could',
+    'have', 'has', 'had', 'not', "i'm", "it's", "you're", 'im'
+]);
+
+const WEIGHTS = { content: 0.5, chrf: 0.35, length: 0.15 };
+const CHRF_BETA = 2;
+
+// Strip one particle or ending, keeping at least one syllable of stem
+export function koreanStem(word) {
+    const suffix = [...KOREAN_PARTICLES, ...KOREAN_ENDINGS]
+        .find(s => word.length > s.length && word.endsWith(s));
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+// Very light English stemming - enough that "calls"/"called"/"calling" meet
+export function englishStem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+// Content words as { word, stem } pairs, stopwords removed
+export function contentWords(text, language) {
+    const cleaned = text.toLowerCase().replace(/[^\w\s가-힣']/g, ' ');
+    const words = cleaned.split(/\s+/).map(w => w.replace(/^'+|'+$/g, '')).filter(w => w.length > 0);
+
+    if (language === 'ko') {
+        return words
+            .map(word => ({ word, stem: koreanStem(word) }))
+            .filter(({ stem }) => !KOREAN_STOPWORDS.has(stem));
+    }
+
+    return words
+        .filter(word => !ENGLISH_STOPWORDS.has(word))
+        .map(word => ({ word, stem: englishStem(word) }));
+}
+
+function ngramCounts(text, n) {
+    const counts = new Map();
+    for (let i = 0; i + n <= text.length; i++) {
+        const gram = text.slice(i, i + n);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+}
+
+// chrF: character n-gram F-score averaged over n = 1..maxN, whitespace ignored
+export function chrF(hypothesis, reference, maxN) {
+    const hyp = hypothesis.toLowerCase().replace(/\s+/g, '');
+    const ref = reference.toLowerCase().replace(/\s+/g, '');
+
+    let precisionSum = 0;
+    let recallSum = 0;
+    let orders = 0;
+
+    for (let n = 1; n <= maxN; n++) {
+        const hypCounts = ngramCounts(hyp, n);
+        const refCounts = ngramCounts(ref, n);
+        const hypTotal = Math.max(0, hyp.length - n + 1);
+        const refTotal = Math.max(0, ref.length - n + 1);
+        if (hypTotal === 0 || refTotal === 0) continue;
+
+        let overlap = 0;
+        for (const [gram, count] of hypCounts) {
+            overlap += Math.min(count, refCounts.get(gram) || 0);
+        }
+
+        precisionSum += overlap / hypTotal;
+        recallSum += overlap / refTotal;
+        orders++;
+    }
+
+    if (orders === 0) return 0;
+
+    const precision = precisionSum / orders;
+    const recall = recallSum / orders;
+    if (precision === 0 && recall === 0) return 0;
+
+    const beta2 = CHRF_BETA * CHRF_BETA;
+    return ((1 + beta2) * precision * recall) / (beta2 * precision + recall);
+}
+
+function explain(score) {
+    if (score >= 85) return 'Excellent semantic preservation';
+    if (score >= 70) return 'Good meaning retention with minor variations';
+    if (score >= 50) return 'Moderate similarity - some nuances may differ';
+    return 'Translation may have significant interpretation';
+}
+
+// Calculate text similarity score (0-100) with per-component sub-scores
+// and the content words that did not survive the round trip
+export function calculateTextSimilarity(original, backTranslation, language = 'en') {
+    const originalWords = contentWords(original, language);
+    const backWords = contentWords(backTranslation, language);
+
+    if (originalWords.length === 0 || backWords.length === 0) {
+        return {
+            score: 0,
+            explanation: 'Unable to compare texts',
+            components: { content: 0, chrf: 0, length: 0 },
+            lostWords: [],
+            reasons: []
+        };
+    }
+
+    // Stem overlap as F1 over sets
+    const originalStems = new Set(originalWords.map(w => w.stem));
+    const backStems = new Set(backWords.map(w => w.stem));
+    let shared = 0;
+    for (const stem of originalStems) {
+        if (backStems.has(stem)) shared++;
+    }
+    const precision = shared / backStems.size;
+    const recall = shared / originalStems.size;
+    const content = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    // Hangul syllables carry more information than Latin letters, so use shorter n-grams
+    const chrf = chrF(backTranslation, original, language === 'ko' ? 3 : 4);
+
+    const length = Math.min(originalWords.length, backWords.length) /
+        Math.max(originalWords.length, backWords.length);
+
+    const components = {
+        content: Math.round(content * 100),
+        chrf: Math.round(chrf * 100),
+        length: Math.round(length * 100)
+    };
+
+    const score = Math.round(
+        components.content * WEIGHTS.content +
+        components.chrf * WEIGHTS.chrf +
+        components.length * WEIGHTS.length
+    );
+
+    const lostWords = [...new Set(originalWords
+        .filter(w => !backStems.has(w.stem))
+        .map(w => w.word))];
+
+    const reasons = [];
+    if (lostWords.length > 0) {
+        reasons.push(`${lostWords.length} content word(s) missing from the back-translation`);
+    }
+    if (components.chrf < 50) {
+        reasons.push('Low character overlap - wording changed substantially');
+    }
+    if (components.length < 70) {
+        reasons.push(backWords.length < originalWords.length
+            ? 'Back-translation is much shorter than the original'
+            : 'Back-translation is much longer than the original');
+    }
+
+    return {
+        score: Math.min(100, Math.max(0, score)),
+        explanation: explain(score),
+        components,
+        lostWords,
+        reasons
+    };
+}
@@ -0,0 +1,86 @@
+// Sentence segmentation for Korean and English, preserving line breaks
+
+// Abbreviations that end in a period but don't end a sentence
+const ENGLISH_ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'approx']);
+
+function isSentenceEnd(text, index, language) {
+    const char = text[index];
+    const next = text[index + 1];
+
+    // Punctuation only ends a sentence when followed by whitespace or the end of text
+    if (/[.!?…。]/.test(char)) {
+        if (next !== undefined && !/\s/.test(next)) return false;
+        if (char === '.' && language === 'en') {
+            const word = text.slice(0, index).split(/\s+/).pop().toLowerCase();
+            if (ENGLISH_ABBREVIATIONS.has(word)) return false;
+        }
+        return true;
+    }
+
+    // Korean often skips punctuation in chat: treat strong final endings (-요, -니다, -니까)
+    // followed by a space and more Hangul as a boundary
+    if (language === 'ko' && next !== undefined && /\s/.test(next)) {
+        const before = text.slice(Math.max(0, index - 1), index + 1);
+        const after = text.slice(index + 1).trimStart();
+        return (char === '요' || before === '니다' || before === '니까') && /^[가-힣]/.test(after);
+    }
+
+    return false;
+}
+
+// Split text into segments. Each segment keeps the whitespace that followed it in
+// `separator`, so segments.map(s => s.text + s.separator).join('') rebuilds the input.
+export function segmentText(text, language) {
+    const segments = [];
+    let start = 0;
+    let i = 0;
+
+    const push = (end) => {
+        const chunk = text.slice(start, end);
+        const trimmed = chunk.trim();
+        if (!trimmed) return;
+
+        const leading = chunk.slice(0, chunk.indexOf(trimmed));
+        if (segments.length > 0) {
+            segments[segments.length - 1].separator += leading;
+        }
+        segments.push({ text: trimmed, separator: chunk.slice(leading.length + trimmed.length) });
+    };
+
+    while (i < text.length) {
+        if (text[i] === '\n') {
+            push(i);
+            // Attach the line break(s) to the previous segment's separator
+            let end = i;
+            while (end < text.length && /\s/.test(text[end])) end++;
+            if (segments.length > 0) {
+                segments[segments.length - 1].separator += text.slice(i, end);
+            }
+            start = end;
+            i = end;
+            continue;
+        }
+
+        if (isSentenceEnd(text, i, language)) {
+            // Swallow repeated punctuation ("?!", "...")
+            let end = i + 1;
+            while (end < text.length && /[.!?…。~]/.test(text[end])) end++;
+            let after = end;
+            while (after < text.length && text[after] !== '\n' && /\s/.test(text[after])) after++;
+
+            push(after);
+            start = after;
+            i = after;
+            continue;
+        }
+
+        i++;
+    }
+
+    push(text.length);
+    return segments;
+}
+
+export function joinSegments(segments, key = 'text') {
+    return segments.map(s => s[key] + s.separator).join('').trim();
+}
@@ -0,0 +1,109 @@
+// Rule-based Korean speech level (존댓말/반말) analysis from sentence endings
+
+// Korean speech levels a profile can target
+export const SPEECH_LEVELS = {
+    hapsyo: '합쇼체 (formal polite, -습니다/-습니까)',
+    haeyo: '해요체 (informal polite, -요)',
+    banmal: '반말 (casual, -아/-어)'
+};
+
+// Checked in order - 합쇼체 first so "-니다" isn't read as plain "-다"
+const ENDING_RULES = [
+    { level: 'hapsyo', pattern: /(니다|니까|십시오|읍시다|십시다)$/ },
+    { level: 'haeyo', pattern: /(요|죠)$/ },
+    { level: 'banmal', pattern: /(다|어|아|야|지|니|냐|자|라|해|네|게|래|까|걸|군|구나|거든|잖아)$/ }
+];
+
+const HONORIFIC_RULES = [
+    { marker: '-시-', pattern: /(세요|셨|십니|십시|셔요|셔서|시[다고죠지네면는며니])/ },
+    { marker: '드리다', pattern: /드(리|려|립|렸|릴)/ },
+    { marker: '께서', pattern: /께서/ },
+    { marker: 'honorific vocabulary', pattern: /(진지|잡수|주무시|계시|계세|드시|드세|말씀|연세|생신|편찮)/ }
+];
+
+// Split on sentence punctuation and line breaks, keeping the punctuation with its sentence
+export function splitKoreanSentences(text) {
+    return (text.match(/[^.!?。…~\n]+[.!?。…~]*/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(sentence => /[가-힣]/.test(sentence));
+}
+
+function detectHonorifics(sentence) {
+    return HONORIFIC_RULES
+        .map(rule => {
+            const match = sentence.match(rule.pattern);
+            return match ? { marker: rule.marker, match: match[0] } : null;
+        })
+        .filter(Boolean);
+}
+
+// Contracted 반말 endings (바빠, 가, 봐, 줘, 켜) are an open vowel with no final consonant.
+// Medial vowel indexes: ㅏ ㅐ ㅓ ㅕ ㅘ ㅝ
+const CONTRACTED_VOWELS = new Set([0, 1, 4, 6, 9, 14]);
+
+function isContractedEnding(syllable) {
+    const code = syllable.charCodeAt(0) - 0xAC00;
+    if (code < 0 || code > 11171) return false;
+    return code % 28 === 0 && CONTRACTED_VOWELS.has(Math.floor(code / 28) % 21);
+}
+
+// Family and pet names that often trail a sentence ("사랑해요, 엄마!"); they address
+// someone rather than end the clause, so the level is read from what comes before
+const ADDRESS_TERM_PATTERN = new RegExp(
+    '[\\s,]+(엄마|아빠|어머니|아버지|어머님|아버님|할머니|할아버지|외할머니|외할아버지|언니|오빠|누나|형|동생|' +
+    '이모|고모|삼촌|이모부|고모부|외삼촌|숙모|여보|자기|당신|애들아|얘들아)(님)?(아|야)?$'
+);
+
+// A bare "네"/"예" is a polite yes, not the 반말 "-네" ending
+const POLITE_ANSWER_PATTERN = /^(네|예)+$/;
+
+// Label one sentence by its final Hangul run
+export function classifySentence(sentence) {
+    const core = sentence.replace(/[^가-힣]+$/, '').replace(ADDRESS_TERM_PATTERN, '').replace(/[^가-힣]+$/, '');
+    const rule = POLITE_ANSWER_PATTERN.test(core)
+        ? { level: 'haeyo', pattern: POLITE_ANSWER_PATTERN }
+        : ENDING_RULES.find(r => r.pattern.test(core));
+
+    let level = rule ? rule.level : 'unknown';
+    let ending = rule ? core.match(rule.pattern)[0] : null;
+
+    // Only trust the vowel heuristic on real clauses - a lone "엄마!" is a vocative, not 반말
+    if (!rule && core.includes(' ') && isContractedEnding(core.slice(-1))) {
+        level = 'banmal';
+        ending = core.slice(-1);
+    }
+
+    return {
+        text: sentence,
+        level,
+        ending,
+        honorifics: detectHonorifics(sentence)
+    };
+}
+
+// Analyze Korean text; `expected` is the profile's target level, if any
+export function analyzeSpeechLevel(text, expected = null) {
+    const sentences = splitKoreanSentences(text).map(classifySentence);
+
+    const counts = {};
+    sentences.forEach(s => {
+        if (s.level !== 'unknown') counts[s.level] = (counts[s.level] || 0) + 1;
+    });
+    const dominant = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+
+    const mismatches = expected
+        ? sentences
+            .map((s, index) => ({ index, level: s.level }))
+            .filter(s => s.level !== 'unknown' && s.level !== expected)
+            .map(s => s.index)
+        : [];
+
+    return {
+        sentences,
+        dominant,
+        expected,
+        conforms: expected ? mismatches.length === 0 : null,
+        mismatches,
+        honorifics: [...new Set(sentences.flatMap(s => s.honorifics.map(h => h.marker)))]
+    };
+}
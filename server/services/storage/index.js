@@ -0,0 +1,58 @@
+import { randomBytes } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createSqliteStorage } from './sqlite.js';
+import { createJsonStorage } from './json-file.js';
+
+// Storage adapters keep collections of JSON records keyed by `id`:
+//   list(collection)          records in the order they were first saved
+//   find(collection, field, value)
+//                             records whose top-level `field` is `value`, or a
+//                             list containing it, in list order
+//   count(collection, field, value)
+//                             how many records find() would return
+//   get(collection, id)       the record, or null
+//   put(collection, record)   insert or replace by `record.id`
+//   remove(collection, id)    whether a record was removed
+//   transaction(fn)           run `fn` atomically and return its result
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '../../data');
+
+export const STORAGE_BACKENDS = {
+    sqlite: () => createSqliteStorage(process.env.STORAGE_PATH || join(DATA_DIR, 'translator.db')),
+    json: () => createJsonStorage(process.env.STORAGE_PATH || DATA_DIR)
+};
+
+// JSON files from before the storage layer, imported into a fresh database once
+const LEGACY_FILES = {
+    profiles: join(DATA_DIR, 'profiles.json'),
+    glossaries: join(DATA_DIR, 'glossaries.json')
+};
+
+// Created lazily so settings from .env are loaded first
+let storage = null;
+
+export function getStorage() {
+    if (!storage) {
+        const backend = process.env.STORAGE_BACKEND || 'sqlite';
+        if (!STORAGE_BACKENDS[backend]) {
+            throw new Error(`Unknown storage backend: ${backend}`);
+        }
+
+        storage = STORAGE_BACKENDS[backend]();
+        Object.entries(LEGACY_FILES).forEach(([collection, file]) => {
+            const imported = storage.importJsonFile(collection, file);
+            if (imported > 0) {
+                console.log(`📦 Imported ${imported} record(s) from ${file} into ${backend} storage`);
+            }
+        });
+    }
+    return storage;
+}
+
+// A new record id. The time keeps ids in rough creation order; the random part
+// keeps records that two users create in the same millisecond apart.
+export function newRecordId(prefix) {
+    return `${prefix}-${Date.now()}-${randomBytes(3).toString('hex')}`;
+}
@@ -0,0 +1,87 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+// JSON file storage: one `<collection>.json` array per collection, the layout the
+// app used before SQLite. Every call is synchronous, so a read-modify-write can't
+// interleave with another request in the same process.
+
+export function createJsonStorage(dir) {
+    const fileFor = collection => join(dir, `${collection}.json`);
+
+    function read(collection) {
+        const file = fileFor(collection);
+        if (!existsSync(file)) return [];
+        return JSON.parse(readFileSync(file, 'utf-8'));
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a file on disk
+    function write(collection, records) {
+        const file = fileFor(collection);
+        const tmpFile = `${file}.tmp`;
+        try {
+            mkdirSync(dir, { recursive: true });
+            writeFileSync(tmpFile, JSON.stringify(records, null, 2));
+            renameSync(tmpFile, file);
+        } catch (error) {
+            if (existsSync(tmpFile)) unlinkSync(tmpFile);
+            throw error;
+        }
+    }
+
+    const matches = (record, field, value) => Array.isArray(record[field])
+        ? record[field].includes(value)
+        : record[field] === value;
+
+    return {
+        backend: 'json',
+        file: dir,
+
+        list(collection) {
+            return read(collection);
+        },
+
+        find(collection, field, value) {
+            return read(collection).filter(record => matches(record, field, value));
+        },
+
+        count(collection, field, value) {
+            return this.find(collection, field, value).length;
+        },
+
+        get(collection, id) {
+            return read(collection).find(record => record.id === id) || null;
+        },
+
+        put(collection, record) {
+            const records = read(collection);
+            const index = records.findIndex(r => r.id === record.id);
+            if (index >= 0) {
+                records[index] = record;
+            } else {
+                records.push(record);
+            }
+            write(collection, records);
+            return record;
+        },
+
+        remove(collection, id) {
+            const records = read(collection);
+            const remaining = records.filter(record => record.id !== id);
+            if (remaining.length === records.length) return false;
+
+            write(collection, remaining);
+            return true;
+        },
+
+        transaction(fn) {
+            return fn();
+        },
+
+        // The files are already this backend's own storage
+        importJsonFile() {
+            return 0;
+        },
+
+        close() {}
+    };
+}
@@ -0,0 +1,152 @@
+import Database from 'better-sqlite3';
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, basename } from 'path';
+
+// SQLite storage: every collection lives in one `documents` table as JSON records.
+// better-sqlite3 is synchronous, so the services keep their plain function calls,
+// and each write runs in a transaction.
+
+// Applied in order; `PRAGMA user_version` records how many have run.
+// Append new migrations - never edit one that has shipped.
+const MIGRATIONS = [
+    `CREATE TABLE documents (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        UNIQUE (collection, id)
+    )`,
+    `CREATE TABLE imports (
+        source TEXT PRIMARY KEY,
+        collection TEXT NOT NULL,
+        records INTEGER NOT NULL,
+        imported_at INTEGER NOT NULL
+    )`
+];
+
+// find() and count() take a field name as a JSON path, so only plain names are allowed
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function fieldPath(field) {
+    if (!FIELD_PATTERN.test(field)) {
+        throw new Error(`Invalid field name: ${field}`);
+    }
+    return `$.${field}`;
+}
+
+function migrate(db) {
+    const applied = db.pragma('user_version', { simple: true });
+
+    MIGRATIONS.slice(applied).forEach((sql, i) => {
+        db.transaction(() => {
+            db.exec(sql);
+            db.pragma(`user_version = ${applied + i + 1}`);
+        })();
+    });
+}
+
+export function createSqliteStorage(file) {
+    mkdirSync(dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    // WAL lets readers run alongside a writer; the timeout waits out another process's lock
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    migrate(db);
+
+    const statements = {
+        list: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY seq'),
+        // json_each() yields a scalar field itself, or each item of a list
+        find: db.prepare(`
+            SELECT data FROM documents
+            WHERE collection = ? AND EXISTS (SELECT 1 FROM json_each(data, ?) WHERE json_each.value = ?)
+            ORDER BY seq
+        `),
+        count: db.prepare(`
+            SELECT COUNT(*) AS total FROM documents
+            WHERE collection = ? AND EXISTS (SELECT 1 FROM json_each(data, ?) WHERE json_each.value = ?)
+        `),
+        get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+        put: db.prepare(`
+            INSERT INTO documents (collection, id, data, created_at, updated_at)
+            VALUES (@collection, @id, @data, @now, @now)
+            ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `),
+        insertNew: db.prepare(`
+            INSERT OR IGNORE INTO documents (collection, id, data, created_at, updated_at)
+            VALUES (@collection, @id, @data, @now, @now)
+        `),
+        remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+        imported: db.prepare('SELECT 1 FROM imports WHERE source = ?'),
+        recordImport: db.prepare('INSERT INTO imports (source, collection, records, imported_at) VALUES (?, ?, ?, ?)')
+    };
+
+    return {
+        backend: 'sqlite',
+        file,
+
+        list(collection) {
+            return statements.list.all(collection).map(row => JSON.parse(row.data));
+        },
+
+        find(collection, field, value) {
+            return statements.find.all(collection, fieldPath(field), value).map(row => JSON.parse(row.data));
+        },
+
+        count(collection, field, value) {
+            return statements.count.get(collection, fieldPath(field), value).total;
+        },
+
+        get(collection, id) {
+            const row = statements.get.get(collection, id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        // Insert or replace; a replaced record keeps its place in the list
+        put(collection, record) {
+            statements.put.run({ collection, id: record.id, data: JSON.stringify(record), now: Date.now() });
+            return record;
+        },
+
+        remove(collection, id) {
+            return statements.remove.run(collection, id).changes > 0;
+        },
+
+        transaction(fn) {
+            return db.transaction(fn)();
+        },
+
+        // One-time import of a JSON array file into a collection. Records whose id
+        // already exists are left alone, and the file itself is not touched.
+        importJsonFile(collection, jsonFile) {
+            const source = basename(jsonFile);
+            if (!existsSync(jsonFile) || statements.imported.get(source)) return 0;
+
+            const records = JSON.parse(readFileSync(jsonFile, 'utf-8'));
+            if (!Array.isArray(records)) {
+                throw new Error(`${source} is not a list of records`);
+            }
+
+            return db.transaction(() => {
+                const now = Date.now();
+                const imported = records
+                    .filter(record => record && record.id)
+                    .filter(record => statements.insertNew.run({
+                        collection,
+                        id: record.id,
+                        data: JSON.stringify(record),
+                        now
+                    }).changes > 0)
+                    .length;
+                statements.recordImport.run(source, collection, imported, now);
+                return imported;
+            })();
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
@@ -0,0 +1,65 @@
+import { extractJson, isNonEmptyString } from './json.js';
+
+// Candidate variations: several rephrasings of the original, each translated,
+// back-translated and scored, then deduplicated and ranked
+
+export const DEFAULT_CANDIDATES = 3;
+export const MAX_CANDIDATES = 5;
+
+export function candidateCount(count) {
+    const n = parseInt(count, 10);
+    if (!n || n < 1) return DEFAULT_CANDIDATES;
+    return Math.min(n, MAX_CANDIDATES);
+}
+
+export function buildVariationsPrompt(text, language, count, rules) {
+    return `Rephrase this ${language} text ${count} different ways while keeping the same meaning. Each version should use different words, sentence structure, or style.
+
+ORIGINAL: "${text}"
+
+Rules to consider: ${rules.length > 0 ? rules.join(', ') : 'None - just rephrase naturally'}
+
+Respond with ONLY a JSON array of ${count} strings, each a rephrased version in ${language}.`;
+}
+
+// The rephrasings from a completion. A model that ignored the JSON instruction
+// still gave us one usable rephrasing.
+export function parseRephrasings(response) {
+    let items;
+    try {
+        items = extractJson(response);
+    } catch {
+        items = [response];
+    }
+
+    if (!Array.isArray(items)) items = [items];
+    return [...new Set(items.filter(isNonEmptyString).map(item => item.trim().replace(/^["']|["']$/g, '')))];
+}
+
+// Case, spacing and final punctuation don't make a candidate different
+export function comparisonKey(text) {
+    return text.normalize('NFC').toLowerCase().replace(/\s+/g, ' ').replace(/[.!?~…]+$/, '').trim();
+}
+
+// Drop candidates whose translation matches the current one, anything the client
+// has already seen, or an earlier candidate
+export function dedupeCandidates(candidates, seenTranslations) {
+    const seen = new Set(seenTranslations.filter(isNonEmptyString).map(comparisonKey));
+    const unique = [];
+
+    candidates.forEach(candidate => {
+        const key = comparisonKey(candidate.translation);
+        if (seen.has(key)) return;
+        seen.add(key);
+        unique.push(candidate);
+    });
+
+    return { unique, removed: candidates.length - unique.length };
+}
+
+// Best accuracy first; on a tie prefer the candidate that keeps the profile's speech level
+export function rankCandidates(candidates) {
+    return [...candidates].sort((a, b) =>
+        b.accuracyScore.score - a.accuracyScore.score ||
+        (b.speechLevel?.conforms === true) - (a.speechLevel?.conforms === true));
+}
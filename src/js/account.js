@@ -0,0 +1,318 @@
+import * as api from './api.js';
+import { escapeHtml } from './html.js';
+
+// Sign in, create an account, manage family groups and personal API tokens.
+// `onChange(user, groups)` fires whenever the signed-in user or their groups change.
+// `localCustomRules()` gives the rules kept in this browser, offered when claiming existing data.
+export class AccountManager {
+    constructor() {
+        this.user = null;
+        this.groups = [];
+        this.invitations = [];
+        this.registrationOpen = true;
+        // The server's REQUIRE_LOGIN: nothing works until someone signs in
+        this.required = false;
+        this.onChange = null;
+        this.localCustomRules = () => [];
+
+        this.modal = document.getElementById('account-modal');
+        this.title = document.getElementById('account-title');
+        this.accountBtn = document.getElementById('account-btn');
+        this.signedOut = document.getElementById('account-signed-out');
+        this.signedIn = document.getElementById('account-signed-in');
+        this.usernameInput = document.getElementById('account-username');
+        this.passwordInput = document.getElementById('account-password');
+        this.errorText = document.getElementById('account-error');
+        this.registerBtn = document.getElementById('register-btn');
+        this.groupList = document.getElementById('group-list');
+        this.invitationList = document.getElementById('invitation-list');
+        this.tokenList = document.getElementById('token-list');
+        this.newToken = document.getElementById('new-token');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.accountBtn.addEventListener('click', () => this.open());
+        document.getElementById('close-account-modal').addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal-backdrop').addEventListener('click', () => this.close());
+
+        document.getElementById('login-btn').addEventListener('click', () => this.signIn(false));
+        this.registerBtn.addEventListener('click', () => this.signIn(true));
+        this.passwordInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.signIn(false);
+        });
+        document.getElementById('logout-btn').addEventListener('click', () => this.signOut());
+
+        document.getElementById('create-group-btn').addEventListener('click', () => this.createGroup());
+        document.getElementById('create-token-btn').addEventListener('click', () => this.createToken());
+        document.getElementById('claim-btn').addEventListener('click', () => this.claim());
+    }
+
+    // Who is signed in. Returns whether the server only works for signed-in users.
+    async load() {
+        const { user, groups, invitations, registrationOpen, requireLogin } = await api.getCurrentUser();
+        this.registrationOpen = registrationOpen;
+        this.required = requireLogin;
+        this.setUser(user, groups, invitations);
+        return requireLogin && !user;
+    }
+
+    setUser(user, groups = [], invitations = []) {
+        this.user = user;
+        this.groups = groups;
+        this.invitations = invitations;
+        this.accountBtn.textContent = user ? user.username : 'Sign in';
+        this.accountBtn.classList.toggle('signed-in', Boolean(user));
+    }
+
+    open() {
+        this.render();
+        this.modal.classList.remove('hidden');
+        if (!this.user) this.usernameInput.focus();
+    }
+
+    close() {
+        if (this.required && !this.user) return;
+
+        this.modal.classList.add('hidden');
+        this.passwordInput.value = '';
+        this.newToken.classList.add('hidden');
+    }
+
+    render() {
+        this.title.textContent = this.user ? 'Account' : 'Sign In';
+        this.signedOut.classList.toggle('hidden', Boolean(this.user));
+        this.signedIn.classList.toggle('hidden', !this.user);
+        this.registerBtn.classList.toggle('hidden', !this.registrationOpen);
+        this.errorText.classList.add('hidden');
+
+        if (this.user) {
+            document.getElementById('account-name').textContent = this.user.username;
+            this.renderGroups();
+            this.loadTokens();
+        }
+    }
+
+    showError(message) {
+        this.errorText.textContent = message;
+        this.errorText.classList.remove('hidden');
+    }
+
+    async signIn(isNew) {
+        const username = this.usernameInput.value.trim();
+        const password = this.passwordInput.value;
+        if (!username || !password) {
+            this.showError('Enter a username and password');
+            return;
+        }
+
+        try {
+            const { user, groups, invitations } = isNew
+                ? await api.register(username, password)
+                : await api.login(username, password);
+            this.passwordInput.value = '';
+            this.setUser(user, groups, invitations);
+            this.render();
+            if (this.onChange) await this.onChange(this.user, this.groups);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async signOut() {
+        try {
+            await api.logout();
+        } catch (error) {
+            console.error('Failed to sign out:', error);
+        }
+        this.setUser(null);
+        if (this.onChange) await this.onChange(null, []);
+        if (this.required) this.open();
+        else this.close();
+    }
+
+    async changeGroups(action, message) {
+        try {
+            await action();
+            const { groups, invitations } = await api.getCurrentUser();
+            this.groups = groups;
+            this.invitations = invitations;
+            this.renderGroups();
+            if (this.onChange) await this.onChange(this.user, this.groups);
+        } catch (error) {
+            alert(`${message}: ${error.message}`);
+        }
+    }
+
+    renderGroups() {
+        this.renderInvitations();
+
+        if (this.groups.length === 0) {
+            this.groupList.innerHTML = '<p class="history-empty">No family groups yet</p>';
+            return;
+        }
+
+        this.groupList.innerHTML = this.groups.map(group => {
+            const isOwner = group.ownerId === this.user.id;
+            const members = group.members.map(member => `
+          <span class="group-member">
+            ${escapeHtml(member.username)}${member.id === group.ownerId ? ' (owner)' : ''}
+            ${isOwner && member.id !== this.user.id ? `<button class="remove-member" data-group="${group.id}" data-user="${member.id}" title="Remove">×</button>` : ''}
+          </span>
+        `).join('');
+            const invited = group.invited.map(invitee => `
+          <span class="group-member invited" title="Invited, not joined yet">
+            ${escapeHtml(invitee.username)} (invited)
+            <button class="cancel-invitation" data-group="${group.id}" data-user="${invitee.id}" title="Take back invitation">×</button>
+          </span>
+        `).join('');
+
+            return `
+        <div class="group-item">
+          <div class="group-header">
+            <strong>${escapeHtml(group.name)}</strong>
+            <button class="btn btn-ghost btn-small leave-group" data-group="${group.id}" style="color: var(--error);">Leave</button>
+          </div>
+          <div class="group-members">${members}${invited}</div>
+          <div class="account-inline-form">
+            <input type="text" class="member-username" placeholder="Invite by username">
+            <button class="btn btn-ghost btn-small invite-member" data-group="${group.id}">Invite</button>
+          </div>
+        </div>
+      `;
+        }).join('');
+
+        this.groupList.querySelectorAll('.invite-member').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const username = btn.previousElementSibling.value.trim();
+                if (!username) return;
+                this.changeGroups(() => api.inviteGroupMember(btn.dataset.group, username), 'Failed to invite member');
+            });
+        });
+
+        this.groupList.querySelectorAll('.cancel-invitation').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.changeGroups(() => api.cancelInvitation(btn.dataset.group, btn.dataset.user), 'Failed to take back invitation');
+            });
+        });
+
+        this.groupList.querySelectorAll('.remove-member').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.changeGroups(() => api.removeGroupMember(btn.dataset.group, btn.dataset.user), 'Failed to remove member');
+            });
+        });
+
+        this.groupList.querySelectorAll('.leave-group').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (!confirm('Leave this group? Profiles shared with it will no longer be available to you.')) return;
+                this.changeGroups(() => api.removeGroupMember(btn.dataset.group, this.user.id), 'Failed to leave group');
+            });
+        });
+    }
+
+    // Groups others invited this user to; joining only happens on Accept
+    renderInvitations() {
+        this.invitationList.classList.toggle('hidden', this.invitations.length === 0);
+        this.invitationList.innerHTML = this.invitations.map(invitation => `
+      <div class="group-item group-header">
+        <span><strong>${escapeHtml(invitation.name)}</strong>${invitation.invitedBy ? ` - invited by ${escapeHtml(invitation.invitedBy)}` : ''}</span>
+        <span>
+          <button class="btn btn-primary btn-small accept-invitation" data-group="${invitation.id}">Join</button>
+          <button class="btn btn-ghost btn-small decline-invitation" data-group="${invitation.id}">Decline</button>
+        </span>
+      </div>
+    `).join('');
+
+        this.invitationList.querySelectorAll('.accept-invitation').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.changeGroups(() => api.acceptInvitation(btn.dataset.group), 'Failed to join group');
+            });
+        });
+
+        this.invitationList.querySelectorAll('.decline-invitation').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.changeGroups(() => api.cancelInvitation(btn.dataset.group, this.user.id), 'Failed to decline invitation');
+            });
+        });
+    }
+
+    async createGroup() {
+        const input = document.getElementById('group-name');
+        const name = input.value.trim();
+        if (!name) return;
+
+        await this.changeGroups(() => api.createGroup(name), 'Failed to create group');
+        input.value = '';
+    }
+
+    // Take over data from before accounts existed; only the server's setup token allows it
+    async claim() {
+        const input = document.getElementById('setup-token');
+        if (!input.value) return;
+
+        try {
+            const claimed = await api.claimUnownedData(input.value, this.localCustomRules());
+            input.value = '';
+            alert(`Claimed ${claimed.profiles} profile(s), ${claimed['rule-sets']} rule set(s), ${claimed.glossaries} glossary(ies) and ${claimed.customRules} custom rule(s)`);
+            if (this.onChange) await this.onChange(this.user, this.groups);
+        } catch (error) {
+            alert('Failed to claim existing data: ' + error.message);
+        }
+    }
+
+    async loadTokens() {
+        try {
+            this.renderTokens(await api.getApiTokens());
+        } catch (error) {
+            this.tokenList.innerHTML = `<p class="history-empty" style="color: var(--error);">${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderTokens(tokens) {
+        if (tokens.length === 0) {
+            this.tokenList.innerHTML = '<p class="history-empty">No API tokens</p>';
+            return;
+        }
+
+        this.tokenList.innerHTML = tokens.map(token => `
+      <div class="token-item">
+        <div class="token-info">
+          <strong>${escapeHtml(token.name)}</strong>
+          <span>Created ${new Date(token.createdAt).toLocaleDateString()} · ${token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleDateString()}` : 'never used'}</span>
+        </div>
+        <button class="btn btn-ghost btn-small revoke-token" data-id="${token.id}" style="color: var(--error);">Revoke</button>
+      </div>
+    `).join('');
+
+        this.tokenList.querySelectorAll('.revoke-token').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                if (!confirm('Revoke this token? Anything using it will stop working.')) return;
+                try {
+                    await api.revokeApiToken(btn.dataset.id);
+                    await this.loadTokens();
+                } catch (error) {
+                    alert('Failed to revoke token: ' + error.message);
+                }
+            });
+        });
+    }
+
+    // The token is only shown now; the server keeps nothing it could show again
+    async createToken() {
+        const input = document.getElementById('token-name');
+
+        try {
+            const created = await api.createApiToken(input.value.trim());
+            input.value = '';
+            this.newToken.innerHTML = `
+        <p>Copy this token now - it won't be shown again:</p>
+        <code>${escapeHtml(created.token)}</code>
+      `;
+            this.newToken.classList.remove('hidden');
+            await this.loadTokens();
+        } catch (error) {
+            alert('Failed to create token: ' + error.message);
+        }
+    }
+}
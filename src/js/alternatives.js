@@ -1,4 +1,5 @@
 import * as api from './api.js';
+import { escapeHtml } from './html.js';
 
 export class AlternativesPopup {
     constructor() {
@@ -33,7 +34,7 @@ export class AlternativesPopup {
         });
     }
 
-    async show(selectedText, context, sourceLanguage, targetLanguage, position) {
+    async show(selectedText, context, sourceLanguage, targetLanguage, profileId, position) {
         this.selectedText = selectedText;
 
         // Position popup
@@ -45,10 +46,10 @@ export class AlternativesPopup {
         this.popup.classList.remove('hidden');
 
         try {
-            const result = await api.getAlternatives(selectedText, context, sourceLanguage, targetLanguage);
+            const result = await api.getAlternatives(selectedText, context, sourceLanguage, targetLanguage, profileId);
             this.renderAlternatives(result.alternatives);
         } catch (error) {
-            this.list.innerHTML = `<div class="alternative-item"><p style="color: var(--error);">Error: ${error.message}</p></div>`;
+            this.list.innerHTML = `<div class="alternative-item"><p style="color: var(--error);">Error: ${escapeHtml(error.message)}</p></div>`;
         }
     }
 
@@ -65,13 +66,17 @@ export class AlternativesPopup {
             item.className = 'alternative-item';
 
             item.innerHTML = `
-        <div class="alternative-text">${alt.text}</div>
-        <div class="alternative-nuance">${alt.nuance}</div>
+        <div class="alternative-text">
+          ${escapeHtml(alt.text)}
+          <span class="alternative-category ${escapeHtml(alt.category)}">${escapeHtml(alt.category)}</span>
+        </div>
+        <div class="alternative-nuance">${escapeHtml(alt.nuance)}</div>
+        <div class="alternative-example">${escapeHtml(alt.example)}</div>
       `;
 
             item.addEventListener('click', () => {
                 if (this.onSelect) {
-                    this.onSelect(this.selectedText, alt.text);
+                    this.onSelect(this.selectedText, alt.text, alt.translation);
                 }
                 this.hide();
             });
@@ -6,8 +6,41 @@ export async function checkHealth() {
     return response.json();
 }
 
-export async function translate(text, profileId, customRules = []) {
+// `options.context` (previous turns), `options.sourceLanguage` and `options.recipientRelation`
+// are used by conversation mode
+export async function translate(text, profileId, customRules = [], options = {}) {
     const response = await fetch(`${API_BASE}/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, profileId, customRules, ...options })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Translation failed');
+    }
+
+    return response.json();
+}
+
+// Parse one Server-Sent Events block into its event name and JSON payload
+function parseEvent(block) {
+    let event = 'message';
+    const data = [];
+
+    block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+
+    return { event, data: data.length > 0 ? JSON.parse(data.join('\n')) : null };
+}
+
+// Translate over the streaming endpoint. `onEvent(stage, data)` is called for each
+// pipeline stage; resolves with the final result like translate(). Offline, the
+// service worker answers with a saved result (`offline: true`) or `{ queued: true }`.
+export async function translateStream(text, profileId, customRules = [], onEvent = () => {}) {
+    const response = await fetch(`${API_BASE}/translate/stream`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ text, profileId, customRules })
@@ -18,14 +51,90 @@ export async function translate(text, profileId, customRules = []) {
         throw new Error(error.error || 'Translation failed');
     }
 
+    // Offline: the service worker queued the request instead of streaming
+    if (response.status === 202) {
+        return response.json();
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const { event, data } = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+
+            if (event === 'result') {
+                reader.cancel();
+                return data;
+            }
+            if (event === 'error') {
+                reader.cancel();
+                throw new Error(data.error || 'Translation failed');
+            }
+            onEvent(event, data);
+        }
+    }
+
+    throw new Error('Translation stream ended unexpectedly');
+}
+
+// Fresh back-translation, score, speech-level check and diff for an edited translation
+export async function validate(original, translation, profileId) {
+    const response = await fetch(`${API_BASE}/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ original, translation, profileId })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Validation failed');
+    }
+
+    return response.json();
+}
+
+export async function explain(text, profileId) {
+    const response = await fetch(`${API_BASE}/explain`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, profileId })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to explain text');
+    }
+
+    return response.json();
+}
+
+export async function getKinshipTerms(relation) {
+    const response = await fetch(`${API_BASE}/kinship`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ relation })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to look up kinship terms');
+    }
+
     return response.json();
 }
 
-export async function getAlternatives(word, context, sourceLanguage, targetLanguage) {
+export async function getAlternatives(word, context, sourceLanguage, targetLanguage, profileId) {
     const response = await fetch(`${API_BASE}/alternatives`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ word, context, sourceLanguage, targetLanguage })
+        body: JSON.stringify({ word, context, sourceLanguage, targetLanguage, profileId })
     });
 
     if (!response.ok) {
@@ -36,21 +145,42 @@ export async function getAlternatives(word, context, sourceLanguage, targetLangu
     return response.json();
 }
 
-export async function generateVariation(originalText, currentTranslation, profileId) {
+// Ranked variation candidates; `exclude` lists translations already seen
+export async function generateVariations(originalText, currentTranslation, profileId, customRules = [], exclude = []) {
     const response = await fetch(`${API_BASE}/variation`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ originalText, currentTranslation, profileId })
+        body: JSON.stringify({ originalText, currentTranslation, profileId, customRules, exclude })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to generate variations');
+    }
+
+    return response.json();
+}
+
+export async function suggestReplies(message, profileId) {
+    const response = await fetch(`${API_BASE}/replies`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message, profileId })
     });
 
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to generate variation');
+        throw new Error(error.error || 'Failed to suggest replies');
     }
 
     return response.json();
 }
 
+export async function getProviders() {
+    const response = await fetch(`${API_BASE}/providers`);
+    return response.json();
+}
+
 export async function getProfiles() {
     const response = await fetch(`${API_BASE}/profiles`);
     return response.json();
@@ -71,6 +201,137 @@ export async function saveProfile(profile) {
     return response.json();
 }
 
+// Effective settings and rules of a saved or draft profile, each rule with its source
+export async function resolveProfile(profile) {
+    const response = await fetch(`${API_BASE}/profiles/resolve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(profile)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to resolve profile');
+    }
+
+    return response.json();
+}
+
+// Run example cases; with `draft`, the unsaved profile and its examples are tested
+export async function testProfile(id, draft = null) {
+    const response = await fetch(`${API_BASE}/profiles/${encodeURIComponent(id)}/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft ? { profile: draft } : {})
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to run profile tests');
+    }
+
+    return response.json();
+}
+
+export async function getRuleSets() {
+    const response = await fetch(`${API_BASE}/rule-sets`);
+    return response.json();
+}
+
+export async function saveRuleSet(ruleSet) {
+    const response = await fetch(`${API_BASE}/rule-sets`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(ruleSet)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save rule set');
+    }
+
+    return response.json();
+}
+
+export async function deleteRuleSet(id) {
+    const response = await fetch(`${API_BASE}/rule-sets/${id}`, {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete rule set');
+    }
+
+    return response.json();
+}
+
+// Shareable file for the given profile ids, or for every custom profile
+export async function exportProfiles(ids = null) {
+    const query = ids ? `?ids=${ids.map(encodeURIComponent).join(',')}` : '';
+    const response = await fetch(`${API_BASE}/profiles/export${query}`);
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to export profiles');
+    }
+
+    return response.json();
+}
+
+export async function importProfiles(file) {
+    const response = await fetch(`${API_BASE}/profiles/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(file)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to import profiles');
+    }
+
+    return response.json();
+}
+
+export async function getProfileRevisions(id) {
+    const response = await fetch(`${API_BASE}/profiles/${id}/revisions`);
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load profile history');
+    }
+
+    return response.json();
+}
+
+// Changes from `revision` to the current profile
+export async function diffProfileRevision(id, revision) {
+    const response = await fetch(`${API_BASE}/profiles/${id}/revisions/${revision}/diff`);
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to compare revisions');
+    }
+
+    return response.json();
+}
+
+export async function rollbackProfile(id, revision) {
+    const response = await fetch(`${API_BASE}/profiles/${id}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ revision })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to restore profile');
+    }
+
+    return response.json();
+}
+
 export async function deleteProfile(id) {
     const response = await fetch(`${API_BASE}/profiles/${id}`, {
         method: 'DELETE'
@@ -83,3 +344,269 @@ export async function deleteProfile(id) {
 
     return response.json();
 }
+
+export async function getGlossaries() {
+    const response = await fetch(`${API_BASE}/glossaries`);
+    return response.json();
+}
+
+export async function saveGlossary(glossary) {
+    const response = await fetch(`${API_BASE}/glossaries`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(glossary)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save glossary');
+    }
+
+    return response.json();
+}
+
+export async function deleteGlossary(id) {
+    const response = await fetch(`${API_BASE}/glossaries/${id}`, {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete glossary');
+    }
+
+    return response.json();
+}
+
+// Accounts. Signing in sets a session cookie that every later request sends.
+export async function getCurrentUser() {
+    const response = await fetch(`${API_BASE}/auth/me`);
+    return response.json();
+}
+
+export async function register(username, password) {
+    const response = await fetch(`${API_BASE}/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create account');
+    }
+
+    return response.json();
+}
+
+export async function login(username, password) {
+    const response = await fetch(`${API_BASE}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to sign in');
+    }
+
+    return response.json();
+}
+
+export async function logout() {
+    const response = await fetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+    return response.json();
+}
+
+// Take over what was saved before accounts existed, with the server's SETUP_TOKEN.
+// `customRules` are the rules this browser kept while signed out.
+export async function claimUnownedData(setupToken, customRules = []) {
+    const response = await fetch(`${API_BASE}/auth/claim`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ setupToken, customRules })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to claim existing data');
+    }
+
+    return (await response.json()).claimed;
+}
+
+export async function getApiTokens() {
+    const response = await fetch(`${API_BASE}/auth/tokens`);
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load API tokens');
+    }
+
+    return response.json();
+}
+
+export async function createApiToken(name) {
+    const response = await fetch(`${API_BASE}/auth/tokens`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create API token');
+    }
+
+    return response.json();
+}
+
+export async function revokeApiToken(id) {
+    const response = await fetch(`${API_BASE}/auth/tokens/${id}`, {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to revoke API token');
+    }
+
+    return response.json();
+}
+
+export async function createGroup(name) {
+    const response = await fetch(`${API_BASE}/groups`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create group');
+    }
+
+    return response.json();
+}
+
+export async function inviteGroupMember(groupId, username) {
+    const response = await fetch(`${API_BASE}/groups/${groupId}/invitations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to invite member');
+    }
+
+    return response.json();
+}
+
+export async function acceptInvitation(groupId) {
+    const response = await fetch(`${API_BASE}/groups/${groupId}/invitations/accept`, {
+        method: 'POST'
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to accept invitation');
+    }
+
+    return response.json();
+}
+
+// Decline your own invitation, or take back one you sent
+export async function cancelInvitation(groupId, userId) {
+    const response = await fetch(`${API_BASE}/groups/${groupId}/invitations/${userId}`, {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to cancel invitation');
+    }
+
+    return response.json();
+}
+
+export async function removeGroupMember(groupId, userId) {
+    const response = await fetch(`${API_BASE}/groups/${groupId}/members/${userId}`, {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to remove member');
+    }
+
+    return response.json();
+}
+
+export async function getCustomRules() {
+    const response = await fetch(`${API_BASE}/me/custom-rules`);
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load custom rules');
+    }
+
+    return (await response.json()).rules;
+}
+
+export async function saveCustomRules(rules) {
+    const response = await fetch(`${API_BASE}/me/custom-rules`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save custom rules');
+    }
+
+    return (await response.json()).rules;
+}
+
+// Translation history kept on the server for the signed-in user
+export async function getHistory() {
+    const response = await fetch(`${API_BASE}/history`);
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load history');
+    }
+
+    return response.json();
+}
+
+export async function saveHistoryEntry(entry) {
+    const response = await fetch(`${API_BASE}/history/${entry.uid}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save history entry');
+    }
+
+    return response.json();
+}
+
+export async function deleteHistoryEntry(uid) {
+    const response = await fetch(`${API_BASE}/history/${uid}`, {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete history entry');
+    }
+
+    return response.json();
+}
@@ -1,18 +1,35 @@
 import * as api from './api.js';
 import { ProfileManager } from './profiles.js';
 import { AlternativesPopup } from './alternatives.js';
+import { GlossaryManager } from './glossaries.js';
+import { HistoryStore } from './history-store.js';
+import { HistoryPanel } from './history.js';
+import { AccountManager } from './account.js';
+import { ConversationView } from './conversation.js';
+import { RepliesPanel } from './replies.js';
+import { VariationsPanel } from './variations.js';
+import { ExplainPanel, renderExplainedText } from './explain.js';
+import { SPEECH_LEVEL_LABELS, speechLevelMismatchHtml } from './speech-levels.js';
+import { renderDiff, summarizeDiff } from './diff-view.js';
+import { escapeHtml } from './html.js';
 
 // App State
 const state = {
     currentTranslation: null,
     selectedProfile: 'natural',
     customRules: [],
-    debounceTimer: null
+    debounceTimer: null,
+    editTimer: null,
+    translationRequest: 0,
+    validationRequest: 0,
+    showRomanization: false,
+    showPronunciation: false
 };
 
 // Local Storage Keys
 const STORAGE_KEYS = {
-    customRules: 'translator_custom_rules'
+    customRules: 'translator_custom_rules',
+    romanization: 'translator_romanization'
 };
 
 // DOM Elements
@@ -20,6 +37,12 @@ const elements = {
     inputText: document.getElementById('input-text'),
     translationOutput: document.getElementById('translation-output'),
     translationNotes: document.getElementById('translation-notes'),
+    romanization: document.getElementById('romanization'),
+    romanizationLabel: document.getElementById('romanization-label'),
+    romanizationText: document.getElementById('romanization-text'),
+    pronunciationText: document.getElementById('pronunciation-text'),
+    pronunciationToggle: document.getElementById('pronunciation-toggle'),
+    speechLevelCheck: document.getElementById('speech-level-check'),
     retranslationOutput: document.getElementById('retranslation-output'),
     profileSelect: document.getElementById('profile-select'),
     charCount: document.getElementById('char-count'),
@@ -27,13 +50,25 @@ const elements = {
     targetLang: document.getElementById('target-lang'),
     accuracyScore: document.getElementById('accuracy-score'),
     accuracyExplanation: document.getElementById('accuracy-explanation'),
+    accuracyBreakdown: document.getElementById('accuracy-breakdown'),
+    semanticScore: document.getElementById('semantic-score'),
+    segmentsView: document.getElementById('segments-view'),
+    segmentsBody: document.getElementById('segments-body'),
+    segmentsSummary: document.getElementById('segments-summary'),
     profileBadge: document.getElementById('profile-badge'),
     copyBtn: document.getElementById('copy-btn'),
     variationBtn: document.getElementById('variation-btn'),
+    romanizationBtn: document.getElementById('romanization-btn'),
+    explainBtn: document.getElementById('explain-btn'),
+    repliesBtn: document.getElementById('replies-btn'),
     clearBtn: document.getElementById('clear-btn'),
     manageProfilesBtn: document.getElementById('manage-profiles-btn'),
+    manageGlossariesBtn: document.getElementById('manage-glossaries-btn'),
+    historyBtn: document.getElementById('history-btn'),
+    conversationBtn: document.getElementById('conversation-btn'),
     loadingOverlay: document.getElementById('loading-overlay'),
     apiStatus: document.getElementById('api-status'),
+    queueStatus: document.getElementById('queue-status'),
     // Custom rules elements
     toggleRulesBtn: document.getElementById('toggle-rules-btn'),
     customRulesContainer: document.getElementById('custom-rules-container'),
@@ -46,49 +81,139 @@ const elements = {
 // Initialize managers
 const profileManager = new ProfileManager();
 const alternativesPopup = new AlternativesPopup();
+const glossaryManager = new GlossaryManager();
+const historyStore = new HistoryStore();
+const historyPanel = new HistoryPanel(historyStore);
+const conversationView = new ConversationView();
+const repliesPanel = new RepliesPanel();
+const variationsPanel = new VariationsPanel();
+const explainPanel = new ExplainPanel();
+const accountManager = new AccountManager();
+
+// While signed in, history changes are mirrored to the account
+const historyRemote = {
+    list: api.getHistory,
+    save: api.saveHistoryEntry,
+    remove: api.deleteHistoryEntry
+};
 
 // Initialize app
 async function init() {
-    // Load saved custom rules
-    loadCustomRules();
+    loadRomanizationSettings();
 
     // Check API health
     await checkApiStatus();
 
-    // Load profiles
+    // Who is signed in, with their custom rules and history
+    await loadAccount();
+
+    // Load profiles and glossaries
     await loadProfiles();
+    await loadGlossaries();
 
     // Set up event listeners
     setupEventListeners();
+    setupOfflineListeners();
+    updateQueueStatus();
 
     // Focus input
     elements.inputText.focus();
 }
 
-// Load custom rules from localStorage
-function loadCustomRules() {
+// Load glossaries into the glossary manager and profile form
+async function loadGlossaries() {
     try {
-        const saved = localStorage.getItem(STORAGE_KEYS.customRules);
-        if (saved) {
-            const rules = JSON.parse(saved);
-            state.customRules = rules;
-            elements.customRulesInput.value = rules.join('\n');
-            updateRulesCount();
+        const glossaries = await api.getGlossaries();
+        glossaryManager.setGlossaries(glossaries);
+        profileManager.setGlossaries(glossaries);
+    } catch (error) {
+        console.error('Failed to load glossaries:', error);
+    }
+}
+
+// Load the signed-in user (asking for a sign-in if the server requires one)
+async function loadAccount() {
+    try {
+        if (await accountManager.load()) {
+            accountManager.open();
         }
+    } catch (error) {
+        console.error('Failed to load account:', error);
+    }
+    await applyAccount(accountManager.user, accountManager.groups);
+}
+
+// Switch what belongs to the user: custom rules, history and family groups
+async function applyAccount(user, groups) {
+    profileManager.setGroups(groups);
+    await loadCustomRules(user);
+
+    // The service worker only answers offline with this account's history and
+    // drops the API responses it cached for another
+    navigator.serviceWorker?.ready.then(registration => {
+        registration.active?.postMessage({ type: 'set-user', userId: user ? user.id : null });
+    });
+
+    try {
+        await historyStore.setUser(user ? user.id : null, user ? historyRemote : null);
+    } catch (error) {
+        console.error('Failed to sync history:', error);
+    }
+}
+
+// Signed-in users keep custom rules with their account; otherwise they stay in localStorage
+function localCustomRules() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.customRules) || '[]');
     } catch (e) {
         console.error('Failed to load custom rules:', e);
+        return [];
+    }
+}
+
+// Rules saved in this browser never go to an account on their own - whoever signs
+// in next may be someone else. They only move with an explicit claim (see AccountManager.claim).
+async function loadCustomRules(user) {
+    let rules = user ? [] : localCustomRules();
+
+    if (user) {
+        try {
+            rules = await api.getCustomRules();
+        } catch (e) {
+            console.error('Failed to load custom rules:', e);
+        }
+    }
+
+    state.customRules = rules;
+    elements.customRulesInput.value = rules.join('\n');
+    updateRulesCount();
+}
+
+async function storeCustomRules(rules) {
+    if (accountManager.user) {
+        await api.saveCustomRules(rules);
+    } else if (rules.length > 0) {
+        localStorage.setItem(STORAGE_KEYS.customRules, JSON.stringify(rules));
+    } else {
+        localStorage.removeItem(STORAGE_KEYS.customRules);
     }
 }
 
-// Save custom rules to localStorage
-function saveCustomRules() {
+// Save custom rules to the account or localStorage
+async function saveCustomRules() {
     const text = elements.customRulesInput.value.trim();
     const rules = text.split('\n')
         .map(r => r.trim())
         .filter(r => r.length > 0);
 
+    try {
+        await storeCustomRules(rules);
+    } catch (error) {
+        alert('Failed to save custom rules: ' + error.message);
+        return;
+    }
+
     state.customRules = rules;
-    localStorage.setItem(STORAGE_KEYS.customRules, JSON.stringify(rules));
     updateRulesCount();
 
     // Show save confirmation
@@ -105,6 +230,29 @@ function saveCustomRules() {
     }
 }
 
+// Load the romanization toggles from localStorage
+function loadRomanizationSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.romanization) || 'null');
+        if (saved) {
+            state.showRomanization = !!saved.show;
+            state.showPronunciation = !!saved.pronunciation;
+        }
+    } catch (e) {
+        console.error('Failed to load romanization settings:', e);
+    }
+
+    elements.romanizationBtn.classList.toggle('active', state.showRomanization);
+    elements.pronunciationToggle.checked = state.showPronunciation;
+}
+
+function saveRomanizationSettings() {
+    localStorage.setItem(STORAGE_KEYS.romanization, JSON.stringify({
+        show: state.showRomanization,
+        pronunciation: state.showPronunciation
+    }));
+}
+
 // Update rules count badge
 function updateRulesCount() {
     const count = state.customRules.length;
@@ -118,7 +266,10 @@ async function checkApiStatus() {
 
     try {
         const health = await api.checkHealth();
-        if (health.hasApiKey) {
+        if (health.providers?.translation === 'mock') {
+            statusDot.className = 'status-dot connected';
+            statusText.textContent = 'Offline Engine';
+        } else if (health.hasApiKey) {
             statusDot.className = 'status-dot connected';
             statusText.textContent = 'Connected';
         } else {
@@ -127,16 +278,93 @@ async function checkApiStatus() {
         }
     } catch (error) {
         statusDot.className = 'status-dot error';
-        statusText.textContent = 'Server Offline';
+        statusText.textContent = navigator.onLine ? 'Server Offline' : 'Offline';
+    }
+}
+
+// Follow the connection and the service worker's offline queue
+function setupOfflineListeners() {
+    window.addEventListener('offline', checkApiStatus);
+
+    window.addEventListener('online', () => {
+        checkApiStatus();
+        // Browsers without Background Sync replay the queue when asked
+        navigator.serviceWorker?.controller?.postMessage({ type: 'replay-queue' });
+    });
+
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+        if (event.data?.type === 'queue-replayed') {
+            handleReplayedTranslation(event.data);
+        }
+    });
+
+    // Anything left from a previous session goes out now if we're online
+    if (navigator.onLine) {
+        navigator.serviceWorker?.ready.then(registration => {
+            registration.active?.postMessage({ type: 'replay-queue' });
+        });
+    }
+}
+
+// Show how many translations are waiting for a connection
+async function updateQueueStatus() {
+    try {
+        const pending = await historyStore.queued();
+        elements.queueStatus.textContent = `${pending.length} queued`;
+        elements.queueStatus.classList.toggle('hidden', pending.length === 0);
+    } catch (error) {
+        console.error('Failed to read offline queue:', error);
     }
 }
 
+// A queued translation came back; show it if the user is still looking at that text.
+// The service worker already saved it to history; mirror it to the account like any other entry.
+function handleReplayedTranslation({ item, entry, result, error }) {
+    updateQueueStatus();
+    if (entry && entry.userId === historyStore.userId) historyStore.push('save', entry);
+
+    const isOnScreen = elements.inputText.value.trim() === item.text.trim() &&
+        state.selectedProfile === item.profileId;
+    if (!isOnScreen) return;
+
+    if (result) {
+        renderTranslation(result);
+        elements.translationNotes.textContent = 'Translated when the connection came back';
+        elements.translationNotes.classList.remove('hidden');
+    } else {
+        elements.translationOutput.innerHTML = `<p class="placeholder" style="color: var(--error);">Error: ${escapeHtml(error)}</p>`;
+    }
+}
+
+// The service worker queued the request because we're offline
+function renderQueued() {
+    elements.translationOutput.innerHTML = `
+        <div class="offline-state">
+            <span class="offline-icon">📡</span>
+            <p>You're offline. This translation is queued and will run when the connection returns.</p>
+        </div>
+    `;
+    elements.translationNotes.classList.add('hidden');
+    elements.retranslationOutput.innerHTML = '<p class="placeholder">Validation will run with the translation</p>';
+    elements.copyBtn.disabled = true;
+    elements.variationBtn.disabled = true;
+    elements.romanizationBtn.disabled = true;
+    elements.explainBtn.disabled = true;
+    elements.repliesBtn.classList.add('hidden');
+    updateQueueStatus();
+}
+
 // Load profiles into dropdown
 async function loadProfiles() {
     try {
         const profiles = await api.getProfiles();
         elements.profileSelect.innerHTML = '';
 
+        // The selected profile may belong to an account that just signed out
+        if (!profiles.some(profile => profile.id === state.selectedProfile)) {
+            state.selectedProfile = 'natural';
+        }
+
         profiles.forEach(profile => {
             const option = document.createElement('option');
             option.value = profile.id;
@@ -148,6 +376,8 @@ async function loadProfiles() {
         });
 
         profileManager.setProfiles(profiles);
+        historyPanel.setProfiles(profiles);
+        conversationView.setProfiles(profiles);
         updateProfileBadge();
     } catch (error) {
         console.error('Failed to load profiles:', error);
@@ -188,6 +418,35 @@ function setupEventListeners() {
     // Variation button
     elements.variationBtn.addEventListener('click', generateNewVariation);
 
+    // Romanization and pronunciation toggles
+    elements.romanizationBtn.addEventListener('click', () => {
+        state.showRomanization = !state.showRomanization;
+        elements.romanizationBtn.classList.toggle('active', state.showRomanization);
+        saveRomanizationSettings();
+        updateRomanization(state.currentTranslation?.romanization);
+    });
+
+    elements.pronunciationToggle.addEventListener('change', () => {
+        state.showPronunciation = elements.pronunciationToggle.checked;
+        saveRomanizationSettings();
+        updateRomanization(state.currentTranslation?.romanization);
+    });
+
+    // Reply suggestions for an incoming Korean message
+    elements.repliesBtn.addEventListener('click', () => {
+        if (!state.currentTranslation) return;
+        repliesPanel.show(state.currentTranslation.original, state.selectedProfile);
+    });
+
+    // Word-by-word grammar breakdown of the Korean side
+    elements.explainBtn.addEventListener('click', explainKorean);
+
+    repliesPanel.onSelect = useSuggestedReply;
+    variationsPanel.onSelect = applyVariation;
+    explainPanel.onLoaded = showExplainedWords;
+    explainPanel.onHide = hideExplainedWords;
+    explainPanel.onSelectWord = selectExplainedWord;
+
     // Clear button
     elements.clearBtn.addEventListener('click', () => {
         elements.inputText.value = '';
@@ -200,6 +459,34 @@ function setupEventListeners() {
         profileManager.open();
     });
 
+    // Manage glossaries
+    elements.manageGlossariesBtn.addEventListener('click', () => {
+        glossaryManager.open();
+    });
+
+    glossaryManager.onSave = async () => {
+        await loadGlossaries();
+    };
+
+    // History
+    elements.conversationBtn.addEventListener('click', () => {
+        conversationView.open();
+    });
+
+    elements.historyBtn.addEventListener('click', () => {
+        historyPanel.open();
+    });
+
+    historyPanel.onRestore = restoreFromHistory;
+
+    // Signing in or out, or a change of family groups, changes what is available
+    accountManager.localCustomRules = localCustomRules;
+    accountManager.onChange = async (user, groups) => {
+        await applyAccount(user, groups);
+        await loadProfiles();
+        await loadGlossaries();
+    };
+
     // Profile manager events
     profileManager.onSave = async () => {
         await loadProfiles();
@@ -208,9 +495,24 @@ function setupEventListeners() {
     // Text selection for alternatives
     elements.translationOutput.addEventListener('mouseup', handleTextSelection);
 
+    // Direct edits to the translation are re-validated once typing pauses
+    elements.translationOutput.addEventListener('input', () => {
+        clearTimeout(state.editTimer);
+        state.editTimer = setTimeout(handleTranslationEdit, 1000);
+    });
+
+    // Link segments across the panels and the sentence table on hover
+    document.addEventListener('mouseover', (e) => {
+        const segment = e.target.closest('[data-segment]');
+        highlightSegment(segment ? segment.dataset.segment : null);
+
+        const word = e.target.closest('[data-word]');
+        highlightWord(word ? word.dataset.word : null);
+    });
+
     // Alternatives popup events
-    alternativesPopup.onSelect = (selectedText, replacement) => {
-        replaceInTranslation(selectedText, replacement);
+    alternativesPopup.onSelect = (selectedText, replacement, rewrittenTranslation) => {
+        replaceInTranslation(selectedText, replacement, rewrittenTranslation);
     };
 
     // Custom rules toggle
@@ -231,10 +533,16 @@ function setupEventListeners() {
     elements.saveRulesBtn.addEventListener('click', saveCustomRules);
 
     // Clear rules button
-    elements.clearRulesBtn.addEventListener('click', () => {
+    elements.clearRulesBtn.addEventListener('click', async () => {
+        try {
+            await storeCustomRules([]);
+        } catch (error) {
+            alert('Failed to clear custom rules: ' + error.message);
+            return;
+        }
+
         elements.customRulesInput.value = '';
         state.customRules = [];
-        localStorage.removeItem(STORAGE_KEYS.customRules);
         updateRulesCount();
 
         // Re-translate without rules if there's text
@@ -245,50 +553,252 @@ function setupEventListeners() {
     });
 }
 
-// Translate text
+// Translate text, rendering each pipeline stage as it streams in
 async function translateText(text) {
+    // A newer request supersedes this one; its late events must not overwrite the panels
+    const request = ++state.translationRequest;
+    const isCurrent = () => request === state.translationRequest;
+    const partials = [];
+    let lexicalScore = null;
+
+    // Pending edits and validations belong to the previous translation
+    clearTimeout(state.editTimer);
+    state.validationRequest++;
+
+    // Suggestions and candidates belong to the previous translation
+    repliesPanel.hide();
+    variationsPanel.hide();
+    explainPanel.hide();
     showLoading(true);
 
     try {
         // Send custom rules with the translation request
-        const result = await api.translate(text, state.selectedProfile, state.customRules);
-        state.currentTranslation = result;
-
-        // Update source/target language badges
-        updateLanguageBadges(result.sourceLanguage, result.targetLanguage);
+        const result = await api.translateStream(text, state.selectedProfile, state.customRules, (stage, data) => {
+            if (!isCurrent()) return;
+
+            switch (stage) {
+                case 'detected':
+                    updateLanguageBadges(data.sourceLanguage, data.targetLanguage);
+                    break;
+                case 'rules-delta':
+                case 'rules':
+                    elements.translationNotes.textContent = `Applying rules: "${data.text}"`;
+                    elements.translationNotes.classList.remove('hidden');
+                    break;
+                case 'translation-delta':
+                    partials[data.index] = data.text;
+                    elements.translationOutput.innerHTML = '<p class="streaming-preview"></p>';
+                    elements.translationOutput.firstChild.textContent = partials.filter(Boolean).join(' ');
+                    break;
+                case 'translation':
+                    elements.translationOutput.innerHTML = `<p>${renderSegments(data.segments, 'translation')}</p>`;
+                    elements.retranslationOutput.innerHTML = `
+                        <div class="panel-loading">
+                            <div class="loading-spinner-small"></div>
+                            <span>Back-translating...</span>
+                        </div>
+                    `;
+                    break;
+                case 'back-translation':
+                    renderBackTranslation(data);
+                    break;
+                case 'score':
+                    lexicalScore = data.accuracyScore;
+                    updateScores(data);
+                    updateSpeechLevelCheck(data.speechLevel);
+                    break;
+                case 'judge':
+                    updateScores({ accuracyScore: lexicalScore, ...data });
+                    break;
+            }
+        });
 
-        // Update translation panel
-        elements.translationOutput.innerHTML = `<p>${makeSelectable(result.translation)}</p>`;
+        if (!isCurrent()) return;
 
-        if (result.translationNotes) {
-            elements.translationNotes.textContent = result.translationNotes;
-            elements.translationNotes.classList.remove('hidden');
-        } else {
-            elements.translationNotes.classList.add('hidden');
+        if (result.queued) {
+            renderQueued();
+            return;
         }
 
-        // Update re-translation panel
-        elements.retranslationOutput.innerHTML = `<p>${result.reTranslation}</p>`;
+        renderTranslation(result);
 
-        // Update accuracy score
-        updateAccuracyScore(result.accuracyScore);
+        // Saved results answered by the service worker are already in history
+        if (result.offline) {
+            elements.translationNotes.textContent = `Offline: saved translation from ${new Date(result.savedAt).toLocaleString()}`;
+            elements.translationNotes.classList.remove('hidden');
+            return;
+        }
 
-        // Enable action buttons
-        elements.copyBtn.disabled = false;
-        elements.variationBtn.disabled = false;
+        historyStore.record(result, { profileId: state.selectedProfile, rules: state.customRules })
+            .catch(error => console.error('Failed to save history:', error));
 
     } catch (error) {
+        if (!isCurrent()) return;
         console.error('Translation error:', error);
-        elements.translationOutput.innerHTML = `<p class="placeholder" style="color: var(--error);">Error: ${error.message}</p>`;
+        elements.translationOutput.innerHTML = `<p class="placeholder" style="color: var(--error);">Error: ${escapeHtml(error.message)}</p>`;
+        setEditable(false);
     } finally {
-        showLoading(false);
+        if (isCurrent()) showLoading(false);
+    }
+}
+
+// Render a translation result into the output and validation panels
+function renderTranslation(result) {
+    // A breakdown belongs to the translation it explained
+    explainPanel.hide();
+    state.currentTranslation = result;
+
+    // Update source/target language badges
+    updateLanguageBadges(result.sourceLanguage, result.targetLanguage);
+
+    // Update translation panel
+    renderTranslationOutput(result);
+
+    const notes = [result.translationNotes];
+    if (result.glossary && result.glossary.applied.length > 0) {
+        const terms = result.glossary.applied.map(entry => result.sourceLanguage === 'ko'
+            ? `${entry.ko} → ${entry.en}`
+            : `${entry.en} → ${entry.ko}`);
+        notes.push(`Glossary "${result.glossary.name}": ${terms.join(', ')}`);
+    }
+
+    if (notes.some(Boolean)) {
+        elements.translationNotes.textContent = notes.filter(Boolean).join(' | ');
+        elements.translationNotes.classList.remove('hidden');
+    } else {
+        elements.translationNotes.classList.add('hidden');
+    }
+
+    updateSpeechLevelCheck(result.speechLevel);
+    updateRomanization(result.romanization);
+
+    // Update re-translation panel
+    renderBackTranslation(result);
+
+    updateSegmentsView(result.segments);
+
+    // Update accuracy score
+    updateScores(result);
+
+    // Enable action buttons
+    elements.copyBtn.disabled = false;
+    elements.variationBtn.disabled = false;
+    elements.romanizationBtn.disabled = !result.romanization;
+    elements.explainBtn.disabled = false;
+    elements.repliesBtn.classList.toggle('hidden', result.sourceLanguage !== 'ko');
+}
+
+// The editable translation text, as aligned segments when there are any
+function renderTranslationOutput(result) {
+    elements.translationOutput.innerHTML = result.segments
+        ? `<p>${renderSegments(result.segments, 'translation')}</p>`
+        : `<p>${makeSelectable(result.translation)}</p>`;
+    setEditable(true);
+}
+
+// Load a suggested reply into the editor for tweaking, and translate it
+function useSuggestedReply(reply) {
+    clearTimeout(state.debounceTimer);
+
+    elements.inputText.value = reply.text;
+    elements.charCount.textContent = reply.text.length;
+    elements.inputText.focus();
+
+    translateText(reply.text);
+}
+
+// Render one side of the aligned segments as linked spans, keeping line breaks.
+// Back-translated segments show their diff against the source sentence.
+function renderSegments(segments, key) {
+    return segments.map(segment => {
+        const separator = escapeHtml(segment.separator).replace(/\n/g, '<br>');
+        const title = segment.weak ? ` title="Weak: ${segment.accuracyScore.score}% accuracy"` : '';
+        const content = key === 'reTranslation' && segment.diff ? renderDiff(segment.diff) : escapeHtml(segment[key]);
+        return `<span class="segment${segment.weak ? ' weak' : ''}" data-segment="${segment.index}"${title}>${content}</span>${separator}`;
+    }).join('');
+}
+
+// Fill the validation panel: the back-translation with what the round trip
+// dropped, added or changed marked inline
+function renderBackTranslation({ reTranslation, segments, diff }) {
+    let content;
+    if (segments) {
+        content = renderSegments(segments, 'reTranslation');
+    } else {
+        content = diff ? renderDiff(diff) : escapeHtml(reTranslation);
+    }
+
+    const summary = diff ? summarizeDiff(diff) : '';
+    elements.retranslationOutput.innerHTML = `<p>${content}</p>${summary ? `<p class="diff-summary">${summary}</p>` : ''}`;
+}
+
+// Fill the sentence-by-sentence table; only worth showing for multi-sentence input
+function updateSegmentsView(segments) {
+    if (!segments || segments.length < 2) {
+        elements.segmentsView.classList.add('hidden');
+        return;
     }
+
+    const weakCount = segments.filter(segment => segment.weak).length;
+    elements.segmentsSummary.textContent = weakCount > 0
+        ? `${weakCount} of ${segments.length} sentences need a look`
+        : `${segments.length} sentences`;
+
+    elements.segmentsBody.innerHTML = segments.map(segment => {
+        const score = segment.accuracyScore.score;
+        const level = score >= 85 ? 'high' : score >= 70 ? 'medium' : 'low';
+        return `
+            <tr class="${segment.weak ? 'weak' : ''}" data-segment="${segment.index}">
+                <td>${escapeHtml(segment.source)}</td>
+                <td>${escapeHtml(segment.translation)}</td>
+                <td>${escapeHtml(segment.reTranslation)}</td>
+                <td><span class="segment-score ${level}">${score}%</span></td>
+            </tr>
+        `;
+    }).join('');
+
+    elements.segmentsView.classList.remove('hidden');
+}
+
+// Highlight the same segment everywhere it appears
+function highlightSegment(index) {
+    document.querySelectorAll('[data-segment]').forEach(el => {
+        el.classList.toggle('active', index !== null && el.dataset.segment === index);
+    });
+}
+
+// Drop the per-sentence view once the translation has been edited as a whole
+function invalidateSegments() {
+    if (!state.currentTranslation) return;
+    state.currentTranslation.segments = null;
+    elements.segmentsView.classList.add('hidden');
+}
+
+// Restore a history entry into the input and output panels without re-translating
+function restoreFromHistory(entry) {
+    clearTimeout(state.debounceTimer);
+
+    elements.inputText.value = entry.original;
+    elements.charCount.textContent = entry.original.length;
+
+    if (entry.profileId && elements.profileSelect.querySelector(`option[value="${entry.profileId}"]`)) {
+        state.selectedProfile = entry.profileId;
+        elements.profileSelect.value = entry.profileId;
+        updateProfileBadge();
+    }
+
+    renderTranslation({
+        ...entry.result,
+        translation: entry.translation,
+        reTranslation: entry.reTranslation,
+        accuracyScore: entry.accuracyScore
+    });
 }
 
 // Make text selectable for alternatives popup
 function makeSelectable(text) {
     // Split by words/phrases but keep punctuation
-    return text;
+    return escapeHtml(text);
 }
 
 // Handle text selection
@@ -305,39 +815,87 @@ function handleTextSelection(event) {
             state.currentTranslation.translation,
             state.currentTranslation.sourceLanguage,
             state.currentTranslation.targetLanguage,
+            state.selectedProfile,
             { x: rect.left, y: rect.bottom + 10 }
         );
     }
 }
 
-// Replace text in translation
-function replaceInTranslation(originalText, replacement) {
+// Replace text in translation, preferring the server's rewritten full translation
+function replaceInTranslation(originalText, replacement, rewrittenTranslation) {
     if (!state.currentTranslation) return;
+    explainPanel.hide();
 
-    const newTranslation = state.currentTranslation.translation.replace(originalText, replacement);
+    const newTranslation = rewrittenTranslation ||
+        state.currentTranslation.translation.replace(originalText, replacement);
     state.currentTranslation.translation = newTranslation;
-    elements.translationOutput.innerHTML = `<p>${newTranslation}</p>`;
+    elements.translationOutput.innerHTML = `<p>${escapeHtml(newTranslation)}</p>`;
+    invalidateSegments();
 
     // Re-validate with new translation
     revalidateTranslation();
 }
 
-// Re-validate translation after edit
+// Let the user edit the translation in place once there is one
+function setEditable(editable) {
+    elements.translationOutput.contentEditable = editable ? 'true' : 'false';
+    elements.translationOutput.classList.toggle('editable', editable);
+}
+
+// Take the user's edit as the current translation and check it
+function handleTranslationEdit() {
+    const current = state.currentTranslation;
+    if (!current) return;
+
+    const edited = elements.translationOutput.innerText.trim();
+    if (!edited || edited === current.translation) return;
+
+    current.translation = edited;
+    current.translationNotes = 'Edited by you';
+    elements.translationNotes.textContent = current.translationNotes;
+    elements.translationNotes.classList.remove('hidden');
+    invalidateSegments();
+    revalidateTranslation();
+}
+
+// Re-validate the current translation (after an edit or a swapped-in alternative)
 async function revalidateTranslation() {
-    if (!state.currentTranslation) return;
+    const current = state.currentTranslation;
+    if (!current) return;
 
-    try {
-        const result = await api.translate(
-            state.currentTranslation.translation,
-            'direct'
-        );
+    // Only the latest edit's validation may update the panels
+    const request = ++state.validationRequest;
+    const isCurrent = () => request === state.validationRequest && current === state.currentTranslation;
+
+    elements.retranslationOutput.innerHTML = `
+        <div class="panel-loading">
+            <div class="loading-spinner-small"></div>
+            <span>Re-validating...</span>
+        </div>
+    `;
 
-        elements.retranslationOutput.innerHTML = `<p>${result.translation}</p>`;
+    try {
+        const result = await api.validate(current.original, current.translation, state.selectedProfile);
+        if (!isCurrent()) return;
+
+        Object.assign(current, {
+            reTranslation: result.reTranslation,
+            accuracyScore: result.accuracyScore,
+            semanticScore: result.semanticScore,
+            primaryScore: result.primaryScore,
+            speechLevel: result.speechLevel,
+            diff: result.diff,
+            romanization: result.romanization
+        });
 
-        // Recalculate accuracy against original input
-        // For now, just show the new re-translation
+        renderBackTranslation(result);
+        updateRomanization(result.romanization);
+        updateScores(result);
+        updateSpeechLevelCheck(result.speechLevel);
     } catch (error) {
+        if (!isCurrent()) return;
         console.error('Re-validation error:', error);
+        elements.retranslationOutput.innerHTML = `<p class="placeholder" style="color: var(--error);">Validation failed: ${escapeHtml(error.message)}</p>`;
     }
 }
 
@@ -350,6 +908,17 @@ function updateLanguageBadges(source, target) {
     elements.targetLang.className = `language-badge ${target}`;
 }
 
+// Show the profile's primary score in the header, with the lexical breakdown
+// and the semantic judge's verdict (when there is one) underneath
+function updateScores({ accuracyScore, semanticScore = null, primaryScore = 'lexical' }) {
+    const semanticPrimary = primaryScore === 'semantic';
+
+    elements.accuracyScore.querySelector('.score-label').textContent = semanticPrimary ? 'Meaning:' : 'Accuracy:';
+    updateAccuracyScore(semanticPrimary ? semanticScore : accuracyScore);
+    updateAccuracyBreakdown(accuracyScore);
+    updateSemanticScore(semanticScore, semanticPrimary ? accuracyScore : null);
+}
+
 // Update accuracy score display
 function updateAccuracyScore(accuracyData) {
     const scoreValue = elements.accuracyScore.querySelector('.score-value');
@@ -369,6 +938,108 @@ function updateAccuracyScore(accuracyData) {
     elements.accuracyExplanation.textContent = accuracyData.explanation;
 }
 
+// Show the sub-scores and lost words behind the accuracy score
+function updateAccuracyBreakdown(accuracyData) {
+    const el = elements.accuracyBreakdown;
+
+    if (!accuracyData.components) {
+        el.classList.add('hidden');
+        return;
+    }
+
+    const { content, chrf, length } = accuracyData.components;
+    const reasons = (accuracyData.reasons || []).map(reason => `<li>${reason}</li>`).join('');
+    const lostWords = (accuracyData.lostWords || [])
+        .map(word => `<span class="lost-word">${word}</span>`).join('');
+
+    el.innerHTML = `
+        <div class="score-components">
+            <span class="score-component" title="Shared stems, ignoring particles and endings">Content <strong>${content}</strong></span>
+            <span class="score-component" title="Character n-gram overlap (chrF)">Characters <strong>${chrf}</strong></span>
+            <span class="score-component" title="Content word count ratio">Length <strong>${length}</strong></span>
+        </div>
+        ${reasons ? `<ul class="score-reasons">${reasons}</ul>` : ''}
+        ${lostWords ? `<div class="lost-words">${lostWords}</div>` : ''}
+    `;
+    el.classList.remove('hidden');
+}
+
+// Show the semantic judge's verdict; `lexicalScore` is set when the verdict is the
+// primary score, so the lexical one still shows somewhere
+function updateSemanticScore(verdict, lexicalScore) {
+    const el = elements.semanticScore;
+
+    if (!verdict) {
+        el.classList.add('hidden');
+        return;
+    }
+
+    if (verdict.error) {
+        el.innerHTML = '<p class="semantic-unavailable">Meaning judge unavailable - showing the lexical score only</p>';
+        el.classList.remove('hidden');
+        return;
+    }
+
+    const level = verdict.score >= 85 ? 'high' : verdict.score >= 70 ? 'medium' : 'low';
+    const list = (title, items) => items.length > 0
+        ? `<p class="semantic-list-title">${title}</p><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : '';
+
+    el.innerHTML = `
+        <div class="semantic-header">
+            <span title="The ${escapeHtml(verdict.judge)} rewrite engine compared your original with the back-translation">Meaning judge</span>
+            <span class="segment-score ${level}">${verdict.score}%</span>
+        </div>
+        ${lexicalScore ? `<p class="semantic-lexical">Lexical score: ${lexicalScore.score}%</p>` : ''}
+        ${list('Meaning differences', verdict.meaningDifferences)}
+        ${list('Tone differences', verdict.toneDifferences)}
+    `;
+    el.classList.remove('hidden');
+}
+
+// Show the Korean side in Latin letters under the translation, when toggled on
+function updateRomanization(reading) {
+    const el = elements.romanization;
+
+    if (!reading || !state.showRomanization) {
+        el.classList.add('hidden');
+        return;
+    }
+
+    elements.romanizationLabel.textContent = reading.side === 'original' ? 'Your Korean original' : 'Romanized';
+    elements.romanizationText.textContent = reading.text;
+    elements.pronunciationText.textContent = `Say it: ${reading.pronunciation}`;
+    elements.pronunciationText.classList.toggle('hidden', !state.showPronunciation);
+    el.classList.remove('hidden');
+}
+
+// Show the Korean speech level and flag sentences that miss the profile's target
+function updateSpeechLevelCheck(check) {
+    const el = elements.speechLevelCheck;
+
+    if (!check || check.sentences.length === 0 || !check.dominant) {
+        el.classList.add('hidden');
+        return;
+    }
+
+    const honorifics = check.honorifics.length > 0 ? ` · Honorifics: ${check.honorifics.join(', ')}` : '';
+    el.className = 'speech-level-check';
+
+    if (!check.expected) {
+        el.classList.add('neutral');
+        el.textContent = `Speech level: ${SPEECH_LEVEL_LABELS[check.dominant]}${honorifics}`;
+        return;
+    }
+
+    if (check.conforms) {
+        el.textContent = `✓ ${SPEECH_LEVEL_LABELS[check.expected]} as the profile expects${honorifics}`;
+        return;
+    }
+
+    el.classList.add('mismatch');
+    el.innerHTML = speechLevelMismatchHtml(check);
+}
+
 // Update profile badge
 function updateProfileBadge() {
     const option = elements.profileSelect.options[elements.profileSelect.selectedIndex];
@@ -393,45 +1064,90 @@ async function copyTranslation() {
     }
 }
 
-// Generate new variation
-async function generateNewVariation() {
-    if (!state.currentTranslation) return;
+// Explain whichever side of the current translation is Korean
+function explainKorean() {
+    const current = state.currentTranslation;
+    if (!current) return;
 
-    showLoading(true);
+    const side = current.targetLanguage === 'ko' ? 'translation' : 'original';
+    explainPanel.show({ text: current[side], side, profileId: state.selectedProfile });
+}
 
-    try {
-        const result = await api.generateVariation(
-            state.currentTranslation.original,
-            state.currentTranslation.translation,
-            state.selectedProfile
-        );
+// Link the explained words in the translation output to their cards.
+// Editing is paused while the breakdown is open so the offsets stay valid.
+function showExplainedWords(result, side) {
+    if (side !== 'translation') return;
 
-        state.currentTranslation.translation = result.translation;
-        elements.translationOutput.innerHTML = `<p>${result.translation}</p>`;
+    setEditable(false);
+    elements.translationOutput.innerHTML = `<p>${renderExplainedText(result.text, result.words)}</p>`;
+}
 
-        if (result.difference) {
-            elements.translationNotes.textContent = `Variation: ${result.difference}`;
-            elements.translationNotes.classList.remove('hidden');
-        }
+function hideExplainedWords(side) {
+    if (side !== 'translation' || !state.currentTranslation) return;
+    renderTranslationOutput(state.currentTranslation);
+}
 
-        // Re-validate
-        await revalidateTranslation();
+// A word from the Korean original is found by selecting it in the input
+function selectExplainedWord(word, side) {
+    if (side !== 'original') return;
 
-    } catch (error) {
-        console.error('Variation error:', error);
-        elements.translationNotes.textContent = `Variation failed: ${error.message}`;
-        elements.translationNotes.classList.remove('hidden');
-    } finally {
-        showLoading(false);
-    }
+    const offset = Math.max(elements.inputText.value.indexOf(state.currentTranslation.original), 0);
+    elements.inputText.focus();
+    elements.inputText.setSelectionRange(offset + word.start, offset + word.end);
+}
+
+// Highlight a word in the output and its card in the breakdown
+function highlightWord(index) {
+    document.querySelectorAll('[data-word]').forEach(el => {
+        el.classList.toggle('active', index !== null && el.dataset.word === index);
+    });
+}
+
+// Compare ranked variation candidates for the current translation
+function generateNewVariation() {
+    if (!state.currentTranslation) return;
+
+    variationsPanel.show({
+        original: state.currentTranslation.original,
+        translation: state.currentTranslation.translation,
+        profileId: state.selectedProfile,
+        customRules: state.customRules
+    });
+}
+
+// Swap in a picked variation; it arrives already back-translated and scored
+function applyVariation(candidate) {
+    const current = state.currentTranslation;
+    if (!current) return;
+
+    renderTranslation({
+        ...current,
+        translation: candidate.translation,
+        reTranslation: candidate.reTranslation,
+        diff: candidate.diff,
+        accuracyScore: candidate.accuracyScore,
+        semanticScore: null,
+        primaryScore: 'lexical',
+        speechLevel: candidate.speechLevel || current.speechLevel,
+        romanization: candidate.romanization,
+        segments: null,
+        translationNotes: candidate.rephrased
+            ? `Variation: rephrased as "${candidate.rephrased}"`
+            : `Variation: ${candidate.formality} formality`
+    });
 }
 
 // Clear translation panels
 function clearTranslation() {
     state.currentTranslation = null;
+    clearTimeout(state.editTimer);
+    setEditable(false);
 
     elements.translationOutput.innerHTML = '<p class="placeholder">Translation will appear here...</p>';
     elements.translationNotes.classList.add('hidden');
+    elements.speechLevelCheck.classList.add('hidden');
+    elements.romanization.classList.add('hidden');
+    elements.segmentsView.classList.add('hidden');
     elements.retranslationOutput.innerHTML = '<p class="placeholder">Direct re-translation for validation...</p>';
 
     elements.sourceLang.textContent = 'Auto-detect';
@@ -442,15 +1158,26 @@ function clearTranslation() {
     const scoreValue = elements.accuracyScore.querySelector('.score-value');
     scoreValue.textContent = '—';
     scoreValue.className = 'score-value';
+    elements.accuracyScore.querySelector('.score-label').textContent = 'Accuracy:';
     elements.accuracyExplanation.textContent = 'Compare with your original to check for meaning loss';
+    elements.accuracyBreakdown.classList.add('hidden');
+    elements.semanticScore.classList.add('hidden');
 
     elements.copyBtn.disabled = true;
     elements.variationBtn.disabled = true;
+    elements.romanizationBtn.disabled = true;
+    elements.explainBtn.disabled = true;
+    elements.repliesBtn.classList.add('hidden');
+    repliesPanel.hide();
+    variationsPanel.hide();
+    explainPanel.hide();
 }
 
 // Show/hide loading in translation panel only
 function showLoading(show) {
     if (show) {
+        setEditable(false);
+        elements.romanization.classList.add('hidden');
         elements.translationOutput.innerHTML = `
             <div class="panel-loading">
                 <div class="loading-spinner-small"></div>
@@ -0,0 +1,269 @@
+import * as api from './api.js';
+import { RelationPicker } from './relation-picker.js';
+import { escapeHtml } from './html.js';
+
+const STORAGE_KEY = 'translator_conversation';
+
+// Previous turns sent with each message (the server keeps at most this many too)
+const CONTEXT_TURNS = 6;
+
+// Who can speak in a thread, and the language each one writes in
+const SPEAKERS = {
+    me: { label: 'Me', sourceLanguage: 'en', placeholder: 'Write your message in English...' },
+    parent: { label: 'Parent', sourceLanguage: 'ko', placeholder: '부모님 메시지를 붙여넣으세요...' }
+};
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Plain-text transcript with each message followed by its translation
+function formatTranscript(messages) {
+    const lines = [`Conversation transcript - ${new Date().toLocaleDateString()}`, ''];
+
+    messages.forEach(message => {
+        const profile = message.profileName || message.profileId;
+        lines.push(`[${new Date(message.createdAt).toLocaleString()}] ${SPEAKERS[message.speaker].label} (${profile})`);
+        lines.push(message.text);
+        lines.push(message.translation ? `→ ${message.translation}` : '→ (not translated)');
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+export class ConversationView {
+    constructor() {
+        this.messages = [];
+        this.speaker = 'me';
+        this.profiles = { me: 'parent-talk', parent: 'natural' };
+        // Who the parent is to me; sets the kinship terms and speech level both ways
+        this.relation = null;
+
+        this.modal = document.getElementById('conversation-modal');
+        this.thread = document.getElementById('conversation-thread');
+        this.input = document.getElementById('conversation-input');
+        this.speakerButtons = this.modal.querySelectorAll('.speaker-toggle button');
+        this.profileSelects = {
+            me: document.getElementById('conversation-me-profile'),
+            parent: document.getElementById('conversation-parent-profile')
+        };
+        this.relationPicker = new RelationPicker(document.getElementById('conversation-relation'));
+
+        this.load();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('close-conversation').addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal-backdrop').addEventListener('click', () => this.close());
+
+        this.speakerButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setSpeaker(btn.dataset.speaker));
+        });
+
+        document.getElementById('conversation-send').addEventListener('click', () => this.send());
+
+        // Enter sends, Shift+Enter adds a line break
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.send();
+            }
+        });
+
+        Object.entries(this.profileSelects).forEach(([speaker, select]) => {
+            select.addEventListener('change', () => {
+                this.profiles[speaker] = select.value;
+                this.save();
+            });
+        });
+
+        this.relationPicker.onChange = (relation) => {
+            this.relation = relation;
+            this.save();
+        };
+
+        document.getElementById('conversation-export').addEventListener('click', () => this.exportTranscript());
+        document.getElementById('conversation-clear').addEventListener('click', () => this.clear());
+    }
+
+    setProfiles(profiles) {
+        Object.entries(this.profileSelects).forEach(([speaker, select]) => {
+            select.innerHTML = '';
+            profiles.forEach(profile => select.appendChild(new Option(profile.name, profile.id)));
+
+            if (!profiles.some(p => p.id === this.profiles[speaker]) && profiles.length > 0) {
+                this.profiles[speaker] = profiles[0].id;
+            }
+            select.value = this.profiles[speaker];
+        });
+    }
+
+    open() {
+        this.modal.classList.remove('hidden');
+        this.relationPicker.value = this.relation;
+        this.setSpeaker(this.speaker);
+        this.render();
+        this.input.focus();
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (!saved) return;
+
+            this.profiles = { ...this.profiles, ...saved.profiles };
+            this.relation = saved.relation || null;
+            // A reload interrupts any translation that was still running
+            this.messages = (saved.messages || []).map(message => message.status === 'pending'
+                ? { ...message, status: 'error', error: 'Interrupted' }
+                : message);
+        } catch (error) {
+            console.error('Failed to load conversation:', error);
+        }
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            messages: this.messages,
+            profiles: this.profiles,
+            relation: this.relation
+        }));
+    }
+
+    setSpeaker(speaker) {
+        this.speaker = speaker;
+        this.speakerButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.speaker === speaker));
+        this.input.placeholder = SPEAKERS[speaker].placeholder;
+    }
+
+    // The last CONTEXT_TURNS translated messages before `message`
+    contextFor(message) {
+        return this.messages
+            .slice(0, this.messages.indexOf(message))
+            .filter(m => m.translation)
+            .slice(-CONTEXT_TURNS)
+            .map(({ speaker, text, translation }) => ({ speaker, text, translation }));
+    }
+
+    async send() {
+        const text = this.input.value.trim();
+        if (!text) return;
+
+        const message = {
+            id: Date.now(),
+            speaker: this.speaker,
+            text,
+            profileId: this.profiles[this.speaker],
+            translation: null,
+            createdAt: Date.now()
+        };
+
+        this.messages.push(message);
+        this.input.value = '';
+        await this.translateMessage(message);
+    }
+
+    async translateMessage(message) {
+        message.status = 'pending';
+        message.error = null;
+        this.render();
+
+        try {
+            const result = await api.translate(message.text, message.profileId, [], {
+                context: this.contextFor(message),
+                sourceLanguage: SPEAKERS[message.speaker].sourceLanguage,
+                recipientRelation: this.relation
+            });
+
+            if (result.queued) {
+                throw new Error('You\'re offline - retry when the connection returns');
+            }
+
+            message.translation = result.translation;
+            message.profileName = result.profileUsed;
+            message.accuracy = result.accuracyScore.score;
+            message.status = 'done';
+        } catch (error) {
+            message.status = 'error';
+            message.error = error.message;
+        }
+
+        this.save();
+        this.render();
+    }
+
+    removeMessage(id) {
+        this.messages = this.messages.filter(message => message.id !== id);
+        this.save();
+        this.render();
+    }
+
+    clear() {
+        if (this.messages.length === 0 || !confirm('Clear the whole conversation?')) return;
+
+        this.messages = [];
+        this.save();
+        this.render();
+    }
+
+    render() {
+        if (this.messages.length === 0) {
+            this.thread.innerHTML = '<p class="history-empty">No messages yet. Add what you said or paste your parent\'s message.</p>';
+            return;
+        }
+
+        this.thread.innerHTML = this.messages.map(message => {
+            let translation;
+            if (message.status === 'pending') {
+                translation = '<p class="chat-translation pending">Translating...</p>';
+            } else if (message.status === 'error') {
+                translation = `
+          <p class="chat-translation error">
+            ${escapeHtml(message.error)}
+            <button class="btn btn-ghost btn-small chat-retry" data-id="${message.id}">Retry</button>
+          </p>`;
+            } else {
+                translation = `<p class="chat-translation">${escapeHtml(message.translation)}</p>`;
+            }
+
+            return `
+        <div class="chat-message ${message.speaker}">
+          <div class="chat-meta">
+            <span>${SPEAKERS[message.speaker].label} · ${formatTime(message.createdAt)} · ${escapeHtml(message.profileName || message.profileId)}</span>
+            <button class="chat-remove" data-id="${message.id}" title="Remove message">&times;</button>
+          </div>
+          <p class="chat-original">${escapeHtml(message.text)}</p>
+          ${translation}
+        </div>
+      `;
+        }).join('');
+
+        this.thread.querySelectorAll('.chat-retry').forEach(btn => {
+            const message = this.messages.find(m => m.id === Number(btn.dataset.id));
+            btn.addEventListener('click', () => this.translateMessage(message));
+        });
+
+        this.thread.querySelectorAll('.chat-remove').forEach(btn => {
+            btn.addEventListener('click', () => this.removeMessage(Number(btn.dataset.id)));
+        });
+
+        this.thread.scrollTop = this.thread.scrollHeight;
+    }
+
+    exportTranscript() {
+        if (this.messages.length === 0) return;
+
+        const blob = new Blob([formatTranscript(this.messages)], { type: 'text/plain;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `conversation-${new Date().toISOString().slice(0, 10)}.txt`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
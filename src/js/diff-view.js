@@ -0,0 +1,41 @@
+import { escapeHtml } from './html.js';
+
+// Inline rendering of the server's original vs back-translation diff
+
+function renderChars(chars) {
+    return chars.map(({ type, text }) => {
+        if (type === 'removed') return `<del class="diff-char">${escapeHtml(text)}</del>`;
+        if (type === 'added') return `<ins class="diff-char">${escapeHtml(text)}</ins>`;
+        return escapeHtml(text);
+    }).join('');
+}
+
+function renderRun(run) {
+    switch (run.type) {
+        case 'removed':
+            return `<del class="diff-removed" title="Lost in the round trip">${escapeHtml(run.text)}</del>`;
+        case 'added':
+            return `<ins class="diff-added" title="Not in your original">${escapeHtml(run.text)}</ins>`;
+        case 'changed':
+            return `<span class="diff-changed" title="Your original: ${escapeHtml(run.from)}">${run.chars
+                ? renderChars(run.chars)
+                : `<del>${escapeHtml(run.from)}</del> <ins>${escapeHtml(run.text)}</ins>`}</span>`;
+        default:
+            return escapeHtml(run.text);
+    }
+}
+
+// The back-translation with dropped, added and changed words marked
+export function renderDiff(diff) {
+    return diff.runs.map(renderRun).join(' ');
+}
+
+// One line summing up the diff, or '' when nothing changed
+export function summarizeDiff(diff) {
+    const { removed, added, changed } = diff.stats;
+    const parts = [];
+    if (removed) parts.push(`${removed} word${removed === 1 ? '' : 's'} lost`);
+    if (changed) parts.push(`${changed} changed`);
+    if (added) parts.push(`${added} added`);
+    return parts.join(' · ');
+}
@@ -0,0 +1,117 @@
+import * as api from './api.js';
+import { SPEECH_LEVEL_LABELS } from './speech-levels.js';
+import { escapeHtml } from './html.js';
+
+// The explained text with each word wrapped in a span linked to its card
+export function renderExplainedText(text, words) {
+    let html = '';
+    let position = 0;
+
+    words.forEach(word => {
+        html += escapeHtml(text.slice(position, word.start)).replace(/\n/g, '<br>');
+        html += `<span class="explain-word" data-word="${word.index}">${escapeHtml(word.text)}</span>`;
+        position = word.end;
+    });
+
+    return html + escapeHtml(text.slice(position)).replace(/\n/g, '<br>');
+}
+
+function renderMorpheme(morpheme, first) {
+    const form = first ? morpheme.form : `-${morpheme.form}`;
+    const labels = [morpheme.pos, morpheme.role].filter(Boolean).join(' · ');
+    const level = morpheme.speechLevel ? ` <span class="morpheme-level">${SPEECH_LEVEL_LABELS[morpheme.speechLevel]}</span>` : '';
+    const honorific = morpheme.honorific ? ' <span class="morpheme-honorific" title="Shows respect">honorific</span>' : '';
+    const explanation = morpheme.gloss || morpheme.meaning;
+
+    return `
+      <li>
+        <span class="morpheme-form">${escapeHtml(form)}</span>
+        <span class="morpheme-pos">${escapeHtml(labels || morpheme.kind)}</span>
+        <span class="morpheme-gloss">${explanation ? escapeHtml(explanation) : '<em>not explained</em>'}</span>${level}${honorific}
+      </li>
+    `;
+}
+
+export class ExplainPanel {
+    constructor() {
+        this.section = document.getElementById('explain-view');
+        this.list = document.getElementById('explain-list');
+        this.summary = document.getElementById('explain-summary');
+        this.onLoaded = null;
+        this.onHide = null;
+        this.onSelectWord = null;
+
+        this.request = 0;
+        this.result = null;
+        this.side = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('close-explain').addEventListener('click', () => this.hide());
+
+        this.list.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-word]');
+            if (!card || !this.result || !this.onSelectWord) return;
+            this.onSelectWord(this.result.words[Number(card.dataset.word)], this.side);
+        });
+    }
+
+    // Break down the Korean side; `side` says whether that is the translation or the original
+    async show({ text, side, profileId }) {
+        const request = ++this.request;
+        this.side = side;
+        this.result = null;
+
+        this.section.classList.remove('hidden');
+        this.summary.textContent = side === 'translation' ? 'Korean translation' : 'Your Korean original';
+        this.list.innerHTML = '<p class="history-empty">Breaking the sentence down...</p>';
+        this.section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        try {
+            const result = await api.explain(text, profileId);
+            if (request !== this.request) return;
+
+            this.result = result;
+            this.render();
+            if (this.onLoaded) this.onLoaded(result, side);
+        } catch (error) {
+            if (request !== this.request) return;
+            this.list.innerHTML = `<p class="history-empty" style="color: var(--error);">Error: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    hide() {
+        const wasOpen = !this.section.classList.contains('hidden');
+
+        // Drop any breakdown still on its way
+        this.request++;
+        this.section.classList.add('hidden');
+
+        if (wasOpen && this.onHide) this.onHide(this.side);
+    }
+
+    render() {
+        const { words, incomplete } = this.result;
+
+        if (words.length === 0) {
+            this.list.innerHTML = '<p class="history-empty">No Korean words to explain</p>';
+            return;
+        }
+
+        this.list.innerHTML = words.map(word => `
+      <div class="explain-card" data-word="${word.index}">
+        <div class="explain-card-header">
+          <span class="explain-card-word">${escapeHtml(word.text)}</span>
+          ${word.gloss ? `<span class="explain-card-gloss">${escapeHtml(word.gloss)}</span>` : ''}
+        </div>
+        <ul class="explain-morphemes">
+          ${word.morphemes.map((morpheme, i) => renderMorpheme(morpheme, i === 0)).join('')}
+        </ul>
+      </div>
+    `).join('') + (incomplete > 0
+            ? `<p class="explain-note">${incomplete} word${incomplete === 1 ? '' : 's'} couldn't be fully explained offline</p>`
+            : '');
+    }
+}
@@ -0,0 +1,164 @@
+import * as api from './api.js';
+import { escapeHtml } from './html.js';
+
+export class GlossaryManager {
+    constructor() {
+        this.glossaries = [];
+        this.onSave = null;
+
+        this.modal = document.getElementById('glossary-modal');
+        this.glossariesList = document.getElementById('glossaries-list');
+        this.entriesList = document.getElementById('glossary-entries');
+        this.formTitle = document.getElementById('glossary-form-title');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('close-glossary-modal').addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal-backdrop').addEventListener('click', () => this.close());
+
+        document.getElementById('add-glossary-entry-btn').addEventListener('click', () => this.addEntryInput());
+        document.getElementById('save-glossary-btn').addEventListener('click', () => this.saveGlossary());
+        document.getElementById('cancel-glossary-btn').addEventListener('click', () => this.resetForm());
+    }
+
+    setGlossaries(glossaries) {
+        this.glossaries = glossaries;
+    }
+
+    open() {
+        this.renderGlossaries();
+        this.resetForm();
+        this.modal.classList.remove('hidden');
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+        this.resetForm();
+    }
+
+    renderGlossaries() {
+        this.glossariesList.innerHTML = '';
+
+        if (this.glossaries.length === 0) {
+            this.glossariesList.innerHTML = '<p class="history-empty">No glossaries yet</p>';
+            return;
+        }
+
+        this.glossaries.forEach(glossary => {
+            const item = document.createElement('div');
+            item.className = 'profile-item';
+
+            const preview = glossary.entries.slice(0, 3).map(e => `${e.ko} → ${e.en}`).join(', ');
+
+            item.innerHTML = `
+        <div class="profile-info">
+          <h4>${escapeHtml(glossary.name)}</h4>
+          <p>${glossary.entries.length} entries${preview ? `: ${escapeHtml(preview)}` : ''}</p>
+        </div>
+        <div class="profile-actions">
+          <button class="btn btn-ghost btn-small edit-glossary" data-id="${escapeHtml(glossary.id)}">Edit</button>
+          <button class="btn btn-ghost btn-small delete-glossary" data-id="${escapeHtml(glossary.id)}" style="color: var(--error);">Delete</button>
+        </div>
+      `;
+
+            this.glossariesList.appendChild(item);
+        });
+
+        this.glossariesList.querySelectorAll('.edit-glossary').forEach(btn => {
+            btn.addEventListener('click', () => this.editGlossary(btn.dataset.id));
+        });
+
+        this.glossariesList.querySelectorAll('.delete-glossary').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteGlossary(btn.dataset.id));
+        });
+    }
+
+    editGlossary(id) {
+        const glossary = this.glossaries.find(g => g.id === id);
+        if (!glossary) return;
+
+        this.formTitle.textContent = 'Edit Glossary';
+        document.getElementById('glossary-id').value = glossary.id;
+        document.getElementById('glossary-name').value = glossary.name;
+
+        this.entriesList.innerHTML = '';
+        glossary.entries.forEach(entry => this.addEntryInput(entry));
+
+        if (glossary.entries.length === 0) {
+            this.addEntryInput();
+        }
+    }
+
+    async deleteGlossary(id) {
+        if (!confirm('Are you sure you want to delete this glossary?')) return;
+
+        try {
+            await api.deleteGlossary(id);
+            this.glossaries = this.glossaries.filter(g => g.id !== id);
+            this.renderGlossaries();
+
+            if (this.onSave) this.onSave();
+        } catch (error) {
+            alert('Failed to delete glossary: ' + error.message);
+        }
+    }
+
+    addEntryInput(entry = {}) {
+        const entryItem = document.createElement('div');
+        entryItem.className = 'rule-item';
+
+        entryItem.innerHTML = `
+      <input type="text" class="glossary-ko" value="${escapeHtml(entry.ko)}" placeholder="한국어 (e.g. 엄마)">
+      <input type="text" class="glossary-en" value="${escapeHtml(entry.en)}" placeholder="English (e.g. Mom)">
+      <button class="btn btn-ghost btn-small remove-rule" style="color: var(--error);">×</button>
+    `;
+
+        entryItem.querySelector('.remove-rule').addEventListener('click', () => {
+            entryItem.remove();
+        });
+
+        this.entriesList.appendChild(entryItem);
+    }
+
+    async saveGlossary() {
+        const name = document.getElementById('glossary-name').value.trim();
+        const id = document.getElementById('glossary-id').value || null;
+
+        if (!name) {
+            alert('Please give the glossary a name');
+            return;
+        }
+
+        const entries = Array.from(this.entriesList.querySelectorAll('.rule-item'))
+            .map(item => ({
+                ko: item.querySelector('.glossary-ko').value.trim(),
+                en: item.querySelector('.glossary-en').value.trim()
+            }))
+            .filter(entry => entry.ko && entry.en);
+
+        try {
+            await api.saveGlossary({ id, name, entries });
+
+            if (this.onSave) this.onSave();
+            this.resetForm();
+
+            this.setGlossaries(await api.getGlossaries());
+            this.renderGlossaries();
+
+        } catch (error) {
+            alert('Failed to save glossary: ' + error.message);
+        }
+    }
+
+    resetForm() {
+        this.formTitle.textContent = 'Create New Glossary';
+
+        document.getElementById('glossary-id').value = '';
+        document.getElementById('glossary-name').value = '';
+
+        this.entriesList.innerHTML = '';
+        this.addEntryInput();
+    }
+}
@@ -0,0 +1,248 @@
+// IndexedDB-backed translation history, plus the offline request queue the
+// service worker replays. src/sw.js opens the same database - keep the schema in sync.
+const DB_NAME = 'translator';
+const DB_VERSION = 3;
+const STORE = 'history';
+const QUEUE_STORE = 'queue';
+// Who is signed in, for the service worker (written there, see setUser in src/sw.js)
+const META_STORE = 'meta';
+
+// Typing pauses trigger a translation each time; fold them into one entry
+const MERGE_WINDOW_MS = 60 * 1000;
+
+// Entries keep their local autoincrement `id`; `uid` names them across devices
+function newUid() {
+    return crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Uploads run a few at a time so signing in with a long history doesn't flood the server
+const SYNC_BATCH_SIZE = 5;
+
+// The server takes JSON bodies up to 100 kB
+const MAX_UPLOAD_BYTES = 64 * 1024;
+
+// What goes to the server: no local id, and no full response when that would
+// make the entry too big. Restoring such an entry on another device still
+// shows the translation, back-translation and score.
+function forUpload(entry) {
+    const { id, ...upload } = entry;
+    if (new TextEncoder().encode(JSON.stringify(upload)).length <= MAX_UPLOAD_BYTES) return upload;
+
+    const { result, ...slim } = upload;
+    return slim;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Entries belong to the account that was signed in (`userId`, null when signed out)
+// and only that account sees them. While signed in, `remote` ({ list, save, remove })
+// mirrors every change to the server so history follows the user between devices.
+export class HistoryStore {
+    constructor() {
+        this.dbPromise = null;
+        this.userId = null;
+        this.remote = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE)) {
+                        const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('createdAt', 'createdAt');
+                        store.createIndex('profileId', 'profileId');
+                    }
+                    if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                        db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+                    }
+                    if (!db.objectStoreNames.contains(META_STORE)) {
+                        db.createObjectStore(META_STORE, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => {
+                    // Let a newer service worker upgrade the schema
+                    request.result.onversionchange = () => {
+                        request.result.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(request.result);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, storeName = STORE) {
+        const db = await this.open();
+        return db.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    // Switch accounts, then bring this account's history up to date with the server
+    async setUser(userId, remote = null) {
+        this.userId = userId;
+        this.remote = remote;
+
+        await this.claim();
+        if (this.remote) await this.sync();
+    }
+
+    // Entries saved before accounts existed go to whoever is signed in now;
+    // the next sync uploads them
+    async claim() {
+        const entries = await promisify((await this.transaction('readonly')).getAll());
+        const unclaimed = entries
+            .filter(entry => !entry.uid)
+            .map(entry => ({ ...entry, uid: newUid(), userId: this.userId }));
+        if (unclaimed.length === 0) return;
+
+        const store = await this.transaction('readwrite');
+        await Promise.all(unclaimed.map(entry => promisify(store.put(entry))));
+    }
+
+    // Pull entries saved on other devices and push the ones the server is missing
+    async sync() {
+        const remoteEntries = await this.remote.list();
+        const local = (await promisify((await this.transaction('readonly')).getAll()))
+            .filter(entry => entry.userId === this.userId);
+        const localByUid = new Map(local.map(entry => [entry.uid, entry]));
+        const remoteUids = new Set(remoteEntries.map(entry => entry.uid));
+
+        const store = await this.transaction('readwrite');
+        await Promise.all(remoteEntries.map(entry => {
+            // The server's copy may have been uploaded without the full response
+            const merged = { ...localByUid.get(entry.uid), ...entry, userId: this.userId };
+            if (!localByUid.has(entry.uid)) delete merged.id;
+            return promisify(store.put(merged));
+        }));
+
+        const missing = local.filter(entry => !remoteUids.has(entry.uid));
+        for (let i = 0; i < missing.length; i += SYNC_BATCH_SIZE) {
+            await Promise.all(missing.slice(i, i + SYNC_BATCH_SIZE).map(entry =>
+                this.remote.save(forUpload(entry)).catch(error => console.warn('History sync failed:', error))
+            ));
+        }
+    }
+
+    // Mirror a change to the server; the local copy stays the source of truth offline
+    push(action, value) {
+        if (!this.remote) return;
+        this.remote[action](action === 'save' ? forUpload(value) : value).catch(error => console.warn('History sync failed:', error));
+    }
+
+    // Record a translation result, merging with the previous entry while the user is still typing
+    async record(result, { profileId, rules = [] }) {
+        const entry = {
+            original: result.original,
+            translation: result.translation,
+            reTranslation: result.reTranslation,
+            sourceLanguage: result.sourceLanguage,
+            targetLanguage: result.targetLanguage,
+            profileId,
+            profileName: result.profileUsed,
+            rules,
+            accuracyScore: result.accuracyScore,
+            favorite: false,
+            userId: this.userId,
+            uid: newUid(),
+            createdAt: Date.now(),
+            // Full response so a restore can redraw every panel
+            result
+        };
+
+        const latest = await this.latest();
+        const isContinuation = latest &&
+            !latest.favorite &&
+            latest.userId === this.userId &&
+            latest.profileId === profileId &&
+            entry.createdAt - latest.createdAt < MERGE_WINDOW_MS &&
+            (entry.original.startsWith(latest.original) || latest.original.startsWith(entry.original));
+
+        if (isContinuation) {
+            entry.id = latest.id;
+            entry.uid = latest.uid || entry.uid;
+        }
+
+        const store = await this.transaction('readwrite');
+        entry.id = await promisify(store.put(entry));
+        this.push('save', entry);
+        return entry;
+    }
+
+    async latest() {
+        const store = await this.transaction('readonly');
+        const cursor = await promisify(store.index('createdAt').openCursor(null, 'prev'));
+        return cursor ? cursor.value : null;
+    }
+
+    async get(id) {
+        const store = await this.transaction('readonly');
+        return promisify(store.get(id));
+    }
+
+    // Newest first. `query` matches Korean and English text; filters are optional.
+    async search({ query = '', profileId = '', since = 0, favoritesOnly = false, limit = 100 } = {}) {
+        const store = await this.transaction('readonly');
+        const needle = query.trim().toLowerCase();
+        const range = since ? IDBKeyRange.lowerBound(since) : null;
+        const results = [];
+
+        return new Promise((resolve, reject) => {
+            const request = store.index('createdAt').openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) {
+                    resolve(results);
+                    return;
+                }
+
+                const entry = cursor.value;
+                const matchesQuery = !needle || [entry.original, entry.translation, entry.reTranslation]
+                    .some(text => (text || '').toLowerCase().includes(needle));
+
+                if (matchesQuery &&
+                    (entry.userId ?? null) === this.userId &&
+                    (!profileId || entry.profileId === profileId) &&
+                    (!favoritesOnly || entry.favorite)) {
+                    results.push(entry);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async toggleFavorite(id) {
+        const entry = await this.get(id);
+        if (!entry) return null;
+
+        entry.favorite = !entry.favorite;
+        const store = await this.transaction('readwrite');
+        await promisify(store.put(entry));
+        this.push('save', entry);
+        return entry;
+    }
+
+    async delete(id) {
+        const entry = await this.get(id);
+        const store = await this.transaction('readwrite');
+        await promisify(store.delete(id));
+        if (entry?.uid) this.push('remove', entry.uid);
+    }
+
+    // This account's translations requested offline that are waiting to be replayed
+    async queued() {
+        const store = await this.transaction('readonly', QUEUE_STORE);
+        return (await promisify(store.getAll())).filter(item => (item.userId ?? null) === this.userId);
+    }
+}
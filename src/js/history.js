@@ -0,0 +1,138 @@
+import { escapeHtml } from './html.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_RANGES = {
+    all: 0,
+    today: 1,
+    week: 7,
+    month: 30
+};
+
+export class HistoryPanel {
+    constructor(store) {
+        this.store = store;
+        this.onRestore = null;
+        this.searchTimer = null;
+
+        this.modal = document.getElementById('history-modal');
+        this.list = document.getElementById('history-list');
+        this.searchInput = document.getElementById('history-search');
+        this.profileFilter = document.getElementById('history-profile-filter');
+        this.dateFilter = document.getElementById('history-date-filter');
+        this.favoritesFilter = document.getElementById('history-favorites-filter');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('close-history').addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal-backdrop').addEventListener('click', () => this.close());
+
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.render(), 250);
+        });
+
+        [this.profileFilter, this.dateFilter, this.favoritesFilter].forEach(el => {
+            el.addEventListener('change', () => this.render());
+        });
+    }
+
+    setProfiles(profiles) {
+        const selected = this.profileFilter.value;
+        this.profileFilter.innerHTML = '<option value="">All profiles</option>';
+
+        profiles.forEach(profile => {
+            this.profileFilter.appendChild(new Option(profile.name, profile.id));
+        });
+        this.profileFilter.value = selected;
+    }
+
+    open() {
+        this.modal.classList.remove('hidden');
+        this.searchInput.focus();
+        this.render();
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    getFilters() {
+        const days = DATE_RANGES[this.dateFilter.value] || 0;
+        let since = 0;
+
+        if (days) {
+            const startOfToday = new Date();
+            startOfToday.setHours(0, 0, 0, 0);
+            since = startOfToday.getTime() - (days - 1) * DAY_MS;
+        }
+
+        return {
+            query: this.searchInput.value,
+            profileId: this.profileFilter.value,
+            since,
+            favoritesOnly: this.favoritesFilter.checked
+        };
+    }
+
+    async render() {
+        let entries;
+        try {
+            entries = await this.store.search(this.getFilters());
+        } catch (error) {
+            this.list.innerHTML = `<p class="history-empty" style="color: var(--error);">Error: ${escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        this.list.innerHTML = '';
+
+        if (entries.length === 0) {
+            this.list.innerHTML = '<p class="history-empty">No translations found</p>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+
+            const score = entry.accuracyScore ? `${entry.accuracyScore.score}%` : '—';
+            const date = new Date(entry.createdAt).toLocaleString();
+
+            item.innerHTML = `
+        <div class="history-text">
+          <p class="history-original">${escapeHtml(entry.original)}</p>
+          <p class="history-translation">${escapeHtml(entry.translation)}</p>
+          <div class="history-meta">
+            <span>${escapeHtml(entry.profileName || entry.profileId)}</span>
+            <span>Accuracy ${score}</span>
+            <span>${date}</span>
+          </div>
+        </div>
+        <div class="history-actions">
+          <button class="btn btn-ghost btn-small favorite-entry${entry.favorite ? ' active' : ''}" title="Favorite">${entry.favorite ? '★' : '☆'}</button>
+          <button class="btn btn-ghost btn-small restore-entry">Restore</button>
+          <button class="btn btn-ghost btn-small delete-entry" style="color: var(--error);">×</button>
+        </div>
+      `;
+
+            item.querySelector('.favorite-entry').addEventListener('click', async () => {
+                await this.store.toggleFavorite(entry.id);
+                this.render();
+            });
+
+            item.querySelector('.restore-entry').addEventListener('click', () => {
+                if (this.onRestore) this.onRestore(entry);
+                this.close();
+            });
+
+            item.querySelector('.delete-entry').addEventListener('click', async () => {
+                await this.store.delete(entry.id);
+                this.render();
+            });
+
+            this.list.appendChild(item);
+        });
+    }
+}
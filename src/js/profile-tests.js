@@ -0,0 +1,169 @@
+import * as api from './api.js';
+import { SPEECH_LEVEL_LABELS } from './speech-levels.js';
+import { escapeHtml } from './html.js';
+
+const splitPhrases = value => value.split(',').map(phrase => phrase.trim()).filter(Boolean);
+
+// One line per expectation, e.g. "✓ contains 감사" or "✗ 해요체 (got 반말)"
+function describeCheck(check) {
+    const mark = check.passed ? '✓' : '✗';
+    switch (check.type) {
+        case 'must-contain':
+            return `${mark} contains "${check.expected}"`;
+        case 'must-not-contain':
+            return `${mark} doesn't contain "${check.expected}"`;
+        case 'speech-level': {
+            const actual = SPEECH_LEVEL_LABELS[check.actual] || check.actual || 'unknown';
+            return `${mark} ${SPEECH_LEVEL_LABELS[check.expected]}${check.passed ? '' : ` (got ${actual})`}`;
+        }
+        case 'min-accuracy':
+            return `${mark} accuracy ${check.actual}% (at least ${check.expected}%)`;
+        default:
+            return `${mark} ${check.type}`;
+    }
+}
+
+// The Test tab of the profile modal: example cases with expectations, run
+// against the form as it stands. `getDraft()` returns the unsaved profile.
+export class ProfileTester {
+    constructor() {
+        this.getDraft = null;
+        this.running = false;
+
+        this.exampleList = document.getElementById('example-list');
+        this.runButton = document.getElementById('run-tests-btn');
+        this.results = document.getElementById('test-results');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('add-example-btn').addEventListener('click', () => this.addExample());
+        this.runButton.addEventListener('click', () => this.run());
+    }
+
+    setExamples(examples = []) {
+        this.exampleList.innerHTML = '';
+        this.results.innerHTML = '';
+        examples.forEach(example => this.addExample(example));
+    }
+
+    addExample(example = {}) {
+        const levels = Object.entries(SPEECH_LEVEL_LABELS)
+            .map(([id, label]) => `<option value="${id}">${label}</option>`)
+            .join('');
+
+        const item = document.createElement('div');
+        item.className = 'example-item';
+        item.innerHTML = `
+      <div class="example-row">
+        <textarea class="example-input" rows="2" placeholder="Example input (English or Korean)"></textarea>
+        <button class="btn btn-ghost btn-small remove-example" style="color: var(--error);">×</button>
+      </div>
+      <div class="example-expectations">
+        <input type="text" class="example-must-contain" placeholder="Must contain (comma-separated)">
+        <input type="text" class="example-must-not-contain" placeholder="Must not contain (comma-separated)">
+        <select class="example-speech-level">
+          <option value="">Any speech level</option>
+          ${levels}
+        </select>
+        <input type="number" class="example-min-accuracy" min="0" max="100" placeholder="Min accuracy %">
+      </div>
+      <div class="example-result"></div>
+    `;
+
+        // Set through the DOM so quotes and commas in the values survive
+        item.querySelector('.example-input').value = example.input || '';
+        item.querySelector('.example-must-contain').value = (example.mustContain || []).join(', ');
+        item.querySelector('.example-must-not-contain').value = (example.mustNotContain || []).join(', ');
+        item.querySelector('.example-speech-level').value = example.speechLevel || '';
+        item.querySelector('.example-min-accuracy').value = example.minAccuracy ?? '';
+
+        item.querySelector('.remove-example').addEventListener('click', () => item.remove());
+        this.exampleList.appendChild(item);
+    }
+
+    // Filled-in cases, each with the element it came from
+    collect() {
+        return Array.from(this.exampleList.querySelectorAll('.example-item'))
+            .map(item => {
+                const minAccuracy = item.querySelector('.example-min-accuracy').value;
+                return {
+                    item,
+                    example: {
+                        input: item.querySelector('.example-input').value.trim(),
+                        mustContain: splitPhrases(item.querySelector('.example-must-contain').value),
+                        mustNotContain: splitPhrases(item.querySelector('.example-must-not-contain').value),
+                        speechLevel: item.querySelector('.example-speech-level').value || null,
+                        minAccuracy: minAccuracy === '' ? null : Number(minAccuracy)
+                    }
+                };
+            })
+            .filter(({ example }) => example.input);
+    }
+
+    get examples() {
+        return this.collect().map(({ example }) => example);
+    }
+
+    async run() {
+        if (this.running || !this.getDraft) return;
+
+        const cases = this.collect();
+        if (cases.length === 0) {
+            this.results.innerHTML = '<p class="test-summary">Add an example input to test</p>';
+            return;
+        }
+
+        this.running = true;
+        this.runButton.disabled = true;
+        this.runButton.textContent = 'Running...';
+        this.exampleList.querySelectorAll('.example-result').forEach(result => {
+            result.innerHTML = '';
+        });
+
+        try {
+            const profile = this.getDraft();
+            const draft = {
+                ...profile,
+                // Not needed to test, but the profile schema requires them
+                name: profile.name || 'Untitled profile',
+                description: profile.description || 'Not saved yet',
+                examples: cases.map(({ example }) => example)
+            };
+            const report = await api.testProfile(draft.id || 'draft', draft);
+
+            report.results.forEach(result => this.renderResult(cases[result.index].item, result));
+            this.results.innerHTML = `
+        <p class="test-summary ${report.failed === 0 ? 'passed' : 'failed'}">
+          ${report.passed} of ${report.total} passed${report.failed > 0 ? ` · ${report.failed} failed` : ''}
+        </p>
+      `;
+        } catch (error) {
+            this.results.innerHTML = `<p class="test-summary failed">${escapeHtml(error.message)}</p>`;
+        } finally {
+            this.running = false;
+            this.runButton.disabled = false;
+            this.runButton.textContent = 'Run Tests';
+        }
+    }
+
+    renderResult(item, result) {
+        const target = item.querySelector('.example-result');
+
+        if (result.error) {
+            target.innerHTML = `<p class="example-outcome failed">✗ ${escapeHtml(result.error)}</p>`;
+            return;
+        }
+
+        const checks = result.checks.length > 0
+            ? `<ul>${result.checks.map(check => `<li class="${check.passed ? 'passed' : 'failed'}">${escapeHtml(describeCheck(check))}</li>`).join('')}</ul>`
+            : '';
+        target.innerHTML = `
+      <p class="example-outcome ${result.passed ? 'passed' : 'failed'}">
+        ${result.passed ? '✓ Pass' : '✗ Fail'} · ${escapeHtml(result.translation)}
+      </p>
+      ${checks}
+    `;
+    }
+}
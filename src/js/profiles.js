@@ -1,4 +1,52 @@
 import * as api from './api.js';
+import { RelationPicker } from './relation-picker.js';
+import { RuleSetEditor } from './rule-sets.js';
+import { ProfileTester } from './profile-tests.js';
+import { escapeHtml } from './html.js';
+
+// Labels for the fields a revision diff can list
+const FIELD_LABELS = {
+    name: 'Name',
+    description: 'Description',
+    extends: 'Based on',
+    ruleSets: 'Rule sets',
+    examples: 'Example cases',
+    'settings.formality': 'Formality',
+    'settings.speechLevel': 'Speech level',
+    'settings.provider': 'Translation engine',
+    'settings.rewriteProvider': 'Rewrite engine',
+    'settings.glossaryId': 'Glossary',
+    'settings.semanticJudge': 'Meaning judge',
+    'settings.recipientRelation': 'Writing to'
+};
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return 'not set';
+    if (Array.isArray(value) && value.some(item => typeof item === 'object')) {
+        return `${value.length} case${value.length === 1 ? '' : 's'}`;
+    }
+    if (typeof value === 'object') {
+        return Object.values(value).filter(part => part !== null && part !== false).join(', ');
+    }
+    return String(value);
+}
+
+// Where an effective rule came from, e.g. "Rule set: No slang · via Parent Talk"
+function describeSource(entry) {
+    const from = entry.source === 'rule-set' ? `Rule set: ${entry.ruleSetName}` : null;
+    if (!entry.inherited) return from || 'This profile';
+    return from ? `${from} · via ${entry.profileName}` : `From ${entry.profileName}`;
+}
+
+// Save a JSON file through a temporary download link
+function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
 export class ProfileManager {
     constructor() {
@@ -10,8 +58,48 @@ export class ProfileManager {
         this.profilesList = document.getElementById('profiles-list');
         this.rulesList = document.getElementById('rules-list');
         this.formTitle = document.getElementById('form-title');
+        this.providerSelect = document.getElementById('profile-provider');
+        this.rewriteProviderSelect = document.getElementById('profile-rewrite-provider');
+        this.glossarySelect = document.getElementById('profile-glossary');
+        this.groupField = document.getElementById('profile-group-field');
+        this.groupSelect = document.getElementById('profile-group');
+        this.relationPicker = new RelationPicker(document.getElementById('profile-relation'));
+        this.importInput = document.getElementById('import-profiles-file');
+        this.history = document.getElementById('profile-history');
+        this.historyTitle = document.getElementById('profile-history-title');
+        this.revisionsList = document.getElementById('profile-revisions');
+        this.diffView = document.getElementById('profile-diff');
+        this.historyProfileId = null;
+        this.extendsSelect = document.getElementById('profile-extends');
+        this.ruleSetOptions = document.getElementById('profile-rule-sets');
+        this.effectiveRules = document.getElementById('profile-effective-rules');
+        this.ruleSetEditor = new RuleSetEditor();
+        this.ruleSets = [];
+        this.resolveRequest = 0;
+        this.resolveTimer = null;
+        this.tester = new ProfileTester();
+        this.tester.getDraft = () => this.collectProfile();
 
         this.setupEventListeners();
+        this.loadProviders();
+    }
+
+    async loadProviders() {
+        try {
+            const providers = await api.getProviders();
+
+            providers.forEach(provider => {
+                const label = `${provider.name}${provider.configured ? '' : ' (not configured)'}`;
+                if (provider.capabilities.translate) {
+                    this.providerSelect.appendChild(new Option(label, provider.id));
+                }
+                if (provider.capabilities.rewrite) {
+                    this.rewriteProviderSelect.appendChild(new Option(label, provider.id));
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load providers:', error);
+        }
     }
 
     setupEventListeners() {
@@ -27,23 +115,185 @@ export class ProfileManager {
 
         // Cancel
         document.getElementById('cancel-profile-btn').addEventListener('click', () => this.resetForm());
+
+        // Export / import
+        document.getElementById('export-profiles-btn').addEventListener('click', () => this.exportProfiles());
+        document.getElementById('import-profiles-btn').addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => {
+            if (this.importInput.files[0]) this.importProfiles(this.importInput.files[0]);
+        });
+
+        // History
+        document.getElementById('close-profile-history').addEventListener('click', () => this.hideHistory());
+
+        // Inheritance and rule sets change what the profile applies
+        this.extendsSelect.addEventListener('change', () => {
+            this.updateInheritedOptions();
+            this.updateEffectiveRules();
+        });
+        this.ruleSetOptions.addEventListener('change', () => this.updateEffectiveRules());
+        this.rulesList.addEventListener('input', () => {
+            clearTimeout(this.resolveTimer);
+            this.resolveTimer = setTimeout(() => this.updateEffectiveRules(), 300);
+        });
+        document.getElementById('manage-rule-sets-btn').addEventListener('click', () => this.ruleSetEditor.toggle());
+        this.ruleSetEditor.onChange = ruleSets => {
+            this.setRuleSets(ruleSets);
+            this.updateEffectiveRules();
+        };
+
+        // Settings / Test tabs
+        this.modal.querySelectorAll('.profile-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showTab(tab.dataset.tab));
+        });
+    }
+
+    showTab(name) {
+        this.modal.querySelectorAll('.profile-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === name);
+        });
+        document.getElementById('profile-settings-tab').classList.toggle('hidden', name !== 'settings');
+        document.getElementById('profile-test-tab').classList.toggle('hidden', name !== 'test');
+    }
+
+    async loadRuleSets() {
+        try {
+            const ruleSets = await api.getRuleSets();
+            this.setRuleSets(ruleSets);
+            this.ruleSetEditor.setRuleSets(ruleSets);
+        } catch (error) {
+            console.error('Failed to load rule sets:', error);
+        }
+    }
+
+    // Checkboxes for every rule set, keeping the current selection
+    setRuleSets(ruleSets) {
+        const selected = this.selectedRuleSets();
+        this.ruleSets = ruleSets;
+
+        this.ruleSetOptions.innerHTML = ruleSets.map(ruleSet => `
+      <label class="rule-set-option" title="${escapeHtml(ruleSet.rules.join('\n'))}">
+        <input type="checkbox" value="${ruleSet.id}"${selected.includes(ruleSet.id) ? ' checked' : ''}>
+        ${escapeHtml(ruleSet.name)}
+      </label>
+    `).join('');
+    }
+
+    selectedRuleSets() {
+        return Array.from(this.ruleSetOptions.querySelectorAll('input:checked')).map(input => input.value);
+    }
+
+    // Parent choices: every profile except the one being edited
+    renderExtendsOptions(selected = '') {
+        this.extendsSelect.innerHTML = '<option value="">Nothing - start from scratch</option>';
+        this.profiles
+            .filter(profile => profile.id !== this.editingProfile?.id)
+            .forEach(profile => this.extendsSelect.appendChild(new Option(profile.name, profile.id)));
+        this.extendsSelect.value = selected;
+        this.updateInheritedOptions();
+    }
+
+    // With a parent, an empty choice means "same as parent" rather than "not set"
+    updateInheritedOptions() {
+        const inherits = Boolean(this.extendsSelect.value);
+        const formality = document.getElementById('profile-formality');
+
+        formality.querySelector('.inherit-option').hidden = !inherits;
+        if (!inherits && !formality.value) formality.value = 'default';
+
+        ['profile-speech-level', 'profile-semantic-judge', 'profile-provider', 'profile-rewrite-provider', 'profile-glossary']
+            .forEach(id => {
+                const option = document.querySelector(`#${id} option[value=""]`);
+                option.dataset.label = option.dataset.label || option.textContent;
+                option.textContent = inherits ? 'Same as parent' : option.dataset.label;
+            });
+    }
+
+    currentRules() {
+        return Array.from(this.rulesList.querySelectorAll('.rule-input'))
+            .map(input => input.value.trim())
+            .filter(rule => rule.length > 0);
+    }
+
+    // Show the merged rule list of the form as it stands
+    async updateEffectiveRules() {
+        const request = ++this.resolveRequest;
+
+        try {
+            const resolved = await api.resolveProfile({
+                id: document.getElementById('profile-id').value || null,
+                name: document.getElementById('profile-name').value.trim(),
+                extends: this.extendsSelect.value || null,
+                ruleSets: this.selectedRuleSets(),
+                rules: this.currentRules()
+            });
+            if (request !== this.resolveRequest) return;
+
+            const chain = resolved.ancestors.length > 0
+                ? `<p class="effective-chain">Inherits from ${resolved.ancestors.map(p => escapeHtml(p.name)).join(' → ')}</p>`
+                : '';
+            const rules = resolved.rules.length > 0
+                ? `<ol>${resolved.rules.map(entry => `
+            <li class="${entry.inherited ? 'inherited' : ''}">
+              <span>${escapeHtml(entry.rule)}</span>
+              <span class="effective-source">${escapeHtml(describeSource(entry))}</span>
+            </li>
+          `).join('')}</ol>`
+                : '<p class="effective-empty">No rewrite rules - text is translated as written</p>';
+
+            this.effectiveRules.innerHTML = chain + rules;
+        } catch (error) {
+            if (request !== this.resolveRequest) return;
+            this.effectiveRules.innerHTML = `<p class="effective-empty">${escapeHtml(error.message)}</p>`;
+        }
     }
 
     setProfiles(profiles) {
         this.profiles = profiles;
     }
 
+    setGlossaries(glossaries) {
+        const selected = this.glossarySelect.value;
+        this.glossarySelect.innerHTML = '<option value="">None</option>';
+
+        glossaries.forEach(glossary => {
+            this.glossarySelect.appendChild(new Option(glossary.name, glossary.id));
+        });
+        this.glossarySelect.value = selected;
+    }
+
+    // Family groups the signed-in user can share profiles with
+    setGroups(groups) {
+        const selected = this.groupSelect.value;
+        this.groupSelect.innerHTML = '<option value="">Only me</option>';
+
+        groups.forEach(group => {
+            this.groupSelect.appendChild(new Option(group.name, group.id));
+        });
+        this.groupSelect.value = groups.some(group => group.id === selected) ? selected : '';
+        this.groupField.classList.toggle('hidden', groups.length === 0);
+    }
+
     open() {
         this.renderProfiles();
         this.resetForm();
+        this.loadRuleSets();
         this.modal.classList.remove('hidden');
     }
 
     close() {
         this.modal.classList.add('hidden');
+        this.hideHistory();
+        this.ruleSetEditor.hide();
         this.resetForm();
     }
 
+    async refreshProfiles() {
+        const profiles = await api.getProfiles();
+        this.setProfiles(profiles);
+        this.renderProfiles();
+    }
+
     renderProfiles() {
         this.profilesList.innerHTML = '';
 
@@ -51,15 +301,28 @@ export class ProfileManager {
             const item = document.createElement('div');
             item.className = `profile-item${profile.isDefault ? ' default' : ''}`;
 
+            // Someone else's profile shared with a family group can be used but not changed
+            const isShared = !profile.isDefault && !profile.canDelete;
+            let tag = '';
+            if (profile.isDefault) {
+                tag = ' <span style="font-size: 0.75rem; color: var(--accent-primary);">(Default)</span>';
+            } else if (isShared) {
+                tag = ` <span class="profile-shared-tag">Shared by ${escapeHtml(profile.sharedBy || 'family')}</span>`;
+            } else if (profile.groupId) {
+                tag = ' <span class="profile-shared-tag">Shared with family</span>';
+            }
+
             item.innerHTML = `
         <div class="profile-info">
-          <h4>${profile.name}${profile.isDefault ? ' <span style="font-size: 0.75rem; color: var(--accent-primary);">(Default)</span>' : ''}</h4>
-          <p>${profile.description}</p>
+          <h4>${escapeHtml(profile.name)}${tag}</h4>
+          <p>${escapeHtml(profile.description)}</p>
         </div>
         <div class="profile-actions">
           ${!profile.isDefault ? `
-            <button class="btn btn-ghost btn-small edit-profile" data-id="${profile.id}">Edit</button>
-            <button class="btn btn-ghost btn-small delete-profile" data-id="${profile.id}" style="color: var(--error);">Delete</button>
+            ${isShared ? '' : `<button class="btn btn-ghost btn-small edit-profile" data-id="${escapeHtml(profile.id)}">Edit</button>`}
+            <button class="btn btn-ghost btn-small history-profile" data-id="${escapeHtml(profile.id)}">History</button>
+            <button class="btn btn-ghost btn-small export-profile" data-id="${escapeHtml(profile.id)}">Export</button>
+            ${isShared ? '' : `<button class="btn btn-ghost btn-small delete-profile" data-id="${escapeHtml(profile.id)}" style="color: var(--error);">Delete</button>`}
           ` : ''}
         </div>
       `;
@@ -75,6 +338,144 @@ export class ProfileManager {
         this.profilesList.querySelectorAll('.delete-profile').forEach(btn => {
             btn.addEventListener('click', () => this.deleteProfile(btn.dataset.id));
         });
+
+        this.profilesList.querySelectorAll('.history-profile').forEach(btn => {
+            btn.addEventListener('click', () => this.showHistory(btn.dataset.id));
+        });
+
+        this.profilesList.querySelectorAll('.export-profile').forEach(btn => {
+            btn.addEventListener('click', () => this.exportProfiles([btn.dataset.id]));
+        });
+    }
+
+    // Download one profile, or all of your own custom profiles as a bundle
+    async exportProfiles(ids = null) {
+        if (!ids && !this.profiles.some(p => !p.isDefault && p.canDelete)) {
+            alert('There are no custom profiles to export yet');
+            return;
+        }
+
+        try {
+            const file = await api.exportProfiles(ids);
+            const date = new Date().toISOString().slice(0, 10);
+            downloadJson(file, file.profile ? `profile-${file.profile.id}.json` : `profiles-${date}.json`);
+        } catch (error) {
+            alert('Failed to export profiles: ' + error.message);
+        }
+    }
+
+    async importProfiles(file) {
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch {
+                throw new Error(`${file.name} is not a JSON file`);
+            }
+
+            const result = await api.importProfiles(data);
+            const lines = result.imported.map(profile => `${profile.name}: ${profile.status}`);
+            alert([`Imported ${result.imported.length} profile(s)`, ...lines, ...result.warnings].join('\n'));
+
+            if (this.onSave) this.onSave();
+            await this.refreshProfiles();
+        } catch (error) {
+            alert('Failed to import profiles: ' + error.message);
+        } finally {
+            this.importInput.value = '';
+        }
+    }
+
+    async showHistory(id) {
+        const profile = this.profiles.find(p => p.id === id);
+        if (!profile) return;
+
+        this.historyProfileId = id;
+        this.historyTitle.textContent = `History: ${profile.name}`;
+        this.diffView.classList.add('hidden');
+        this.history.classList.remove('hidden');
+
+        try {
+            this.renderRevisions(await api.getProfileRevisions(id));
+        } catch (error) {
+            this.revisionsList.innerHTML = `<p class="profile-history-empty">${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    hideHistory() {
+        this.historyProfileId = null;
+        this.history.classList.add('hidden');
+    }
+
+    renderRevisions(revisions) {
+        if (revisions.length === 0) {
+            this.revisionsList.innerHTML = '<p class="profile-history-empty">No saved versions yet - history starts with the next save</p>';
+            return;
+        }
+
+        this.revisionsList.innerHTML = revisions.map(record => `
+      <div class="revision-item">
+        <span class="revision-number">v${record.revision}</span>
+        <span class="revision-name">${escapeHtml(record.profile.name)}</span>
+        <span class="revision-date">${new Date(record.savedAt).toLocaleString()}</span>
+        ${record.current ? '<span class="revision-current">Current</span>' : `
+          <button class="btn btn-ghost btn-small diff-revision" data-revision="${record.revision}">Diff</button>
+          <button class="btn btn-ghost btn-small restore-revision" data-revision="${record.revision}">Restore</button>
+        `}
+      </div>
+    `).join('');
+
+        this.revisionsList.querySelectorAll('.diff-revision').forEach(btn => {
+            btn.addEventListener('click', () => this.showDiff(Number(btn.dataset.revision)));
+        });
+
+        this.revisionsList.querySelectorAll('.restore-revision').forEach(btn => {
+            btn.addEventListener('click', () => this.restoreRevision(Number(btn.dataset.revision)));
+        });
+    }
+
+    async showDiff(revision) {
+        try {
+            const diff = await api.diffProfileRevision(this.historyProfileId, revision);
+
+            const changes = diff.changes.map(change => `
+          <li>
+            <strong>${FIELD_LABELS[change.field] || change.field}</strong>:
+            <span class="diff-removed">${escapeHtml(formatValue(change.from))}</span> →
+            <span class="diff-added">${escapeHtml(formatValue(change.to))}</span>
+          </li>
+        `);
+            const rules = [
+                ...diff.rulesRemoved.map(rule => `<li class="diff-removed">− ${escapeHtml(rule)}</li>`),
+                ...diff.rulesAdded.map(rule => `<li class="diff-added">+ ${escapeHtml(rule)}</li>`)
+            ];
+
+            this.diffView.innerHTML = `
+        <h4>Changes from v${diff.from} to the current version (v${diff.to})</h4>
+        ${changes.length + rules.length === 0 ? '<p class="profile-history-empty">No differences</p>' : ''}
+        ${changes.length > 0 ? `<ul>${changes.join('')}</ul>` : ''}
+        ${rules.length > 0 ? `<p class="diff-heading">Rules</p><ul>${rules.join('')}</ul>` : ''}
+      `;
+            this.diffView.classList.remove('hidden');
+        } catch (error) {
+            alert('Failed to compare versions: ' + error.message);
+        }
+    }
+
+    // The restored version is saved as a new revision, so later ones stay in the history
+    async restoreRevision(revision) {
+        if (!confirm(`Restore version ${revision}? It is saved as a new version, so nothing is lost.`)) return;
+
+        try {
+            const id = this.historyProfileId;
+            await api.rollbackProfile(id, revision);
+
+            if (this.onSave) this.onSave();
+            await this.refreshProfiles();
+            await this.showHistory(id);
+        } catch (error) {
+            alert('Failed to restore profile: ' + error.message);
+        }
     }
 
     editProfile(id) {
@@ -88,6 +489,21 @@ export class ProfileManager {
         document.getElementById('profile-name').value = profile.name;
         document.getElementById('profile-description').value = profile.description;
 
+        this.renderExtendsOptions(profile.extends || '');
+        this.ruleSetOptions.querySelectorAll('input').forEach(input => {
+            input.checked = (profile.ruleSets || []).includes(input.value);
+        });
+
+        const settings = profile.settings || {};
+        document.getElementById('profile-formality').value = settings.formality || (profile.extends ? '' : 'default');
+        document.getElementById('profile-speech-level').value = settings.speechLevel || '';
+        document.getElementById('profile-semantic-judge').value = settings.semanticJudge || '';
+        this.providerSelect.value = settings.provider || '';
+        this.rewriteProviderSelect.value = settings.rewriteProvider || '';
+        this.glossarySelect.value = settings.glossaryId || '';
+        this.groupSelect.value = profile.groupId || '';
+        this.relationPicker.value = settings.recipientRelation;
+
         // Render rules
         this.rulesList.innerHTML = '';
         (profile.rules || []).forEach(rule => this.addRuleInput(rule));
@@ -96,6 +512,9 @@ export class ProfileManager {
         if (!profile.rules || profile.rules.length === 0) {
             this.addRuleInput();
         }
+
+        this.tester.setExamples(profile.examples || []);
+        this.updateEffectiveRules();
     }
 
     async deleteProfile(id) {
@@ -105,6 +524,7 @@ export class ProfileManager {
             await api.deleteProfile(id);
             this.profiles = this.profiles.filter(p => p.id !== id);
             this.renderProfiles();
+            if (this.historyProfileId === id) this.hideHistory();
 
             if (this.onSave) this.onSave();
         } catch (error) {
@@ -117,41 +537,64 @@ export class ProfileManager {
         ruleItem.className = 'rule-item';
 
         ruleItem.innerHTML = `
-      <input type="text" class="rule-input" value="${value}" placeholder="Enter a translation rule...">
+      <input type="text" class="rule-input" value="${escapeHtml(value)}" placeholder="Enter a translation rule...">
       <button class="btn btn-ghost btn-small remove-rule" style="color: var(--error);">×</button>
     `;
 
         ruleItem.querySelector('.remove-rule').addEventListener('click', () => {
             ruleItem.remove();
+            this.updateEffectiveRules();
         });
 
         this.rulesList.appendChild(ruleItem);
     }
 
+    // The profile as the form describes it, saved or not
+    collectProfile() {
+        const rules = this.currentRules();
+
+        const settings = {
+            formality: document.getElementById('profile-formality').value || null,
+            speechLevel: document.getElementById('profile-speech-level').value || null,
+            provider: this.providerSelect.value || null,
+            rewriteProvider: this.rewriteProviderSelect.value || null,
+            rewriteRules: rules,
+            glossaryId: this.glossarySelect.value || null,
+            semanticJudge: document.getElementById('profile-semantic-judge').value || null,
+            recipientRelation: this.relationPicker.value
+        };
+
+        return {
+            id: document.getElementById('profile-id').value || null,
+            name: document.getElementById('profile-name').value.trim(),
+            description: document.getElementById('profile-description').value.trim(),
+            extends: this.extendsSelect.value || null,
+            ruleSets: this.selectedRuleSets(),
+            groupId: this.groupSelect.value || null,
+            rules,
+            settings,
+            examples: this.tester.examples
+        };
+    }
+
     async saveProfile() {
-        const name = document.getElementById('profile-name').value.trim();
-        const description = document.getElementById('profile-description').value.trim();
-        const id = document.getElementById('profile-id').value || null;
+        const profile = this.collectProfile();
+        const id = profile.id;
 
-        if (!name || !description) {
+        if (!profile.name || !profile.description) {
             alert('Please fill in both name and description');
             return;
         }
 
-        const rules = Array.from(this.rulesList.querySelectorAll('.rule-input'))
-            .map(input => input.value.trim())
-            .filter(rule => rule.length > 0);
-
         try {
-            await api.saveProfile({ id, name, description, rules });
+            await api.saveProfile(profile);
 
             if (this.onSave) this.onSave();
             this.resetForm();
 
-            // Refresh profiles list
-            const profiles = await api.getProfiles();
-            this.setProfiles(profiles);
-            this.renderProfiles();
+            // Refresh profiles list and any open history
+            await this.refreshProfiles();
+            if (this.historyProfileId === id) await this.showHistory(id);
 
         } catch (error) {
             alert('Failed to save profile: ' + error.message);
@@ -165,8 +608,23 @@ export class ProfileManager {
         document.getElementById('profile-id').value = '';
         document.getElementById('profile-name').value = '';
         document.getElementById('profile-description').value = '';
+        document.getElementById('profile-formality').value = 'default';
+        document.getElementById('profile-speech-level').value = '';
+        document.getElementById('profile-semantic-judge').value = '';
+        this.providerSelect.value = '';
+        this.rewriteProviderSelect.value = '';
+        this.glossarySelect.value = '';
+        this.groupSelect.value = '';
+        this.relationPicker.value = null;
+        this.renderExtendsOptions();
+        this.ruleSetOptions.querySelectorAll('input').forEach(input => {
+            input.checked = false;
+        });
 
         this.rulesList.innerHTML = '';
         this.addRuleInput();
+        this.tester.setExamples();
+        this.showTab('settings');
+        this.updateEffectiveRules();
     }
 }
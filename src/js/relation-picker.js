@@ -0,0 +1,157 @@
+import * as api from './api.js';
+import { SPEECH_LEVEL_LABELS } from './speech-levels.js';
+import { escapeHtml } from './html.js';
+
+// Relatives a recipient can be, and which parts of the relation each depends on
+// (the server resolves the terms; this only decides which fields to show)
+const RELATIVES = {
+    mother: { label: 'Mother', inLaw: true },
+    father: { label: 'Father', inLaw: true },
+    grandmother: { label: 'Grandmother', side: true },
+    grandfather: { label: 'Grandfather', side: true },
+    'older-sister': { label: 'Older sister', gender: true },
+    'older-brother': { label: 'Older brother', gender: true },
+    'younger-sibling': { label: 'Younger sibling' },
+    aunt: { label: 'Aunt', side: true, inLaw: true, seniority: true },
+    uncle: { label: 'Uncle', side: true, inLaw: true, seniority: true }
+};
+
+// Fields describing who the recipient is to the writer, with a preview of the
+// Korean terms they resolve to. Renders into `container`; `onChange(relation)`
+// fires on every edit.
+export class RelationPicker {
+    constructor(container) {
+        this.container = container;
+        this.onChange = null;
+        this.previewRequest = 0;
+
+        this.render();
+        this.setupEventListeners();
+        this.update();
+    }
+
+    render() {
+        const people = Object.entries(RELATIVES)
+            .map(([id, relative]) => `<option value="${id}">${relative.label}</option>`)
+            .join('');
+
+        this.container.innerHTML = `
+      <div class="relation-picker">
+        <div class="relation-fields">
+          <select class="relation-person">
+            <option value="">Not set</option>
+            ${people}
+          </select>
+          <select class="relation-side">
+            <option value="paternal">Father's side</option>
+            <option value="maternal">Mother's side</option>
+          </select>
+          <select class="relation-seniority">
+            <option value="">Older or younger than your father?</option>
+            <option value="older">Older than your father</option>
+            <option value="younger">Younger than your father</option>
+          </select>
+          <label class="relation-in-law"><input type="checkbox"> By marriage</label>
+          <select class="relation-gender">
+            <option value="">Your gender</option>
+            <option value="female">I'm female</option>
+            <option value="male">I'm male</option>
+          </select>
+        </div>
+        <p class="relation-preview"></p>
+      </div>
+    `;
+
+        this.person = this.container.querySelector('.relation-person');
+        this.side = this.container.querySelector('.relation-side');
+        this.seniority = this.container.querySelector('.relation-seniority');
+        this.inLawLabel = this.container.querySelector('.relation-in-law');
+        this.inLaw = this.inLawLabel.querySelector('input');
+        this.gender = this.container.querySelector('.relation-gender');
+        this.preview = this.container.querySelector('.relation-preview');
+    }
+
+    setupEventListeners() {
+        this.container.querySelectorAll('select, input').forEach(field => {
+            field.addEventListener('change', () => {
+                this.update();
+                if (this.onChange) this.onChange(this.value);
+            });
+        });
+    }
+
+    // The described relation, with only the parts this relative depends on
+    get value() {
+        const relative = RELATIVES[this.person.value];
+        if (!relative) return null;
+
+        const relation = { person: this.person.value };
+        if (relative.side) relation.side = this.side.value;
+        if (relative.inLaw && this.inLaw.checked) relation.inLaw = true;
+        if (this.needsGender()) relation.speakerGender = this.gender.value || null;
+        if (this.needsSeniority() && this.seniority.value) relation.seniority = this.seniority.value;
+        return relation;
+    }
+
+    set value(relation) {
+        this.person.value = relation?.person || '';
+        this.side.value = relation?.side || 'paternal';
+        this.inLaw.checked = relation?.inLaw === true;
+        this.gender.value = relation?.speakerGender || '';
+        this.seniority.value = relation?.seniority || '';
+        this.update();
+    }
+
+    // 오빠/형, 언니/누나 and 시-/장- in-laws depend on the writer's gender
+    needsGender() {
+        const relative = RELATIVES[this.person.value];
+        if (!relative) return false;
+        return relative.gender || (this.inLaw.checked && ['mother', 'father'].includes(this.person.value));
+    }
+
+    // 큰아버지/작은아버지 and 큰어머니/작은어머니 depend on the father's brother's age
+    needsSeniority() {
+        const relative = RELATIVES[this.person.value];
+        if (!relative?.seniority || this.side.value !== 'paternal') return false;
+        return this.person.value === 'uncle' ? !this.inLaw.checked : this.inLaw.checked;
+    }
+
+    // Show the fields this relative needs and preview its terms
+    update() {
+        const relative = RELATIVES[this.person.value];
+
+        this.side.classList.toggle('hidden', !relative?.side);
+        this.inLawLabel.classList.toggle('hidden', !relative?.inLaw);
+        this.gender.classList.toggle('hidden', !this.needsGender());
+        this.seniority.classList.toggle('hidden', !this.needsSeniority());
+
+        this.updatePreview();
+    }
+
+    async updatePreview() {
+        const request = ++this.previewRequest;
+        const relation = this.value;
+
+        if (!relation) {
+            this.preview.textContent = 'No relation set - the profile\'s speech level applies';
+            this.preview.classList.remove('error');
+            return;
+        }
+
+        try {
+            const terms = await api.getKinshipTerms(relation);
+            if (request !== this.previewRequest) return;
+
+            const address = terms.address ? `Call them <strong>${escapeHtml(terms.address)}</strong>` : 'Call them by name';
+            const reference = terms.reference && terms.reference !== terms.address
+                ? ` · refer to them as <strong>${escapeHtml(terms.reference)}</strong>`
+                : '';
+            this.preview.innerHTML = `${address}${reference} · ${SPEECH_LEVEL_LABELS[terms.speechLevel]}`;
+            this.preview.classList.remove('error');
+        } catch (error) {
+            if (request !== this.previewRequest) return;
+            this.preview.textContent = error.message;
+            this.preview.classList.add('error');
+        }
+    }
+}
@@ -0,0 +1,61 @@
+import * as api from './api.js';
+import { SPEECH_LEVEL_LABELS } from './speech-levels.js';
+import { escapeHtml } from './html.js';
+
+export class RepliesPanel {
+    constructor() {
+        this.section = document.getElementById('replies-view');
+        this.list = document.getElementById('replies-list');
+        this.onSelect = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('close-replies').addEventListener('click', () => this.hide());
+    }
+
+    async show(message, profileId) {
+        this.list.innerHTML = '<p class="history-empty">Thinking of replies...</p>';
+        this.section.classList.remove('hidden');
+        this.section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        try {
+            const result = await api.suggestReplies(message, profileId);
+            this.render(result);
+        } catch (error) {
+            this.list.innerHTML = `<p class="history-empty" style="color: var(--error);">Error: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    hide() {
+        this.section.classList.add('hidden');
+    }
+
+    render({ replies, source, speechLevel }) {
+        const levelNote = speechLevel ? ` · Korean in ${SPEECH_LEVEL_LABELS[speechLevel]}` : '';
+        const sourceNote = source === 'local' ? ' · from built-in templates' : '';
+
+        this.list.innerHTML = `
+      <p class="replies-summary">Pick one to edit it before sending${levelNote}${sourceNote}</p>
+      ${replies.map((reply, index) => `
+        <div class="reply-item">
+          <div class="reply-header">
+            <span class="reply-tone">${escapeHtml(reply.tone)}</span>
+            <span class="reply-note">${escapeHtml(reply.note)}</span>
+          </div>
+          <p class="reply-text">${escapeHtml(reply.text)}</p>
+          <p class="reply-korean">${escapeHtml(reply.korean)}</p>
+          <button class="btn btn-ghost btn-small use-reply" data-index="${index}">Use this reply</button>
+        </div>
+      `).join('')}
+    `;
+
+        this.list.querySelectorAll('.use-reply').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.hide();
+                if (this.onSelect) this.onSelect(replies[Number(btn.dataset.index)]);
+            });
+        });
+    }
+}
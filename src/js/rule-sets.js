@@ -0,0 +1,113 @@
+import * as api from './api.js';
+import { escapeHtml } from './html.js';
+
+// Create, edit and delete the named rule sets profiles can include. Renders into
+// the `#rule-set-editor` panel of the profile modal; `onChange(ruleSets)` fires
+// after every save or delete with the full list.
+export class RuleSetEditor {
+    constructor() {
+        this.ruleSets = [];
+        this.onChange = null;
+
+        this.panel = document.getElementById('rule-set-editor');
+        this.list = document.getElementById('rule-set-list');
+        this.idInput = document.getElementById('rule-set-id');
+        this.nameInput = document.getElementById('rule-set-name');
+        this.rulesInput = document.getElementById('rule-set-rules');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('save-rule-set-btn').addEventListener('click', () => this.save());
+        document.getElementById('cancel-rule-set-btn').addEventListener('click', () => this.resetForm());
+    }
+
+    setRuleSets(ruleSets) {
+        this.ruleSets = ruleSets;
+        this.render();
+    }
+
+    toggle() {
+        this.panel.classList.toggle('hidden');
+        this.resetForm();
+    }
+
+    hide() {
+        this.panel.classList.add('hidden');
+        this.resetForm();
+    }
+
+    render() {
+        this.list.innerHTML = this.ruleSets.map(ruleSet => `
+      <div class="rule-set-item">
+        <div class="rule-set-info">
+          <strong>${escapeHtml(ruleSet.name)}</strong>${ruleSet.isDefault ? ' <span class="rule-set-default">(Default)</span>' : ''}
+          <span>${ruleSet.rules.length} rule${ruleSet.rules.length === 1 ? '' : 's'}</span>
+        </div>
+        ${ruleSet.isDefault ? '' : `
+          <button class="btn btn-ghost btn-small edit-rule-set" data-id="${ruleSet.id}">Edit</button>
+          <button class="btn btn-ghost btn-small delete-rule-set" data-id="${ruleSet.id}" style="color: var(--error);">Delete</button>
+        `}
+      </div>
+    `).join('');
+
+        this.list.querySelectorAll('.edit-rule-set').forEach(btn => {
+            btn.addEventListener('click', () => this.edit(btn.dataset.id));
+        });
+
+        this.list.querySelectorAll('.delete-rule-set').forEach(btn => {
+            btn.addEventListener('click', () => this.remove(btn.dataset.id));
+        });
+    }
+
+    edit(id) {
+        const ruleSet = this.ruleSets.find(set => set.id === id);
+        if (!ruleSet) return;
+
+        this.idInput.value = ruleSet.id;
+        this.nameInput.value = ruleSet.name;
+        this.rulesInput.value = ruleSet.rules.join('\n');
+        this.nameInput.focus();
+    }
+
+    async save() {
+        const name = this.nameInput.value.trim();
+        const rules = this.rulesInput.value.split('\n').map(rule => rule.trim()).filter(Boolean);
+
+        if (!name || rules.length === 0) {
+            alert('Please give the rule set a name and at least one rule');
+            return;
+        }
+
+        try {
+            await api.saveRuleSet({ id: this.idInput.value || null, name, rules });
+            await this.refresh();
+            this.resetForm();
+        } catch (error) {
+            alert('Failed to save rule set: ' + error.message);
+        }
+    }
+
+    async remove(id) {
+        if (!confirm('Are you sure you want to delete this rule set?')) return;
+
+        try {
+            await api.deleteRuleSet(id);
+            await this.refresh();
+        } catch (error) {
+            alert('Failed to delete rule set: ' + error.message);
+        }
+    }
+
+    async refresh() {
+        this.setRuleSets(await api.getRuleSets());
+        if (this.onChange) this.onChange(this.ruleSets);
+    }
+
+    resetForm() {
+        this.idInput.value = '';
+        this.nameInput.value = '';
+        this.rulesInput.value = '';
+    }
+}
@@ -0,0 +1,18 @@
+import { escapeHtml } from './html.js';
+
+// Short labels for the speech levels reported by the server
+export const SPEECH_LEVEL_LABELS = {
+    hapsyo: '합쇼체',
+    haeyo: '해요체',
+    banmal: '반말'
+};
+
+// Warning markup for a speech-level check whose sentences don't all match the profile.
+// Sentences are translation output, so they are escaped like any other text.
+export function speechLevelMismatchHtml(check) {
+    const items = check.mismatches.map(index => {
+        const sentence = check.sentences[index];
+        return `<li>${escapeHtml(sentence.text)} <em>(${SPEECH_LEVEL_LABELS[sentence.level]})</em></li>`;
+    }).join('');
+    return `⚠ Profile expects ${SPEECH_LEVEL_LABELS[check.expected]}, but ${check.mismatches.length} sentence(s) differ:<ul>${items}</ul>`;
+}
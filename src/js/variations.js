@@ -0,0 +1,116 @@
+import * as api from './api.js';
+import { escapeHtml } from './html.js';
+
+function scoreClass(score) {
+    if (score >= 85) return 'high';
+    if (score >= 70) return 'medium';
+    return 'low';
+}
+
+const SOURCE_LABELS = {
+    rephrased: 'Rephrased',
+    formality: 'Formality'
+};
+
+export class VariationsPanel {
+    constructor() {
+        this.section = document.getElementById('variations-view');
+        this.list = document.getElementById('variations-list');
+        this.seenList = document.getElementById('variations-seen');
+        this.moreBtn = document.getElementById('more-variations-btn');
+        this.onSelect = null;
+
+        this.request = null;
+        this.batch = [];
+        // Every candidate shown for the current original, newest batch first
+        this.seen = [];
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('close-variations').addEventListener('click', () => this.hide());
+        this.moreBtn.addEventListener('click', () => this.load());
+    }
+
+    // Start comparing candidates for a translation; history is kept while the original is unchanged
+    show({ original, translation, profileId, customRules }) {
+        if (!this.request || this.request.original !== original || this.request.profileId !== profileId) {
+            this.seen = [];
+        }
+        this.request = { original, translation, profileId, customRules };
+
+        this.section.classList.remove('hidden');
+        this.section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        this.load();
+    }
+
+    hide() {
+        this.section.classList.add('hidden');
+    }
+
+    async load() {
+        const { original, translation, profileId, customRules } = this.request;
+
+        this.moreBtn.disabled = true;
+        this.list.innerHTML = '<p class="history-empty">Generating and scoring variations...</p>';
+
+        try {
+            const exclude = this.seen.map(candidate => candidate.translation);
+            const result = await api.generateVariations(original, translation, profileId, customRules, exclude);
+
+            this.batch = result.candidates;
+            this.seen = [...this.batch, ...this.seen];
+            this.render(result.note);
+        } catch (error) {
+            this.list.innerHTML = `<p class="history-empty" style="color: var(--error);">Error: ${escapeHtml(error.message)}</p>`;
+        } finally {
+            this.moreBtn.disabled = false;
+        }
+    }
+
+    render(note) {
+        this.list.innerHTML = this.batch.length > 0
+            ? this.batch.map((candidate, index) => this.renderCandidate(candidate, index + 1)).join('')
+            : `<p class="history-empty">${escapeHtml(note || 'No new variations')}</p>`;
+
+        const earlier = this.seen.slice(this.batch.length);
+        this.seenList.classList.toggle('hidden', earlier.length === 0);
+        this.seenList.innerHTML = earlier.length > 0 ? `
+      <summary>Seen earlier (${earlier.length})</summary>
+      <div class="variations-grid">
+        ${earlier.map(candidate => this.renderCandidate(candidate)).join('')}
+      </div>
+    ` : '';
+
+        this.section.querySelectorAll('.use-variation').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const candidate = this.seen[Number(btn.dataset.index)];
+                if (this.onSelect) this.onSelect(candidate);
+            });
+        });
+    }
+
+    renderCandidate(candidate, rank = null) {
+        const index = this.seen.indexOf(candidate);
+        const score = candidate.accuracyScore.score;
+        const conforms = candidate.speechLevel?.conforms === false
+            ? '<span class="variation-warning">Speech level mismatch</span>'
+            : '';
+
+        return `
+      <div class="variation-item">
+        <div class="variation-header">
+          ${rank ? `<span class="variation-rank">#${rank}</span>` : ''}
+          <span class="variation-source">${SOURCE_LABELS[candidate.source] || candidate.source}</span>
+          <span class="segment-score ${scoreClass(score)}">${score}%</span>
+          ${conforms}
+        </div>
+        <p class="variation-text">${escapeHtml(candidate.translation)}</p>
+        <p class="variation-back">↩ ${escapeHtml(candidate.reTranslation)}</p>
+        ${candidate.rephrased ? `<p class="variation-rephrased">From: ${escapeHtml(candidate.rephrased)}</p>` : ''}
+        <button class="btn btn-ghost btn-small use-variation" data-index="${index}">Use this</button>
+      </div>
+    `;
+    }
+}
@@ -1,54 +1,337 @@
-const CACHE_NAME = 'translator-v1';
-const ASSETS = [
-    '/',
-    '/index.html',
-    '/styles/main.css',
-    '/js/app.js',
-    '/js/api.js',
-    '/js/profiles.js',
-    '/js/alternatives.js',
-    '/manifest.json'
-];
-
-// Install service worker and cache assets
+// Replaced with { version, files } at build time by the precache-manifest plugin in
+// vite.config.js. Under the dev server only the shell is cached.
+const PRECACHE = self.__PRECACHE_MANIFEST || { version: 'dev', files: ['/index.html', '/manifest.json'] };
+
+const PRECACHE_NAME = `translator-precache-${PRECACHE.version}`;
+const RUNTIME_NAME = 'translator-runtime';
+
+// Same database as src/js/history-store.js - keep the schema in sync
+const DB_NAME = 'translator';
+const DB_VERSION = 3;
+const HISTORY_STORE = 'history';
+const QUEUE_STORE = 'queue';
+const META_STORE = 'meta';
+
+const SYNC_TAG = 'translation-queue';
+const TRANSLATE_PATHS = ['/api/translate', '/api/translate/stream'];
+
+// Offline typing pauses queue a request each time; fold them into one entry
+const QUEUE_MERGE_WINDOW_MS = 60 * 1000;
+
+// Per-account API responses nothing needs offline are never cached
+const UNCACHED_API_PATHS = ['/api/admin/', '/api/auth/tokens', '/api/history'];
+
+// Install service worker and precache the built app shell
 self.addEventListener('install', (event) => {
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => cache.addAll(ASSETS))
+        caches.open(PRECACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE.files))
             .then(() => self.skipWaiting())
     );
 });
 
-// Activate and clean old caches
+// Activate and clean caches from previous builds
 self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys()
             .then(keys => Promise.all(
-                keys.filter(key => key !== CACHE_NAME)
+                keys.filter(key => key !== PRECACHE_NAME && key !== RUNTIME_NAME)
                     .map(key => caches.delete(key))
             ))
             .then(() => self.clients.claim())
     );
 });
 
-// Fetch strategy: Network first, fallback to cache
 self.addEventListener('fetch', (event) => {
-    // Skip API calls - always go to network
-    if (event.request.url.includes('/api/')) {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Translations: network, then saved history, then the offline queue
+    if (request.method === 'POST' && url.origin === self.location.origin && TRANSLATE_PATHS.includes(url.pathname)) {
+        event.respondWith(translateOrFallback(request, url.pathname));
         return;
     }
 
-    event.respondWith(
-        fetch(event.request)
-            .then(response => {
-                // Clone and cache successful responses
-                if (response.ok) {
-                    const clone = response.clone();
-                    caches.open(CACHE_NAME)
-                        .then(cache => cache.put(event.request, clone));
-                }
-                return response;
-            })
-            .catch(() => caches.match(event.request))
-    );
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+        // Health must reflect the real connection
+        if (url.pathname === '/api/health' || UNCACHED_API_PATHS.some(path => url.pathname.startsWith(path))) {
+            return;
+        }
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => caches.match('/index.html')));
+        return;
+    }
+
+    event.respondWith(precachedOrNetwork(request));
 });
+
+// Background Sync fires when the connection returns; browsers without it ask via a message
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(replayQueue());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'replay-queue') {
+        event.waitUntil(replayQueue().catch(() => {}));
+    }
+    if (event.data?.type === 'set-user') {
+        event.waitUntil(setUser(event.data.userId ?? null));
+    }
+});
+
+// Hashed build assets never change, so serve them straight from the precache
+async function precachedOrNetwork(request) {
+    const precached = await caches.match(request, { cacheName: PRECACHE_NAME });
+    return precached || networkFirst(request);
+}
+
+// Fetch strategy: Network first, fallback to cache
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        // Cross-origin fonts come back opaque but are still worth keeping
+        if (response.ok || response.type === 'opaque') {
+            const clone = response.clone();
+            caches.open(RUNTIME_NAME).then(cache => cache.put(request, clone));
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function translateOrFallback(request, path) {
+    const body = await request.clone().json();
+
+    try {
+        return await fetch(request);
+    } catch {
+        const saved = await findSavedTranslation(body);
+        if (saved) {
+            return translationResponse({ ...saved.result, offline: true, savedAt: saved.createdAt }, path);
+        }
+
+        const queued = await enqueue(body);
+        return jsonResponse({ queued: true, queueId: queued.id, pending: queued.pending }, 202);
+    }
+}
+
+// Answer in the format the endpoint would have used
+function translationResponse(result, path) {
+    if (path === '/api/translate/stream') {
+        return new Response(`event: result\ndata: ${JSON.stringify(result)}\n\n`, {
+            headers: { 'Content-Type': 'text/event-stream' }
+        });
+    }
+    return jsonResponse(result, 200);
+}
+
+function jsonResponse(data, status) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+            const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('createdAt', 'createdAt');
+            store.createIndex('profileId', 'profileId');
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+            db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+    };
+
+    dbPromise = promisify(request).then(db => {
+        db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+        };
+        return db;
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+async function getStore(name, mode) {
+    const db = await openDatabase();
+    return db.transaction(name, mode).objectStore(name);
+}
+
+// The account signed in on the page (null when signed out), as it last told us
+async function currentUserId() {
+    const record = await promisify((await getStore(META_STORE, 'readonly')).get('user'));
+    return record?.userId ?? null;
+}
+
+// The page signed in, out or as someone else. API responses cached for the
+// previous account (profiles, glossaries, who is signed in) must not be served
+// to the next one.
+async function setUser(userId) {
+    if (await currentUserId() === userId) return;
+    await promisify((await getStore(META_STORE, 'readwrite')).put({ key: 'user', userId }));
+
+    const cache = await caches.open(RUNTIME_NAME);
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(request => new URL(request.url).pathname.startsWith('/api/'))
+        .map(request => cache.delete(request)));
+}
+
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Newest history entry of the signed-in account for the same text, profile and rules
+async function findSavedTranslation({ text, profileId = 'natural', customRules = [] }) {
+    const entries = await promisify((await getStore(HISTORY_STORE, 'readonly')).getAll());
+    const userId = await currentUserId();
+    const needle = normalizeText(text);
+    const rules = JSON.stringify(customRules || []);
+
+    return entries
+        .filter(entry => entry.result &&
+            (entry.userId ?? null) === userId &&
+            normalizeText(entry.original) === needle &&
+            entry.profileId === profileId &&
+            JSON.stringify(entry.rules || []) === rules)
+        .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+}
+
+// Queue a translation request for the signed-in account and ask for a Background Sync
+async function enqueue({ text, profileId = 'natural', customRules = [] }) {
+    const pending = await promisify((await getStore(QUEUE_STORE, 'readonly')).getAll());
+    const latest = pending[pending.length - 1];
+
+    const item = { text, profileId, customRules, userId: await currentUserId(), createdAt: Date.now() };
+    const isContinuation = latest &&
+        (latest.userId ?? null) === item.userId &&
+        latest.profileId === profileId &&
+        item.createdAt - latest.createdAt < QUEUE_MERGE_WINDOW_MS &&
+        (text.startsWith(latest.text) || latest.text.startsWith(text));
+
+    if (isContinuation) {
+        item.id = latest.id;
+    }
+
+    item.id = await promisify((await getStore(QUEUE_STORE, 'readwrite')).put(item));
+
+    try {
+        await self.registration.sync?.register(SYNC_TAG);
+    } catch (error) {
+        console.warn('Background Sync unavailable:', error);
+    }
+
+    return { id: item.id, pending: isContinuation ? pending.length : pending.length + 1 };
+}
+
+// Same entry shape as HistoryStore.record, for the account that queued the request
+async function saveToHistory(result, item) {
+    const store = await getStore(HISTORY_STORE, 'readwrite');
+    const entry = {
+        original: result.original,
+        translation: result.translation,
+        reTranslation: result.reTranslation,
+        sourceLanguage: result.sourceLanguage,
+        targetLanguage: result.targetLanguage,
+        profileId: item.profileId,
+        profileName: result.profileUsed,
+        rules: item.customRules,
+        accuracyScore: result.accuracyScore,
+        favorite: false,
+        userId: item.userId ?? null,
+        uid: crypto.randomUUID(),
+        createdAt: Date.now(),
+        result
+    };
+    entry.id = await promisify(store.add(entry));
+    return entry;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+let replaying = null;
+
+function replayQueue() {
+    if (!replaying) {
+        replaying = drainQueue().finally(() => { replaying = null; });
+    }
+    return replaying;
+}
+
+// Send the signed-in account's queued translations oldest first; another account's
+// wait until it signs in again. A network failure rejects so Background Sync
+// retries later; a server error or a reply that isn't JSON drops the item and reports it.
+async function drainQueue() {
+    const userId = await currentUserId();
+    const items = (await promisify((await getStore(QUEUE_STORE, 'readonly')).getAll()))
+        .filter(item => (item.userId ?? null) === userId);
+
+    for (const item of items) {
+        const response = await fetch('/api/translate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: item.text, profileId: item.profileId, customRules: item.customRules })
+        });
+        const data = await readJson(response);
+        const ok = response.ok && data !== null;
+
+        const entry = ok ? await saveToHistory(data, item) : null;
+        await promisify((await getStore(QUEUE_STORE, 'readwrite')).delete(item.id));
+
+        await notifyClients({
+            type: 'queue-replayed',
+            item,
+            entry,
+            result: ok ? data : null,
+            error: ok ? null : data?.error || `Server answered ${response.status} ${response.statusText}`.trim()
+        });
+    }
+}
+
+// The response body as JSON, or null when it isn't any (a proxy's error page, say)
+async function readJson(response) {
+    if (!(response.headers.get('Content-Type') || '').includes('application/json')) {
+        return null;
+    }
+    try {
+        return await response.json();
+    } catch {
+        return null;
+    }
+}
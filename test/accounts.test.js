@@ -0,0 +1,338 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    registerUser,
+    authenticateUser,
+    registrationOpen,
+    isAdmin,
+    publicUser,
+    createSession,
+    endSession,
+    userForSession,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    userForApiToken,
+    getCustomRules,
+    saveCustomRules,
+    claimUnownedRecords,
+    createGroup,
+    publicGroup,
+    inviteGroupMember,
+    getUserInvitations,
+    publicInvitation,
+    acceptInvitation,
+    cancelInvitation,
+    getUserGroups,
+    canSee,
+    isOwner,
+    SESSION_TTL_MS
+} from '../server/services/accounts.js';
+import { listHistory, saveHistoryEntry, deleteHistoryEntry } from '../server/services/history.js';
+import { saveProfile, getProfiles, getProfileById, deleteProfile, leaveGroup } from '../server/services/profiles.js';
+import { saveRuleSet, getRuleSets } from '../server/services/rule-sets.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+const ENV_KEYS = ['ALLOW_REGISTRATION', 'ADMIN_USERS', 'SETUP_TOKEN'];
+let savedEnv;
+
+beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+afterEach(() => {
+    ENV_KEYS.forEach(key => {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    });
+    vi.useRealTimers();
+});
+
+const PASSWORD = 'correct horse';
+
+// Fresh user objects, as each request loads its own `req.user`
+const signedIn = user => userForSession(createSession(user.id));
+
+describe('accounts', () => {
+    it('registers users under a normalized, unique name without exposing the hash', async () => {
+        const user = await registerUser('  Minji ', PASSWORD);
+        expect(user.username).toBe('minji');
+        expect(user.passwordHash).toMatch(/^scrypt\$/);
+        expect(user.passwordHash).not.toContain(PASSWORD);
+        expect(publicUser(user)).toEqual({ id: user.id, username: 'minji', createdAt: user.createdAt });
+
+        await expect(registerUser('MINJI', PASSWORD)).rejects.toThrow('That username is taken');
+        await expect(registerUser('a b', PASSWORD)).rejects.toThrow('Usernames are 3-32');
+        await expect(registerUser('jisoo', 'short')).rejects.toThrow('at least 8 characters');
+    });
+
+    it('closes registration once an account exists and sign-ups are turned off', async () => {
+        process.env.ALLOW_REGISTRATION = 'false';
+        expect(registrationOpen()).toBe(false);
+        await expect(registerUser('closed', PASSWORD)).rejects.toThrow('Registration is closed on this server');
+    });
+
+    it('logs in with the right password only', async () => {
+        const user = await registerUser('seojun', PASSWORD);
+        expect((await authenticateUser(' SeoJun ', PASSWORD)).id).toBe(user.id);
+        await expect(authenticateUser('seojun', 'wrong password')).rejects.toThrow('Wrong username or password');
+        await expect(authenticateUser('nobody', PASSWORD)).rejects.toThrow('Wrong username or password');
+    });
+
+    it('locks a name out after repeated failures', async () => {
+        await registerUser('guessed', PASSWORD);
+        for (let i = 0; i < 10; i++) {
+            await expect(authenticateUser('guessed', `wrong ${i}`)).rejects.toThrow('Wrong username or password');
+        }
+        await expect(authenticateUser('guessed', PASSWORD)).rejects.toThrow('Too many failed logins');
+
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(Date.now() + 16 * 60 * 1000);
+        expect((await authenticateUser('guessed', PASSWORD)).username).toBe('guessed');
+    });
+
+    it('names admins in ADMIN_USERS', async () => {
+        const user = await registerUser('admin.kim', PASSWORD);
+        expect(isAdmin(user)).toBe(false);
+        process.env.ADMIN_USERS = 'someone, Admin.Kim';
+        expect(isAdmin(user)).toBe(true);
+        expect(isAdmin(null)).toBe(false);
+    });
+
+    it('keeps custom rules on the account', async () => {
+        const user = await registerUser('rules.user', PASSWORD);
+        expect(saveCustomRules(user.id, [' Be warm ', '', 'Use 엄마'])).toEqual(['Be warm', 'Use 엄마']);
+        expect(getCustomRules(user.id)).toEqual(['Be warm', 'Use 엄마']);
+        expect(() => saveCustomRules(user.id, 'Be warm')).toThrow('Custom rules must be a list');
+    });
+});
+
+describe('sessions and API tokens', () => {
+    it('resolve a session until it ends or expires', async () => {
+        const user = await registerUser('session.user', PASSWORD);
+        const token = createSession(user.id);
+        expect(userForSession(token).id).toBe(user.id);
+        expect(userForSession('ses_forged')).toBeNull();
+        expect(userForSession(null)).toBeNull();
+
+        endSession(token);
+        expect(userForSession(token)).toBeNull();
+
+        const expiring = createSession(user.id);
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(Date.now() + SESSION_TTL_MS + 1);
+        expect(userForSession(expiring)).toBeNull();
+    });
+
+    it('show API tokens once and accept them until revoked', async () => {
+        const user = await registerUser('token.user', PASSWORD);
+        const other = await registerUser('token.other', PASSWORD);
+
+        const created = createApiToken(user.id, '  Phone shortcut  ');
+        expect(created.token).toMatch(/^kt_/);
+        expect(created.name).toBe('Phone shortcut');
+        expect(createApiToken(user.id, '').name).toBe('API token');
+
+        const listed = listApiTokens(user.id);
+        expect(listed).toHaveLength(2);
+        expect(listed[0]).toEqual({ id: created.id, name: 'Phone shortcut', createdAt: created.createdAt, lastUsedAt: null });
+        expect(JSON.stringify(listed)).not.toContain(created.token);
+
+        expect(userForApiToken(created.token).id).toBe(user.id);
+        expect(listApiTokens(user.id)[0].lastUsedAt).not.toBeNull();
+
+        expect(() => revokeApiToken(other.id, created.id)).toThrow('Token not found');
+        revokeApiToken(user.id, created.id);
+        expect(userForApiToken(created.token)).toBeNull();
+        expect(listApiTokens(user.id)).toHaveLength(1);
+    });
+});
+
+describe('family groups', () => {
+    let mom;
+    let son;
+    let aunt;
+
+    beforeEach(async () => {
+        const suffix = Math.random().toString(36).slice(2, 8);
+        mom = await registerUser(`mom-${suffix}`, PASSWORD);
+        son = await registerUser(`son-${suffix}`, PASSWORD);
+        aunt = await registerUser(`aunt-${suffix}`, PASSWORD);
+    });
+
+    it('only add members who accept an invitation', () => {
+        const group = createGroup(mom.id, ' Kim family ');
+        expect(group).toMatchObject({ name: 'Kim family', ownerId: mom.id, members: [mom.id] });
+        expect(() => createGroup(mom.id, ' ')).toThrow('Group must have a name');
+
+        inviteGroupMember(mom.id, group.id, son.username.toUpperCase());
+        inviteGroupMember(mom.id, group.id, son.username);
+        expect(getUserInvitations(son.id)).toHaveLength(1);
+        expect(publicInvitation(getUserInvitations(son.id)[0])).toMatchObject({ id: group.id, name: 'Kim family', invitedBy: mom.username });
+        expect(publicGroup(getUserGroups(mom.id)[0]).invited.map(user => user.username)).toEqual([son.username]);
+        expect(getUserGroups(son.id)).toEqual([]);
+
+        acceptInvitation(son.id, group.id);
+        expect(getUserGroups(son.id).map(g => g.id)).toEqual([group.id]);
+        expect(getUserInvitations(son.id)).toEqual([]);
+        expect(() => acceptInvitation(son.id, group.id)).toThrow('Invitation not found');
+    });
+
+    it('refuse invitations from outsiders and for members or unknown names', () => {
+        const group = createGroup(mom.id, 'Kim family');
+        expect(() => inviteGroupMember(aunt.id, group.id, son.username)).toThrow('Group not found');
+        expect(() => inviteGroupMember(mom.id, group.id, mom.username)).toThrow('is already in this group');
+        expect(() => inviteGroupMember(mom.id, group.id, 'nobody-here')).toThrow('No user called nobody-here');
+    });
+
+    it('let the invitee decline and members take an invitation back', () => {
+        const group = createGroup(mom.id, 'Kim family');
+        inviteGroupMember(mom.id, group.id, son.username);
+        inviteGroupMember(mom.id, group.id, aunt.username);
+
+        cancelInvitation(son.id, group.id, son.id);
+        expect(getUserInvitations(son.id)).toEqual([]);
+        expect(() => cancelInvitation(son.id, group.id, aunt.id)).toThrow('Group not found');
+
+        cancelInvitation(mom.id, group.id, aunt.id);
+        expect(getUserInvitations(aunt.id)).toEqual([]);
+        expect(() => acceptInvitation(aunt.id, group.id)).toThrow('Invitation not found');
+    });
+
+    it('share profiles with members only, and only the owner may change them', () => {
+        const group = createGroup(mom.id, 'Kim family');
+        inviteGroupMember(mom.id, group.id, son.username);
+        acceptInvitation(son.id, group.id);
+
+        const shared = saveProfile({ name: 'Family chat', description: 'x', groupId: group.id }, mom);
+        const visibleTo = user => getProfiles(signedIn(user)).some(profile => profile.id === shared.id);
+        expect(visibleTo(son)).toBe(true);
+        expect(visibleTo(aunt)).toBe(false);
+        expect(canSee(null, shared)).toBe(false);
+        expect(isOwner(son, shared)).toBe(false);
+
+        const seenBySon = getProfiles(signedIn(son)).find(profile => profile.id === shared.id);
+        expect(seenBySon).toMatchObject({ canDelete: false, sharedBy: mom.username });
+        expect(() => saveProfile({ ...shared, name: 'Mine now' }, son)).toThrow('Only the owner can change this profile');
+        expect(() => deleteProfile(shared.id, son)).toThrow('Only the owner can delete this profile');
+        expect(() => saveProfile({ name: 'x', description: 'x', groupId: group.id }, aunt))
+            .toThrow('Profiles can only be shared with a family group you belong to');
+    });
+
+    it('keep profiles that two users create at the same moment apart', () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        const hers = saveProfile({ name: 'Mine', description: 'x' }, mom);
+        const his = saveProfile({ name: 'Mine', description: 'x' }, son);
+
+        expect(his.id).not.toBe(hers.id);
+        expect(getProfileById(hers.id).ownerId).toBe(mom.id);
+    });
+
+    it("detach a leaving member's profiles from what they can no longer see", () => {
+        const group = createGroup(mom.id, 'Kim family');
+        inviteGroupMember(mom.id, group.id, son.username);
+        acceptInvitation(son.id, group.id);
+
+        const shared = saveProfile({ name: 'Family', description: 'x', rules: ['Be warm'], groupId: group.id }, mom);
+        const mine = saveProfile({ name: 'To Mom', description: 'x', extends: shared.id, rules: ['Use 엄마'] }, son);
+
+        leaveGroup(son.id, group.id, son.id);
+        expect(getUserGroups(son.id)).toEqual([]);
+        expect(getProfileById(mine.id)).toMatchObject({ extends: null, rules: ['Be warm', 'Use 엄마'] });
+        expect(getProfiles(signedIn(son)).some(profile => profile.id === shared.id)).toBe(false);
+    });
+
+    it('only let the owner remove others, and hand over a group its owner leaves', () => {
+        const group = createGroup(mom.id, 'Kim family');
+        inviteGroupMember(mom.id, group.id, son.username);
+        acceptInvitation(son.id, group.id);
+        inviteGroupMember(son.id, group.id, aunt.username);
+        acceptInvitation(aunt.id, group.id);
+
+        expect(() => leaveGroup(son.id, group.id, aunt.id)).toThrow('Only the group owner can remove other members');
+        expect(leaveGroup(mom.id, group.id, mom.id)).toMatchObject({ ownerId: son.id, members: [son.id, aunt.id] });
+        expect(leaveGroup(son.id, group.id, aunt.id).members).toEqual([son.id]);
+        expect(leaveGroup(son.id, group.id, son.id)).toBeNull();
+        expect(getUserGroups(son.id)).toEqual([]);
+    });
+});
+
+describe('history', () => {
+    const entry = (original, extra = {}) => ({ original, translation: `${original} (ko)`, ...extra });
+
+    it('keeps each user their own entries, newest first', async () => {
+        const user = await registerUser('history.one', PASSWORD);
+        const other = await registerUser('history.two', PASSWORD);
+
+        saveHistoryEntry(user.id, 'a1', entry('first', { createdAt: 1, id: 7 }));
+        saveHistoryEntry(user.id, 'a2', entry('second', { createdAt: 2 }));
+        saveHistoryEntry(other.id, 'a1', entry('theirs', { createdAt: 3 }));
+
+        const mine = listHistory(user.id);
+        expect(mine.map(record => record.entry.original)).toEqual(['second', 'first']);
+        expect(mine[1].entry).toEqual({ original: 'first', translation: 'first (ko)', uid: 'a1', userId: user.id, createdAt: 1 });
+        expect(listHistory(other.id).map(record => record.entry.original)).toEqual(['theirs']);
+    });
+
+    it("can't delete another user's entry", async () => {
+        const user = await registerUser('history.three', PASSWORD);
+        const other = await registerUser('history.four', PASSWORD);
+        saveHistoryEntry(user.id, 'b1', entry('mine'));
+
+        expect(() => deleteHistoryEntry(other.id, 'b1')).toThrow('History entry not found');
+        expect(listHistory(user.id)).toHaveLength(1);
+        deleteHistoryEntry(user.id, 'b1');
+        expect(listHistory(user.id)).toEqual([]);
+    });
+
+    it('rejects bad ids and entries', () => {
+        expect(() => saveHistoryEntry('user-x', '../a', entry('x'))).toThrow('Invalid history entry id: ../a');
+        expect(() => saveHistoryEntry('user-x', 'c1', { original: 'x' })).toThrow('need an original and a translation');
+    });
+
+    it('drops the oldest entries past the limit, favorites last', async () => {
+        const user = await registerUser('history.busy', PASSWORD);
+        saveHistoryEntry(user.id, 'fav', entry('kept', { createdAt: 1, favorite: true }));
+        for (let i = 1; i <= 550; i++) {
+            saveHistoryEntry(user.id, `e${i}`, entry(`entry ${i}`, { createdAt: i + 1 }));
+        }
+
+        const records = listHistory(user.id);
+        expect(records).toHaveLength(500);
+        expect(records.at(-1).uid).toBe('fav');
+        expect(records.at(-2).uid).toBe('e52');
+    });
+});
+
+describe('claiming data from before accounts', () => {
+    it('needs SETUP_TOKEN to be set and given', async () => {
+        const user = await registerUser('claim.early', PASSWORD);
+        expect(() => claimUnownedRecords(user.id, 'anything')).toThrow('Set SETUP_TOKEN on the server');
+
+        process.env.SETUP_TOKEN = 'setup-secret';
+        expect(() => claimUnownedRecords(user.id, 'wrong')).toThrow('Wrong setup token');
+        expect(() => claimUnownedRecords(user.id, undefined)).toThrow('Wrong setup token');
+    });
+
+    it('moves unowned records and browser rules to the account', async () => {
+        process.env.SETUP_TOKEN = 'setup-secret';
+        const user = await registerUser('claim.owner', PASSWORD);
+        saveCustomRules(user.id, ['Be warm']);
+        saveRuleSet({ id: 'set-unowned', name: 'Old set', rules: ['Be kind'] });
+        const legacy = getProfiles(null).filter(profile => !profile.isDefault);
+        expect(legacy.length).toBeGreaterThan(0);
+
+        const claimed = claimUnownedRecords(user.id, 'setup-secret', [' Be warm ', 'Use 엄마']);
+        expect(claimed).toEqual({ profiles: legacy.length, 'rule-sets': 1, glossaries: 0, customRules: 1 });
+        expect(getCustomRules(user.id)).toEqual(['Be warm', 'Use 엄마']);
+
+        expect(getProfiles(null).filter(profile => !profile.isDefault)).toEqual([]);
+        const owned = getProfiles(signedIn(user)).map(profile => profile.id);
+        legacy.forEach(profile => expect(owned).toContain(profile.id));
+        expect(getRuleSets(user).some(set => set.id === 'set-unowned')).toBe(true);
+
+        expect(claimUnownedRecords(user.id, 'setup-secret')).toMatchObject({ profiles: 0, 'rule-sets': 0, customRules: 0 });
+    });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    validateAlternatives,
+    sortForProfile,
+    getLocalAlternatives,
+    buildAlternativesPrompt,
+    MIN_ALTERNATIVES,
+    MAX_ALTERNATIVES
+} from '../server/services/alternatives.js';
+import { getAlternatives } from '../server/services/ai.js';
+import { registerProvider } from '../server/services/providers/index.js';
+import { mockProvider } from '../server/services/providers/mock.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+const alt = (text, category = 'warmth') => ({
+    text,
+    category,
+    nuance: 'Close and warm',
+    example: `${text}, 잘 지내요?`,
+    translation: `${text}, 보고 싶어요`
+});
+
+describe('validateAlternatives', () => {
+    it('trims the expected fields and drops the selection and duplicates', () => {
+        const alternatives = validateAlternatives([
+            { ...alt(' 어머니 ', 'formality'), extra: 1 },
+            alt('엄마'),
+            alt('어머니'),
+            alt('우리 엄마'),
+            alt('어무이', 'regional')
+        ], '엄마');
+
+        expect(alternatives.map(a => a.text)).toEqual(['어머니', '우리 엄마', '어무이']);
+        expect(alternatives[0]).toEqual({
+            text: '어머니',
+            category: 'formality',
+            nuance: 'Close and warm',
+            example: '어머니 , 잘 지내요?',
+            translation: '어머니 , 보고 싶어요'
+        });
+    });
+
+    it('rejects malformed lists', () => {
+        expect(() => validateAlternatives({}, '엄마')).toThrow('Alternatives must be an array');
+        expect(() => validateAlternatives([alt('a'), { ...alt('b'), nuance: '' }], '엄마')).toThrow('Alternative 1 is missing "nuance"');
+        expect(() => validateAlternatives([alt('a', 'tone')], '엄마')).toThrow('invalid category "tone"');
+        expect(() => validateAlternatives([alt('a'), alt('b')], '엄마'))
+            .toThrow(`Expected at least ${MIN_ALTERNATIVES} distinct alternatives, got 2`);
+    });
+
+    it(`keeps at most ${MAX_ALTERNATIVES}`, () => {
+        const many = Array.from({ length: MAX_ALTERNATIVES + 2 }, (_, i) => alt(`말 ${i}`));
+        expect(validateAlternatives(many, '엄마')).toHaveLength(MAX_ALTERNATIVES);
+    });
+});
+
+describe('sortForProfile', () => {
+    const list = [alt('어머니', 'formality'), alt('어무이', 'regional'), alt('우리 엄마', 'warmth')];
+
+    it("puts the profile's preferred nuance first", () => {
+        expect(sortForProfile(list, { id: 'parent-talk' })[0].category).toBe('warmth');
+        expect(sortForProfile(list, { id: 'direct' })[0].category).toBe('formality');
+    });
+
+    it('leaves the order alone for other profiles', () => {
+        expect(sortForProfile(list, { id: 'natural' })).toBe(list);
+        expect(sortForProfile(list, null)).toBe(list);
+    });
+});
+
+describe('local alternatives', () => {
+    it('rewrites the first occurrence in the translation', () => {
+        const local = getLocalAlternatives('엄마', '엄마, 엄마 보고 싶어요');
+        expect(local.length).toBeGreaterThanOrEqual(MIN_ALTERNATIVES);
+        expect(local[0].translation).toBe(`${local[0].text}, 엄마 보고 싶어요`);
+    });
+
+    it('matches English words case-insensitively and misses unknown words', () => {
+        expect(getLocalAlternatives('Mom', 'Mom, I miss you')).not.toBeNull();
+        expect(getLocalAlternatives('바나나', '바나나')).toBeNull();
+    });
+
+    it('includes the profile rules in the prompt', () => {
+        const prompt = buildAlternativesPrompt('엄마', '엄마 사랑해요', 'ko', { name: 'Warm', description: 'Close', rules: ['Use 우리'] });
+        expect(prompt).toContain('"엄마"');
+        expect(prompt).toContain('- Use 우리');
+        expect(prompt).toContain('in Korean');
+    });
+});
+
+describe('getAlternatives', () => {
+    it('validates and sorts what the model suggests', async () => {
+        registerProvider({
+            ...mockProvider,
+            id: 'scripted',
+            rewrite: async () => '```json\n' + JSON.stringify([
+                alt('어머니', 'formality'),
+                alt('엄마'),
+                alt('우리 엄마'),
+                alt('어무이', 'regional')
+            ]) + '\n```'
+        });
+
+        const alternatives = await getAlternatives('엄마', '엄마 사랑해요', 'en', 'ko', 'parent-talk', { provider: 'mock', rewriteProvider: 'scripted' });
+        expect(alternatives.map(a => a.text)).toEqual(['우리 엄마', '어머니', '어무이']);
+    });
+
+    it('falls back to the bundled table when the model answer is unusable', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const options = { provider: 'mock', rewriteProvider: 'mock' };
+
+        const alternatives = await getAlternatives('엄마', '엄마 사랑해요', 'en', 'ko', 'parent-talk', options);
+        expect(alternatives[0].category).toBe('warmth');
+        expect(alternatives.every(a => a.translation.endsWith(' 사랑해요'))).toBe(true);
+        expect(await getAlternatives('바나나', '바나나', 'en', 'ko', 'natural', options)).toEqual([]);
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+});
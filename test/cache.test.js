@@ -0,0 +1,92 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LRUCache, cacheKey, normalizeCacheText } from '../server/services/cache.js';
+import { translateText } from '../server/services/ai.js';
+import { saveProfile } from '../server/services/profiles.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+describe('LRUCache', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('evicts the least recently used entry', () => {
+        const cache = new LRUCache({ maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('a')).toBe(1);
+        expect(cache.get('c')).toBe(3);
+        expect(cache.stats.evictions).toBe(1);
+    });
+
+    it('expires entries after their TTL', () => {
+        vi.useFakeTimers();
+        const cache = new LRUCache({ ttlMs: 1000 });
+        cache.set('a', 1);
+
+        vi.advanceTimersByTime(999);
+        expect(cache.get('a')).toBe(1);
+        vi.advanceTimersByTime(1);
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.entries.size).toBe(0);
+    });
+
+    it('persists to a file and loads only live entries back', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'translator-cache-'));
+        const file = join(dir, 'cache.json');
+        try {
+            const cache = new LRUCache({ ttlMs: 1000, file });
+            cache.set('a', { translation: '안녕' }, { profileId: 'natural' });
+            cache.set('b', 2);
+            cache.entries.get('b').expiresAt = Date.now() - 1;
+            cache.persist();
+            clearTimeout(cache.persistTimer);
+
+            const reloaded = new LRUCache({ ttlMs: 1000, file });
+            expect(reloaded.get('a')).toEqual({ translation: '안녕' });
+            expect(reloaded.entries.has('b')).toBe(false);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('shows metadata but never the text', () => {
+        const cache = new LRUCache();
+        cache.set('a', 1, { profileId: 'natural', text: 'private' });
+
+        const [entry] = cache.inspect().entries;
+        expect(entry.profileId).toBe('natural');
+        expect(entry).not.toHaveProperty('text');
+    });
+});
+
+describe('cache keys', () => {
+    it('ignores spacing but not line breaks', () => {
+        expect(normalizeCacheText('  안녕   하세요 ')).toBe('안녕 하세요');
+        expect(normalizeCacheText('안녕 \n 하세요')).toBe('안녕\n하세요');
+        expect(cacheKey({ text: 'a' })).toBe(cacheKey({ text: 'a' }));
+        expect(cacheKey({ text: 'a' })).not.toBe(cacheKey({ text: 'b' }));
+    });
+
+    it('misses after the profile is edited', async () => {
+        const user = { id: 'user-cache' };
+        const options = { provider: 'mock', rewriteProvider: 'mock' };
+        const profile = saveProfile({ name: 'Mom', description: 'Texts to Mom' }, user);
+
+        expect((await translateText('hello', profile.id, [], options)).cached).toBe(false);
+        expect((await translateText('hello', profile.id, [], options)).cached).toBe(true);
+
+        saveProfile({ ...profile, name: 'Mother' }, user);
+        const result = await translateText('hello', profile.id, [], options);
+        expect(result.cached).toBe(false);
+        expect(result.profileUsed).toBe('Mother');
+    });
+});
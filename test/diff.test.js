@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { diffTexts, diffChars } from '../server/services/diff.js';
+import { renderDiff, summarizeDiff } from '../src/js/diff-view.js';
+
+describe('diffTexts', () => {
+    it('reports nothing for the same words in a different case or punctuation', () => {
+        const diff = diffTexts('I miss you, Mom!', 'i miss you mom');
+        expect(diff.runs).toEqual([{ type: 'equal', text: 'i miss you mom' }]);
+        expect(diff.stats).toEqual({ equal: 4, removed: 0, added: 0, changed: 0 });
+    });
+
+    it('ignores a different Korean particle', () => {
+        const diff = diffTexts('엄마가 밥을 먹어요', '엄마는 밥을 먹어요');
+        expect(diff.runs).toEqual([{ type: 'equal', text: '엄마는 밥을 먹어요' }]);
+    });
+
+    it('marks lost and added words', () => {
+        const { runs, stats } = diffTexts('I really miss you', 'I miss you so much');
+        expect(runs).toEqual([
+            { type: 'equal', text: 'I' },
+            { type: 'removed', text: 'really' },
+            { type: 'equal', text: 'miss you' },
+            { type: 'added', text: 'so much' }
+        ]);
+        expect(stats).toEqual({ equal: 3, removed: 1, added: 2, changed: 0 });
+    });
+
+    it('pairs a removal and an addition into a change with a character diff for single words', () => {
+        const { runs, stats } = diffTexts('I called mom', 'I cabled mom');
+        expect(runs[1]).toEqual({
+            type: 'changed',
+            text: 'cabled',
+            from: 'called',
+            chars: [
+                { type: 'equal', text: 'ca' },
+                { type: 'removed', text: 'l' },
+                { type: 'added', text: 'b' },
+                { type: 'equal', text: 'led' }
+            ]
+        });
+        expect(stats.changed).toBe(1);
+
+        const phrase = diffTexts('I ate dinner early', 'I had a meal early').runs[1];
+        expect(phrase).toEqual({ type: 'changed', text: 'had a meal', from: 'ate dinner' });
+    });
+
+    it('handles empty sides', () => {
+        expect(diffTexts('', '').runs).toEqual([]);
+        expect(diffTexts('Hello there', null).runs).toEqual([{ type: 'removed', text: 'Hello there' }]);
+        expect(diffTexts(undefined, 'Hello').stats.added).toBe(1);
+    });
+
+    it('reports a full replacement for very long texts', () => {
+        const long = Array.from({ length: 501 }, (_, i) => `w${i}`).join(' ');
+        const diff = diffTexts(long, 'short');
+        expect(diff.runs).toEqual([{ type: 'changed', text: 'short', from: long }]);
+        expect(diff.stats.changed).toBe(501);
+    });
+});
+
+describe('diffChars', () => {
+    it('merges runs of the same kind', () => {
+        expect(diffChars('사랑해', '사랑해요')).toEqual([
+            { type: 'equal', text: '사랑해' },
+            { type: 'added', text: '요' }
+        ]);
+    });
+});
+
+describe('diff view', () => {
+    it('escapes every run', () => {
+        const html = renderDiff(diffTexts('Hi <b>mom</b>', 'Hi <i>dad</i> &'));
+        expect(html).not.toMatch(/<[bi]>/);
+        expect(html).toContain('title="Your original: &lt;b&gt;mom&lt;/b&gt;"');
+        expect(html).toContain('<ins>&lt;i&gt;dad&lt;/i&gt; &amp;</ins>');
+    });
+
+    it('summarizes the counts', () => {
+        expect(summarizeDiff(diffTexts('I really miss you', 'I miss you so much'))).toBe('1 word lost · 2 added');
+        expect(summarizeDiff(diffTexts('same', 'same'))).toBe('');
+    });
+});
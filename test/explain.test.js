@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { tokenizeWords, analyzeLocally, isComplete, validateBreakdown, mergeWithTable } from '../server/services/explain.js';
+
+describe('tokenizeWords', () => {
+    it('trims punctuation and keeps offsets', () => {
+        expect(tokenizeWords('"엄마, 안녕!" OK')).toEqual([
+            { index: 0, text: '엄마', start: 1, end: 3 },
+            { index: 1, text: '안녕', start: 5, end: 7 }
+        ]);
+    });
+});
+
+describe('analyzeLocally', () => {
+    it('splits stems from particles and endings', () => {
+        const [mom, came] = analyzeLocally('엄마가 오셨어요');
+
+        expect(mom.morphemes).toMatchObject([
+            { form: '엄마', kind: 'stem', pos: 'noun', gloss: 'mom' },
+            { form: '가', kind: 'particle', role: 'subject' }
+        ]);
+        expect(isComplete(mom)).toBe(true);
+
+        expect(came.morphemes.map(m => m.form)).toEqual(['오', '셨어요']);
+        expect(came.morphemes[1]).toMatchObject({ kind: 'ending', speechLevel: 'haeyo', honorific: true });
+        expect(isComplete(came)).toBe(false);
+    });
+});
+
+describe('validateBreakdown', () => {
+    const words = tokenizeWords('엄마가 오셨어요');
+
+    it('keeps well-formed entries for the requested words', () => {
+        const byIndex = validateBreakdown([
+            { index: 1, word: '오셨어요', morphemes: [{ form: '오', kind: 'stem', pos: 'Verb', gloss: 'come' }] },
+            { index: 0, word: 'wrong', morphemes: [{ form: '엄마', kind: 'stem' }] },
+            { index: 1.5, word: '오셨어요', morphemes: [] }
+        ], words);
+
+        expect([...byIndex.keys()]).toEqual([1]);
+        expect(byIndex.get(1)[0]).toMatchObject({ form: '오', pos: 'verb', gloss: 'come', honorific: false });
+    });
+
+    it('rejects anything but an array', () => {
+        expect(() => validateBreakdown({}, words)).toThrow('Breakdown must be an array');
+    });
+
+    it('lets the local table override known suffixes', () => {
+        const [particle] = mergeWithTable([{ form: '가', kind: 'particle', pos: 'particle', gloss: 'made up' }]);
+        expect(particle.gloss).toBe('subject marker');
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+    findGlossaryMatches,
+    protectTerms,
+    restoreTerms,
+    saveGlossary,
+    deleteGlossary,
+    getGlossaryById
+} from '../server/services/glossaries.js';
+import { saveProfile, deleteProfile } from '../server/services/profiles.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+const glossary = {
+    entries: [
+        { ko: '이모', en: 'Auntie' },
+        { ko: '어머니', en: 'Mother' },
+        { ko: '시어머니', en: 'Mother-in-law' },
+        { ko: '엄마', en: 'Mom' }
+    ]
+};
+
+const matches = (text, language = 'ko') => findGlossaryMatches(text, glossary, language).map(entry => entry[language]);
+
+describe('glossary matching', () => {
+    it('matches Korean terms with particles attached', () => {
+        expect(matches('이모가 왔어요')).toEqual(['이모']);
+        expect(matches('엄마들이랑 이모님')).toEqual(['이모', '엄마']);
+    });
+
+    it('does not match Korean terms inside longer words', () => {
+        expect(matches('이모티콘 보내줘')).toEqual([]);
+        expect(matches('시어머니께 전화했어')).toEqual(['시어머니']);
+    });
+
+    it('matches English terms on word boundaries', () => {
+        expect(matches('Tell Mom hi', 'en')).toEqual(['Mom']);
+        expect(matches('Tell Momo hi', 'en')).toEqual([]);
+    });
+
+    it('swaps terms for placeholders and back', () => {
+        const { text, placeholders, applied } = protectTerms('어머니, 이모가 왔어요', glossary, 'ko', 'en');
+        expect(text).toBe('__G0__, __G1__가 왔어요');
+        expect(applied.map(entry => entry.ko)).toEqual(['어머니', '이모']);
+        expect(restoreTerms('__g0__, __G1__ came', placeholders)).toBe('Mother, Auntie came');
+    });
+});
+
+describe('saving and deleting glossaries', () => {
+    const owner = { id: 'user-owner' };
+    const other = { id: 'user-other' };
+
+    it('checks glossary ids like other ids', () => {
+        expect(() => saveGlossary({ id: '../etc', name: 'Family', entries: [] }, owner)).toThrow('Invalid glossary id');
+    });
+
+    it('only lets the owner delete a glossary', () => {
+        const glossary = saveGlossary({ name: 'Family', entries: [{ ko: '엄마', en: 'Mom' }] }, owner);
+        expect(() => deleteGlossary(glossary.id, other)).toThrow('Glossary not found');
+    });
+
+    it('refuses with 409 while a profile uses the glossary', () => {
+        const glossary = saveGlossary({ id: 'glossary-in-use', name: 'Family', entries: [] }, owner);
+        const profile = saveProfile({ name: 'Mom', description: 'Texts to Mom', settings: { glossaryId: glossary.id } }, owner);
+
+        let error;
+        try {
+            deleteGlossary(glossary.id, owner);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.status).toBe(409);
+        expect(error.message).toBe('Glossary is used by: Mom');
+
+        deleteProfile(profile.id, owner);
+        deleteGlossary(glossary.id, owner);
+        expect(getGlossaryById(glossary.id)).toBeNull();
+    });
+});
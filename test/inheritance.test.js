@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+    saveProfile,
+    deleteProfile,
+    getProfileById,
+    resolveProfile,
+    resolveProfileRules,
+    resolveProfileSettings
+} from '../server/services/profiles.js';
+import { getRuleSets, saveRuleSet, deleteRuleSet } from '../server/services/rule-sets.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+const owner = { id: 'user-inherit' };
+const stranger = { id: 'user-other' };
+
+describe('rule sets', () => {
+    it('are listed for their owner after the defaults', () => {
+        saveRuleSet({ id: 'set-mine', name: ' Short ', rules: [' Keep it short ', ''] }, owner);
+
+        const sets = getRuleSets(owner);
+        expect(sets[0].isDefault).toBe(true);
+        expect(sets.at(-1)).toMatchObject({ id: 'set-mine', name: 'Short', rules: ['Keep it short'], ownerId: owner.id });
+        expect(getRuleSets(stranger).some(set => set.id === 'set-mine')).toBe(false);
+    });
+
+    it('are checked before saving', () => {
+        expect(() => saveRuleSet({ rules: ['x'] }, owner)).toThrow('Rule set must have a name');
+        expect(() => saveRuleSet({ name: 'Empty', rules: [' '] }, owner)).toThrow('at least one rule');
+        expect(() => saveRuleSet({ id: 'no-slang', name: 'Mine', rules: ['x'] }, owner)).toThrow('Default rule sets cannot be changed');
+        expect(() => saveRuleSet({ id: 'set-mine', name: 'Taken', rules: ['x'] }, stranger)).toThrow('Only the owner can change this rule set');
+    });
+
+    it("can't be deleted while a profile includes them", () => {
+        saveRuleSet({ id: 'set-used', name: 'Used', rules: ['Be kind'] }, owner);
+        saveProfile({ id: 'uses-set', name: 'Mom', description: 'x', ruleSets: ['set-used'] }, owner);
+
+        expect(() => deleteRuleSet('set-used', owner)).toThrow('Rule set is used by: Mom');
+        expect(() => deleteRuleSet('set-used', stranger)).toThrow('Rule set not found');
+        expect(() => deleteRuleSet('no-slang', owner)).toThrow('Cannot delete default rule sets');
+
+        deleteProfile('uses-set', owner);
+        deleteRuleSet('set-used', owner);
+        expect(getRuleSets(owner).some(set => set.id === 'set-used')).toBe(false);
+    });
+
+    it("can't be included unless visible", () => {
+        expect(() => saveProfile({ name: 'Mom', description: 'x', ruleSets: ['set-mine'] }, stranger))
+            .toThrow('Rule set not found: set-mine');
+    });
+});
+
+describe('profile inheritance', () => {
+    saveRuleSet({ id: 'set-family', name: 'Family', rules: ['Be warm', 'Ask about health'] }, owner);
+
+    it('merges rules from the root down, rule sets before own rules, first one wins', () => {
+        saveProfile({ id: 'base', name: 'Base', description: 'x', ruleSets: ['no-slang'], rules: ['Be warm'] }, owner);
+        saveProfile({ id: 'child', name: 'Child', description: 'x', extends: 'base', ruleSets: ['set-family'], rules: ['Say 사랑해'] }, owner);
+
+        const rules = resolveProfileRules(getProfileById('child'));
+        expect(rules.map(entry => entry.rule)).toEqual([
+            ...getRuleSets().find(set => set.id === 'no-slang').rules,
+            'Be warm',
+            'Ask about health',
+            'Say 사랑해'
+        ]);
+        expect(rules[0]).toMatchObject({ source: 'rule-set', ruleSetId: 'no-slang', profileId: 'base', inherited: true });
+        expect(rules.find(entry => entry.rule === 'Be warm')).toMatchObject({ source: 'profile', profileId: 'base' });
+        expect(rules.at(-1)).toMatchObject({ source: 'profile', profileId: 'child', inherited: false });
+    });
+
+    it('takes unset settings from the parent', () => {
+        saveProfile({ id: 'polite', name: 'Polite', description: 'x', extends: 'parent-talk', settings: { formality: 'prefer_more' } }, owner);
+
+        const settings = resolveProfileSettings(getProfileById('polite'));
+        expect(settings.formality).toBe('prefer_more');
+        expect(settings.speechLevel).toBe('haeyo');
+    });
+
+    it('rejects a parent that leads back to the profile', () => {
+        saveProfile({ id: 'loop-a', name: 'A', description: 'x' }, owner);
+        saveProfile({ id: 'loop-b', name: 'B', description: 'x', extends: 'loop-a' }, owner);
+
+        expect(() => saveProfile({ id: 'loop-a', name: 'A', description: 'x', extends: 'loop-b' }, owner))
+            .toThrow('A profile cannot extend itself or a profile based on it');
+        expect(() => saveProfile({ id: 'loop-a', name: 'A', description: 'x', extends: 'loop-a' }, owner))
+            .toThrow('A profile cannot extend itself');
+        expect(() => saveProfile({ name: 'C', description: 'x', extends: 'missing' }, owner))
+            .toThrow('Parent profile not found: missing');
+    });
+
+    it("can't extend a profile the user can't see", () => {
+        expect(() => saveProfile({ name: 'Mine', description: 'x', extends: 'base' }, stranger))
+            .toThrow('Parent profile not found: base');
+    });
+
+    it('copies inherited rules and settings into children when the parent is deleted', () => {
+        saveProfile({ id: 'gone', name: 'Gone', description: 'x', rules: ['Be brief'], settings: { speechLevel: 'hapsyo' } }, owner);
+        saveProfile({ id: 'orphan', name: 'Orphan', description: 'x', extends: 'gone', rules: ['Use 엄마'] }, owner);
+
+        deleteProfile('gone', owner);
+        const orphan = getProfileById('orphan');
+        expect(orphan.extends).toBeNull();
+        expect(orphan.rules).toEqual(['Be brief', 'Use 엄마']);
+        expect(resolveProfileSettings(orphan).speechLevel).toBe('hapsyo');
+    });
+
+    it('previews an unsaved draft', () => {
+        const preview = resolveProfile({ name: 'Draft', extends: 'child', ruleSets: ['add-emoji'], rules: ['Be warm', 'New'] }, owner);
+
+        expect(preview.ancestors).toEqual([{ id: 'base', name: 'Base' }, { id: 'child', name: 'Child' }]);
+        expect(preview.rules.filter(entry => !entry.inherited).map(entry => entry.rule)).toEqual([
+            ...getRuleSets().find(set => set.id === 'add-emoji').rules,
+            'New'
+        ]);
+        expect(resolveProfile({ name: 'Draft', extends: 'child' }, stranger).ancestors).toEqual([]);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import { validateVerdict, explainVerdict, buildJudgePrompt } from '../server/services/judge.js';
+import { validateTranslation } from '../server/services/ai.js';
+import { saveProfile } from '../server/services/profiles.js';
+import { registerProvider } from '../server/services/providers/index.js';
+import { mockProvider } from '../server/services/providers/mock.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+describe('validateVerdict', () => {
+    it('rounds the score and trims the differences', () => {
+        expect(validateVerdict({ score: '87.6', meaningDifferences: [' lost "really" ', '', 3], extra: true })).toEqual({
+            score: 88,
+            meaningDifferences: ['lost "really"'],
+            toneDifferences: []
+        });
+    });
+
+    it('rejects malformed verdicts', () => {
+        expect(() => validateVerdict([])).toThrow('Verdict must be an object');
+        expect(() => validateVerdict({ score: 101 })).toThrow('from 0 to 100');
+        expect(() => validateVerdict({ score: 'high' })).toThrow('from 0 to 100');
+        expect(() => validateVerdict({ score: 50, toneDifferences: 'colder' })).toThrow('"toneDifferences" must be a list');
+    });
+});
+
+describe('explainVerdict', () => {
+    const verdict = (score, meaningDifferences = [], toneDifferences = []) => ({ score, meaningDifferences, toneDifferences });
+
+    it('counts the differences', () => {
+        expect(explainVerdict(verdict(60, ['a', 'b'], ['c']))).toBe('2 meaning differences, 1 tone difference');
+        expect(explainVerdict(verdict(80, [], ['c', 'd']))).toBe('2 tone differences');
+    });
+
+    it('depends on the score when no differences are named', () => {
+        expect(explainVerdict(verdict(95))).toBe('Same meaning and tone');
+        expect(explainVerdict(verdict(40))).toBe('No specific differences named');
+    });
+
+    it('quotes both texts in the prompt', () => {
+        const prompt = buildJudgePrompt('I miss you', 'I long for you', 'English');
+        expect(prompt).toContain('"I miss you"');
+        expect(prompt).toContain('"I long for you"');
+        expect(prompt).toContain('original English text');
+    });
+});
+
+describe('semantic scoring', () => {
+    const user = { id: 'user-judge' };
+    let calls = 0;
+
+    registerProvider({
+        ...mockProvider,
+        id: 'judge',
+        rewrite: async () => {
+            calls++;
+            return 'Verdict: {"score": 92, "meaningDifferences": [], "toneDifferences": ["warmer"]}';
+        }
+    });
+    registerProvider({
+        ...mockProvider,
+        id: 'silent-judge',
+        rewrite: async () => 'Looks fine to me'
+    });
+
+    const profileWith = semanticJudge => saveProfile({ name: `Judge ${semanticJudge}`, description: 'Judged', settings: { semanticJudge } }, user);
+
+    it('stays off unless the profile asks for it', async () => {
+        const result = await validateTranslation('I miss you', '보고 싶어요', 'natural', { provider: 'mock', rewriteProvider: 'judge' });
+        expect(result.semanticScore).toBeNull();
+        expect(result.primaryScore).toBe('lexical');
+    });
+
+    it('makes the verdict primary and caches it per judge', async () => {
+        const profile = profileWith('primary');
+        const options = { provider: 'mock', rewriteProvider: 'judge' };
+
+        const first = await validateTranslation('I really miss you', '보고 싶어요', profile.id, options);
+        expect(first.primaryScore).toBe('semantic');
+        expect(first.semanticScore).toEqual({
+            score: 92,
+            meaningDifferences: [],
+            toneDifferences: ['warmer'],
+            explanation: '1 tone difference',
+            judge: 'judge',
+            cached: false
+        });
+
+        const second = await validateTranslation('I really miss you', '보고 싶어요', profile.id, options);
+        expect(second.semanticScore.cached).toBe(true);
+        expect(calls).toBe(1);
+    });
+
+    it('falls back to the lexical score when the judge fails', async () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const profile = profileWith('primary');
+
+        const result = await validateTranslation('I miss you', '보고 싶어요', profile.id, { provider: 'mock', rewriteProvider: 'silent-judge' });
+        expect(result.primaryScore).toBe('lexical');
+        expect(result.semanticScore).toEqual({ error: 'No JSON found in response', judge: 'silent-judge' });
+        expect(result.accuracyScore.score).toBeGreaterThan(0);
+        error.mockRestore();
+    });
+
+    it('shows the verdict alongside the lexical score', async () => {
+        const profile = profileWith('alongside');
+        const result = await validateTranslation('I miss you', '보고 싶어요', profile.id, { provider: 'mock', rewriteProvider: 'judge' });
+        expect(result.primaryScore).toBe('lexical');
+        expect(result.semanticScore.score).toBe(92);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { kinshipTerms, normalizeRelation, describeRelation, withKinshipTerms } from '../server/services/kinship.js';
+
+describe('kinshipTerms', () => {
+    it('resolves address and reference terms by family side', () => {
+        expect(kinshipTerms({ person: 'grandmother', side: 'maternal' })).toMatchObject({
+            key: 'grandmother-maternal',
+            label: 'maternal grandmother',
+            address: '할머니',
+            reference: '외할머니',
+            speechLevel: 'haeyo'
+        });
+    });
+
+    it('picks in-law terms by the speaker\'s gender', () => {
+        expect(kinshipTerms({ person: 'mother', inLaw: true, speakerGender: 'female' })).toMatchObject({
+            address: '어머님',
+            reference: '시어머니',
+            speechLevel: 'hapsyo'
+        });
+        expect(kinshipTerms({ person: 'mother', inLaw: true, speakerGender: 'male' }).address).toBe('장모님');
+    });
+
+    it('picks sibling terms by the speaker\'s gender', () => {
+        expect(kinshipTerms({ person: 'older-brother', speakerGender: 'female' }).address).toBe('오빠');
+        expect(kinshipTerms({ person: 'older-brother', speakerGender: 'male' }).address).toBe('형');
+    });
+});
+
+describe('normalizeRelation', () => {
+    it('requires the parts a relative depends on', () => {
+        expect(() => normalizeRelation({ person: 'aunt' })).toThrow('paternal or maternal side');
+        expect(() => normalizeRelation({ person: 'older-sister' })).toThrow('Your gender is needed');
+        expect(() => normalizeRelation({ person: 'cousin' })).toThrow('Unknown relative: cousin');
+        expect(() => normalizeRelation('mother')).toThrow('must be an object');
+    });
+
+    it('drops the parts a relative does not depend on', () => {
+        expect(normalizeRelation({ person: 'mother', side: 'paternal', seniority: 'older' })).toEqual({ person: 'mother' });
+        expect(normalizeRelation({ person: 'uncle', side: 'paternal', seniority: 'older' }))
+            .toEqual({ person: 'uncle', side: 'paternal', seniority: 'older' });
+    });
+
+    it('describes a relation in English', () => {
+        expect(describeRelation({ person: 'father', inLaw: true })).toBe('father-in-law');
+        expect(describeRelation({ person: 'aunt', side: 'maternal', inLaw: true })).toBe('maternal aunt by marriage');
+    });
+});
+
+describe('withKinshipTerms', () => {
+    it('adds the relative\'s terms after the profile\'s own glossary', () => {
+        const terms = kinshipTerms({ person: 'mother' });
+        const glossary = { id: 'family', name: 'Family', entries: [{ ko: '엄마', en: 'Mother' }], updatedAt: 5 };
+        const merged = withKinshipTerms(glossary, terms, 'ko');
+
+        expect(merged.id).toBe('family:mother');
+        expect(merged.entries[0]).toEqual({ ko: '엄마', en: 'Mother' });
+        expect(merged.entries.slice(1).map(e => e.ko)).toEqual(['어머니', '엄마']);
+    });
+
+    it('leaves the glossary alone when there is nothing to add', () => {
+        const glossary = { id: 'g', name: 'G', entries: [] };
+        expect(withKinshipTerms(glossary, null, 'en')).toBe(glossary);
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi } from 'vitest';
+import { runProfileTests } from '../server/services/profile-tests.js';
+import { saveProfile, previewProfile, normalizeExamples } from '../server/services/profiles.js';
+import { registerProvider } from '../server/services/providers/index.js';
+import { mockProvider } from '../server/services/providers/mock.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+const owner = { id: 'user-tests' };
+const offline = { provider: 'mock', rewriteProvider: 'mock' };
+
+describe('normalizeExamples', () => {
+    it('fills in every expectation', () => {
+        expect(normalizeExamples([{ input: ' Hi mom ', mustContain: [' 엄마 ', ''] }])).toEqual([{
+            input: 'Hi mom',
+            mustContain: ['엄마'],
+            mustNotContain: [],
+            speechLevel: null,
+            minAccuracy: null,
+            sourceLanguage: null
+        }]);
+    });
+
+    it('are saved with the profile', () => {
+        const profile = saveProfile({ name: 'Mom', description: 'x', examples: [{ input: 'I love you', minAccuracy: 0 }] }, owner);
+        expect(profile.examples[0]).toMatchObject({ input: 'I love you', mustContain: [], minAccuracy: 0 });
+    });
+});
+
+describe('runProfileTests', () => {
+    it('checks each expectation against the translation', async () => {
+        const profile = saveProfile({ id: 'tested', name: 'Mom', description: 'x', settings: offline }, owner);
+
+        const report = await runProfileTests(profile, [
+            { input: 'I love you', mustContain: ['사랑'], mustNotContain: ['싫어'], speechLevel: 'haeyo', minAccuracy: 50 },
+            { input: 'Thank you', mustContain: ['고마워'] },
+            { input: '사랑해요', sourceLanguage: 'ko', speechLevel: 'haeyo' }
+        ]);
+
+        expect(report).toMatchObject({ profileId: 'tested', total: 3, passed: 1, failed: 2 });
+
+        const [love, thanks, korean] = report.results;
+        expect(love).toMatchObject({ input: 'I love you', translation: '사랑해요', speechLevel: 'haeyo', passed: true });
+        expect(love.checks.map(check => check.type)).toEqual(['must-contain', 'must-not-contain', 'speech-level', 'min-accuracy']);
+        expect(thanks.checks).toEqual([{ type: 'must-contain', expected: '고마워', passed: false }]);
+        expect(korean.speechLevel).toBeNull();
+        expect(korean.checks).toEqual([{ type: 'speech-level', expected: 'haeyo', actual: 'not Korean', passed: false }]);
+    });
+
+    it('fails an accuracy floor the round trip misses', async () => {
+        registerProvider({
+            ...mockProvider,
+            id: 'lossy',
+            translate: async (text, options) => (options.targetLanguage === 'en'
+                ? { text: 'Hello' }
+                : mockProvider.translate(text, options))
+        });
+        const draft = previewProfile({ name: 'Draft', description: 'x', settings: { provider: 'lossy', rewriteProvider: 'mock' } }, owner);
+        const report = await runProfileTests(draft, [{ input: 'I miss you', minAccuracy: 60 }]);
+
+        const [check] = report.results[0].checks;
+        expect(check).toMatchObject({ type: 'min-accuracy', expected: 60, passed: false });
+        expect(check.actual).toBeLessThan(60);
+    });
+
+    it('reports a case whose translation fails and carries on', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        let calls = 0;
+        registerProvider({
+            ...mockProvider,
+            id: 'flaky',
+            translate: async (...args) => {
+                if (calls++ === 0) throw new Error('quota exceeded');
+                return mockProvider.translate(...args);
+            }
+        });
+        const draft = previewProfile({ name: 'Draft', description: 'x', settings: { provider: 'flaky', rewriteProvider: 'mock' } }, owner);
+
+        const report = await runProfileTests(draft, [{ input: 'Hello mom' }, { input: 'Thank you' }]);
+        expect(report.results[0]).toMatchObject({ passed: false, checks: [] });
+        expect(report.results[0].error).toContain('quota exceeded');
+        expect(report.results[1].passed).toBe(true);
+        expect(report.failed).toBe(1);
+    });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import { validateProfileSchema } from '../server/services/profile-schema.js';
+import { diffProfiles } from '../server/services/profile-revisions.js';
+import {
+    saveProfile,
+    deleteProfile,
+    getProfiles,
+    getProfileRevisions,
+    diffProfileRevision,
+    rollbackProfile,
+    exportProfiles,
+    importProfiles
+} from '../server/services/profiles.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+const owner = { id: 'user-profiles' };
+const stranger = { id: 'user-stranger' };
+
+describe('profile schema', () => {
+    it('accepts a complete profile', () => {
+        expect(() => validateProfileSchema({
+            name: 'Mom',
+            description: 'Texts to Mom',
+            rules: ['Be warm'],
+            settings: { formality: 'prefer_more', speechLevel: 'haeyo', glossaryId: null, recipientRelation: { person: 'mother' } },
+            examples: [{ input: 'Hi mom', mustContain: ['엄마'], minAccuracy: 70 }]
+        })).not.toThrow();
+    });
+
+    it('lists every problem', () => {
+        let message;
+        try {
+            validateProfileSchema({
+                name: ' ',
+                description: 'x',
+                color: 'red',
+                settings: { formality: 'loud', glossaryId: '../etc' },
+                examples: [{ mustContain: [] }]
+            });
+        } catch (error) {
+            message = error.message;
+        }
+
+        expect(message).toMatch(/^Invalid profile: /);
+        expect(message).toContain('name must match pattern');
+        expect(message).toContain('profile has unknown field "color"');
+        expect(message).toContain('settings.formality must be equal to one of the allowed values');
+        expect(message).toContain('settings.glossaryId must match pattern');
+        expect(message).toContain("examples.0 must have required property 'input'");
+        expect(message).not.toContain('must be null');
+    });
+
+    it('is checked when saving', () => {
+        expect(() => saveProfile({ name: 'Mom' }, owner)).toThrow("profile must have required property 'description'");
+        expect(() => saveProfile({ id: 'natural', name: 'Mine', description: 'x' }, owner)).toThrow('Default profiles cannot be changed');
+    });
+});
+
+describe('profile revisions', () => {
+    it('keeps a revision per change and none for an identical save', () => {
+        const first = saveProfile({ id: 'rev-a', name: 'Mom', description: 'Texts to Mom', rules: ['Be warm'] }, owner);
+        expect(first.revision).toBe(1);
+
+        const second = saveProfile({ ...first, rules: ['Be warm', 'Use 존댓말'] }, owner);
+        expect(second.revision).toBe(2);
+        expect(saveProfile({ ...second }, owner).revision).toBe(2);
+
+        const revisions = getProfileRevisions('rev-a', owner);
+        expect(revisions.map(r => [r.revision, r.current])).toEqual([[2, true], [1, false]]);
+    });
+
+    it('diffs a revision against the current profile or another revision', () => {
+        const profile = saveProfile({ id: 'rev-b', name: 'Dad', description: 'Texts to Dad', rules: ['Be brief'] }, owner);
+        saveProfile({ ...profile, name: 'Father', rules: ['Be polite'], settings: { formality: 'prefer_more' } }, owner);
+
+        const diff = diffProfileRevision('rev-b', 1, null, owner);
+        expect(diff).toMatchObject({ from: 1, to: 2, rulesAdded: ['Be polite'], rulesRemoved: ['Be brief'] });
+        expect(diff.changes).toEqual([
+            { field: 'name', from: 'Dad', to: 'Father' },
+            { field: 'settings.formality', from: 'default', to: 'prefer_more' }
+        ]);
+        expect(diffProfileRevision('rev-b', 2, 1, owner).rulesAdded).toEqual(['Be brief']);
+        expect(() => diffProfileRevision('rev-b', 9, null, owner)).toThrow('Revision 9 not found');
+    });
+
+    it('rolls back as a new revision', () => {
+        const profile = saveProfile({ id: 'rev-c', name: 'Mom', description: 'v1', rules: ['Old rule'] }, owner);
+        saveProfile({ ...profile, description: 'v2', rules: ['New rule'] }, owner);
+
+        const restored = rollbackProfile('rev-c', 1, owner);
+        expect(restored).toMatchObject({ revision: 3, description: 'v1', rules: ['Old rule'] });
+        expect(getProfileRevisions('rev-c', owner)).toHaveLength(3);
+    });
+
+    it('is private to those who can see the profile', () => {
+        saveProfile({ id: 'rev-d', name: 'Mom', description: 'Texts to Mom' }, owner);
+
+        expect(() => getProfileRevisions('rev-d', stranger)).toThrow('Profile not found');
+        expect(() => rollbackProfile('rev-d', 1, stranger)).toThrow('Profile not found');
+        expect(() => getProfileRevisions('natural', owner)).toThrow('Only custom profiles have history');
+    });
+
+    it('is removed with the profile', () => {
+        saveProfile({ id: 'rev-e', name: 'Mom', description: 'Texts to Mom' }, owner);
+        deleteProfile('rev-e', owner);
+        expect(() => getProfileRevisions('rev-e', owner)).toThrow('Profile not found');
+    });
+
+    it('reports rules added and removed without repeating them as settings', () => {
+        const diff = diffProfiles(
+            { name: 'a', rules: ['x'], settings: { rewriteRules: ['x'], speechLevel: null } },
+            { name: 'a', rules: ['y'], settings: { rewriteRules: ['y'], speechLevel: 'haeyo' } }
+        );
+        expect(diff).toEqual({
+            changes: [{ field: 'settings.speechLevel', from: null, to: 'haeyo' }],
+            rulesAdded: ['y'],
+            rulesRemoved: ['x']
+        });
+    });
+});
+
+describe('profile import and export', () => {
+    it('exports one profile without server fields', () => {
+        saveProfile({ id: 'exp-a', name: 'Mom', description: 'Texts to Mom', rules: ['Be warm'] }, owner);
+        const file = exportProfiles(['exp-a'], owner);
+
+        expect(file).toMatchObject({ format: 'korean-translator-profiles', version: 1 });
+        expect(file.profile).toMatchObject({ id: 'exp-a', name: 'Mom', rules: ['Be warm'], extends: null, ruleSets: [] });
+        expect(file.profile).not.toHaveProperty('ownerId');
+        expect(file.profile).not.toHaveProperty('revision');
+        expect(() => exportProfiles(['exp-a'], stranger)).toThrow('Profile not found');
+    });
+
+    it('updates your own profile as a new revision on re-import', () => {
+        const file = exportProfiles(['exp-a'], owner);
+        file.profile.rules = ['Be warm', 'Ask about dinner'];
+
+        const result = importProfiles(file, owner);
+        expect(result.imported).toEqual([{ id: 'exp-a', name: 'Mom', status: 'updated' }]);
+        expect(getProfileRevisions('exp-a', owner)[0].profile.rules).toEqual(['Be warm', 'Ask about dinner']);
+        expect(importProfiles(file, owner).imported[0].status).toBe('unchanged');
+    });
+
+    it("gives someone else's ids new ones and keeps references within the file", () => {
+        saveProfile({ id: 'exp-parent', name: 'Family', description: 'Base', rules: ['Be kind'] }, owner);
+        saveProfile({ id: 'exp-child', name: 'Mom', description: 'Child', extends: 'exp-parent' }, owner);
+
+        const result = importProfiles(exportProfiles(['exp-parent', 'exp-child'], owner), stranger);
+        const [parent, child] = result.imported;
+        expect(parent.id).not.toBe('exp-parent');
+        expect(result.warnings[0]).toContain('belongs to another account');
+
+        const mine = getProfiles(stranger).find(profile => profile.id === child.id);
+        expect(mine.extends).toBe(parent.id);
+        expect(getProfiles(owner).find(profile => profile.id === 'exp-child').extends).toBe('exp-parent');
+    });
+
+    it('drops a missing glossary with a warning', () => {
+        const result = importProfiles({
+            format: 'korean-translator-profiles',
+            version: 1,
+            profile: { id: 'exp-b', name: 'Aunt', description: 'x', settings: { glossaryId: 'gone' } }
+        }, owner);
+
+        expect(result.warnings).toEqual(['"Aunt": glossary gone doesn\'t exist here and was removed']);
+        expect(getProfiles(owner).find(profile => profile.id === 'exp-b').settings.glossaryId).toBeNull();
+    });
+
+    it('changes nothing when any profile in the file is invalid', () => {
+        const before = getProfiles(owner).length;
+        expect(() => importProfiles({
+            format: 'korean-translator-profiles',
+            version: 1,
+            profiles: [
+                { id: 'exp-c', name: 'Fine', description: 'x' },
+                { id: 'exp-d', name: 'Broken', description: 'x', settings: { formality: 'loud' } }
+            ]
+        }, owner)).toThrow(/^"Broken": Invalid profile/);
+        expect(getProfiles(owner)).toHaveLength(before);
+    });
+
+    it('rejects files that are not exports', () => {
+        expect(() => importProfiles({ profiles: [] }, owner)).toThrow('Not a profile export file');
+        expect(() => importProfiles({ format: 'korean-translator-profiles', version: 2 }, owner)).toThrow('Unsupported profile file version: 2');
+        expect(() => importProfiles({ format: 'korean-translator-profiles', version: 1, profiles: [] }, owner)).toThrow('The file contains no profiles');
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    getProvider,
+    listProviders,
+    registerProvider,
+    getDefaultProviderIds,
+    resolveProviders,
+    checkRequestedProviders
+} from '../server/services/providers/index.js';
+import { mockProvider } from '../server/services/providers/mock.js';
+
+const ENV_KEYS = ['DEEPL_API_KEY', 'PERPLEXITY_API_KEY', 'TRANSLATION_PROVIDER', 'REWRITE_PROVIDER'];
+
+describe('provider registry', () => {
+    let saved;
+
+    beforeEach(() => {
+        saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+        ENV_KEYS.forEach(key => delete process.env[key]);
+    });
+
+    afterEach(() => {
+        ENV_KEYS.forEach(key => {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        });
+    });
+
+    it('lists the built-in providers without secrets', () => {
+        const providers = listProviders();
+        expect(providers.map(p => p.id)).toEqual(['deepl', 'perplexity', 'mock']);
+        expect(providers.find(p => p.id === 'mock')).toMatchObject({ name: 'Offline Dictionary', configured: true });
+        expect(providers.find(p => p.id === 'deepl').configured).toBe(false);
+    });
+
+    it('falls back to the mock provider without API keys', () => {
+        expect(getDefaultProviderIds()).toEqual({ translation: 'mock', rewrite: 'mock' });
+
+        const { translator, rewriter } = resolveProviders();
+        expect(translator).toBe(mockProvider);
+        expect(rewriter).toBe(mockProvider);
+    });
+
+    it('prefers the request over profile settings over the environment', () => {
+        process.env.TRANSLATION_PROVIDER = 'perplexity';
+        expect(resolveProviders().translator.id).toBe('perplexity');
+        expect(resolveProviders({ settings: { provider: 'deepl' } }).translator.id).toBe('deepl');
+        expect(resolveProviders({ request: { provider: 'mock' }, settings: { provider: 'deepl' } }).translator.id).toBe('mock');
+    });
+
+    it('rejects unknown providers and missing capabilities', () => {
+        expect(() => getProvider('nope')).toThrow('Unknown provider: nope');
+        expect(() => resolveProviders({ request: { rewriteProvider: 'deepl' } })).toThrow('Provider "deepl" cannot rewrite');
+
+        expect(() => checkRequestedProviders({ provider: 'nope' })).toThrow('Unknown provider: nope');
+        expect(() => checkRequestedProviders({ rewriteProvider: 'deepl' })).toThrow('cannot rewrite');
+        expect(() => checkRequestedProviders({ provider: 'mock', rewriteProvider: 'mock' })).not.toThrow();
+        expect(() => checkRequestedProviders({})).not.toThrow();
+    });
+
+    it('only registers providers that implement every method', () => {
+        expect(() => registerProvider({ id: 'broken', translate() {}, detect() {} }))
+            .toThrow('Provider "broken" must implement rewrite()');
+        expect(() => getProvider('broken')).toThrow();
+    });
+});
+
+describe('mock provider', () => {
+    it('translates both ways from the offline dictionary', async () => {
+        expect(await mockProvider.translate('엄마 사랑해요', { targetLanguage: 'en' })).toEqual({ text: 'Mom I love you' });
+        expect(await mockProvider.translate('I love you mom', { targetLanguage: 'ko' })).toEqual({ text: '사랑해요 엄마' });
+    });
+
+    it('leaves text already in the target language alone', async () => {
+        expect(await mockProvider.translate('hello there', { sourceLanguage: 'en', targetLanguage: 'en' }))
+            .toEqual({ text: 'hello there' });
+    });
+
+    it('detects the language and returns rewrites unchanged', async () => {
+        expect(await mockProvider.detect('안녕하세요')).toBe('ko');
+        expect(await mockProvider.detect('hello')).toBe('en');
+        expect(await mockProvider.rewrite('Make it polite', { text: '밥 먹었어?' })).toBe('밥 먹었어?');
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { validateReplies, getLocalReplies, buildRepliesPrompt, REPLY_COUNT } from '../server/services/replies.js';
+import { suggestReplies } from '../server/services/ai.js';
+import { kinshipTerms } from '../server/services/kinship.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+const reply = (text, tone = 'warm') => ({ text, tone, note: 'When it fits' });
+
+describe('validateReplies', () => {
+    it('keeps the expected fields, trims them and drops duplicates', () => {
+        const replies = validateReplies([
+            { ...reply(' Thanks! ', 'Warm'), extra: true },
+            reply('thanks!'),
+            reply('See you soon', 'playful'),
+            reply('Sorry, I was busy', 'apologetic')
+        ]);
+        expect(replies).toEqual([
+            { text: 'Thanks!', tone: 'warm', note: 'When it fits' },
+            { text: 'See you soon', tone: 'playful', note: 'When it fits' },
+            { text: 'Sorry, I was busy', tone: 'apologetic', note: 'When it fits' }
+        ]);
+    });
+
+    it('rejects lists that are short or malformed', () => {
+        expect(() => validateReplies({})).toThrow('Replies must be an array');
+        expect(() => validateReplies([reply('a'), { text: 'b', tone: 'warm' }, reply('c')])).toThrow('missing "note"');
+        expect(() => validateReplies([reply('a'), reply('A')])).toThrow(`Expected ${REPLY_COUNT} distinct replies`);
+    });
+});
+
+describe('reply prompts', () => {
+    it('picks local templates by topic', () => {
+        expect(getLocalReplies('밥 먹었니?')[0].text).toMatch(/ate/);
+        expect(getLocalReplies('안녕')).toHaveLength(REPLY_COUNT);
+    });
+
+    it('names the sender and the speech level', () => {
+        const grandmother = kinshipTerms({ person: 'grandmother', side: 'maternal' });
+        const prompt = buildRepliesPrompt('밥 먹었니?', null, grandmother.speechLevel, grandmother);
+        expect(prompt).toContain(`message from their Korean ${grandmother.label}`);
+        expect(prompt).toContain('해요체');
+        expect(buildRepliesPrompt('밥 먹었니?', null, null)).toContain('message from their Korean parent');
+    });
+});
+
+describe('suggestReplies', () => {
+    const options = { provider: 'mock', rewriteProvider: 'mock' };
+
+    it('takes the speech level from the recipient relation', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const recipientRelation = { person: 'grandmother', side: 'maternal' };
+
+        const result = await suggestReplies('밥 먹었니?', 'natural', { ...options, recipientRelation });
+        expect(result.speechLevel).toBe(kinshipTerms(recipientRelation).speechLevel);
+        expect(result.kinship.relation).toMatchObject(recipientRelation);
+        expect(result.replies).toHaveLength(REPLY_COUNT);
+
+        expect((await suggestReplies('밥 먹었니?', 'natural', options)).speechLevel).toBeNull();
+        vi.restoreAllMocks();
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { romanize, pronounce, hasHangul } from '../server/services/romanization.js';
+
+describe('romanize', () => {
+    it.each([
+        ['감사합니다', 'gamsahamnida'],
+        ['먹어', 'meogeo'],
+        ['같이', 'gachi'],
+        ['많아', 'mana'],
+        ['좋아요', 'joayo'],
+        ['신라', 'silla'],
+        ['설날', 'seollal'],
+        ['독립', 'dongnip'],
+        ['값만', 'gamman'],
+        ['놓는', 'nonneun'],
+        ['학교', 'hakgyo']
+    ])('liaison, palatalization, nasalization and ㄹ: %s → %s', (korean, expected) => {
+        expect(romanize(korean)).toBe(expected);
+    });
+
+    it.each([
+        ['좋다', 'jota'],
+        ['많다', 'manta'],
+        ['밝히다', 'balkida'],
+        ['넓히다', 'neolpida'],
+        ['잡혀', 'japyeo'],
+        ['막혔어', 'makyeosseo'],
+        ['급히', 'geupi'],
+        ['굳히다', 'guchida'],
+        ['맞히다', 'machida']
+    ])('writes aspiration after ㅎ and before 히/혀: %s → %s', (korean, expected) => {
+        expect(romanize(korean)).toBe(expected);
+    });
+
+    it.each([
+        ['입학', 'iphak'],
+        ['축하', 'chukha'],
+        ['묵호', 'mukho'],
+        ['집현전', 'jiphyeonjeon'],
+        ['생각해', 'saenggakhae']
+    ])('keeps the h after ㄱ/ㄷ/ㅂ in nouns: %s → %s', (korean, expected) => {
+        expect(romanize(korean)).toBe(expected);
+    });
+
+    it('leaves everything but Hangul alone', () => {
+        expect(romanize('엄마, OK? 사랑해요!')).toBe('eomma, OK? saranghaeyo!');
+    });
+});
+
+describe('pronounce', () => {
+    it.each([
+        ['감사합니다', 'gahm-sah-hahm-nee-dah'],
+        ['학교', 'hahk-kkyoh'],
+        ['입학', 'ee-pahk'],
+        ['축하', 'choo-kah'],
+        ['굳히다', 'goo-chee-dah'],
+        ['의사', 'ui-sah']
+    ])('%s → %s', (korean, expected) => {
+        expect(pronounce(korean)).toBe(expected);
+    });
+});
+
+describe('hasHangul', () => {
+    it('finds Hangul syllables', () => {
+        expect(hasHangul('hi 엄마')).toBe(true);
+        expect(hasHangul('hello')).toBe(false);
+        expect(hasHangul(null)).toBe(false);
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { calculateTextSimilarity, chrF, contentWords, englishStem, koreanStem } from '../server/services/scoring.js';
+
+describe('stemming', () => {
+    it('strips Korean particles and endings but keeps a stem', () => {
+        expect(koreanStem('엄마가')).toBe('엄마');
+        expect(koreanStem('엄마는')).toBe('엄마');
+        expect(koreanStem('가')).toBe('가');
+    });
+
+    it('lightly stems English', () => {
+        expect(englishStem('calling')).toBe('call');
+        expect(englishStem('called')).toBe('call');
+        expect(englishStem('calls')).toBe('call');
+        expect(englishStem('glass')).toBe('glass');
+    });
+
+    it('drops stopwords from content words', () => {
+        expect(contentWords('I love you, Mom!', 'en').map(w => w.word)).toEqual(['love', 'mom']);
+        expect(contentWords('저는 엄마를 사랑해요', 'ko').map(w => w.stem)).toEqual(['엄마', '사랑']);
+    });
+});
+
+describe('calculateTextSimilarity', () => {
+    it('scores an exact round trip at 100', () => {
+        const result = calculateTextSimilarity('I love you mom', 'I love you mom');
+        expect(result.score).toBe(100);
+        expect(result.lostWords).toEqual([]);
+        expect(result.reasons).toEqual([]);
+    });
+
+    it('scores unrelated text low and names what was lost', () => {
+        const result = calculateTextSimilarity('I love you mom', 'The weather is cold');
+        expect(result.score).toBeLessThan(50);
+        expect(result.lostWords).toEqual(['love', 'mom']);
+        expect(result.reasons[0]).toMatch(/content word/);
+    });
+
+    it('ignores a different Korean particle', () => {
+        expect(calculateTextSimilarity('엄마가 왔어요', '엄마는 왔어요', 'ko').components.content).toBe(100);
+    });
+
+    it('cannot compare empty text', () => {
+        expect(calculateTextSimilarity('', 'hello')).toMatchObject({ score: 0, explanation: 'Unable to compare texts' });
+    });
+
+    it('computes chrF between 0 and 1', () => {
+        expect(chrF('hello', 'hello', 4)).toBe(1);
+        expect(chrF('abc', 'xyz', 3)).toBe(0);
+    });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { segmentText, joinSegments } from '../server/services/segmentation.js';
+
+describe('segmentText', () => {
+    it('splits English sentences but not after abbreviations', () => {
+        expect(segmentText('Hi Mom. Dr. Kim called!\nSee you soon', 'en')).toEqual([
+            { text: 'Hi Mom.', separator: ' ' },
+            { text: 'Dr. Kim called!', separator: '\n' },
+            { text: 'See you soon', separator: '' }
+        ]);
+    });
+
+    it('splits unpunctuated Korean on polite endings', () => {
+        expect(segmentText('밥 먹었어요 내일 봐요', 'ko').map(s => s.text)).toEqual(['밥 먹었어요', '내일 봐요']);
+    });
+
+    it('keeps repeated punctuation with its sentence', () => {
+        expect(segmentText('Really?! Yes...', 'en').map(s => s.text)).toEqual(['Really?!', 'Yes...']);
+    });
+
+    it('rebuilds the input from its segments', () => {
+        const text = 'First line.\n\nSecond one? Third!';
+        const segments = segmentText(text, 'en');
+        expect(segments.map(s => s.text + s.separator).join('')).toBe(text);
+        expect(joinSegments(segments)).toBe(text);
+    });
+});
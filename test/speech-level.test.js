@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { classifySentence, analyzeSpeechLevel, splitKoreanSentences } from '../server/services/speech-level.js';
+import { speechLevelMismatchHtml } from '../src/js/speech-levels.js';
+
+const level = sentence => classifySentence(sentence).level;
+
+describe('classifySentence', () => {
+    it('reads the level from the sentence ending', () => {
+        expect(level('감사합니다.')).toBe('hapsyo');
+        expect(level('밥 먹었어요?')).toBe('haeyo');
+        expect(level('밥 먹었어?')).toBe('banmal');
+        expect(level('오늘 좀 바빠')).toBe('banmal');
+    });
+
+    it('does not read a lone vocative as 반말', () => {
+        expect(level('엄마!')).toBe('unknown');
+    });
+
+    it('looks past a trailing address term', () => {
+        expect(level('사랑해요 엄마!')).toBe('haeyo');
+        expect(level('고마워요, 할머니~')).toBe('haeyo');
+        expect(level('보고 싶어 언니야')).toBe('banmal');
+    });
+
+    it('treats a bare 네/예 as polite', () => {
+        expect(level('네')).toBe('haeyo');
+        expect(level('예.')).toBe('haeyo');
+        expect(level('좋네')).toBe('banmal');
+    });
+
+    it('finds honorific markers', () => {
+        const markers = classifySentence('할머니께서 진지 드셨어요').honorifics.map(h => h.marker);
+        expect(markers).toEqual(expect.arrayContaining(['-시-', '께서', 'honorific vocabulary']));
+    });
+});
+
+describe('analyzeSpeechLevel', () => {
+    it('splits sentences and keeps only Korean ones', () => {
+        expect(splitKoreanSentences('안녕하세요! OK. 잘 지내?')).toEqual(['안녕하세요!', '잘 지내?']);
+    });
+
+    it('reports the dominant level and sentences off target', () => {
+        const result = analyzeSpeechLevel('안녕하세요. 밥 먹었어요? 나 오늘 늦어.', 'haeyo');
+        expect(result.dominant).toBe('haeyo');
+        expect(result.conforms).toBe(false);
+        expect(result.mismatches).toEqual([2]);
+    });
+
+    it('has nothing to conform to without a target', () => {
+        expect(analyzeSpeechLevel('밥 먹었어?').conforms).toBeNull();
+    });
+});
+
+describe('speechLevelMismatchHtml', () => {
+    it('lists the sentences off target with their level', () => {
+        const html = speechLevelMismatchHtml(analyzeSpeechLevel('안녕하세요. 나 오늘 늦어.', 'haeyo'));
+        expect(html).toContain('Profile expects 해요체, but 1 sentence(s) differ');
+        expect(html).toContain('<li>나 오늘 늦어. <em>(반말)</em></li>');
+    });
+
+    it('escapes markup in a mismatched sentence', () => {
+        const html = speechLevelMismatchHtml(analyzeSpeechLevel('<img src=x onerror=alert(1)> 고마워.', 'hapsyo'));
+        expect(html).not.toContain('<img');
+        expect(html).toContain('&lt;img src=x onerror=alert(1)&gt; 고마워.');
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { createSqliteStorage } from '../server/services/storage/sqlite.js';
+import { createJsonStorage } from '../server/services/storage/json-file.js';
+
+let dir;
+
+beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'translator-storage-'));
+});
+
+afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+const backends = {
+    sqlite: () => createSqliteStorage(join(dir, 'test.db')),
+    json: () => createJsonStorage(join(dir, 'data'))
+};
+
+describe.each(Object.keys(backends))('%s storage', backend => {
+    let storage;
+
+    beforeEach(() => {
+        storage = backends[backend]();
+    });
+
+    afterEach(() => {
+        storage.close();
+    });
+
+    it('puts, gets and removes records by id', () => {
+        expect(storage.get('profiles', 'a')).toBeNull();
+        storage.put('profiles', { id: 'a', name: 'Mom' });
+
+        expect(storage.get('profiles', 'a')).toEqual({ id: 'a', name: 'Mom' });
+        expect(storage.get('glossaries', 'a')).toBeNull();
+        expect(storage.remove('profiles', 'a')).toBe(true);
+        expect(storage.remove('profiles', 'a')).toBe(false);
+        expect(storage.list('profiles')).toEqual([]);
+    });
+
+    it('keeps the first-saved order when a record is replaced', () => {
+        storage.put('profiles', { id: 'a', name: 'Mom' });
+        storage.put('profiles', { id: 'b', name: 'Dad' });
+        storage.put('profiles', { id: 'a', name: 'Mother' });
+
+        expect(storage.list('profiles')).toEqual([{ id: 'a', name: 'Mother' }, { id: 'b', name: 'Dad' }]);
+    });
+
+    it('finds records by a field or a list containing the value', () => {
+        storage.put('profiles', { id: 'a', ownerId: 'u1', groupIds: ['g1', 'g2'] });
+        storage.put('profiles', { id: 'b', ownerId: 'u2', groupIds: ['g2'] });
+        storage.put('profiles', { id: 'c', ownerId: 'u1', groupIds: [] });
+
+        expect(storage.find('profiles', 'ownerId', 'u1').map(r => r.id)).toEqual(['a', 'c']);
+        expect(storage.find('profiles', 'groupIds', 'g2').map(r => r.id)).toEqual(['a', 'b']);
+        expect(storage.count('profiles', 'groupIds', 'g1')).toBe(1);
+        expect(storage.count('profiles', 'ownerId', 'nobody')).toBe(0);
+    });
+
+    it('survives reopening', () => {
+        storage.put('profiles', { id: 'a', name: 'Mom' });
+        storage.close();
+
+        storage = backends[backend]();
+        expect(storage.list('profiles')).toEqual([{ id: 'a', name: 'Mom' }]);
+    });
+
+    it('returns the transaction result', () => {
+        const result = storage.transaction(() => {
+            storage.put('profiles', { id: 'a' });
+            return storage.count('profiles', 'id', 'a');
+        });
+        expect(result).toBe(1);
+    });
+});
+
+describe('sqlite storage', () => {
+    it('rolls back a failed transaction', () => {
+        const storage = createSqliteStorage(join(dir, 'test.db'));
+        expect(() => storage.transaction(() => {
+            storage.put('profiles', { id: 'a' });
+            throw new Error('boom');
+        })).toThrow('boom');
+
+        expect(storage.list('profiles')).toEqual([]);
+        storage.close();
+    });
+
+    it('only accepts plain field names', () => {
+        const storage = createSqliteStorage(join(dir, 'test.db'));
+        expect(() => storage.find('profiles', 'owner.id', 'u1')).toThrow('Invalid field name: owner.id');
+        expect(() => storage.count('profiles', "x') OR 1=1 --", 'u1')).toThrow('Invalid field name');
+        storage.close();
+    });
+
+    it('applies only the migrations a database has not run yet', () => {
+        const file = join(dir, 'old.db');
+        const old = new Database(file);
+        old.exec(`CREATE TABLE documents (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            collection TEXT NOT NULL,
+            id TEXT NOT NULL,
+            data TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            UNIQUE (collection, id)
+        )`);
+        old.prepare('INSERT INTO documents (collection, id, data, created_at, updated_at) VALUES (?, ?, ?, 0, 0)')
+            .run('profiles', 'a', '{"id":"a"}');
+        old.pragma('user_version = 1');
+        old.close();
+
+        const storage = createSqliteStorage(file);
+        expect(storage.list('profiles')).toEqual([{ id: 'a' }]);
+        storage.close();
+
+        const db = new Database(file);
+        expect(db.pragma('user_version', { simple: true })).toBe(2);
+        expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'imports'").get()).toBeTruthy();
+        db.close();
+    });
+
+    it('imports a legacy JSON file once without overwriting records', () => {
+        const legacy = join(dir, 'profiles.json');
+        writeFileSync(legacy, JSON.stringify([{ id: 'a', name: 'Old' }, { id: 'b', name: 'Dad' }, { name: 'No id' }]));
+
+        const storage = createSqliteStorage(join(dir, 'test.db'));
+        storage.put('profiles', { id: 'a', name: 'New' });
+
+        expect(storage.importJsonFile('profiles', legacy)).toBe(1);
+        expect(storage.list('profiles')).toEqual([{ id: 'a', name: 'New' }, { id: 'b', name: 'Dad' }]);
+
+        writeFileSync(legacy, JSON.stringify([{ id: 'c' }]));
+        expect(storage.importJsonFile('profiles', legacy)).toBe(0);
+        expect(storage.importJsonFile('glossaries', join(dir, 'missing.json'))).toBe(0);
+        expect(storage.get('profiles', 'c')).toBeNull();
+        storage.close();
+    });
+
+    it('refuses a legacy file that is not a list', () => {
+        const legacy = join(dir, 'glossaries.json');
+        writeFileSync(legacy, '{"id": "a"}');
+
+        const storage = createSqliteStorage(join(dir, 'test.db'));
+        expect(() => storage.importJsonFile('glossaries', legacy)).toThrow('glossaries.json is not a list of records');
+        storage.close();
+    });
+});
+
+describe('json storage', () => {
+    it('writes one file per collection and leaves no temp files', () => {
+        const storage = createJsonStorage(join(dir, 'data'));
+        storage.put('profiles', { id: 'a' });
+        storage.put('glossaries', { id: 'g' });
+
+        expect(readdirSync(join(dir, 'data')).sort()).toEqual(['glossaries.json', 'profiles.json']);
+        expect(storage.importJsonFile('profiles', join(dir, 'data', 'profiles.json'))).toBe(0);
+    });
+});
@@ -0,0 +1,18 @@
+import { afterAll } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getStorage } from '../server/services/storage/index.js';
+
+// Point storage at a fresh SQLite file for the calling test file. Call it at the
+// top of the file, before anything reads storage; the file is removed afterwards.
+export function useTempStorage() {
+    const dir = mkdtempSync(join(tmpdir(), 'translator-test-'));
+    process.env.STORAGE_BACKEND = 'sqlite';
+    process.env.STORAGE_PATH = join(dir, 'test.db');
+
+    afterAll(() => {
+        getStorage().close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+}
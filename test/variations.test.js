@@ -0,0 +1,104 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    candidateCount,
+    buildVariationsPrompt,
+    parseRephrasings,
+    comparisonKey,
+    dedupeCandidates,
+    rankCandidates,
+    DEFAULT_CANDIDATES,
+    MAX_CANDIDATES
+} from '../server/services/variations.js';
+import { generateVariations } from '../server/services/ai.js';
+import { registerProvider } from '../server/services/providers/index.js';
+import { mockProvider } from '../server/services/providers/mock.js';
+import { useTempStorage } from './temp-storage.js';
+
+useTempStorage();
+
+const candidate = (translation, score, conforms = null) => ({
+    translation,
+    accuracyScore: { score },
+    speechLevel: conforms === null ? null : { conforms }
+});
+
+describe('variation helpers', () => {
+    it('clamps the candidate count', () => {
+        expect(candidateCount(undefined)).toBe(DEFAULT_CANDIDATES);
+        expect(candidateCount('0')).toBe(DEFAULT_CANDIDATES);
+        expect(candidateCount('2')).toBe(2);
+        expect(candidateCount(50)).toBe(MAX_CANDIDATES);
+    });
+
+    it('lists the rules in the prompt', () => {
+        expect(buildVariationsPrompt('Hi', 'English', 3, ['Be warm'])).toContain('Rules to consider: Be warm');
+        expect(buildVariationsPrompt('Hi', 'English', 3, [])).toContain('None - just rephrase naturally');
+    });
+
+    it('parses JSON arrays and keeps plain answers as one rephrasing', () => {
+        expect(parseRephrasings('Sure:\n["\'Hi\'", "Hello", "Hello", 3, ""]')).toEqual(['Hi', 'Hello']);
+        expect(parseRephrasings('"Hey there"')).toEqual(['Hey there']);
+    });
+
+    it('ignores case, spacing and final punctuation when comparing', () => {
+        expect(comparisonKey('사랑해요!!')).toBe(comparisonKey(' 사랑해요 '));
+        expect(comparisonKey('I  miss YOU...')).toBe('i miss you');
+    });
+
+    it('drops candidates the client has already seen', () => {
+        const { unique, removed } = dedupeCandidates(
+            [candidate('사랑해요.', 90), candidate('보고 싶어요', 80), candidate('보고 싶어요!', 70), candidate('고마워요', 60)],
+            ['사랑해요', null, '고마워요~']
+        );
+        expect(unique.map(c => c.translation)).toEqual(['보고 싶어요']);
+        expect(removed).toBe(3);
+    });
+
+    it('ranks by accuracy, then by speech-level conformance', () => {
+        const ranked = rankCandidates([candidate('a', 70), candidate('b', 90, false), candidate('c', 90, true)]);
+        expect(ranked.map(c => c.translation)).toEqual(['c', 'b', 'a']);
+    });
+});
+
+describe('generateVariations', () => {
+    it('translates, scores and dedupes each rephrasing', async () => {
+        registerProvider({
+            ...mockProvider,
+            id: 'rephraser',
+            rewrite: async (prompt, { text }) => prompt.startsWith('Rephrase')
+                ? JSON.stringify(['I miss you', 'Thank you', 'I love you'])
+                : text
+        });
+
+        const result = await generateVariations('I love you', '사랑해요', 'natural', [], {
+            provider: 'mock',
+            rewriteProvider: 'rephraser',
+            exclude: ['감사합니다']
+        });
+
+        expect(result).toMatchObject({ sourceLanguage: 'en', targetLanguage: 'ko', removed: 2, note: null });
+        expect(result.candidates).toHaveLength(1);
+        expect(result.candidates[0]).toMatchObject({
+            translation: '보고 싶어요',
+            reTranslation: 'I miss you',
+            rephrased: 'I miss you',
+            source: 'rephrased'
+        });
+        expect(result.candidates[0].accuracyScore.score).toBeLessThan(100);
+    });
+
+    it('explains when nothing new came back', async () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        registerProvider({
+            ...mockProvider,
+            id: 'broken',
+            rewrite: async () => { throw new Error('offline'); }
+        });
+
+        const result = await generateVariations('I love you', '사랑해요', 'natural', [], { provider: 'mock', rewriteProvider: 'broken' });
+        expect(result.candidates).toEqual([]);
+        expect(result.note).toMatch(/No new variations/);
+        expect(error).toHaveBeenCalledWith('Variation Error:', 'offline');
+        error.mockRestore();
+    });
+});
@@ -1,11 +1,62 @@
 import { defineConfig } from 'vite';
+import { readFileSync, writeFileSync, readdirSync, statSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, relative, resolve, sep } from 'path';
+
+function listFiles(dir) {
+    return readdirSync(dir).flatMap(name => {
+        const path = join(dir, name);
+        return statSync(path).isDirectory() ? listFiles(path) : [path];
+    });
+}
+
+// Write dist/sw.js from src/sw.js with the list of built files injected, so the
+// service worker precaches the hashed asset names Vite actually emitted
+function precacheManifest() {
+    let root;
+    let outDir;
+
+    return {
+        name: 'precache-manifest',
+        apply: 'build',
+
+        configResolved(config) {
+            root = config.root;
+            outDir = resolve(config.root, config.build.outDir);
+        },
+
+        writeBundle() {
+            const hash = createHash('sha256');
+            const files = listFiles(outDir)
+                .filter(file => !file.endsWith('.map') && relative(outDir, file) !== 'sw.js')
+                .sort()
+                .map(file => {
+                    hash.update(readFileSync(file));
+                    return '/' + relative(outDir, file).split(sep).join('/');
+                });
+
+            const manifest = { version: hash.digest('hex').slice(0, 12), files };
+            const source = readFileSync(join(root, 'sw.js'), 'utf-8')
+                .replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest));
+
+            writeFileSync(join(outDir, 'sw.js'), source);
+        }
+    };
+}
 
 export default defineConfig({
     root: 'src',
+    plugins: [precacheManifest()],
     build: {
         outDir: '../dist',
         emptyOutDir: true
     },
+    // The app lives in src/, the tests cover the server from the repo root
+    test: {
+        root: '.',
+        include: ['test/**/*.test.js'],
+        environment: 'node'
+    },
     server: {
         port: 5173,
         proxy: {